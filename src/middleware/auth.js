@@ -1,5 +1,32 @@
-import jwt from 'jsonwebtoken';
 import { supabase } from '../services/supabase.js';
+import { isSessionActive, verifyAccessToken } from '../services/sessionService.js';
+import { needsStepUp } from '../services/twoFactorService.js';
+
+/**
+ * Look up the user and session an access token belongs to
+ * @param {string} token - Access JWT from the client
+ * @returns {Promise<{user: object, sessionId: string}|null>} Null if the token is
+ * invalid or its session has been signed out
+ */
+export const authenticateToken = async (token) => {
+  try {
+    const claims = verifyAccessToken(token);
+    if (!claims) return null;
+
+    const [{ data: user, error }, active] = await Promise.all([
+      supabase
+        .from('users')
+        .select('id, email, user_type, is_admin')
+        .eq('id', claims.userId)
+        .single(),
+      isSessionActive(claims.userId, claims.sessionId),
+    ]);
+
+    return error || !user || !active ? null : { user, sessionId: claims.sessionId };
+  } catch (error) {
+    return null;
+  }
+};
 
 export const authMiddleware = async (req, res, next) => {
   try {
@@ -14,22 +41,15 @@ export const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'No token provided' });
     }
 
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
-    
-    // Get user from database
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, email, user_type')
-      .eq('id', decoded.userId)
-      .single();
-
-    if (error || !user) {
+    // Verify JWT token and get the user
+    const auth = await authenticateToken(token);
+    if (!auth) {
       return res.status(401).json({ message: 'Invalid token' });
     }
 
-    // Add user to request object
-    req.user = user;
+    // Add user and session to request object
+    req.user = auth.user;
+    req.sessionId = auth.sessionId;
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -37,6 +57,44 @@ export const authMiddleware = async (req, res, next) => {
   }
 };
 
+// Socket.IO middleware: the handshake must carry a valid token, either as
+// `auth.token` or a Bearer Authorization header
+export const socketAuthMiddleware = async (socket, next) => {
+  const authHeader = socket.handshake.headers.authorization;
+  const token = socket.handshake.auth?.token
+    || (authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+  if (!token) {
+    return next(new Error('No token provided'));
+  }
+
+  const auth = await authenticateToken(token);
+  if (!auth) {
+    return next(new Error('Invalid token'));
+  }
+
+  socket.data.user = auth.user;
+  socket.data.sessionId = auth.sessionId;
+  next();
+};
+
+// Sensitive actions: users with 2FA on must have proven it on this session
+// recently (POST /api/auth/2fa/step-up). Use after authMiddleware.
+export const requireStepUp = async (req, res, next) => {
+  try {
+    if (await needsStepUp(req.user.id, req.sessionId)) {
+      return res.status(403).json({
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Confirm this action with your two-factor code'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Step-up check error:', error);
+    return res.status(500).json({ message: 'An error occurred while checking two-factor authentication' });
+  }
+};
+
 // Middleware to check if user is a hustler
 export const isHustler = (req, res, next) => {
   if (req.user && req.user.user_type === 'hustler') {
@@ -52,3 +110,11 @@ export const isCustomer = (req, res, next) => {
   }
   return res.status(403).json({ message: 'Access denied. Customer role required.' });
 };
+
+// Middleware to check if user is an admin
+export const isAdmin = (req, res, next) => {
+  if (req.user && req.user.is_admin) {
+    return next();
+  }
+  return res.status(403).json({ message: 'Access denied. Admin role required.' });
+};
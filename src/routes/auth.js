@@ -1,47 +1,108 @@
 import { Router } from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, validationResult } from 'express-validator';
 import { supabase, supabaseAdmin } from '../services/supabase.js';
-import { sendVerificationCode, verifyCode } from '../services/smsService.js';
-import jwt from 'jsonwebtoken';
-import bcrypt from 'bcryptjs';
+import {
+  OTP_PURPOSES,
+  OtpError,
+  requestOtp,
+  verifyOtp
+} from '../services/otpService.js';
+import {
+  SessionError,
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession
+} from '../services/sessionService.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { TwoFactorError, isTwoFactorEnabled, verifyTwoFactor } from '../services/twoFactorService.js';
+import { notify, NOTIFICATION_TYPES } from '../services/notificationService.js';
+import {
+  LoginThrottleError,
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLoginAttempt,
+  reserveLoginAttempt,
+  unlockAccount
+} from '../services/loginThrottleService.js';
+import twoFactorRouter from './twoFactor.js';
+import securityAdminRouter from './securityAdmin.js';
+import { hashPassword, updatePassword, verifyPassword } from '../services/passwordService.js';
 
 const router = Router();
 
+// Two-factor authentication settings
+router.use('/2fa', twoFactorRouter);
+
+// Account unlocks and security audit trail (admin)
+router.use('/admin', securityAdminRouter);
+
 // Inactivity threshold (30 days)
 const INACTIVITY_THRESHOLD = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
 
-// Generate JWT token
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: '30d' }
-  );
+// Start a device session: a short-lived access token plus a refresh token
+const startSession = async (req, userId, { twoFactorVerified = false } = {}) => {
+  const { token, refreshToken, expiresIn } = await createSession(userId, {
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null,
+    twoFactorVerified
+  });
+  return { token, refreshToken, expiresIn };
 };
 
-// Generate 6-digit verification code
-const generateVerificationCode = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+// Where a password reset code goes: the channel the client picked, else email
+// for an email identifier and SMS for a phone number
+const resetChannel = (identifier, channel) => channel || (identifier.includes('@') ? 'email' : 'sms');
+
+// Every failed reset code gets this one answer, whether the code was wrong,
+// expired, locked out or the account doesn't exist, so /password/reset can't
+// be used to look up accounts
+const resetCodeError = () => new OtpError(
+  400,
+  'RESET_CODE_INVALID',
+  'Invalid or expired reset code. Please request a new one.',
+  { requiresResend: true }
+);
+
+// Accounts are looked up by email or by an E.164 phone number, e.g. +2348012345678
+const PHONE_NUMBER = /^\+[1-9]\d{7,14}$/;
+const EMAIL = /^[^\s@,()]+@[^\s@,()]+\.[^\s@,()]+$/;
+
+// The users column an identifier matches, or null if it's neither
+const identifierColumn = (identifier) => {
+  if (typeof identifier !== 'string') return null;
+  if (PHONE_NUMBER.test(identifier)) return 'phone_number';
+  if (EMAIL.test(identifier)) return 'email';
+  return null;
 };
 
-// Hash password
-const hashPassword = async (password) => {
-  const salt = await bcrypt.genSalt(10);
-  return await bcrypt.hash(password, salt);
+const identifierValidator = () => body('identifier')
+  .trim()
+  .custom((value) => identifierColumn(value) !== null)
+  .withMessage('Enter an email address or a phone number like +2348012345678');
+
+const findUserByIdentifier = async (identifier, columns = 'id, email, phone_number') => {
+  const column = identifierColumn(identifier);
+  if (!column) return null;
+
+  const { data: user, error } = await supabaseAdmin
+    .from('users')
+    .select(columns)
+    .eq(column, identifier)
+    .maybeSingle();
+
+  if (error) throw error;
+  return user;
 };
 
 // Check if user needs OTP (inactive for 30+ days)
 const needsOTPVerification = (user) => {
-  if (!user.lastActivityAt) return false;
-  const daysSinceActivity = Date.now() - new Date(user.lastActivityAt).getTime();
+  const lastActivityAt = user.last_activity_at || user.last_login_at;
+  if (!lastActivityAt) return false;
+  const daysSinceActivity = Date.now() - new Date(lastActivityAt).getTime();
   return daysSinceActivity > INACTIVITY_THRESHOLD;
 };
 
-const comparePasswords = async (password, hash) => {
-  return await bcrypt.compare(password, hash);
-};
-
 // Validation middleware
 const validateRequest = (req, res, next) => {
   const errors = validationResult(req);
@@ -55,9 +116,35 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Respond with an OTP or login throttling failure, e.g. a wrong code, a resend
+// cooldown or a locked account
+const sendAuthError = (res, error) => {
+  if (error.details.retryAfter) res.set('Retry-After', String(error.details.retryAfter));
+  return res.status(error.statusCode).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...error.details
+  });
+};
+
+// User fields returned after signing in
+const toAuthUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  phoneNumber: user.phone_number,
+  firstName: user.first_name,
+  lastName: user.last_name,
+  userType: user.user_type,
+  isVerified: user.is_verified,
+  rating: user.rating || 0,
+  tasksCompleted: user.tasks_completed || 0,
+  avatar: user.avatar_url
+});
+
 // Store and retrieve unverified users from Supabase
 const storeUnverifiedUser = async (userData) => {
-  const { email, phone_number, verificationCode, ...rest } = userData;
+  const { email, phone_number, ...rest } = userData;
   
   // Delete any existing unverified user with the same email or phone
   await supabaseAdmin
@@ -71,7 +158,6 @@ const storeUnverifiedUser = async (userData) => {
     .insert([{
       email: email || null,
       phone_number: phone_number || null,
-      verification_code: verificationCode,
       user_data: rest,
       expires_at: new Date(Date.now() + 30 * 60 * 1000).toISOString() // 30 minutes
     }])
@@ -105,7 +191,7 @@ const getUnverifiedUser = async (identifier) => {
     console.log('✅ [GET_UNVERIFIED_USER] Found user data:', JSON.stringify(data, null, 2));
     
     // Ensure we have the required fields
-    if (!data.user_data || !data.verification_code) {
+    if (!data.user_data) {
       console.error('❌ [GET_UNVERIFIED_USER] Incomplete user data:', data);
       return null;
     }
@@ -123,9 +209,7 @@ const getUnverifiedUser = async (identifier) => {
       password_hash: data.user_data.password_hash,
       user_type: data.user_data.user_type,
       
-      // Verification related fields
-      verificationCode: data.verification_code,
-      verificationAttempts: data.verification_attempts || 0,
+      // When the pending sign-up is dropped
       expiresAt: new Date(data.expires_at).getTime(),
       
       // Ensure we have the original ID
@@ -143,14 +227,6 @@ const getUnverifiedUser = async (identifier) => {
   }
 };
 
-const incrementVerificationAttempts = async (id) => {
-  const { error } = await supabaseAdmin.rpc('increment_verification_attempts', {
-    user_id: id
-  });
-  
-  if (error) throw error;
-};
-
 // Register new user (creates unverified account)
 router.post(
   '/register',
@@ -215,8 +291,6 @@ router.post(
         .delete()
         .or(`email.eq.${email},phone_number.eq.${phone_number}`);
 
-      // Generate verification code
-      const verificationCode = generateVerificationCode();
       const hashedPassword = await hashPassword(password);
 
       // Store user data in Supabase
@@ -226,23 +300,18 @@ router.post(
         password_hash: hashedPassword,
         first_name: first_name.trim(),
         last_name: last_name.trim(),
-        user_type: userType.toUpperCase(),
-        verificationCode
+        user_type: userType.toUpperCase()
       };
       
       await storeUnverifiedUser(unverifiedUser);
       console.log('Stored unverified user with email/phone:', unverifiedUser.email || unverifiedUser.phone_number);
 
       // Send verification code
-      const smsResult = await sendVerificationCode(phone_number, verificationCode);
-      
-      if (!smsResult.success) {
-        console.error('Failed to send verification code:', smsResult.message);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to send verification code. Please try again.'
-        });
-      }
+      await requestOtp({
+        destination: unverifiedUser.phone_number,
+        purpose: OTP_PURPOSES.SIGNUP,
+        ip: req.ip
+      });
 
       // Return success response without creating user in DB yet
       return res.status(200).json({
@@ -254,6 +323,7 @@ router.post(
         }
       });
     } catch (error) {
+      if (error instanceof OtpError) return sendAuthError(res, error);
       console.error('Registration error:', error);
       return res.status(500).json({
         success: false,
@@ -269,12 +339,14 @@ router.post(
   '/login',
   [
     body('identifier').notEmpty().withMessage('Email or phone number is required'),
-    body('password').notEmpty().withMessage('Password is required')
+    body('password').notEmpty().withMessage('Password is required'),
+    body('twoFactorCode').optional().isString().trim()
   ],
   validateRequest,
   async (req, res) => {
     try {
-      const { identifier, password } = req.body;
+      const { identifier, password, twoFactorCode } = req.body;
+      const attempt = { identifier, ip: req.ip };
 
       // Find user by email or phone
       const { data: user, error: userError } = await supabase
@@ -283,7 +355,13 @@ router.post(
         .or(`email.eq.${identifier},phone_number.eq.${identifier}`)
         .single();
 
+      // Count the attempt up front, refusing it while the account or IP is
+      // backing off or locked. It's handed back if the password is right.
+      if (user) attempt.userId = user.id;
+      const reserved = await reserveLoginAttempt(attempt);
+
       if (userError || !user) {
+        await recordLoginFailure(attempt, reserved);
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
@@ -291,44 +369,58 @@ router.post(
       }
 
       // Check password
-      const isValidPassword = await bcrypt.compare(password, user.password_hash);
+      const isValidPassword = await verifyPassword(password, user.password_hash);
       if (!isValidPassword) {
+        await recordLoginFailure(attempt, reserved);
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
 
-      // Check if user needs OTP due to inactivity
-      if (needsOTPVerification(user)) {
-        // Generate and send OTP
-        const code = generateVerificationCode();
-        verificationCodes.set(identifier, {
-          code,
-          userId: user.id,
-          expiresAt: Date.now() + 10 * 60 * 1000
-        });
-
-        // Try to send OTP
-        try {
-          if (user.phone_number && process.env.TWILIO_ACCOUNT_SID) {
-            await twilioClient.messages.create({
-              body: `Your Hustlrs verification code is: ${code}`,
-              from: process.env.TWILIO_PHONE_NUMBER,
-              to: user.phone_number
-            });
-          }
-        } catch (error) {
-          console.log('OTP send failed, logging code:', code);
+      // With 2FA on, a code from the authenticator app (or a recovery code) is
+      // required and stands in for the inactivity OTP
+      const twoFactorEnabled = await isTwoFactorEnabled(user.id);
+      if (twoFactorEnabled) {
+        if (!twoFactorCode) {
+          await releaseLoginAttempt(reserved);
+          return res.json({
+            success: false,
+            requiresTwoFactor: true,
+            message: 'Enter the code from your authenticator app or a recovery code.'
+          });
         }
 
-        console.log('🔍 INACTIVITY OTP:', code, 'for', identifier);
+        const result = await verifyTwoFactor(user.id, twoFactorCode).catch(async (error) => {
+          if (error instanceof TwoFactorError) await recordLoginFailure(attempt, reserved);
+          throw error;
+        });
+        if (result.method === 'recovery') {
+          await notify({
+            userId: user.id,
+            type: NOTIFICATION_TYPES.SECURITY_ALERT,
+            title: 'Account security',
+            message: `A recovery code was used to sign in. You have ${result.recoveryCodesRemaining} left.`,
+            data: { recoveryCodesRemaining: result.recoveryCodesRemaining }
+          });
+        }
+      } else if (needsOTPVerification(user)) {
+        // Check if user needs OTP due to inactivity
+        await releaseLoginAttempt(reserved);
+        const channel = user.phone_number ? 'sms' : 'email';
+        await requestOtp({
+          destination: user.phone_number || user.email,
+          purpose: OTP_PURPOSES.INACTIVITY,
+          channel,
+          ip: req.ip
+        });
 
         return res.json({
           success: false,
           requiresOTP: true,
           message: 'Account inactive. Please verify with OTP.',
-          identifier
+          identifier,
+          channel
         });
       }
 
@@ -341,33 +433,33 @@ router.post(
         })
         .eq('id', user.id);
 
-      // Generate JWT token
-      const token = generateToken(user.id);
+      await releaseLoginAttempt(reserved);
+      await recordLoginSuccess(attempt);
 
-      // Prepare user data without sensitive information
-      const userData = {
-        id: user.id,
-        email: user.email,
-        phoneNumber: user.phone_number,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        userType: user.user_type,
-        isVerified: user.is_verified,
-        rating: user.rating || 0,
-        tasksCompleted: user.tasks_completed || 0,
-        avatar: user.avatar_url
-      };
+      // Start a session for this device
+      const tokens = await startSession(req, user.id, { twoFactorVerified: twoFactorEnabled });
 
       // Return success response
       return res.json({
         success: true,
         message: 'Login successful',
         data: {
-          token,
-          user: userData
+          ...tokens,
+          user: toAuthUser(user)
         }
       });
     } catch (error) {
+      if (error instanceof OtpError || error instanceof LoginThrottleError) return sendAuthError(res, error);
+      if (error instanceof TwoFactorError) {
+        if (error.details.retryAfter) res.set('Retry-After', String(error.details.retryAfter));
+        return res.status(error.statusCode).json({
+          success: false,
+          code: error.code,
+          message: error.message,
+          ...error.details,
+          requiresTwoFactor: true
+        });
+      }
       console.error('Login error:', error);
       res.status(500).json({
         success: false,
@@ -384,7 +476,7 @@ router.post(
  * @access  Public
  */
 router.post('/verify-inactivity', [
-  body('identifier').notEmpty().withMessage('Identifier is required'),
+  identifierValidator(),
   body('code').isLength({ min: 6, max: 6 }).withMessage('Verification code must be 6 digits')
 ], async (req, res) => {
   try {
@@ -398,68 +490,55 @@ router.post('/verify-inactivity', [
     }
 
     const { identifier, code } = req.body;
-    
-    // Check verification code
-    const storedData = verificationCodes.get(identifier);
-    
-    if (!storedData || !storedData.userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Verification code not found or expired'
-      });
-    }
 
-    if (storedData.code !== code) {
+    const user = await findUserByIdentifier(identifier, '*');
+    if (!user) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid verification code'
+        message: 'Verification code not found or expired'
       });
     }
 
-    if (Date.now() > storedData.expiresAt) {
-      verificationCodes.delete(identifier);
+    // Inactivity codes are only sent without 2FA; don't let one skip it
+    if (await isTwoFactorEnabled(user.id)) {
       return res.status(400).json({
         success: false,
-        message: 'Verification code expired'
+        requiresTwoFactor: true,
+        message: 'Sign in with your password and two-factor code'
       });
     }
 
-    // Get user and update activity
-    const user = await prisma.user.update({
-      where: { id: storedData.userId },
-      data: {
-        lastLoginAt: new Date(),
-        lastActivityAt: new Date()
-      }
+    await verifyOtp({
+      destination: user.phone_number || user.email,
+      purpose: OTP_PURPOSES.INACTIVITY,
+      code
     });
 
-    // Remove used code
-    verificationCodes.delete(identifier);
+    // Update activity so the next login skips the OTP
+    const now = new Date().toISOString();
+    const { error: updateError } = await supabaseAdmin
+      .from('users')
+      .update({ last_login_at: now, last_activity_at: now })
+      .eq('id', user.id);
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    if (updateError) throw updateError;
+
+    await recordLoginSuccess({ userId: user.id, identifier, ip: req.ip });
+
+    // Start a session for this device
+    const tokens = await startSession(req, user.id);
 
     res.json({
       success: true,
       message: 'Verification successful',
       data: {
-        token,
-        user: {
-          id: user.id,
-          email: user.email,
-          phoneNumber: user.phoneNumber,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          userType: user.userType,
-          isVerified: user.isVerified,
-          rating: user.rating,
-          tasksCompleted: user.tasksCompleted,
-          avatar: user.avatar
-        }
+        ...tokens,
+        user: toAuthUser(user)
       }
     });
 
   } catch (error) {
+    if (error instanceof OtpError) return sendAuthError(res, error);
     console.error('Verify inactivity error:', error);
     res.status(500).json({
       success: false,
@@ -469,61 +548,194 @@ router.post('/verify-inactivity', [
 });
 
 /**
- * @route   POST /api/auth/refresh-token
- * @desc    Refresh JWT token
- * @access  Private
+ * @route   POST /api/auth/password/forgot
+ * @desc    Send a password reset code by SMS or email
+ * @access  Public
  */
-router.post('/refresh-token', async (req, res) => {
+router.post('/password/forgot', [
+  identifierValidator(),
+  body('channel').optional().isIn(['sms', 'email']).withMessage('Channel must be sms or email')
+], validateRequest, async (req, res) => {
   try {
-    const { token } = req.body;
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided'
+    const { identifier } = req.body;
+    const channel = resetChannel(identifier, req.body.channel);
+    const user = await findUserByIdentifier(identifier);
+    const destination = channel === 'email' ? user?.email : user?.phone_number;
+
+    // Answer the same, and as fast, whether or not the account exists or the
+    // code goes out, so the response can't be used to look up accounts
+    if (destination) {
+      requestOtp({
+        destination,
+        purpose: OTP_PURPOSES.PASSWORD_RESET,
+        channel,
+        ip: req.ip
+      }).catch((error) => {
+        if (error instanceof OtpError) console.log(`Password reset code not sent (${error.code})`);
+        else console.error('Send password reset code error:', error);
       });
     }
 
-    // Verify current token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Generate new token
-    const newToken = generateToken(decoded.userId);
+    res.json({
+      success: true,
+      message: 'If an account matches, a reset code is on its way',
+      channel
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start password reset'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/password/reset
+ * @desc    Set a new password with a reset code, signing out every session
+ * @access  Public
+ */
+router.post('/password/reset', [
+  identifierValidator(),
+  body('channel').optional().isIn(['sms', 'email']).withMessage('Channel must be sms or email'),
+  body('code').isLength({ min: 6, max: 6 }).isNumeric().withMessage('Reset code must be 6 digits'),
+  body('newPassword').isString().isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], validateRequest, async (req, res) => {
+  try {
+    const { identifier, code, newPassword } = req.body;
+    const channel = resetChannel(identifier, req.body.channel);
+    const user = await findUserByIdentifier(identifier);
+    const destination = channel === 'email' ? user?.email : user?.phone_number;
+
+    if (!destination) throw resetCodeError();
+
+    await verifyOtp({ destination, purpose: OTP_PURPOSES.PASSWORD_RESET, code }).catch((error) => {
+      throw error instanceof OtpError ? resetCodeError() : error;
+    });
+    await updatePassword(user.id, newPassword, { reason: 'PASSWORD_RESET' });
+    await unlockAccount(user.id, { reason: 'PASSWORD_RESET' });
+
+    res.json({
+      success: true,
+      message: 'Password reset. Please sign in with your new password.'
+    });
+  } catch (error) {
+    if (error instanceof OtpError) return sendAuthError(res, error);
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh-token
+ * @desc    Swap a refresh token for a new access token and refresh token
+ * @access  Public
+ */
+router.post('/refresh-token', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], validateRequest, async (req, res) => {
+  try {
+    const { token, refreshToken, expiresIn } = await rotateRefreshToken(req.body.refreshToken, {
+      ip: req.ip,
+      userAgent: req.get('user-agent') || null
+    });
 
     res.json({
       success: true,
-      data: { token: newToken }
+      data: { token, refreshToken, expiresIn }
     });
 
   } catch (error) {
-    res.status(401).json({
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Invalid token'
+      message: 'Failed to refresh token'
     });
   }
 });
 
-// Get current user
-const getCurrentUser = async (req, res) => {
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Sign out the current session
+ * @access  Private
+ */
+router.post('/logout', authMiddleware, async (req, res) => {
   try {
-    // Get token from header
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({
+    await revokeSession(req.user.id, req.sessionId, 'LOGOUT');
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices signed in to this account
+ * @access  Private
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id, req.sessionId);
+    res.json({ success: true, data: sessions });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load sessions'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Sign out one of this account's devices
+ * @access  Private
+ */
+router.delete('/sessions/:id', authMiddleware, [
+  param('id').isUUID().withMessage('Invalid session ID')
+], validateRequest, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
         success: false,
-        message: 'No token provided'
+        message: 'Session not found'
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+    res.json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out session'
+    });
+  }
+});
+
+// Get current user
+const getCurrentUser = async (req, res) => {
+  try {
     // Get user from database
     const { data: user, error } = await supabase
       .from('users')
       .select('*')
-      .eq('id', decoded.userId)
+      .eq('id', req.user.id)
       .single();
 
     if (error || !user) {
@@ -534,7 +746,7 @@ const getCurrentUser = async (req, res) => {
     }
 
     // Remove sensitive data
-    const { password, ...userWithoutPassword } = user;
+    const { password_hash, ...userWithoutPassword } = user;
 
     res.status(200).json({
       success: true,
@@ -542,15 +754,15 @@ const getCurrentUser = async (req, res) => {
     });
   } catch (error) {
     console.error('Error getting current user:', error);
-    res.status(401).json({
+    res.status(500).json({
       success: false,
-      message: 'Invalid or expired token'
+      message: 'Failed to load user'
     });
   }
 };
 
 // Add the route for getting current user
-router.get('/me', getCurrentUser);
+router.get('/me', authMiddleware, getCurrentUser);
 
 // Verify signup and create user
 router.post(
@@ -603,13 +815,9 @@ router.post(
         });
       }
       
-      console.log('🔢 [VERIFY] Stored verification code:', unverifiedUser.verificationCode);
-      console.log('🔢 [VERIFY] Provided verification code:', code);
-      console.log('🔄 [VERIFY] Code match:', unverifiedUser.verificationCode === code ? '✅' : '❌');
-
-      // Check if verification code has expired
+      // Check if the pending sign-up has expired
       if (unverifiedUser.expiresAt < Date.now()) {
-        // Clean up expired verification
+        // Clean up expired sign-up
         await supabaseAdmin
           .from('unverified_users')
           .delete()
@@ -622,42 +830,13 @@ router.post(
         });
       }
 
-      // Check verification attempts
-      if (unverifiedUser.verificationAttempts >= 3) {
-        // Clean up after too many attempts
-        await supabaseAdmin
-          .from('unverified_users')
-          .delete()
-          .or(`email.eq.${identifier},phone_number.eq.${identifier}`);
-          
-        return res.status(400).json({
-          success: false,
-          message: 'Too many attempts. Please request a new code.',
-          requiresResend: true
-        });
-      }
-
       // Verify the code
       console.log('🔍 [VERIFY] Verifying code...');
-      if (unverifiedUser.verificationCode !== code) {
-        console.log('❌ [VERIFY] Code mismatch. Incrementing attempts...');
-        // Increment verification attempts
-        const { data: userToUpdate } = await supabaseAdmin
-          .from('unverified_users')
-          .select('id')
-          .or(`email.eq.${identifier},phone_number.eq.${identifier}`)
-          .single();
-          
-        if (userToUpdate) {
-          await incrementVerificationAttempts(userToUpdate.id);
-        }
-        
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid verification code',
-          attemptsRemaining: 2 - unverifiedUser.verificationAttempts // Already incremented in the DB
-        });
-      }
+      await verifyOtp({
+        destination: unverifiedUser.phone_number,
+        purpose: OTP_PURPOSES.SIGNUP,
+        code
+      });
 
       // Create the user in the database
       console.log('👤 [VERIFY] Creating user in database...');
@@ -714,8 +893,8 @@ router.post(
         .delete()
         .or(`email.eq.${identifier},phone_number.eq.${identifier}`);
 
-      // Generate token
-      const token = generateToken(newUser.id);
+      // Start a session for this device
+      const tokens = await startSession(req, newUser.id);
 
       // Remove sensitive data
       const { password_hash, ...userWithoutPassword } = newUser;
@@ -725,10 +904,11 @@ router.post(
         message: 'Account created and verified successfully',
         data: {
           user: userWithoutPassword,
-          token
+          ...tokens
         }
       });
     } catch (error) {
+      if (error instanceof OtpError) return sendAuthError(res, error);
       console.error('Error verifying phone:', error);
       res.status(500).json({
         success: false,
@@ -749,21 +929,39 @@ router.post(
   async (req, res) => {
     try {
       const { phoneNumber } = req.body;
-      
-      const result = await sendVerificationCode(phoneNumber);
-      
-      if (!result.success) {
-        return res.status(400).json({
+
+      const { data: pending, error: pendingError } = await supabaseAdmin
+        .from('unverified_users')
+        .select('id')
+        .eq('phone_number', phoneNumber)
+        .maybeSingle();
+
+      if (pendingError) throw pendingError;
+      if (!pending) {
+        return res.status(404).json({
           success: false,
-          message: result.message
+          message: 'No pending sign-up for this phone number'
         });
       }
 
+      await requestOtp({
+        destination: phoneNumber,
+        purpose: OTP_PURPOSES.SIGNUP,
+        ip: req.ip
+      });
+
+      // Keep the pending sign-up around for as long as the new code
+      await supabaseAdmin
+        .from('unverified_users')
+        .update({ expires_at: new Date(Date.now() + 30 * 60 * 1000).toISOString() })
+        .eq('id', pending.id);
+
       return res.json({
         success: true,
         message: 'Verification code resent successfully'
       });
     } catch (error) {
+      if (error instanceof OtpError) return sendAuthError(res, error);
       console.error('Error resending verification code:', error);
       res.status(500).json({
         success: false,
@@ -1,46 +1,211 @@
 import { Router } from 'express';
 import { body, param, query, validationResult } from 'express-validator';
-import { supabase } from '../services/supabase.js';
+import { supabase, supabaseAdmin } from '../services/supabase.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { paginationValidators, getPageParams, applyKeyset, toPage } from '../services/pagination.js';
+import { NOTIFICATION_TYPES, notifyMany } from '../services/notificationService.js';
+import {
+  MESSAGE_EDIT_WINDOW_MINUTES,
+  MESSAGE_SELECT,
+  chatRoom,
+  isChatMember,
+  toMessageView,
+  getMessage,
+  editMessage,
+  deleteMessage,
+  addReaction,
+  removeReaction,
+  advanceReceipt,
+  broadcastReceipt,
+  getReceipts,
+  getChatSummaries,
+} from '../services/chatService.js';
+import { getChatAttachment, getAttachmentUrl } from '../services/chatMediaService.js';
+import { isOnline } from '../services/presenceService.js';
+import { getTaskRole } from '../services/taskLifecycle.js';
 
 const router = Router();
 
 // Apply auth middleware to all chat routes
 router.use(authMiddleware);
 
+const CHAT_ERRORS = {
+  NOT_A_MEMBER: [403, 'Not authorized to view this chat'],
+  MESSAGE_NOT_FOUND: [404, 'Message not found in this chat'],
+  TASK_NOT_FOUND: [404, 'Task not found'],
+  OWN_TASK: [403, 'Hustlers start inquiry threads on your task; reply in theirs'],
+  TASK_NOT_OPEN: [409, 'This task is no longer open for inquiries'],
+  NOT_AUTHORIZED: [403, 'You can only change your own messages'],
+  MESSAGE_DELETED: [409, 'This message has been deleted'],
+  CANNOT_EDIT: [409, 'System messages cannot be changed'],
+  EDIT_WINDOW_CLOSED: [409, `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending`],
+};
+
+// SYSTEM messages are only posted by the API, see postSystemMessage
+const MESSAGE_TYPES = ['TEXT', 'IMAGE', 'FILE', 'LOCATION'];
+
+// What a message looks like in a notification
+const messagePreview = (message) => {
+  switch (message.type) {
+    case 'IMAGE':
+      return 'Sent you an image';
+    case 'FILE':
+      return `Sent you a file: ${message.attachment?.name || 'document'}`;
+    case 'LOCATION':
+      return message.location_label ? `Shared a location: ${message.location_label}` : 'Shared a location';
+    default:
+      return message.content.slice(0, 140);
+  }
+};
+
+const sendChatError = (res, error) => {
+  const known = CHAT_ERRORS[error.message];
+  if (!known) return false;
+  res.status(known[0]).json({ code: error.message, message: known[1] });
+  return true;
+};
+
 // Get all chats for the current user
-router.get('/', async (req, res) => {
-  try {
-    if (!req.user) {
-      return res.status(401).json({ message: 'Unauthorized' });
-    }
+router.get(
+  '/',
+  [
+    ...paginationValidators(),
+    query('taskId').optional().isUUID(),
+    query('status').optional().isIn(['ACTIVE', 'ARCHIVED']),
+  ],
+  async (req, res) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Unauthorized' });
+      }
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
     
-    const userId = req.user.id;
-
-    // Get all chats where the user is a member
-    const { data: chats, error } = await supabase
-      .from('chat_members')
-      .select('chat:chats(*, task:tasks(*, poster:users(id, first_name, last_name, avatar_url)))')
-      .eq('user_id', userId);
-
-    if (error) throw error;
-
-    // Format the response
-    const formattedChats = chats.map(chatMember => ({
-      id: chatMember.chat.id,
-      task: chatMember.chat.task,
-      createdAt: chatMember.chat.created_at,
-      updatedAt: chatMember.chat.updated_at,
-    }));
-
-    res.json(formattedChats);
-  } catch (error) {
-    console.error('Get chats error:', error);
-    res.status(500).json({
-      message: error.message || 'An error occurred while fetching chats',
-    });
+      const userId = req.user.id;
+      const { cursor, limit } = getPageParams(req);
+
+      // Get the chats where the user is a member
+      let chatsQuery = supabase
+        .from('chats')
+        .select('*, task:tasks(*, poster:users(id, first_name, last_name, avatar_url)), chat_members!inner(user_id)')
+        .eq('chat_members.user_id', userId);
+
+      if (req.query.taskId) chatsQuery = chatsQuery.eq('task_id', req.query.taskId);
+      if (req.query.status) chatsQuery = chatsQuery.eq('status', req.query.status);
+
+      const { data: chats, error } = await applyKeyset(chatsQuery, { cursor, limit });
+
+      if (error) throw error;
+
+      const page = toPage(chats, limit);
+
+      // The other members of each chat, with their presence, and unread counts
+      const chatIds = page.data.map(chat => chat.id);
+      const summaries = await getChatSummaries(userId, chatIds);
+      let members = [];
+      if (chatIds.length > 0) {
+        const { data, error: membersError } = await supabase
+          .from('chat_members')
+          .select('chat_id, user:users(id, first_name, last_name, avatar_url, last_seen_at)')
+          .in('chat_id', chatIds)
+          .neq('user_id', userId);
+
+        if (membersError) throw membersError;
+        members = data;
+      }
+
+      // Format the response
+      const formattedChats = page.data.map(chat => ({
+        id: chat.id,
+        task: chat.task,
+        kind: chat.kind,
+        status: chat.status,
+        hustlerId: chat.hustler_id,
+        archivedAt: chat.archived_at,
+        members: members
+          .filter(member => member.chat_id === chat.id && member.user)
+          .map(({ user }) => ({
+            id: user.id,
+            firstName: user.first_name,
+            lastName: user.last_name,
+            avatarUrl: user.avatar_url,
+            lastSeenAt: user.last_seen_at,
+            isOnline: isOnline(user.id),
+          })),
+        unreadCount: summaries.get(chat.id)?.unreadCount ?? 0,
+        lastMessage: summaries.get(chat.id)?.lastMessage ?? null,
+        createdAt: chat.created_at,
+        updatedAt: chat.updated_at,
+      }));
+
+      res.json({ ...page, data: formattedChats });
+    } catch (error) {
+      console.error('Get chats error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching chats',
+      });
+    }
   }
-});
+);
+
+// Open a chat about a task: an inquiry thread with the poster while the task
+// is OPEN, or the task's working chat for the poster and assigned hustler
+router.post(
+  '/',
+  [body('taskId').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { taskId } = req.body;
+      const user = req.user;
+
+      // Only hustlers start inquiry threads; anyone else can only open the
+      // working chat of a task they are on
+      if (!['HUSTLER', 'BOTH'].includes(user.user_type)) {
+        const { data: task, error: taskError } = await supabaseAdmin
+          .from('tasks')
+          .select('poster_id, hustler_id')
+          .eq('id', taskId)
+          .maybeSingle();
+
+        if (taskError) throw taskError;
+        if (task && !getTaskRole(task, user.id)) {
+          return res.status(403).json({ message: 'Only hustlers can ask about a task' });
+        }
+      }
+
+      const { data: result, error } = await supabaseAdmin.rpc('open_task_chat', {
+        p_task_id: taskId,
+        p_user_id: user.id,
+      });
+
+      if (error) throw error;
+
+      const { data: chat, error: chatError } = await supabaseAdmin
+        .from('chats')
+        .select('*, task:tasks(id, title, status, poster_id)')
+        .eq('id', result.chat_id)
+        .single();
+
+      if (chatError) throw chatError;
+
+      res.status(result.created ? 201 : 200).json(chat);
+    } catch (error) {
+      if (sendChatError(res, error)) return;
+      console.error('Open chat error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while opening the chat',
+      });
+    }
+  }
+);
 
 // Get a single chat with messages
 router.get(
@@ -72,13 +237,12 @@ router.get(
         return res.status(403).json({ message: 'Not authorized to view this chat' });
       }
 
-      // Get chat details with messages
+      // Get chat details. Messages are paged through GET /:chatId/messages.
       const { data: chat, error: chatError } = await supabase
         .from('chats')
         .select(`
           *,
-          task:tasks(*, poster:users(*)),
-          messages:messages(*, sender:users(id, first_name, last_name, avatar_url))
+          task:tasks(*, poster:users(*))
         `)
         .eq('id', chatId)
         .single();
@@ -103,8 +267,17 @@ router.post(
   '/:chatId/messages',
   [
     param('chatId').isUUID(),
-    body('content').isString().trim().notEmpty(),
-    body('type').optional().isIn(['TEXT', 'IMAGE', 'SYSTEM']).default('TEXT'),
+    body('type').optional().isIn(MESSAGE_TYPES),
+    // Text needs content; on attachments and locations it's an optional caption
+    body('content')
+      .if((value, { req }) => (req.body.type || 'TEXT') === 'TEXT')
+      .isString().trim().notEmpty(),
+    body('content').optional().isString().trim().isLength({ max: 4000 }),
+    body('attachmentId').if(body('type').isIn(['IMAGE', 'FILE'])).isUUID(),
+    body('location.lat').if(body('type').equals('LOCATION')).isFloat({ min: -90, max: 90 }).toFloat(),
+    body('location.lng').if(body('type').equals('LOCATION')).isFloat({ min: -180, max: 180 }).toFloat(),
+    body('location.label').optional().isString().trim().isLength({ max: 200 }),
+    body('replyToMessageId').optional().isUUID(),
   ],
   async (req, res) => {
     if (!req.user) {
@@ -118,13 +291,13 @@ router.post(
       }
 
       const { chatId } = req.params;
-      const { content, type = 'TEXT' } = req.body;
+      const { content = '', type = 'TEXT', attachmentId, location, replyToMessageId } = req.body;
       const userId = req.user.id;
 
       // Verify the user is a member of this chat
       const { data: chatMember, error: memberError } = await supabase
         .from('chat_members')
-        .select('chat_id')
+        .select('chat_id, chat:chats(status)')
         .eq('chat_id', chatId)
         .eq('user_id', userId)
         .single();
@@ -132,20 +305,52 @@ router.post(
       if (memberError || !chatMember) {
         return res.status(403).json({ message: 'Not authorized to send messages in this chat' });
       }
+      if (chatMember.chat?.status === 'ARCHIVED') {
+        return res.status(409).json({ message: 'This chat is archived; the task went to someone else' });
+      }
+
+      // Attachments must have been uploaded to this chat by the sender, and
+      // match the message type
+      let attachment = null;
+      if (type === 'IMAGE' || type === 'FILE') {
+        attachment = await getChatAttachment(chatId, attachmentId);
+        if (!attachment || attachment.uploader_id !== userId) {
+          return res.status(400).json({ message: 'Attachment not found; upload it to this chat first' });
+        }
+        if (attachment.kind !== type) {
+          return res.status(400).json({ message: `Attachment is ${attachment.kind === 'IMAGE' ? 'an image' : 'a file'}, not ${type}` });
+        }
+      }
+
+      // Replies quote a message from the same chat
+      if (replyToMessageId && !(await getMessage(chatId, replyToMessageId))) {
+        return res.status(400).json({ message: 'The message you replied to is not in this chat' });
+      }
 
       // Create the message
-      const { data: message, error: messageError } = await supabase
+      const { data: row, error: messageError } = await supabase
         .from('messages')
         .insert({
           chat_id: chatId,
           sender_id: userId,
           content,
           type,
+          attachment_id: attachment?.id ?? null,
+          latitude: type === 'LOCATION' ? location.lat : null,
+          longitude: type === 'LOCATION' ? location.lng : null,
+          location_label: type === 'LOCATION' ? location.label || null : null,
+          reply_to_message_id: replyToMessageId || null,
         })
-        .select('*, sender:users(id, first_name, last_name, avatar_url)')
+        .select(MESSAGE_SELECT)
         .single();
 
-      if (messageError) throw messageError;
+      if (messageError) {
+        if (messageError.code === '23505') {
+          return res.status(409).json({ message: 'This attachment has already been sent' });
+        }
+        throw messageError;
+      }
+      const message = toMessageView(row);
 
       // Update chat's updated_at timestamp
       await supabase
@@ -154,7 +359,26 @@ router.post(
         .eq('id', chatId);
 
       // Emit real-time event
-      req.app.get('io').to(`chat_${chatId}`).emit('new_message', message);
+      req.app.get('io').to(chatRoom(chatId)).emit('new_message', message);
+
+      // Notify the other members
+      const { data: members } = await supabase
+        .from('chat_members')
+        .select('user_id, chat:chats(task_id)')
+        .eq('chat_id', chatId)
+        .neq('user_id', userId);
+
+      if (members?.length) {
+        const sender = message.sender ? `${message.sender.first_name} ${message.sender.last_name}` : 'Someone';
+        await notifyMany(members.map((member) => member.user_id), {
+          type: NOTIFICATION_TYPES.NEW_MESSAGE,
+          title: `New message from ${sender}`,
+          message: messagePreview(message),
+          taskId: members[0].chat?.task_id || null,
+          chatId,
+          data: { messageId: message.id },
+        });
+      }
 
       res.status(201).json(message);
     } catch (error) {
@@ -171,8 +395,7 @@ router.get(
   '/:chatId/messages',
   [
     param('chatId').isUUID(),
-    query('limit').optional().isInt({ min: 1, max: 100 }).default(50),
-    query('offset').optional().isInt({ min: 0 }).default(0),
+    ...paginationValidators(),
   ],
   async (req, res) => {
     if (!req.user) {
@@ -186,9 +409,8 @@ router.get(
       }
 
       const { chatId } = req.params;
-      // Convert limit and offset to numbers with default values
-      const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50;
-      const offset = req.query.offset ? parseInt(req.query.offset, 10) : 0;
+      // Pages walk back from the newest message; the cursor points at older ones
+      const { cursor, limit } = getPageParams(req, 50);
       const userId = req.user.id;
 
       // Verify the user is a member of this chat
@@ -204,16 +426,29 @@ router.get(
       }
 
       // Get messages with pagination
-      const { data: messages, error: messagesError } = await supabase
-        .from('messages')
-        .select('*, sender:users(id, first_name, last_name, avatar_url)')
-        .eq('chat_id', chatId)
-        .order('created_at', { ascending: false })
-        .range(offset, offset + limit - 1);
+      const { data: messages, error: messagesError } = await applyKeyset(
+        supabase
+          .from('messages')
+          .select(MESSAGE_SELECT)
+          .eq('chat_id', chatId),
+        { cursor, limit }
+      );
 
       if (messagesError) throw messagesError;
 
-      res.json(messages.reverse()); // Return oldest first
+      const page = toPage(messages, limit);
+
+      // Loading the newest messages delivers them to this user
+      if (!cursor && page.data.length > 0) {
+        const receipt = await advanceReceipt(chatId, userId, { messageId: page.data[0].id });
+        await broadcastReceipt(req.app.get('io'), receipt, false);
+      }
+
+      // Everyone's delivered/read cursors, for the ticks
+      const receipts = await getReceipts(chatId);
+
+      // Return oldest first
+      res.json({ ...page, data: page.data.reverse().map(toMessageView), receipts });
     } catch (error) {
       console.error('Get messages error:', error);
       res.status(500).json({
@@ -223,10 +458,151 @@ router.get(
   }
 );
 
-// Mark messages as read
+// Edit the text of your own message (within the edit window)
+router.put(
+  '/:chatId/messages/:messageId',
+  [
+    param('chatId').isUUID(),
+    param('messageId').isUUID(),
+    body('content').isString().trim().notEmpty().isLength({ max: 4000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chatId, messageId } = req.params;
+      if (!(await isChatMember(chatId, req.user.id))) {
+        return res.status(403).json({ message: 'Not authorized to view this chat' });
+      }
+
+      const message = await editMessage(chatId, messageId, req.user.id, req.body.content);
+      req.app.get('io').to(chatRoom(chatId)).emit('message_edited', message);
+
+      res.json(message);
+    } catch (error) {
+      if (sendChatError(res, error)) return;
+      console.error('Edit message error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while editing the message',
+      });
+    }
+  }
+);
+
+// Delete your own message, leaving a "message deleted" tombstone
+router.delete(
+  '/:chatId/messages/:messageId',
+  [param('chatId').isUUID(), param('messageId').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chatId, messageId } = req.params;
+      if (!(await isChatMember(chatId, req.user.id))) {
+        return res.status(403).json({ message: 'Not authorized to view this chat' });
+      }
+
+      const message = await deleteMessage(chatId, messageId, req.user.id);
+      req.app.get('io').to(chatRoom(chatId)).emit('message_deleted', message);
+
+      res.json(message);
+    } catch (error) {
+      if (sendChatError(res, error)) return;
+      console.error('Delete message error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while deleting the message',
+      });
+    }
+  }
+);
+
+// React to a message with an emoji
+router.post(
+  '/:chatId/messages/:messageId/reactions',
+  [
+    param('chatId').isUUID(),
+    param('messageId').isUUID(),
+    body('emoji').isString().trim().isLength({ min: 1, max: 16 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chatId, messageId } = req.params;
+      if (!(await isChatMember(chatId, req.user.id))) {
+        return res.status(403).json({ message: 'Not authorized to view this chat' });
+      }
+
+      const { emoji } = req.body;
+      const message = await addReaction(chatId, messageId, req.user.id, emoji);
+      req.app.get('io').to(chatRoom(chatId)).emit('reaction_added', {
+        chatId,
+        messageId,
+        userId: req.user.id,
+        emoji,
+        reactions: message.reactions,
+      });
+
+      res.json(message);
+    } catch (error) {
+      if (sendChatError(res, error)) return;
+      console.error('Add reaction error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while adding the reaction',
+      });
+    }
+  }
+);
+
+// Take back your reaction
+router.delete(
+  '/:chatId/messages/:messageId/reactions/:emoji',
+  [param('chatId').isUUID(), param('messageId').isUUID(), param('emoji').isLength({ min: 1, max: 16 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chatId, messageId, emoji } = req.params;
+      if (!(await isChatMember(chatId, req.user.id))) {
+        return res.status(403).json({ message: 'Not authorized to view this chat' });
+      }
+
+      const message = await removeReaction(chatId, messageId, req.user.id, emoji);
+      req.app.get('io').to(chatRoom(chatId)).emit('reaction_removed', {
+        chatId,
+        messageId,
+        userId: req.user.id,
+        emoji,
+        reactions: message.reactions,
+      });
+
+      res.json(message);
+    } catch (error) {
+      if (sendChatError(res, error)) return;
+      console.error('Remove reaction error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while removing the reaction',
+      });
+    }
+  }
+);
+
+// Mark messages as read, up to `messageId` or the newest message
 router.post(
   '/:chatId/messages/read',
-  [param('chatId').isUUID()],
+  [param('chatId').isUUID(), body('messageId').optional().isUUID()],
   async (req, res) => {
     if (!req.user) {
       return res.status(401).json({ message: 'Unauthorized' });
@@ -239,19 +615,16 @@ router.post(
       }
 
       const { chatId } = req.params;
-      const userId = req.user.id;
-
-      // Mark all messages in this chat as read for the current user
-      const { error: updateError } = await supabase
-        .from('messages')
-        .update({ is_read: true })
-        .eq('chat_id', chatId)
-        .neq('sender_id', userId);
+      const receipt = await advanceReceipt(chatId, req.user.id, {
+        messageId: req.body.messageId,
+        read: true,
+      });
 
-      if (updateError) throw updateError;
+      await broadcastReceipt(req.app.get('io'), receipt, true);
 
-      res.json({ success: true });
+      res.json(receipt);
     } catch (error) {
+      if (sendChatError(res, error)) return;
       console.error('Mark messages as read error:', error);
       res.status(500).json({
         message: error.message || 'An error occurred while marking messages as read',
@@ -260,4 +633,54 @@ router.post(
   }
 );
 
+// Get a short-lived URL for an attachment or its thumbnail (members only)
+router.get(
+  '/:chatId/attachments/:attachmentId',
+  [
+    param('chatId').isUUID(),
+    param('attachmentId').isUUID(),
+    query('variant').optional().isIn(['original', 'thumbnail']),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { chatId, attachmentId } = req.params;
+
+      if (!(await isChatMember(chatId, req.user.id))) {
+        return res.status(403).json({ message: 'Not authorized to view this chat' });
+      }
+
+      const attachment = await getChatAttachment(chatId, attachmentId);
+      if (!attachment) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      // Attachments of deleted messages are gone for everyone
+      const { data: sentIn, error: sentInError } = await supabaseAdmin
+        .from('messages')
+        .select('deleted_at')
+        .eq('attachment_id', attachmentId)
+        .maybeSingle();
+
+      if (sentInError) throw sentInError;
+      if (sentIn?.deleted_at) {
+        return res.status(404).json({ message: 'Attachment not found' });
+      }
+
+      const signed = await getAttachmentUrl(attachment, req.query.variant);
+
+      res.json(signed);
+    } catch (error) {
+      console.error('Get attachment error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching the attachment',
+      });
+    }
+  }
+);
+
 export default router;
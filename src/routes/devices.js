@@ -0,0 +1,109 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import { supabaseAdmin } from '../services/supabase.js';
+import { detectTokenProvider } from '../services/push/index.js';
+
+// Mounted under /api/users/me/devices
+const router = Router();
+
+const PLATFORMS = ['IOS', 'ANDROID', 'WEB'];
+
+// Get the devices registered for push notifications
+router.get('/', async (req, res) => {
+  try {
+    const { data: devices, error } = await supabaseAdmin
+      .from('device_tokens')
+      .select('id, token, provider, platform, app_version, last_seen_at, created_at')
+      .eq('user_id', req.user.id)
+      .order('last_seen_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json(devices);
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      message: error.message || 'An error occurred while fetching your devices',
+    });
+  }
+});
+
+// Register a device for push notifications (call on every app start)
+router.post(
+  '/',
+  [
+    body('token').isString().trim().notEmpty().isLength({ max: 4096 }),
+    body('platform').isIn(PLATFORMS),
+    body('appVersion').optional().isString().trim().isLength({ max: 50 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { token, platform, appVersion } = req.body;
+
+      const { data: device, error } = await supabaseAdmin
+        .from('device_tokens')
+        .upsert(
+          {
+            user_id: req.user.id,
+            token,
+            provider: detectTokenProvider(token),
+            platform,
+            app_version: appVersion ?? null,
+            last_seen_at: new Date().toISOString(),
+          },
+          { onConflict: 'token' }
+        )
+        .select('id, token, provider, platform, app_version, last_seen_at, created_at')
+        .single();
+
+      if (error) throw error;
+
+      res.status(201).json(device);
+    } catch (error) {
+      console.error('Register device error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while registering the device',
+      });
+    }
+  }
+);
+
+// Unregister a device (call on sign-out)
+router.delete(
+  '/',
+  [body('token').isString().trim().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: removed, error } = await supabaseAdmin
+        .from('device_tokens')
+        .delete()
+        .eq('user_id', req.user.id)
+        .eq('token', req.body.token)
+        .select('id');
+
+      if (error) throw error;
+      if (removed.length === 0) {
+        return res.status(404).json({ message: 'Device not found' });
+      }
+
+      res.json({ message: 'Device removed' });
+    } catch (error) {
+      console.error('Remove device error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while removing the device',
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,83 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import { CHANNELS, NOTIFICATION_TYPES } from '../services/notificationTypes.js';
+import { getPreferences, isValidTimezone, updatePreferences } from '../services/notificationPreferences.js';
+
+// Mounted under /api/users/me/notification-preferences
+const router = Router();
+
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// { [type]: { [channel]: boolean } } with known types and channels only
+const isChannelSettings = (channels) => {
+  if (typeof channels !== 'object' || channels === null || Array.isArray(channels)) {
+    throw new Error('channels must be an object keyed by notification type');
+  }
+
+  Object.entries(channels).forEach(([type, settings]) => {
+    if (!NOTIFICATION_TYPES[type]) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+    if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+      throw new Error(`channels.${type} must be an object keyed by channel`);
+    }
+    Object.entries(settings).forEach(([channel, enabled]) => {
+      if (!CHANNELS.includes(channel)) {
+        throw new Error(`Unknown channel: ${channel}`);
+      }
+      if (typeof enabled !== 'boolean') {
+        throw new Error(`channels.${type}.${channel} must be true or false`);
+      }
+    });
+  });
+  return true;
+};
+
+// Get the current user's notification preferences
+router.get('/', async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user.id);
+    res.json(preferences);
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      message: error.message || 'An error occurred while fetching your notification preferences',
+    });
+  }
+});
+
+// Update the current user's notification preferences (only the fields sent change)
+router.put(
+  '/',
+  [
+    body('channels').optional().custom(isChannelSettings),
+    body('quietHours').optional().isObject(),
+    body('quietHours.enabled').optional().isBoolean({ strict: true }),
+    body('quietHours.start').optional().matches(CLOCK_TIME).withMessage('Use HH:MM'),
+    body('quietHours.end').optional().matches(CLOCK_TIME).withMessage('Use HH:MM'),
+    body('timezone').optional().isString().custom(isValidTimezone).withMessage('Unknown timezone'),
+    body('digest').optional().isObject(),
+    body('digest.enabled').optional().isBoolean({ strict: true }),
+    body('digest.time').optional().matches(CLOCK_TIME).withMessage('Use HH:MM'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { channels, quietHours, timezone, digest } = req.body;
+      const preferences = await updatePreferences(req.user.id, { channels, quietHours, timezone, digest });
+
+      res.json(preferences);
+    } catch (error) {
+      console.error('Update notification preferences error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while updating your notification preferences',
+      });
+    }
+  }
+);
+
+export default router;
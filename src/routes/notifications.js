@@ -0,0 +1,119 @@
+import { Router } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { authMiddleware } from '../middleware/auth.js';
+import { paginationValidators, getPageParams } from '../services/pagination.js';
+import {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+} from '../services/notificationService.js';
+
+const router = Router();
+
+// Apply auth middleware to all notification routes
+router.use(authMiddleware);
+
+// Get the current user's notifications, newest first, with the unread count
+router.get(
+  '/',
+  [...paginationValidators(), query('unread').optional().isBoolean()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { cursor, limit } = getPageParams(req);
+      const page = await getNotifications(req.user.id, {
+        cursor,
+        limit,
+        unreadOnly: req.query.unread === 'true',
+      });
+
+      res.json(page);
+    } catch (error) {
+      console.error('Get notifications error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching notifications',
+      });
+    }
+  }
+);
+
+// Get the number of unread notifications (for the badge)
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await getUnreadCount(req.user.id);
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      message: error.message || 'An error occurred while counting notifications',
+    });
+  }
+});
+
+// Mark all notifications as read
+router.put('/read-all', async (req, res) => {
+  try {
+    const updated = await markAllRead(req.user.id);
+    res.json({ updated, unreadCount: 0 });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      message: error.message || 'An error occurred while updating notifications',
+    });
+  }
+});
+
+// Mark several notifications as read
+router.put(
+  '/read',
+  [body('ids').isArray({ min: 1, max: 100 }), body('ids.*').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const updated = await markRead(req.user.id, req.body.ids);
+      const unreadCount = await getUnreadCount(req.user.id);
+
+      res.json({ updated, unreadCount });
+    } catch (error) {
+      console.error('Mark notifications read error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while updating notifications',
+      });
+    }
+  }
+);
+
+// Mark one notification as read
+router.put(
+  '/:id/read',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const updated = await markRead(req.user.id, [req.params.id]);
+      const unreadCount = await getUnreadCount(req.user.id);
+
+      res.json({ updated, unreadCount });
+    } catch (error) {
+      console.error('Mark notification read error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while updating the notification',
+      });
+    }
+  }
+);
+
+export default router;
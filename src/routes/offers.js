@@ -0,0 +1,530 @@
+import { Router } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { supabaseAdmin } from '../services/supabase.js';
+import { NOTIFICATION_TYPES, notifyMany } from '../services/notificationService.js';
+import { postTimelineMessages } from '../services/taskLifecycle.js';
+import { formatNaira } from '../services/currency.js';
+import { MAX_PAGE_SIZE, paginationValidators, getPageParams, toOffsetPage } from '../services/pagination.js';
+
+// Mounted under /api/tasks/:id/offers
+const router = Router({ mergeParams: true });
+
+// Maximum number of live (PENDING or COUNTERED) offers a single task accepts
+const MAX_OFFERS_PER_TASK = parseInt(process.env.MAX_OFFERS_PER_TASK || '20', 10);
+
+const ACTIVE_OFFER_STATUSES = ['PENDING', 'COUNTERED'];
+
+const OFFER_SELECT = '*, hustler:users!task_offers_hustler_id_fkey(id, first_name, last_name, avatar_url, rating, total_rating, tasks_completed)';
+
+const SORT_COLUMNS = {
+  amount: { column: 'amount', ascending: true },
+  eta: { column: 'eta_minutes', ascending: true },
+  newest: { column: 'created_at', ascending: false },
+};
+
+// Errors raised by the accept_task_offer database function
+const ACCEPT_ERRORS = {
+  OFFER_NOT_FOUND: [404, 'Offer not found'],
+  NOT_AUTHORIZED: [403, 'Not authorized to accept this offer'],
+  OFFER_NOT_ACTIVE: [409, 'Offer is no longer active'],
+  TASK_NOT_OPEN: [409, 'Task is no longer open for offers'],
+  INSUFFICIENT_FUNDS: [402, 'Insufficient wallet balance to fund escrow for this offer'],
+};
+
+const getTask = async (taskId) => {
+  const { data: task, error } = await supabaseAdmin
+    .from('tasks')
+    .select('id, poster_id, hustler_id, status, budget')
+    .eq('id', taskId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return task;
+};
+
+const getOffer = async (taskId, offerId) => {
+  const { data: offer, error } = await supabaseAdmin
+    .from('task_offers')
+    .select('*')
+    .eq('id', offerId)
+    .eq('task_id', taskId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return offer;
+};
+
+// List offers on a task. Posters see every offer, hustlers only their own.
+router.get(
+  '/',
+  [
+    param('id').isUUID(),
+    query('status').optional().isIn(['PENDING', 'COUNTERED', 'ACCEPTED', 'REJECTED', 'WITHDRAWN']),
+    query('sort').optional().isIn(['amount', 'eta', 'rating', 'newest']),
+    // Amount, ETA and rating aren't unique, so offer cursors carry an offset
+    ...paginationValidators(MAX_PAGE_SIZE, 'offset'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { status, sort = 'newest' } = req.query;
+      const userId = req.user.id;
+
+      const task = await getTask(id);
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+
+      const { cursor, limit } = getPageParams(req);
+      const offset = cursor?.o || 0;
+
+      const visibleOffers = (columns) => {
+        let offersQuery = supabaseAdmin
+          .from('task_offers')
+          .select(columns)
+          .eq('task_id', id);
+
+        if (task.poster_id !== userId) {
+          offersQuery = offersQuery.eq('hustler_id', userId);
+        }
+        return offersQuery;
+      };
+
+      let pageQuery = visibleOffers(OFFER_SELECT);
+      if (status) pageQuery = pageQuery.eq('status', status);
+
+      let offers;
+      if (sort === 'rating') {
+        // Rating lives on the joined hustler, so sort it here. A task only has
+        // so many offers, so page through them in memory.
+        const { data, error } = await pageQuery.order('id');
+
+        if (error) throw error;
+        offers = data
+          .sort((a, b) => (b.hustler?.rating || 0) - (a.hustler?.rating || 0))
+          .slice(offset, offset + limit + 1);
+      } else {
+        const order = SORT_COLUMNS[sort] || SORT_COLUMNS.newest;
+        const { data, error } = await pageQuery
+          .order(order.column, { ascending: order.ascending, nullsFirst: false })
+          .order('id')
+          .range(offset, offset + limit);
+
+        if (error) throw error;
+        offers = data;
+      }
+
+      // The summary covers every live offer, not just this page
+      const { data: activeOffers, error: summaryError } = await visibleOffers('amount')
+        .in('status', ACTIVE_OFFER_STATUSES);
+
+      if (summaryError) throw summaryError;
+
+      const amounts = activeOffers.map((offer) => offer.amount);
+
+      res.json({
+        ...toOffsetPage(offers, limit, offset),
+        summary: {
+          activeCount: amounts.length,
+          lowestAmount: amounts.length ? Math.min(...amounts) : null,
+          highestAmount: amounts.length ? Math.max(...amounts) : null,
+          budget: task.budget,
+        },
+      });
+    } catch (error) {
+      console.error('Get offers error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching offers',
+      });
+    }
+  }
+);
+
+// Submit an offer on an open task
+router.post(
+  '/',
+  [
+    param('id').isUUID(),
+    body('amount').isInt({ min: 1 }),
+    body('message').optional().isString().trim().isLength({ max: 1000 }),
+    body('etaMinutes').optional().isInt({ min: 1 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { amount, message, etaMinutes } = req.body;
+      const user = req.user;
+
+      if (!['HUSTLER', 'BOTH'].includes(user.user_type)) {
+        return res.status(403).json({ message: 'Only hustlers can make offers' });
+      }
+
+      const task = await getTask(id);
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+      if (task.poster_id === user.id) {
+        return res.status(400).json({ message: 'You cannot make an offer on your own task' });
+      }
+      if (task.status !== 'OPEN') {
+        return res.status(409).json({ message: 'Task is no longer open for offers' });
+      }
+
+      const { data: existingOffer, error: existingError } = await supabaseAdmin
+        .from('task_offers')
+        .select('id')
+        .eq('task_id', id)
+        .eq('hustler_id', user.id)
+        .in('status', ACTIVE_OFFER_STATUSES)
+        .maybeSingle();
+
+      if (existingError) throw existingError;
+      if (existingOffer) {
+        return res.status(409).json({
+          message: 'You already have an active offer on this task',
+          offerId: existingOffer.id,
+        });
+      }
+
+      const { count, error: countError } = await supabaseAdmin
+        .from('task_offers')
+        .select('id', { count: 'exact', head: true })
+        .eq('task_id', id)
+        .in('status', ACTIVE_OFFER_STATUSES);
+
+      if (countError) throw countError;
+      if (count >= MAX_OFFERS_PER_TASK) {
+        return res.status(409).json({ message: 'This task is no longer accepting offers' });
+      }
+
+      const { data: offer, error } = await supabaseAdmin
+        .from('task_offers')
+        .insert({
+          task_id: id,
+          hustler_id: user.id,
+          amount,
+          message,
+          eta_minutes: etaMinutes,
+        })
+        .select(OFFER_SELECT)
+        .single();
+
+      if (error) throw error;
+
+      res.status(201).json(offer);
+    } catch (error) {
+      console.error('Create offer error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while creating the offer',
+      });
+    }
+  }
+);
+
+// Revise an offer (also how a hustler answers a counter-offer with a new price)
+router.put(
+  '/:offerId',
+  [
+    param('id').isUUID(),
+    param('offerId').isUUID(),
+    body('amount').optional().isInt({ min: 1 }),
+    body('message').optional().isString().trim().isLength({ max: 1000 }),
+    body('etaMinutes').optional().isInt({ min: 1 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id, offerId } = req.params;
+      const { amount, message, etaMinutes } = req.body;
+
+      const offer = await getOffer(id, offerId);
+      if (!offer) {
+        return res.status(404).json({ message: 'Offer not found' });
+      }
+      if (offer.hustler_id !== req.user.id) {
+        return res.status(403).json({ message: 'Not authorized to update this offer' });
+      }
+      if (!ACTIVE_OFFER_STATUSES.includes(offer.status)) {
+        return res.status(409).json({ message: 'Offer is no longer active' });
+      }
+
+      // A revision replaces any counter-offer the poster made
+      const updates = { status: 'PENDING', counter_amount: null, counter_message: null, countered_at: null };
+      if (amount !== undefined) updates.amount = amount;
+      if (message !== undefined) updates.message = message;
+      if (etaMinutes !== undefined) updates.eta_minutes = etaMinutes;
+
+      const { data: updatedOffer, error } = await supabaseAdmin
+        .from('task_offers')
+        .update(updates)
+        .eq('id', offerId)
+        .in('status', ACTIVE_OFFER_STATUSES)
+        .select(OFFER_SELECT)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!updatedOffer) {
+        return res.status(409).json({ message: 'Offer is no longer active' });
+      }
+
+      res.json(updatedOffer);
+    } catch (error) {
+      console.error('Update offer error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while updating the offer',
+      });
+    }
+  }
+);
+
+// Withdraw an offer (hustler)
+router.post(
+  '/:offerId/withdraw',
+  [param('id').isUUID(), param('offerId').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id, offerId } = req.params;
+
+      const offer = await getOffer(id, offerId);
+      if (!offer) {
+        return res.status(404).json({ message: 'Offer not found' });
+      }
+      if (offer.hustler_id !== req.user.id) {
+        return res.status(403).json({ message: 'Not authorized to withdraw this offer' });
+      }
+      if (!ACTIVE_OFFER_STATUSES.includes(offer.status)) {
+        return res.status(409).json({ message: 'Offer is no longer active' });
+      }
+
+      const { data: updatedOffer, error } = await supabaseAdmin
+        .from('task_offers')
+        .update({ status: 'WITHDRAWN', responded_at: new Date().toISOString() })
+        .eq('id', offerId)
+        .in('status', ACTIVE_OFFER_STATUSES)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!updatedOffer) {
+        return res.status(409).json({ message: 'Offer is no longer active' });
+      }
+
+      res.json(updatedOffer);
+    } catch (error) {
+      console.error('Withdraw offer error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while withdrawing the offer',
+      });
+    }
+  }
+);
+
+// Reject an offer (poster)
+router.post(
+  '/:offerId/reject',
+  [param('id').isUUID(), param('offerId').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id, offerId } = req.params;
+
+      const task = await getTask(id);
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+      if (task.poster_id !== req.user.id) {
+        return res.status(403).json({ message: 'Not authorized to reject this offer' });
+      }
+
+      const offer = await getOffer(id, offerId);
+      if (!offer) {
+        return res.status(404).json({ message: 'Offer not found' });
+      }
+      if (!ACTIVE_OFFER_STATUSES.includes(offer.status)) {
+        return res.status(409).json({ message: 'Offer is no longer active' });
+      }
+
+      const { data: updatedOffer, error } = await supabaseAdmin
+        .from('task_offers')
+        .update({ status: 'REJECTED', responded_at: new Date().toISOString() })
+        .eq('id', offerId)
+        .in('status', ACTIVE_OFFER_STATUSES)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!updatedOffer) {
+        return res.status(409).json({ message: 'Offer is no longer active' });
+      }
+
+      res.json(updatedOffer);
+    } catch (error) {
+      console.error('Reject offer error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while rejecting the offer',
+      });
+    }
+  }
+);
+
+// Counter an offer with a different price (poster)
+router.post(
+  '/:offerId/counter',
+  [
+    param('id').isUUID(),
+    param('offerId').isUUID(),
+    body('amount').isInt({ min: 1 }),
+    body('message').optional().isString().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id, offerId } = req.params;
+      const { amount, message } = req.body;
+
+      const task = await getTask(id);
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+      if (task.poster_id !== req.user.id) {
+        return res.status(403).json({ message: 'Not authorized to counter this offer' });
+      }
+      if (task.status !== 'OPEN') {
+        return res.status(409).json({ message: 'Task is no longer open for offers' });
+      }
+
+      const offer = await getOffer(id, offerId);
+      if (!offer) {
+        return res.status(404).json({ message: 'Offer not found' });
+      }
+      if (offer.status !== 'PENDING') {
+        return res.status(409).json({ message: 'Only pending offers can be countered' });
+      }
+
+      const { data: updatedOffer, error } = await supabaseAdmin
+        .from('task_offers')
+        .update({
+          status: 'COUNTERED',
+          counter_amount: amount,
+          counter_message: message,
+          countered_at: new Date().toISOString(),
+        })
+        .eq('id', offerId)
+        .eq('status', 'PENDING')
+        .select(OFFER_SELECT)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!updatedOffer) {
+        return res.status(409).json({ message: 'Only pending offers can be countered' });
+      }
+
+      res.json(updatedOffer);
+    } catch (error) {
+      console.error('Counter offer error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while countering the offer',
+      });
+    }
+  }
+);
+
+// Accept an offer. The poster accepts a PENDING offer; the hustler accepts
+// the poster's counter on a COUNTERED offer. Either way the task is assigned.
+router.post(
+  '/:offerId/accept',
+  [param('id').isUUID(), param('offerId').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id, offerId } = req.params;
+
+      const offer = await getOffer(id, offerId);
+      if (!offer) {
+        return res.status(404).json({ message: 'Offer not found' });
+      }
+
+      const { data: result, error } = await supabaseAdmin.rpc('accept_task_offer', {
+        p_offer_id: offerId,
+        p_actor_id: req.user.id,
+      });
+
+      if (error) {
+        const known = ACCEPT_ERRORS[error.message];
+        if (known) {
+          return res.status(known[0]).json({ message: known[1] });
+        }
+        throw error;
+      }
+
+      const { data: task, error: taskError } = await supabaseAdmin
+        .from('tasks')
+        .select('*, hustler:users!tasks_hustler_id_fkey(id, first_name, last_name, avatar_url, rating)')
+        .eq('id', id)
+        .single();
+
+      if (taskError) throw taskError;
+
+      await notifyMany(
+        [task.poster_id, task.hustler_id].filter((userId) => userId !== req.user.id),
+        {
+          type: NOTIFICATION_TYPES.TASK_ASSIGNED,
+          title: 'Task assigned',
+          message: `"${task.title}" has been assigned for ${formatNaira(result.amount)}.`,
+          taskId: task.id,
+          chatId: result.chat_id,
+          data: { offerId: result.offer_id, amount: result.amount },
+        }
+      );
+
+      await postTimelineMessages(task, 'assign', req.user.id, {
+        fromStatus: 'OPEN',
+        data: { offerId: result.offer_id },
+      });
+
+      res.json({
+        task,
+        offerId: result.offer_id,
+        chatId: result.chat_id,
+      });
+    } catch (error) {
+      console.error('Accept offer error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while accepting the offer',
+      });
+    }
+  }
+);
+
+export default router;
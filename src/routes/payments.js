@@ -0,0 +1,353 @@
+import { Router } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { supabaseAdmin } from '../services/supabase.js';
+import { authMiddleware, isAdmin } from '../middleware/auth.js';
+import { fakeProvider } from '../services/payments/index.js';
+import {
+  createTopUp,
+  refreshTopUp,
+  handleWebhook,
+  buildReconciliationReport,
+} from '../services/paymentService.js';
+import { getFeeRules, quotePlatformFee } from '../services/receiptService.js';
+
+const router = Router();
+
+// Smallest and largest single top-up, in kobo
+const MIN_TOP_UP = 10000; // ₦100
+const MAX_TOP_UP = 100000000; // ₦1,000,000
+
+/**
+ * @route   POST /api/payments/webhooks/:provider
+ * @desc    Receive a signed payment provider webhook
+ * @access  Public (HMAC-verified)
+ */
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const { outcome } = await handleWebhook(req.params.provider, req.rawBody, req.headers, req.body);
+
+    if (outcome === 'unknown_provider') {
+      return res.status(404).json({ message: 'Unknown payment provider' });
+    }
+    if (outcome === 'invalid_signature') {
+      return res.status(401).json({ message: 'Invalid webhook signature' });
+    }
+
+    res.status(200).json({ received: true, outcome });
+  } catch (error) {
+    // A non-2xx response makes the provider retry the delivery later
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Webhook processing failed' });
+  }
+});
+
+// Everything below requires a signed-in user
+router.use(authMiddleware);
+
+/**
+ * @route   POST /api/payments/top-ups
+ * @desc    Start a wallet top-up by card or bank transfer
+ * @access  Private
+ */
+router.post(
+  '/top-ups',
+  [
+    body('amount').isInt({ min: MIN_TOP_UP, max: MAX_TOP_UP }),
+    body('channel').optional().isIn(['CARD', 'BANK_TRANSFER']),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { amount, channel = 'CARD' } = req.body;
+      const { payment, checkout } = await createTopUp(req.user, {
+        amount: parseInt(amount, 10),
+        channel,
+      });
+
+      res.status(201).json({
+        reference: payment.reference,
+        status: payment.status,
+        amount: payment.amount,
+        channel: payment.channel,
+        provider: payment.provider,
+        checkout,
+      });
+    } catch (error) {
+      console.error('Create top-up error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while starting the top-up',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/payments/top-ups/:reference
+ * @desc    Get a top-up's status, checking with the provider while it is pending
+ * @access  Private
+ */
+router.get(
+  '/top-ups/:reference',
+  [param('reference').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: payment, error } = await supabaseAdmin
+        .from('payment_transactions')
+        .select('*')
+        .eq('reference', req.params.reference)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!payment) {
+        return res.status(404).json({ message: 'Top-up not found' });
+      }
+
+      const current = await refreshTopUp(payment);
+
+      res.json({
+        reference: current.reference,
+        status: current.status,
+        amount: current.amount,
+        amountReceived: current.amount_received,
+        channel: current.channel,
+        provider: current.provider,
+        paidAt: current.paid_at,
+      });
+    } catch (error) {
+      console.error('Get top-up error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching the top-up',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/payments/fake/:reference/complete
+ * @desc    Simulate the provider completing a top-up (fake provider only)
+ * @access  Private, non-production
+ */
+router.post(
+  '/fake/:reference/complete',
+  [
+    param('reference').isString().notEmpty(),
+    body('status').optional().isIn(['SUCCESS', 'FAILED']),
+    body('amount').optional().isInt({ min: 1 }),
+  ],
+  async (req, res) => {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ message: 'Not found' });
+    }
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: payment, error } = await supabaseAdmin
+        .from('payment_transactions')
+        .select('*')
+        .eq('reference', req.params.reference)
+        .eq('user_id', req.user.id)
+        .eq('provider', fakeProvider.name)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!payment) {
+        return res.status(404).json({ message: 'Top-up not found' });
+      }
+
+      // Deliver a signed webhook through the same path a real provider uses
+      const { rawBody, headers } = fakeProvider.simulatePayment({
+        reference: payment.reference,
+        amount: req.body.amount ? parseInt(req.body.amount, 10) : Number(payment.amount),
+        status: req.body.status || 'SUCCESS',
+      });
+      const { outcome } = await handleWebhook(fakeProvider.name, rawBody, headers, JSON.parse(rawBody));
+
+      res.json({ reference: payment.reference, outcome });
+    } catch (error) {
+      console.error('Simulate payment error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while simulating the payment',
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/payments/fake/payouts/:reference/complete
+ * @desc    Simulate the provider settling a payout transfer (fake provider only)
+ * @access  Admin, non-production
+ */
+router.post(
+  '/fake/payouts/:reference/complete',
+  isAdmin,
+  [
+    param('reference').isString().notEmpty(),
+    body('status').optional().isIn(['PAID', 'FAILED', 'REVERSED']),
+    body('reason').optional().isString(),
+  ],
+  async (req, res) => {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ message: 'Not found' });
+    }
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { rawBody, headers } = fakeProvider.simulateTransfer({
+        reference: req.params.reference,
+        status: req.body.status || 'PAID',
+        reason: req.body.reason,
+      });
+      const { outcome } = await handleWebhook(fakeProvider.name, rawBody, headers, JSON.parse(rawBody));
+
+      res.json({ reference: req.params.reference, outcome });
+    } catch (error) {
+      console.error('Simulate transfer error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while simulating the transfer',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/payments/fees
+ * @desc    Platform fee rules, or a quote for `category` and `amount`
+ * @access  Private
+ */
+router.get(
+  '/fees',
+  [
+    query('category').optional().isString().notEmpty(),
+    query('amount').optional().isInt({ min: 1 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { category, amount } = req.query;
+      if (category && amount) {
+        const quote = await quotePlatformFee(category, parseInt(amount, 10));
+        return res.json({ category, amount: parseInt(amount, 10), ...quote });
+      }
+
+      res.json(await getFeeRules());
+    } catch (error) {
+      console.error('Get platform fees error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching platform fees',
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/payments/fees/:category
+ * @desc    Create or update the fee rule for a task category
+ * @access  Admin
+ */
+router.put(
+  '/fees/:category',
+  isAdmin,
+  [
+    param('category').isString().isUppercase().notEmpty(),
+    body('percentage').isFloat({ min: 0, max: 100 }),
+    body('minFee').optional().isInt({ min: 0 }),
+    body('maxFee').optional({ nullable: true }).isInt({ min: 0 }),
+    body('vatPercentage').optional().isFloat({ min: 0, max: 100 }),
+    body('isActive').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { percentage, minFee = 0, maxFee = null, vatPercentage, isActive = true } = req.body;
+      if (maxFee !== null && maxFee < minFee) {
+        return res.status(400).json({ message: 'maxFee cannot be lower than minFee' });
+      }
+
+      const { data: rule, error } = await supabaseAdmin
+        .from('platform_fee_rules')
+        .upsert({
+          category: req.params.category,
+          percentage,
+          min_fee: minFee,
+          max_fee: maxFee,
+          ...(vatPercentage !== undefined && { vat_percentage: vatPercentage }),
+          is_active: isActive,
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      res.json(rule);
+    } catch (error) {
+      console.error('Update platform fee error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while updating the platform fee',
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/payments/reconciliation
+ * @desc    Report mismatches between top-ups, provider events and the ledger
+ * @access  Admin
+ */
+router.get(
+  '/reconciliation',
+  isAdmin,
+  [
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('verifyWithProvider').optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const report = await buildReconciliationReport({
+        from: req.query.from,
+        to: req.query.to,
+        verifyWithProvider: req.query.verifyWithProvider === 'true',
+      });
+
+      res.json(report);
+    } catch (error) {
+      console.error('Reconciliation report error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while building the reconciliation report',
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,474 @@
+import { Router } from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { supabaseAdmin } from '../services/supabase.js';
+import { authMiddleware, isAdmin, requireStepUp } from '../middleware/auth.js';
+import { getPaymentProvider } from '../services/payments/index.js';
+import { NIGERIAN_BANKS } from '../services/payments/banks.js';
+import {
+  PAYOUT_MIN_AMOUNT,
+  PAYOUT_DAILY_LIMIT,
+  requestPayout,
+  transitionPayout,
+  approvePayouts,
+  reconcileProcessingPayouts,
+} from '../services/payoutService.js';
+import { paginationValidators, getPageParams, applyKeyset, toPage } from '../services/pagination.js';
+
+const router = Router();
+
+// Apply auth middleware to all payout routes
+router.use(authMiddleware);
+
+// Errors raised by the payout database functions
+const PAYOUT_ERRORS = {
+  BELOW_MINIMUM: [400, `The minimum withdrawal is ${PAYOUT_MIN_AMOUNT} kobo`],
+  BANK_ACCOUNT_NOT_FOUND: [404, 'Bank account not found'],
+  INSUFFICIENT_FUNDS: [402, 'Insufficient wallet balance'],
+  DAILY_LIMIT_EXCEEDED: [409, `Withdrawals are limited to ${PAYOUT_DAILY_LIMIT} kobo per 24 hours`],
+  PAYOUT_NOT_FOUND: [404, 'Payout not found'],
+  INVALID_TRANSITION: [409, 'Payout cannot move to that status'],
+};
+
+const sendPayoutError = (res, error) => {
+  const known = PAYOUT_ERRORS[error.message];
+  if (!known) return false;
+  res.status(known[0]).json({ code: error.message, message: known[1] });
+  return true;
+};
+
+// List supported banks
+router.get('/banks', (req, res) => {
+  res.json(Object.entries(NIGERIAN_BANKS).map(([code, name]) => ({ code, name })));
+});
+
+// List the current user's bank accounts
+router.get('/bank-accounts', paginationValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { cursor, limit } = getPageParams(req);
+
+    const { data: accounts, error } = await applyKeyset(
+      supabaseAdmin
+        .from('bank_accounts')
+        .select('id, bank_code, bank_name, account_number, account_name, is_default, created_at')
+        .eq('user_id', req.user.id),
+      { cursor, limit }
+    );
+
+    if (error) throw error;
+
+    res.json(toPage(accounts, limit));
+  } catch (error) {
+    console.error('Get bank accounts error:', error);
+    res.status(500).json({
+      message: error.message || 'An error occurred while fetching bank accounts',
+    });
+  }
+});
+
+const bankAccountValidation = [
+  body('bankCode').isIn(Object.keys(NIGERIAN_BANKS)).withMessage('Unsupported bank'),
+  body('accountNumber').matches(/^[0-9]{10}$/).withMessage('Account number must be 10 digits'),
+];
+
+// Resolve the account holder's name before saving an account
+router.post('/bank-accounts/resolve', bankAccountValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bankCode, accountNumber } = req.body;
+    const { accountName } = await getPaymentProvider().resolveAccount({ bankCode, accountNumber });
+
+    res.json({ bankCode, bankName: NIGERIAN_BANKS[bankCode], accountNumber, accountName });
+  } catch (error) {
+    console.error('Resolve bank account error:', error);
+    res.status(422).json({
+      message: 'Could not verify this bank account',
+    });
+  }
+});
+
+// Add a bank account. The name is always taken from the resolution step.
+router.post(
+  '/bank-accounts',
+  requireStepUp,
+  [...bankAccountValidation, body('isDefault').optional().isBoolean()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.id;
+      const { bankCode, accountNumber, isDefault } = req.body;
+
+      let accountName;
+      try {
+        ({ accountName } = await getPaymentProvider().resolveAccount({ bankCode, accountNumber }));
+      } catch (resolveError) {
+        console.error('Resolve bank account error:', resolveError);
+        return res.status(422).json({ message: 'Could not verify this bank account' });
+      }
+
+      const { count, error: countError } = await supabaseAdmin
+        .from('bank_accounts')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId);
+
+      if (countError) throw countError;
+
+      const makeDefault = isDefault === true || count === 0;
+      if (makeDefault) {
+        await supabaseAdmin.from('bank_accounts').update({ is_default: false }).eq('user_id', userId);
+      }
+
+      const { data: account, error } = await supabaseAdmin
+        .from('bank_accounts')
+        .insert({
+          user_id: userId,
+          bank_code: bankCode,
+          bank_name: NIGERIAN_BANKS[bankCode],
+          account_number: accountNumber,
+          account_name: accountName,
+          is_default: makeDefault,
+        })
+        .select('id, bank_code, bank_name, account_number, account_name, is_default, created_at')
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ message: 'This bank account has already been added' });
+        }
+        throw error;
+      }
+
+      res.status(201).json(account);
+    } catch (error) {
+      console.error('Add bank account error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while adding the bank account',
+      });
+    }
+  }
+);
+
+// Make a bank account the default for withdrawals
+router.put(
+  '/bank-accounts/:id/default',
+  requireStepUp,
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.user.id;
+
+      const { data: account, error: fetchError } = await supabaseAdmin
+        .from('bank_accounts')
+        .select('id')
+        .eq('id', req.params.id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (fetchError) throw fetchError;
+      if (!account) {
+        return res.status(404).json({ message: 'Bank account not found' });
+      }
+
+      await supabaseAdmin.from('bank_accounts').update({ is_default: false }).eq('user_id', userId);
+      const { data: updatedAccount, error } = await supabaseAdmin
+        .from('bank_accounts')
+        .update({ is_default: true })
+        .eq('id', account.id)
+        .select('id, bank_code, bank_name, account_number, account_name, is_default, created_at')
+        .single();
+
+      if (error) throw error;
+
+      res.json(updatedAccount);
+    } catch (error) {
+      console.error('Set default bank account error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while updating the bank account',
+      });
+    }
+  }
+);
+
+// Remove a bank account that has never been paid out to
+router.delete(
+  '/bank-accounts/:id',
+  requireStepUp,
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { count, error: countError } = await supabaseAdmin
+        .from('payouts')
+        .select('id', { count: 'exact', head: true })
+        .eq('bank_account_id', req.params.id);
+
+      if (countError) throw countError;
+      if (count > 0) {
+        return res.status(409).json({ message: 'Bank accounts with withdrawals cannot be removed' });
+      }
+
+      const { data: deleted, error } = await supabaseAdmin
+        .from('bank_accounts')
+        .delete()
+        .eq('id', req.params.id)
+        .eq('user_id', req.user.id)
+        .select('id');
+
+      if (error) throw error;
+      if (deleted.length === 0) {
+        return res.status(404).json({ message: 'Bank account not found' });
+      }
+
+      res.json({ message: 'Bank account removed successfully' });
+    } catch (error) {
+      console.error('Delete bank account error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while removing the bank account',
+      });
+    }
+  }
+);
+
+// List payouts awaiting or in processing (admin)
+router.get(
+  '/admin',
+  isAdmin,
+  [
+    query('status').optional().isIn(['PENDING', 'PROCESSING', 'PAID', 'FAILED', 'REVERSED']),
+    ...paginationValidators(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { cursor, limit } = getPageParams(req);
+
+      // Oldest first, so requests are handled in the order they came in
+      const { data: payouts, error } = await applyKeyset(
+        supabaseAdmin
+          .from('payouts')
+          .select('*, user:users!payouts_user_id_fkey(id, first_name, last_name, phone_number), bank_account:bank_accounts(bank_name, account_number, account_name)')
+          .eq('status', req.query.status || 'PENDING'),
+        { cursor, limit, ascending: true }
+      );
+
+      if (error) throw error;
+
+      res.json(toPage(payouts, limit));
+    } catch (error) {
+      console.error('Get admin payouts error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching payouts',
+      });
+    }
+  }
+);
+
+// Approve a batch of pending payouts and send them to the provider (admin)
+router.post(
+  '/admin/approve',
+  isAdmin,
+  [
+    body('payoutIds').isArray({ min: 1, max: 100 }),
+    body('payoutIds.*').isUUID(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const results = await approvePayouts([...new Set(req.body.payoutIds)], req.user.id);
+
+      res.json({
+        approved: results.filter((result) => result.status === 'PROCESSING' && !result.error).length,
+        results,
+      });
+    } catch (error) {
+      console.error('Approve payouts error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while approving payouts',
+      });
+    }
+  }
+);
+
+// Check approved payouts whose webhook never came with the provider, settling
+// the ones it has an answer for (admin). Also runs every 15 minutes.
+router.post('/admin/reconcile', isAdmin, async (req, res) => {
+  try {
+    res.json({ results: await reconcileProcessingPayouts() });
+  } catch (error) {
+    console.error('Reconcile payouts error:', error);
+    res.status(500).json({
+      message: error.message || 'An error occurred while reconciling payouts',
+    });
+  }
+});
+
+// Reject a pending payout, returning the money to the wallet (admin). Once
+// approved, its transfer may have been paid, so only the provider settles it.
+router.post(
+  '/admin/:id/reject',
+  isAdmin,
+  [param('id').isUUID(), body('reason').isString().trim().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const payout = await transitionPayout(req.params.id, 'FAILED', {
+        actorId: req.user.id,
+        reason: req.body.reason,
+        fromStatus: 'PENDING',
+      });
+
+      res.json(payout);
+    } catch (error) {
+      if (sendPayoutError(res, error)) return;
+      console.error('Reject payout error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while rejecting the payout',
+      });
+    }
+  }
+);
+
+// List the current user's payouts
+router.get('/', paginationValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { cursor, limit } = getPageParams(req);
+
+    const { data: payouts, error } = await applyKeyset(
+      supabaseAdmin
+        .from('payouts')
+        .select('*, bank_account:bank_accounts(bank_name, account_number, account_name)')
+        .eq('user_id', req.user.id),
+      { cursor, limit }
+    );
+
+    if (error) throw error;
+
+    res.json(toPage(payouts, limit));
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      message: error.message || 'An error occurred while fetching payouts',
+    });
+  }
+});
+
+// Request a payout from the wallet to a bank account
+router.post(
+  '/',
+  requireStepUp,
+  [
+    body('amount').isInt({ min: 1 }),
+    body('bankAccountId').optional().isUUID(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let { bankAccountId } = req.body;
+
+      if (!bankAccountId) {
+        const { data: defaultAccount, error: accountError } = await supabaseAdmin
+          .from('bank_accounts')
+          .select('id')
+          .eq('user_id', req.user.id)
+          .eq('is_default', true)
+          .maybeSingle();
+
+        if (accountError) throw accountError;
+        if (!defaultAccount) {
+          return res.status(400).json({ message: 'Add a bank account before withdrawing' });
+        }
+        bankAccountId = defaultAccount.id;
+      }
+
+      const payout = await requestPayout(req.user.id, {
+        bankAccountId,
+        amount: parseInt(req.body.amount, 10),
+      });
+
+      res.status(201).json(payout);
+    } catch (error) {
+      if (sendPayoutError(res, error)) return;
+      console.error('Request payout error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while requesting the payout',
+      });
+    }
+  }
+);
+
+// Get one of the current user's payouts
+router.get(
+  '/:id',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: payout, error } = await supabaseAdmin
+        .from('payouts')
+        .select('*, bank_account:bank_accounts(bank_name, account_number, account_name)')
+        .eq('id', req.params.id)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!payout) {
+        return res.status(404).json({ message: 'Payout not found' });
+      }
+
+      res.json(payout);
+    } catch (error) {
+      console.error('Get payout error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching the payout',
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,162 @@
+import { Router } from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { supabase, supabaseAdmin } from '../services/supabase.js';
+import { getTaskRole } from '../services/taskLifecycle.js';
+import { getReviewDeadline, replyToReview, submitReview } from '../services/reviewService.js';
+
+// Mounted under /api/tasks/:id/reviews
+const router = Router({ mergeParams: true });
+
+const REVIEW_SELECT = '*, author:users!reviews_author_id_fkey(id, first_name, last_name, avatar_url)';
+
+// Errors raised by the review database functions
+const REVIEW_ERRORS = {
+  TASK_NOT_FOUND: [404, 'Task not found'],
+  REVIEW_NOT_FOUND: [404, 'Review not found'],
+  NOT_A_PARTICIPANT: [403, 'Only the poster and hustler can review this task'],
+  NOT_AUTHORIZED: [403, 'Only the reviewed user can reply'],
+  TASK_NOT_COMPLETED: [409, 'Reviews open once the task is completed'],
+  REVIEW_WINDOW_CLOSED: [409, 'The review window for this task has closed'],
+  ALREADY_REVIEWED: [409, 'You have already reviewed this task'],
+  REVIEW_NOT_VISIBLE: [409, 'You can reply once the review is visible'],
+  ALREADY_REPLIED: [409, 'You have already replied to this review'],
+};
+
+const sendReviewError = (res, error) => {
+  const known = REVIEW_ERRORS[error.message];
+  if (!known) return false;
+  res.status(known[0]).json({ code: error.message, message: known[1] });
+  return true;
+};
+
+// Get a task's reviews. Hidden reviews are only shown to their author.
+router.get(
+  '/',
+  [param('id').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const { data: task, error: taskError } = await supabase
+        .from('tasks')
+        .select('id, poster_id, hustler_id, status, completed_at')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (taskError) throw taskError;
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+
+      const { data: reviews, error } = await supabaseAdmin
+        .from('reviews')
+        .select(REVIEW_SELECT)
+        .eq('task_id', id)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      const role = getTaskRole(task, userId);
+      const deadline = getReviewDeadline(task);
+      const ownReview = reviews.find((review) => review.author_id === userId);
+
+      res.json({
+        reviews: reviews.filter((review) => review.is_visible || review.author_id === userId),
+        reviewWindowClosesAt: deadline,
+        canReview: Boolean(
+          role
+          && task.status === 'COMPLETED'
+          && !ownReview
+          && deadline
+          && deadline > new Date()
+        ),
+        // The caller's review is waiting for the other side's before both are shown
+        awaitingCounterpart: Boolean(ownReview && !ownReview.is_visible),
+      });
+    } catch (error) {
+      console.error('Get task reviews error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching reviews',
+      });
+    }
+  }
+);
+
+// Review the other party on a completed task
+router.post(
+  '/',
+  [
+    param('id').isUUID(),
+    body('rating').isInt({ min: 1, max: 5 }),
+    body('comment').optional().isString().trim().isLength({ max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const review = await submitReview(req.params.id, req.user.id, {
+        rating: parseInt(req.body.rating, 10),
+        comment: req.body.comment,
+      });
+
+      res.status(201).json(review);
+    } catch (error) {
+      if (sendReviewError(res, error)) return;
+      console.error('Submit review error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while submitting the review',
+      });
+    }
+  }
+);
+
+// Reply publicly to a review of yourself (once)
+router.post(
+  '/:reviewId/reply',
+  [
+    param('id').isUUID(),
+    param('reviewId').isUUID(),
+    body('reply').isString().trim().isLength({ min: 1, max: 1000 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { data: existing, error: fetchError } = await supabaseAdmin
+        .from('reviews')
+        .select('id')
+        .eq('id', req.params.reviewId)
+        .eq('task_id', req.params.id)
+        .maybeSingle();
+
+      if (fetchError) throw fetchError;
+      if (!existing) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+
+      const review = await replyToReview(existing.id, req.user.id, req.body.reply);
+
+      res.json(review);
+    } catch (error) {
+      if (sendReviewError(res, error)) return;
+      console.error('Reply to review error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while replying to the review',
+      });
+    }
+  }
+);
+
+export default router;
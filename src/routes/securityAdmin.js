@@ -0,0 +1,60 @@
+import { Router } from 'express';
+import { param, validationResult } from 'express-validator';
+import { authMiddleware, isAdmin } from '../middleware/auth.js';
+import { unlockAccount } from '../services/loginThrottleService.js';
+import { getSecurityEvents } from '../services/securityEventService.js';
+import { paginationValidators, getPageParams } from '../services/pagination.js';
+
+// Mounted under /api/auth/admin
+const router = Router();
+
+router.use(authMiddleware, isAdmin);
+
+// Get a user's security events (lockouts, unlocks, 2FA changes...), newest first
+router.get(
+  '/users/:userId/security-events',
+  [param('userId').isUUID(), ...paginationValidators()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      res.json(await getSecurityEvents(req.params.userId, getPageParams(req)));
+    } catch (error) {
+      console.error('Get security events error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching security events',
+      });
+    }
+  }
+);
+
+// Lift a sign-in lockout or backoff on a user's account
+router.post(
+  '/users/:userId/unlock',
+  [param('userId').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const unlocked = await unlockAccount(req.params.userId, { actorId: req.user.id });
+      if (!unlocked) {
+        return res.status(404).json({ code: 'NOT_LOCKED', message: 'This account has no failed sign-ins on record' });
+      }
+
+      res.json({ unlocked: true });
+    } catch (error) {
+      console.error('Unlock account error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while unlocking the account',
+      });
+    }
+  }
+);
+
+export default router;
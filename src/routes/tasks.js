@@ -1,52 +1,285 @@
 import { Router } from 'express';
 import { body, param, query, validationResult } from 'express-validator';
-import { supabase } from '../services/supabase.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { supabase, supabaseAdmin } from '../services/supabase.js';
+import { authMiddleware, isAdmin } from '../middleware/auth.js';
+import {
+  TASK_ACTIONS,
+  DISPUTE_OUTCOMES,
+  TaskTransitionError,
+  getAllowedActions,
+  getTaskRole,
+  transitionTask,
+  resolveDispute,
+} from '../services/taskLifecycle.js';
+import { getTaskReceipt, renderReceiptCsv, renderReceiptPdf } from '../services/receiptService.js';
+import {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  getNearbyTaskDistances,
+  getSavedLocation,
+  BUDGET_BUCKETS,
+  searchTasks,
+} from '../services/taskSearch.js';
+import {
+  paginationValidators,
+  getPageParams,
+  applyKeyset,
+  toPage,
+  encodeCursor,
+} from '../services/pagination.js';
+import offerRouter from './offers.js';
+import reviewRouter from './reviews.js';
 
 const router = Router();
 
 // Apply auth middleware to all task routes
 router.use(authMiddleware);
 
-// Get all tasks with optional filters
-router.get('/', async (req, res) => {
+// Offers hustlers make on a task before it is assigned
+router.use('/:id/offers', offerRouter);
+
+// Reviews the poster and hustler leave each other once the task is completed
+router.use('/:id/reviews', reviewRouter);
+
+// Get all tasks with optional filters.
+// With lat/lng (or a hustler's saved location) only tasks within radiusKm are
+// returned, each with its distance_km.
+router.get(
+  '/',
+  [
+    query('lat').optional().isFloat({ min: -90, max: 90 }),
+    query('lng').optional().isFloat({ min: -180, max: 180 }),
+    query('radiusKm').optional().isFloat({ gt: 0, max: MAX_RADIUS_KM }),
+    query('sort').optional().isIn(['newest', 'distance']),
+    query('nearby').optional().isBoolean(),
+    ...paginationValidators(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, category, minBudget, maxBudget, lat, lng, radiusKm, sort } = req.query;
+      const { cursor, limit } = getPageParams(req);
+      const user = req.user;
+    
+      if (!user) {
+        return res.status(401).json({ message: 'Unauthorized' });
+      }
+    
+      const userId = user.id;
+
+      if ((lat === undefined) !== (lng === undefined)) {
+        return res.status(400).json({ message: 'lat and lng must be given together' });
+      }
+
+      // Hustlers get a feed around their saved location unless they opt out
+      let origin = lat !== undefined ? { lat: parseFloat(lat), lng: parseFloat(lng) } : null;
+      if (!origin && req.query.nearby !== 'false' && ['HUSTLER', 'BOTH'].includes(user.user_type)) {
+        origin = await getSavedLocation(userId);
+      }
+
+      if (sort === 'distance' && !origin) {
+        return res.status(400).json({ message: 'Sorting by distance needs lat and lng or a saved location' });
+      }
+
+      let query = supabase
+        .from('tasks')
+        .select('*, poster:users!tasks_poster_id_fkey(id, first_name, last_name, avatar_url, rating)');
+
+      let distances = null;
+      if (origin) {
+        distances = await getNearbyTaskDistances({
+          ...origin,
+          radiusKm: radiusKm ? parseFloat(radiusKm) : DEFAULT_RADIUS_KM,
+          statuses: [status || 'OPEN'],
+        });
+        if (distances.size === 0) {
+          return res.json(toPage([], limit));
+        }
+        query = query.in('id', [...distances.keys()]);
+      }
+
+      // Apply filters
+      if (status) query = query.eq('status', status);
+      if (category) query = query.eq('category', category);
+      if (minBudget) query = query.gte('budget', minBudget);
+      if (maxBudget) query = query.lte('budget', maxBudget);
+
+      // Don't show user's own tasks in the feed
+      query = query.neq('poster_id', userId);
+
+      // Only show open tasks in the main feed
+      if (!status) {
+        query = query.eq('status', 'OPEN');
+      }
+
+      const withDistance = (task) => ({
+        ...task,
+        distance_km: Math.round(distances.get(task.id) * 100) / 100,
+      });
+
+      if (!distances || sort === 'newest') {
+        const { data: tasks, error } = await applyKeyset(query, { cursor, limit });
+
+        if (error) throw error;
+
+        const page = toPage(tasks, limit);
+        res.json(distances ? { ...page, data: page.data.map(withDistance) } : page);
+        return;
+      }
+
+      // Nearest first. nearby_tasks() caps the candidates, so page through them in memory.
+      const { data: tasks, error } = await query;
+
+      if (error) throw error;
+
+      const sorted = tasks
+        .map(withDistance)
+        .sort((a, b) => a.distance_km - b.distance_km || a.id.localeCompare(b.id));
+      const start = cursor
+        ? sorted.findIndex((task) => task.distance_km > cursor.v || (task.distance_km === cursor.v && task.id > cursor.id))
+        : 0;
+
+      res.json(toPage(start === -1 ? [] : sorted.slice(start, start + limit + 1), limit, 'distance_km'));
+    } catch (error) {
+      console.error('Get tasks error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching tasks',
+      });
+    }
+  }
+);
+
+// Search open tasks by title and description, with facet counts for filtering
+router.get(
+  '/search',
+  [
+    query('q').isString().trim().isLength({ min: 2, max: 200 }),
+    query('category').optional().isString(),
+    query('city').optional().isString(),
+    query('budget').optional().isIn(Object.keys(BUDGET_BUCKETS)),
+    query('fuzzy').optional().isBoolean(),
+    ...paginationValidators(50, 'offset'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { q, category, city, budget } = req.query;
+      const { cursor, limit } = getPageParams(req);
+      // Relevance ranks aren't a stable keyset, so search cursors carry an offset
+      const offset = cursor?.o || 0;
+
+      const { total, results, facets } = await searchTasks(q, {
+        category,
+        city,
+        budgetBucket: budget,
+        excludePosterId: req.user.id,
+        fuzzy: req.query.fuzzy !== 'false',
+        limit,
+        offset,
+      });
+
+      let tasks = [];
+      if (results.length > 0) {
+        const { data, error } = await supabase
+          .from('tasks')
+          .select('*, poster:users!tasks_poster_id_fkey(id, first_name, last_name, avatar_url, rating)')
+          .in('id', results.map((result) => result.task_id));
+
+        if (error) throw error;
+
+        const tasksById = new Map(data.map((task) => [task.id, task]));
+        tasks = results
+          .filter((result) => tasksById.has(result.task_id))
+          .map((result) => ({ ...tasksById.get(result.task_id), relevance: result.rank }));
+      }
+
+      const hasMore = offset + results.length < total;
+      res.json({
+        data: tasks,
+        nextCursor: hasMore ? encodeCursor({ o: offset + results.length }) : null,
+        hasMore,
+        total,
+        facets,
+      });
+    } catch (error) {
+      console.error('Search tasks error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while searching tasks',
+      });
+    }
+  }
+);
+
+// Get tasks posted by the current user
+router.get('/my/tasks', paginationValidators(), async (req, res) => {
   try {
-    const { status, category, minBudget, maxBudget } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const user = req.user;
-    
     if (!user) {
       return res.status(401).json({ message: 'Unauthorized' });
     }
     
     const userId = user.id;
 
-    let query = supabase
-      .from('tasks')
-      .select('*, poster:users!tasks_poster_id_fkey(id, first_name, last_name, avatar_url, rating)');
+    const { cursor, limit } = getPageParams(req);
 
-    // Apply filters
-    if (status) query = query.eq('status', status);
-    if (category) query = query.eq('category', category);
-    if (minBudget) query = query.gte('budget', minBudget);
-    if (maxBudget) query = query.lte('budget', maxBudget);
+    const { data: tasks, error } = await applyKeyset(
+      supabase.from('tasks').select('*').eq('poster_id', userId),
+      { cursor, limit }
+    );
 
-    // Don't show user's own tasks in the feed
-    query = query.neq('poster_id', userId);
+    if (error) throw error;
 
-    // Only show open tasks in the main feed
-    if (!status) {
-      query = query.eq('status', 'OPEN');
+    res.json(toPage(tasks, limit));
+  } catch (error) {
+    console.error('Get my tasks error:', error);
+    res.status(500).json({
+      message: error.message || 'An error occurred while fetching your tasks',
+    });
+  }
+});
+
+// Get tasks assigned to the current user
+router.get('/my/assigned', paginationValidators(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const { data: tasks, error } = await query.order('created_at', { ascending: false });
+    const user = req.user;
+    if (!user) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    
+    const userId = user.id;
+
+    const { cursor, limit } = getPageParams(req);
+
+    const { data: tasks, error } = await applyKeyset(
+      supabase.from('tasks').select('*').eq('hustler_id', userId),
+      { cursor, limit }
+    );
 
     if (error) throw error;
 
-    res.json(tasks);
+    res.json(toPage(tasks, limit));
   } catch (error) {
-    console.error('Get tasks error:', error);
+    console.error('Get assigned tasks error:', error);
     res.status(500).json({
-      message: error.message || 'An error occurred while fetching tasks',
+      message: error.message || 'An error occurred while fetching assigned tasks',
     });
   }
 });
@@ -75,7 +308,10 @@ router.get(
         return res.status(404).json({ message: 'Task not found' });
       }
 
-      res.json(task);
+      res.json({
+        ...task,
+        allowedActions: getAllowedActions(task, req.user.id),
+      });
     } catch (error) {
       console.error('Get task error:', error);
       res.status(500).json({
@@ -160,15 +396,15 @@ router.post(
   }
 );
 
-// Update a task
+// Update a task's details. Status changes go through the lifecycle endpoints below.
 router.put(
   '/:id',
   [
     param('id').isUUID(),
     body('title').optional().isString().trim().notEmpty(),
     body('description').optional().isString().trim().notEmpty(),
-    body('status').optional().isIn(['OPEN', 'ASSIGNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED']),
-    body('hustlerId').optional().isUUID(),
+    body('status').not().exists().withMessage('Use the task lifecycle endpoints to change status'),
+    body('hustlerId').not().exists().withMessage('Accept an offer to assign a hustler'),
   ],
   async (req, res) => {
     try {
@@ -185,7 +421,9 @@ router.put(
       }
       
       const userId = user.id;
-      const updates = { ...req.body };
+      const updates = {};
+      if (req.body.title) updates.title = req.body.title;
+      if (req.body.description) updates.description = req.body.description;
 
       // Only the task poster can update the task
       const { data: existingTask, error: fetchError } = await supabase
@@ -203,22 +441,6 @@ router.put(
         return res.status(403).json({ message: 'Not authorized to update this task' });
       }
 
-      // If assigning a hustler, verify they exist and are a hustler
-      if (updates.hustlerId) {
-        const { data: hustler, error: hustlerError } = await supabase
-          .from('users')
-          .select('user_type')
-          .eq('id', updates.hustlerId)
-          .single();
-
-        if (hustlerError) throw hustlerError;
-        if (!['HUSTLER', 'BOTH'].includes(hustler.user_type)) {
-          return res.status(400).json({ message: 'Assigned user is not a hustler' });
-        }
-
-        updates.status = 'ASSIGNED';
-      }
-
       const { data: task, error } = await supabase
         .from('tasks')
         .update(updates)
@@ -238,6 +460,184 @@ router.put(
   }
 );
 
+// Lifecycle actions: POST /:id/start, /complete, /confirm, /cancel, /dispute
+Object.keys(TASK_ACTIONS).forEach((action) => {
+  router.post(
+    `/:id/${action}`,
+    [
+      param('id').isUUID(),
+      body('reason').optional().isString().trim().isLength({ max: 500 }),
+      ...(action === 'confirm' ? [body('tip').optional().isInt({ min: 0, max: 10000000 })] : []),
+    ],
+    async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { id } = req.params;
+        const { task } = await transitionTask(id, action, req.user.id, {
+          reason: req.body.reason,
+          tip: req.body.tip ? parseInt(req.body.tip, 10) : 0,
+        });
+
+        res.json({
+          ...task,
+          allowedActions: getAllowedActions(task, req.user.id),
+        });
+      } catch (error) {
+        if (error instanceof TaskTransitionError) {
+          return res.status(error.statusCode).json({
+            success: false,
+            code: error.code,
+            message: error.message,
+            ...error.details,
+          });
+        }
+        console.error(`Task ${action} error:`, error);
+        res.status(500).json({
+          message: error.message || `An error occurred while trying to ${action} the task`,
+        });
+      }
+    }
+  );
+});
+
+// Settle a disputed task: release the escrow to the hustler or refund the poster (admin)
+router.post(
+  '/:id/resolve',
+  isAdmin,
+  [
+    param('id').isUUID(),
+    body('outcome').isIn(Object.keys(DISPUTE_OUTCOMES)),
+    body('reason').isString().trim().notEmpty().isLength({ max: 500 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { task } = await resolveDispute(req.params.id, req.body.outcome, req.user.id, {
+        reason: req.body.reason,
+      });
+
+      res.json(task);
+    } catch (error) {
+      if (error instanceof TaskTransitionError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          code: error.code,
+          message: error.message,
+          ...error.details,
+        });
+      }
+      console.error('Resolve dispute error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while resolving the dispute',
+      });
+    }
+  }
+);
+
+// Get the lifecycle history of a task
+router.get(
+  '/:id/history',
+  [param('id').isUUID(), ...paginationValidators()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+
+      const { data: task, error: taskError } = await supabaseAdmin
+        .from('tasks')
+        .select('poster_id, hustler_id')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (taskError) throw taskError;
+      if (!task) {
+        return res.status(404).json({ message: 'Task not found' });
+      }
+      if (!getTaskRole(task, req.user.id)) {
+        return res.status(403).json({ message: 'Not authorized to view this task history' });
+      }
+
+      const { cursor, limit } = getPageParams(req);
+
+      const { data: history, error } = await applyKeyset(
+        supabaseAdmin
+          .from('task_status_history')
+          .select('*, actor:users(id, first_name, last_name, avatar_url)')
+          .eq('task_id', id),
+        { cursor, limit, ascending: true }
+      );
+
+      if (error) throw error;
+
+      res.json(toPage(history, limit));
+    } catch (error) {
+      console.error('Get task history error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching the task history',
+      });
+    }
+  }
+);
+
+// Get the receipt (poster) or invoice (hustler) of a confirmed task as JSON, PDF or CSV
+router.get(
+  '/:id/receipt',
+  [param('id').isUUID(), query('format').optional().isIn(['json', 'pdf', 'csv'])],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const receipt = await getTaskReceipt(req.params.id);
+      if (!receipt) {
+        return res.status(404).json({ message: 'No receipt has been issued for this task yet' });
+      }
+
+      const role = getTaskRole(receipt, req.user.id);
+      if (!role) {
+        return res.status(403).json({ message: 'Not authorized to view this receipt' });
+      }
+
+      const format = req.query.format || 'json';
+      const filename = role === 'hustler' ? receipt.invoice_number : receipt.receipt_number;
+
+      if (format === 'pdf') {
+        const pdf = await renderReceiptPdf(receipt, role);
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        return res.send(pdf);
+      }
+
+      if (format === 'csv') {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        return res.send(renderReceiptCsv(receipt, role));
+      }
+
+      res.json({ ...receipt, role });
+    } catch (error) {
+      console.error('Get task receipt error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching the receipt',
+      });
+    }
+  }
+);
+
 // Delete a task
 router.delete(
   '/:id',
@@ -261,7 +661,7 @@ router.delete(
       // Only the task poster can delete the task
       const { data: existingTask, error: fetchError } = await supabase
         .from('tasks')
-        .select('poster_id')
+        .select('poster_id, status')
         .eq('id', id)
         .single();
 
@@ -274,6 +674,16 @@ router.delete(
         return res.status(403).json({ message: 'Not authorized to delete this task' });
       }
 
+      // Tasks someone is working on must be cancelled through the lifecycle first
+      if (!['OPEN', 'CANCELLED'].includes(existingTask.status)) {
+        return res.status(409).json({
+          success: false,
+          code: 'INVALID_TRANSITION',
+          message: `Cannot delete a task that is ${existingTask.status}`,
+          currentStatus: existingTask.status,
+        });
+      }
+
       // Delete the task
       const { error } = await supabase.from('tasks').delete().eq('id', id);
 
@@ -289,58 +699,4 @@ router.delete(
   }
 );
 
-// Get tasks posted by the current user
-router.get('/my/tasks', async (req, res) => {
-  try {
-    const user = req.user;
-    if (!user) {
-      return res.status(401).json({ message: 'Unauthorized' });
-    }
-    
-    const userId = user.id;
-
-    const { data: tasks, error } = await supabase
-      .from('tasks')
-      .select('*')
-      .eq('poster_id', userId)
-      .order('created_at', { ascending: false });
-
-    if (error) throw error;
-
-    res.json(tasks);
-  } catch (error) {
-    console.error('Get my tasks error:', error);
-    res.status(500).json({
-      message: error.message || 'An error occurred while fetching your tasks',
-    });
-  }
-});
-
-// Get tasks assigned to the current user
-router.get('/my/assigned', async (req, res) => {
-  try {
-    const user = req.user;
-    if (!user) {
-      return res.status(401).json({ message: 'Unauthorized' });
-    }
-    
-    const userId = user.id;
-
-    const { data: tasks, error } = await supabase
-      .from('tasks')
-      .select('*')
-      .eq('hustler_id', userId)
-      .order('created_at', { ascending: false });
-
-    if (error) throw error;
-
-    res.json(tasks);
-  } catch (error) {
-    console.error('Get assigned tasks error:', error);
-    res.status(500).json({
-      message: error.message || 'An error occurred while fetching assigned tasks',
-    });
-  }
-});
-
 export default router;
@@ -0,0 +1,246 @@
+import { Router } from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { supabaseAdmin } from '../services/supabase.js';
+import { authMiddleware, isAdmin } from '../middleware/auth.js';
+import { verifyPassword } from '../services/passwordService.js';
+import { markTwoFactorVerified, revokeAllSessions } from '../services/sessionService.js';
+import { notify, NOTIFICATION_TYPES } from '../services/notificationService.js';
+import { SECURITY_EVENTS, recordSecurityEvent } from '../services/securityEventService.js';
+import {
+  TwoFactorError,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  stepUpExpiry,
+} from '../services/twoFactorService.js';
+
+// Mounted under /api/auth/2fa
+const router = Router();
+
+router.use(authMiddleware);
+
+const sendTwoFactorError = (res, error) => {
+  if (!(error instanceof TwoFactorError)) return false;
+  if (error.details.retryAfter) res.set('Retry-After', String(error.details.retryAfter));
+  res.status(error.statusCode).json({ code: error.code, message: error.message, ...error.details });
+  return true;
+};
+
+const securityAlert = (userId, message, data = {}) => notify({
+  userId,
+  type: NOTIFICATION_TYPES.SECURITY_ALERT,
+  title: 'Account security',
+  message,
+  data,
+});
+
+// Re-check the password before 2FA settings change
+const checkPassword = async (userId, password) => {
+  const { data: user, error } = await supabaseAdmin
+    .from('users')
+    .select('password_hash')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+  return verifyPassword(password, user.password_hash);
+};
+
+// Get whether 2FA is on and how many recovery codes are left
+router.get('/', async (req, res) => {
+  try {
+    res.json(await getTwoFactorStatus(req.user.id));
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      message: error.message || 'An error occurred while fetching your two-factor settings',
+    });
+  }
+});
+
+// Start enrolling: returns the secret and an otpauth:// URI to show as a QR code
+router.post(
+  '/enroll',
+  [body('password').isString().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!(await checkPassword(req.user.id, req.body.password))) {
+        return res.status(401).json({ message: 'Password is incorrect' });
+      }
+
+      const enrollment = await startEnrollment(req.user.id, req.user.email || req.user.id);
+      res.status(201).json(enrollment);
+    } catch (error) {
+      if (sendTwoFactorError(res, error)) return;
+      console.error('Start 2FA enrollment error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while starting two-factor enrollment',
+      });
+    }
+  }
+);
+
+// Confirm enrollment with a first code, turning 2FA on. Recovery codes are
+// returned only here and when regenerated.
+router.post(
+  '/confirm',
+  [body('code').isString().trim().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const recoveryCodes = await confirmEnrollment(req.user.id, req.body.code);
+      await markTwoFactorVerified(req.sessionId);
+      await recordSecurityEvent({ type: SECURITY_EVENTS.TWO_FACTOR_ENABLED, userId: req.user.id, ip: req.ip });
+      await securityAlert(req.user.id, 'Two-factor authentication was turned on for your account.');
+
+      res.json({ enabled: true, recoveryCodes });
+    } catch (error) {
+      if (sendTwoFactorError(res, error)) return;
+      console.error('Confirm 2FA enrollment error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while confirming two-factor enrollment',
+      });
+    }
+  }
+);
+
+// Prove 2FA on this session before a sensitive action
+router.post(
+  '/step-up',
+  [body('code').isString().trim().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await verifyTwoFactor(req.user.id, req.body.code);
+      const verifiedAt = await markTwoFactorVerified(req.sessionId);
+
+      if (result.method === 'recovery') {
+        await securityAlert(
+          req.user.id,
+          `A recovery code was used. You have ${result.recoveryCodesRemaining} left.`,
+          { recoveryCodesRemaining: result.recoveryCodesRemaining }
+        );
+      }
+
+      res.json({ ...result, verifiedUntil: stepUpExpiry(verifiedAt) });
+    } catch (error) {
+      if (sendTwoFactorError(res, error)) return;
+      console.error('2FA step-up error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while checking your two-factor code',
+      });
+    }
+  }
+);
+
+// Replace the recovery codes, e.g. when running low
+router.post(
+  '/recovery-codes',
+  [body('code').isString().trim().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await verifyTwoFactor(req.user.id, req.body.code);
+      const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+      res.json({ recoveryCodes });
+    } catch (error) {
+      if (sendTwoFactorError(res, error)) return;
+      console.error('Regenerate recovery codes error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while creating recovery codes',
+      });
+    }
+  }
+);
+
+// Turn 2FA off
+router.delete(
+  '/',
+  [body('password').isString().notEmpty(), body('code').isString().trim().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!(await checkPassword(req.user.id, req.body.password))) {
+        return res.status(401).json({ message: 'Password is incorrect' });
+      }
+
+      await verifyTwoFactor(req.user.id, req.body.code);
+      await disableTwoFactor(req.user.id);
+      await recordSecurityEvent({ type: SECURITY_EVENTS.TWO_FACTOR_DISABLED, userId: req.user.id, ip: req.ip });
+      await securityAlert(req.user.id, 'Two-factor authentication was turned off for your account.');
+
+      res.json({ enabled: false });
+    } catch (error) {
+      if (sendTwoFactorError(res, error)) return;
+      console.error('Disable 2FA error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while turning off two-factor authentication',
+      });
+    }
+  }
+);
+
+// Turn 2FA off for a user who lost their authenticator and recovery codes,
+// once support has confirmed who they are. Signs out all their sessions. (admin)
+router.post(
+  '/admin/:userId/reset',
+  isAdmin,
+  [param('userId').isUUID(), body('reason').isString().trim().notEmpty()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { userId } = req.params;
+      const wasOn = await disableTwoFactor(userId);
+      if (!wasOn) {
+        return res.status(404).json({ code: 'TWO_FACTOR_NOT_ENABLED', message: 'Two-factor authentication is not on' });
+      }
+
+      const signedOutSessions = await revokeAllSessions(userId, { reason: 'TWO_FACTOR_RESET' });
+      await recordSecurityEvent({
+        type: SECURITY_EVENTS.TWO_FACTOR_RESET,
+        userId,
+        actorId: req.user.id,
+        data: { reason: req.body.reason, signedOutSessions },
+      });
+      await securityAlert(userId, 'Two-factor authentication was reset by Hustlrs support. Please sign in and set it up again.');
+
+      res.json({ enabled: false, signedOutSessions });
+    } catch (error) {
+      console.error('Admin 2FA reset error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while resetting two-factor authentication',
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,8 +1,17 @@
 import { Router } from 'express';
 import multer from 'multer';
+import { param, validationResult } from 'express-validator';
 import { v4 as uuidv4 } from 'uuid';
 import { supabase } from '../services/supabase.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { isChatMember } from '../services/chatService.js';
+import {
+  CHAT_MEDIA_MAX_SIZE,
+  ChatMediaError,
+  isAllowedMediaType,
+  storeChatAttachment,
+  toAttachmentView,
+} from '../services/chatMediaService.js';
 
 const router = Router();
 const upload = multer({
@@ -12,6 +21,15 @@ const upload = multer({
   },
 });
 
+// Chat attachments are larger and checked by type before they're buffered
+const chatUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: CHAT_MEDIA_MAX_SIZE,
+  },
+  fileFilter: (req, file, cb) => cb(null, isAllowedMediaType(file.mimetype)),
+});
+
 // Apply auth middleware to all upload routes
 router.use(authMiddleware);
 
@@ -73,6 +91,48 @@ router.post('/task', upload.array('images', 5), async (req, res) => {
   }
 });
 
+// Upload an image or document to send in a chat. Returns the attachment to
+// pass as `attachmentId` when sending the message.
+router.post('/chat/:chatId', [param('chatId').isUUID()], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { chatId } = req.params;
+
+    if (!(await isChatMember(chatId, req.user.id))) {
+      return res.status(403).json({ message: 'Not authorized to send files in this chat' });
+    }
+
+    await new Promise((resolve, reject) => {
+      chatUpload.single('file')(req, res, (error) => (error ? reject(error) : resolve()));
+    });
+
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'Send one image (JPEG, PNG, WebP, GIF) or document (PDF, Word, Excel, text) as "file"',
+      });
+    }
+
+    const attachment = await storeChatAttachment(chatId, req.user.id, req.file);
+
+    res.status(201).json(toAttachmentView(attachment));
+  } catch (error) {
+    if (error instanceof ChatMediaError) {
+      return res.status(error.statusCode).json({ code: error.code, message: error.message });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ code: error.code, message: error.message });
+    }
+    console.error('Chat upload error:', error);
+    res.status(500).json({
+      message: error.message || 'An error occurred while uploading the file',
+    });
+  }
+});
+
 // Delete a file from storage
 router.delete('/:bucket/:fileName', async (req, res) => {
   try {
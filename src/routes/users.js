@@ -1,13 +1,28 @@
 import { Router } from 'express';
 import { body, param, query, validationResult } from 'express-validator';
-import { supabase } from '../services/supabase.js';
-import { authMiddleware, isHustler, isCustomer } from '../middleware/auth.js';
+import { supabase, supabaseAdmin } from '../services/supabase.js';
+import { authMiddleware, isHustler, isCustomer, requireStepUp } from '../middleware/auth.js';
+import walletRouter from './wallet.js';
+import deviceRouter from './devices.js';
+import notificationPreferencesRouter from './notificationPreferences.js';
+import { isOnline } from '../services/presenceService.js';
+import { updatePassword, verifyPassword } from '../services/passwordService.js';
+import { paginationValidators, getPageParams, applyKeyset, toPage } from '../services/pagination.js';
 
 const router = Router();
 
 // Apply auth middleware to all user routes
 router.use(authMiddleware);
 
+// Wallet balance and transaction history
+router.use('/me/wallet', walletRouter);
+
+// Push notification devices
+router.use('/me/devices', deviceRouter);
+
+// Notification channels, quiet hours and digest
+router.use('/me/notification-preferences', notificationPreferencesRouter);
+
 // Get current user profile
 router.get('/me', async (req, res) => {
   if (!req.user) {
@@ -114,6 +129,7 @@ router.put(
 // Update user password
 router.put(
   '/me/password',
+  requireStepUp,
   [
     body('currentPassword').isString().notEmpty(),
     body('newPassword').isString().isLength({ min: 6 }),
@@ -133,9 +149,9 @@ router.put(
       const { currentPassword, newPassword } = req.body;
 
       // Get user with password hash
-      const { data: user, error: fetchError } = await supabase
+      const { data: user, error: fetchError } = await supabaseAdmin
         .from('users')
-        .select('*')
+        .select('id, password_hash')
         .eq('id', userId)
         .single();
 
@@ -145,23 +161,16 @@ router.put(
       }
 
       // Verify current password
-      const { data: authUser, error: authError } = await supabase.auth.signInWithPassword({
-        email: user.email,
-        password: currentPassword,
-      });
-
-      if (authError) {
+      if (!(await verifyPassword(currentPassword, user.password_hash))) {
         return res.status(401).json({ message: 'Current password is incorrect' });
       }
 
-      // Update password
-      const { error: updateError } = await supabase.auth.updateUser({
-        password: newPassword,
+      // Update password and sign out every other device
+      const signedOut = await updatePassword(userId, newPassword, {
+        exceptSessionId: req.sessionId,
       });
 
-      if (updateError) throw updateError;
-
-      res.json({ message: 'Password updated successfully' });
+      res.json({ message: 'Password updated successfully', signedOutSessions: signedOut });
     } catch (error) {
       console.error('Update password error:', error);
       res.status(500).json({
@@ -186,7 +195,7 @@ router.get(
 
       const { data: user, error } = await supabase
         .from('users')
-        .select('id, first_name, last_name, email, avatar_url, bio, skills, rating, total_rating, tasks_completed, created_at')
+        .select('id, first_name, last_name, email, avatar_url, bio, skills, rating, total_rating, tasks_completed, last_seen_at, created_at')
         .eq('id', id)
         .single();
 
@@ -195,7 +204,7 @@ router.get(
         return res.status(404).json({ message: 'User not found' });
       }
 
-      res.json(user);
+      res.json({ ...user, is_online: isOnline(user.id) });
     } catch (error) {
       console.error('Get user error:', error);
       res.status(500).json({
@@ -208,7 +217,7 @@ router.get(
 // Get user reviews
 router.get(
   '/:id/reviews',
-  [param('id').isUUID()],
+  [param('id').isUUID(), ...paginationValidators()],
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -217,16 +226,20 @@ router.get(
       }
 
       const { id } = req.params;
+      const { cursor, limit } = getPageParams(req);
 
-      const { data: reviews, error } = await supabase
-        .from('reviews')
-        .select('*, author:users!reviews_author_id_fkey(id, first_name, last_name, avatar_url)')
-        .eq('target_id', id)
-        .order('created_at', { ascending: false });
+      const { data: reviews, error } = await applyKeyset(
+        supabase
+          .from('reviews')
+          .select('*, author:users!reviews_author_id_fkey(id, first_name, last_name, avatar_url)')
+          .eq('target_id', id)
+          .eq('is_visible', true),
+        { cursor, limit }
+      );
 
       if (error) throw error;
 
-      res.json(reviews);
+      res.json(toPage(reviews, limit));
     } catch (error) {
       console.error('Get user reviews error:', error);
       res.status(500).json({
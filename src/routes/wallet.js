@@ -0,0 +1,46 @@
+import { Router } from 'express';
+import { validationResult } from 'express-validator';
+import { getWalletSummary, getWalletTransactions } from '../services/ledgerService.js';
+import { paginationValidators, getPageParams } from '../services/pagination.js';
+
+// Mounted under /api/users/me/wallet
+const router = Router();
+
+// Get the current user's wallet balances (in kobo)
+router.get('/', async (req, res) => {
+  try {
+    const wallet = await getWalletSummary(req.user.id);
+    res.json(wallet);
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({
+      message: error.message || 'An error occurred while fetching your wallet',
+    });
+  }
+});
+
+// Get the current user's wallet transaction history
+router.get(
+  '/transactions',
+  paginationValidators(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { cursor, limit } = getPageParams(req, 50);
+
+      const transactions = await getWalletTransactions(req.user.id, { cursor, limit });
+      res.json(transactions);
+    } catch (error) {
+      console.error('Get wallet transactions error:', error);
+      res.status(500).json({
+        message: error.message || 'An error occurred while fetching your transactions',
+      });
+    }
+  }
+);
+
+export default router;
@@ -15,9 +15,18 @@ import taskRouter from './routes/tasks.js';
 import userRouter from './routes/users.js';
 import chatRouter from './routes/chat.js';
 import uploadRouter from './routes/upload.js';
+import paymentRouter from './routes/payments.js';
+import payoutRouter from './routes/payouts.js';
+import notificationRouter from './routes/notifications.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
+import { revealExpiredReviews } from './services/reviewService.js';
+import { deliverQueuedNotifications } from './services/notificationService.js';
+import { purgeExpiredOtps } from './services/otpService.js';
+import { purgeLoginThrottles } from './services/loginThrottleService.js';
+import { reconcileProcessingPayouts } from './services/payoutService.js';
+import { registerSocketHandlers } from './services/socketService.js';
 import { authMiddleware } from './middleware/auth.js';
 
 dotenv.config();
@@ -64,29 +73,20 @@ app.use(cors({
   ],
   credentials: true,
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body around for payment webhook signature checks
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(compression());
 app.use(morgan('dev'));
 app.use(limiter);
 
-// Socket.IO connection
-io.on('connection', (socket) => {
-  console.log('A user connected');
-
-  socket.on('join_room', (roomId) => {
-    socket.join(roomId);
-    console.log(`User joined room: ${roomId}`);
-  });
-
-  socket.on('send_message', (data) => {
-    io.to(data.roomId).emit('receive_message', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected');
-  });
-});
+// Socket.IO: authenticated connections, per-user and per-chat rooms
+registerSocketHandlers(io);
 
 // Make io accessible to routes
 app.set('io', io);
@@ -102,6 +102,9 @@ app.use('/api/tasks', authMiddleware, taskRouter);
 app.use('/api/users', authMiddleware, userRouter);
 app.use('/api/chat', authMiddleware, chatRouter);
 app.use('/api/upload', authMiddleware, uploadRouter);
+app.use('/api/payments', paymentRouter); // webhooks are public, the rest is authenticated in the router
+app.use('/api/payouts', authMiddleware, payoutRouter);
+app.use('/api/notifications', authMiddleware, notificationRouter);
 
 // Root route
 app.get('/', (req, res) => {
@@ -134,6 +137,31 @@ async function startServer() {
       console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
       console.log(`API documentation available at http://localhost:${PORT}/api-docs`);
     });
+
+    // Hourly: reveal blind reviews whose review window has closed
+    setInterval(() => {
+      revealExpiredReviews().catch((error) => console.error('Reveal expired reviews error:', error));
+    }, 60 * 60 * 1000).unref();
+
+    // Hourly: drop one-time codes and send logs that no longer affect limits
+    setInterval(() => {
+      purgeExpiredOtps().catch((error) => console.error('Purge expired OTPs error:', error));
+    }, 60 * 60 * 1000).unref();
+
+    // Hourly: drop failed-login counters whose run is over
+    setInterval(() => {
+      purgeLoginThrottles().catch((error) => console.error('Purge login throttles error:', error));
+    }, 60 * 60 * 1000).unref();
+
+    // Every 15 minutes: settle payouts whose transfer webhook never came
+    setInterval(() => {
+      reconcileProcessingPayouts().catch((error) => console.error('Reconcile payouts error:', error));
+    }, 15 * 60 * 1000).unref();
+
+    // Every minute: send notifications held back by quiet hours, and daily digests
+    setInterval(() => {
+      deliverQueuedNotifications().catch((error) => console.error('Deliver queued notifications error:', error));
+    }, 60 * 1000).unref();
   } catch (error) {
     console.error('Failed to connect to the database:', error);
     process.exit(1);
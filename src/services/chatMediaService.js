@@ -0,0 +1,181 @@
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import { supabaseAdmin } from './supabase.js';
+
+export const CHAT_MEDIA_BUCKET = 'chat-media';
+
+// Largest chat upload, in bytes
+export const CHAT_MEDIA_MAX_SIZE = 10 * 1024 * 1024;
+
+// How long signed media URLs stay valid, in seconds
+const SIGNED_URL_TTL = 60 * 60;
+
+const THUMBNAIL_SIZE = 320;
+
+// Accepted uploads by MIME type, with the extension they are stored under
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+const FILE_TYPES = {
+  'application/pdf': 'pdf',
+  'text/plain': 'txt',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+};
+
+/**
+ * Error thrown for an upload we won't store (wrong type, not really an image, ...).
+ * Carries the HTTP status and a machine-readable code for the response body.
+ */
+export class ChatMediaError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'ChatMediaError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * Whether a MIME type can be sent in chat
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+export const isAllowedMediaType = (mimeType) => Boolean(IMAGE_TYPES[mimeType] || FILE_TYPES[mimeType]);
+
+const uploadObject = async (path, buffer, contentType) => {
+  const { error } = await supabaseAdmin.storage
+    .from(CHAT_MEDIA_BUCKET)
+    .upload(path, buffer, { contentType, upsert: false });
+
+  if (error) throw error;
+};
+
+/**
+ * Store an uploaded file for a chat. Images are checked by decoding them and
+ * get a WebP thumbnail.
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - Uploader
+ * @param {{buffer: Buffer, originalname: string, mimetype: string, size: number}} file - From multer
+ * @returns {Promise<object>} chat_attachments row
+ */
+export const storeChatAttachment = async (chatId, userId, file) => {
+  if (!isAllowedMediaType(file.mimetype)) {
+    throw new ChatMediaError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Only images (JPEG, PNG, WebP, GIF) and PDF, Word, Excel or text documents can be sent');
+  }
+
+  const isImage = Boolean(IMAGE_TYPES[file.mimetype]);
+  const id = uuidv4();
+  const path = `chats/${chatId}/${id}.${IMAGE_TYPES[file.mimetype] || FILE_TYPES[file.mimetype]}`;
+  let thumbnailPath = null;
+  let width = null;
+  let height = null;
+
+  if (isImage) {
+    let thumbnail;
+    try {
+      ({ width, height } = await sharp(file.buffer).metadata());
+      thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 70 })
+        .toBuffer();
+    } catch (error) {
+      throw new ChatMediaError(400, 'INVALID_IMAGE', 'The file is not a valid image');
+    }
+
+    thumbnailPath = `chats/${chatId}/${id}_thumb.webp`;
+    await uploadObject(thumbnailPath, thumbnail, 'image/webp');
+  }
+
+  await uploadObject(path, file.buffer, file.mimetype);
+
+  const { data: attachment, error } = await supabaseAdmin
+    .from('chat_attachments')
+    .insert({
+      id,
+      chat_id: chatId,
+      uploader_id: userId,
+      kind: isImage ? 'IMAGE' : 'FILE',
+      path,
+      thumbnail_path: thumbnailPath,
+      name: file.originalname.slice(0, 255),
+      mime_type: file.mimetype,
+      size: file.size,
+      width,
+      height,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return attachment;
+};
+
+/**
+ * An attachment of a chat
+ * @param {string} chatId - Chat ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<object|null>}
+ */
+export const getChatAttachment = async (chatId, attachmentId) => {
+  const { data: attachment, error } = await supabaseAdmin
+    .from('chat_attachments')
+    .select('*')
+    .eq('id', attachmentId)
+    .eq('chat_id', chatId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return attachment;
+};
+
+/**
+ * Short-lived URL for an attachment or its thumbnail
+ * @param {object} attachment - chat_attachments row
+ * @param {'original'|'thumbnail'} [variant='original']
+ * @returns {Promise<{url: string, expiresIn: number}>}
+ */
+export const getAttachmentUrl = async (attachment, variant = 'original') => {
+  const path = variant === 'thumbnail' && attachment.thumbnail_path ? attachment.thumbnail_path : attachment.path;
+
+  const { data, error } = await supabaseAdmin.storage
+    .from(CHAT_MEDIA_BUCKET)
+    .createSignedUrl(path, SIGNED_URL_TTL, attachment.kind === 'FILE' ? { download: attachment.name } : undefined);
+
+  if (error) throw error;
+  return { url: data.signedUrl, expiresIn: SIGNED_URL_TTL };
+};
+
+/**
+ * Shape an attachment for API responses (no storage paths)
+ * @param {object} attachment - chat_attachments row
+ * @returns {object}
+ */
+export const toAttachmentView = (attachment) => ({
+  id: attachment.id,
+  kind: attachment.kind,
+  name: attachment.name,
+  mimeType: attachment.mime_type,
+  size: attachment.size,
+  width: attachment.width,
+  height: attachment.height,
+  hasThumbnail: Boolean(attachment.thumbnail_path),
+});
+
+export default {
+  CHAT_MEDIA_BUCKET,
+  CHAT_MEDIA_MAX_SIZE,
+  ChatMediaError,
+  isAllowedMediaType,
+  storeChatAttachment,
+  getChatAttachment,
+  getAttachmentUrl,
+  toAttachmentView,
+};
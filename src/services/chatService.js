@@ -0,0 +1,365 @@
+import { supabaseAdmin } from './supabase.js';
+import { userRoom } from './notificationService.js';
+
+// Minutes after sending during which a message can still be edited
+export const MESSAGE_EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || '15', 10);
+
+// Columns and relations returned for a message; shape with toMessageView
+export const MESSAGE_SELECT = `
+  *,
+  sender:users(id, first_name, last_name, avatar_url),
+  attachment:chat_attachments(id, kind, name, mime_type, size, width, height),
+  reply_to:messages!messages_reply_to_message_id_fkey(id, sender_id, type, content, deleted_at),
+  reactions:message_reactions(user_id, emoji)
+`;
+
+// Socket.IO server used to announce system messages, set once at startup
+let io = null;
+
+/**
+ * Use this Socket.IO server to emit system messages to chat rooms
+ * @param {import('socket.io').Server} server
+ */
+export const setChatSocket = (server) => {
+  io = server;
+};
+
+/**
+ * Socket room a chat's members join to receive its messages
+ * @param {string} chatId - Chat ID
+ * @returns {string}
+ */
+export const chatRoom = (chatId) => `chat_${chatId}`;
+
+/**
+ * Whether a user is a member of a chat
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export const isChatMember = async (chatId, userId) => {
+  const { data: membership, error } = await supabaseAdmin
+    .from('chat_members')
+    .select('chat_id')
+    .eq('chat_id', chatId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(membership);
+};
+
+/**
+ * Shape a message row for clients: deleted messages become tombstones and
+ * reactions are grouped by emoji
+ * @param {object} message - Row selected with MESSAGE_SELECT
+ * @returns {object}
+ */
+export const toMessageView = (message) => {
+  const { reactions = [], reply_to: replyTo, ...rest } = message;
+
+  const grouped = new Map();
+  reactions.forEach(({ emoji, user_id: userId }) => {
+    if (!grouped.has(emoji)) grouped.set(emoji, []);
+    grouped.get(emoji).push(userId);
+  });
+
+  const view = {
+    ...rest,
+    reply_to: replyTo && (replyTo.deleted_at ? { ...replyTo, content: '' } : replyTo),
+    reactions: [...grouped].map(([emoji, userIds]) => ({ emoji, count: userIds.length, userIds })),
+  };
+
+  if (message.deleted_at) {
+    return {
+      ...view,
+      content: '',
+      attachment: null,
+      attachment_id: null,
+      image_url: null,
+      latitude: null,
+      longitude: null,
+      location_label: null,
+      reactions: [],
+    };
+  }
+  return view;
+};
+
+/**
+ * A message of a chat, shaped with toMessageView
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise<object|null>}
+ */
+export const getMessage = async (chatId, messageId) => {
+  const { data: message, error } = await supabaseAdmin
+    .from('messages')
+    .select(MESSAGE_SELECT)
+    .eq('id', messageId)
+    .eq('chat_id', chatId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return message && toMessageView(message);
+};
+
+/**
+ * Change the text of a message the user sent, within the edit window.
+ * The old text is kept in message_edits.
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Sender
+ * @param {string} content - New text
+ * @returns {Promise<object>} Updated message
+ */
+export const editMessage = async (chatId, messageId, userId, content) => {
+  if (!(await getMessage(chatId, messageId))) throw new Error('MESSAGE_NOT_FOUND');
+
+  const { error } = await supabaseAdmin.rpc('edit_message', {
+    p_message_id: messageId,
+    p_user_id: userId,
+    p_content: content,
+    p_window_minutes: MESSAGE_EDIT_WINDOW_MINUTES,
+  });
+
+  if (error) throw error;
+  return getMessage(chatId, messageId);
+};
+
+/**
+ * Delete a message the user sent, leaving a tombstone
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Sender
+ * @returns {Promise<object>} The tombstone
+ */
+export const deleteMessage = async (chatId, messageId, userId) => {
+  if (!(await getMessage(chatId, messageId))) throw new Error('MESSAGE_NOT_FOUND');
+
+  const { error } = await supabaseAdmin.rpc('delete_message', {
+    p_message_id: messageId,
+    p_user_id: userId,
+  });
+
+  if (error) throw error;
+  return getMessage(chatId, messageId);
+};
+
+/**
+ * React to a message (idempotent)
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Reacting member
+ * @param {string} emoji
+ * @returns {Promise<object>} The message with its reactions
+ */
+export const addReaction = async (chatId, messageId, userId, emoji) => {
+  const message = await getMessage(chatId, messageId);
+  if (!message) throw new Error('MESSAGE_NOT_FOUND');
+  if (message.deleted_at) throw new Error('MESSAGE_DELETED');
+
+  const { error } = await supabaseAdmin
+    .from('message_reactions')
+    .upsert({ message_id: messageId, user_id: userId, emoji }, { onConflict: 'message_id,user_id,emoji', ignoreDuplicates: true });
+
+  if (error) throw error;
+  return getMessage(chatId, messageId);
+};
+
+/**
+ * Take back a reaction
+ * @param {string} chatId - Chat ID
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Reacting member
+ * @param {string} emoji
+ * @returns {Promise<object>} The message with its reactions
+ */
+export const removeReaction = async (chatId, messageId, userId, emoji) => {
+  if (!(await getMessage(chatId, messageId))) throw new Error('MESSAGE_NOT_FOUND');
+
+  const { error } = await supabaseAdmin
+    .from('message_reactions')
+    .delete()
+    .eq('message_id', messageId)
+    .eq('user_id', userId)
+    .eq('emoji', emoji);
+
+  if (error) throw error;
+  return getMessage(chatId, messageId);
+};
+
+/**
+ * Post a SYSTEM message into a task's working chat and emit it as `new_message`.
+ * Tasks without a working chat (never assigned) are skipped. Failures are
+ * logged rather than thrown so the timeline can never break the action itself.
+ * @param {string} taskId - Task ID
+ * @param {object} event
+ * @param {string} event.actorId - User whose action caused the event
+ * @param {string} event.event - Machine-readable event name, e.g. TASK_STARTED
+ * @param {string} event.content - Readable fallback text
+ * @param {object} [event.data] - Extra metadata for clients
+ * @returns {Promise<object|null>} The message, or null if none was posted
+ */
+export const postSystemMessage = async (taskId, { actorId, event, content, data = {} }) => {
+  try {
+    const { data: chat, error: chatError } = await supabaseAdmin
+      .from('chats')
+      .select('id')
+      .eq('task_id', taskId)
+      .eq('kind', 'TASK')
+      .maybeSingle();
+
+    if (chatError) throw chatError;
+    if (!chat) return null;
+
+    const { data: row, error } = await supabaseAdmin
+      .from('messages')
+      .insert({
+        chat_id: chat.id,
+        sender_id: actorId,
+        type: 'SYSTEM',
+        content,
+        metadata: { ...data, event, taskId, actorId },
+      })
+      .select(MESSAGE_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    await supabaseAdmin
+      .from('chats')
+      .update({ updated_at: new Date().toISOString() })
+      .eq('id', chat.id);
+
+    const message = toMessageView(row);
+    if (io) {
+      io.to(chatRoom(chat.id)).emit('new_message', message);
+    }
+    return message;
+  } catch (error) {
+    console.error('System message error:', error);
+    return null;
+  }
+};
+
+const toReceipt = (member) => ({
+  chatId: member.chat_id,
+  userId: member.user_id,
+  lastDeliveredMessageId: member.last_delivered_message_id,
+  lastDeliveredAt: member.last_delivered_at,
+  lastReadMessageId: member.last_read_message_id,
+  lastReadAt: member.last_read_at,
+});
+
+/**
+ * Move a member's receipt cursors forward. Reading a message also marks it
+ * delivered; cursors never move back.
+ * @param {string} chatId - Chat ID
+ * @param {string} userId - Member
+ * @param {object} [options]
+ * @param {string|null} [options.messageId] - Up to this message, or the newest when omitted
+ * @param {boolean} [options.read=false] - Mark read as well as delivered
+ * @returns {Promise<object>} The member's receipt
+ */
+export const advanceReceipt = async (chatId, userId, { messageId = null, read = false } = {}) => {
+  const { data: member, error } = await supabaseAdmin.rpc('advance_chat_cursor', {
+    p_chat_id: chatId,
+    p_user_id: userId,
+    p_message_id: messageId,
+    p_read: read,
+  });
+
+  if (error) throw error;
+  return toReceipt(member);
+};
+
+/**
+ * Receipts of every member of a chat, for drawing delivered/read ticks
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<object[]>}
+ */
+export const getReceipts = async (chatId) => {
+  const { data: members, error } = await supabaseAdmin
+    .from('chat_members')
+    .select('chat_id, user_id, last_delivered_message_id, last_delivered_at, last_read_message_id, last_read_at')
+    .eq('chat_id', chatId);
+
+  if (error) throw error;
+  return members.map(toReceipt);
+};
+
+/**
+ * Tell a chat's members that someone's receipt moved: `message_read` when it
+ * was a read, `message_delivered` otherwise. Goes to the chat room and the
+ * members' own rooms, so senders see it from the chat list too.
+ * @param {import('socket.io').Server} io
+ * @param {object} receipt - From advanceReceipt
+ * @param {boolean} read
+ */
+export const broadcastReceipt = async (io, receipt, read) => {
+  const { data: members, error } = await supabaseAdmin
+    .from('chat_members')
+    .select('user_id')
+    .eq('chat_id', receipt.chatId)
+    .neq('user_id', receipt.userId);
+
+  if (error) throw error;
+
+  const rooms = [chatRoom(receipt.chatId), ...members.map((member) => userRoom(member.user_id))];
+  if (read) {
+    io.to(rooms).emit('message_read', {
+      chatId: receipt.chatId,
+      userId: receipt.userId,
+      messageId: receipt.lastReadMessageId,
+      readAt: receipt.lastReadAt,
+    });
+  } else {
+    io.to(rooms).emit('message_delivered', {
+      chatId: receipt.chatId,
+      userId: receipt.userId,
+      messageId: receipt.lastDeliveredMessageId,
+      deliveredAt: receipt.lastDeliveredAt,
+    });
+  }
+};
+
+/**
+ * Unread count and newest message of each of a user's chats
+ * @param {string} userId - User ID
+ * @param {string[]} chatIds
+ * @returns {Promise<Map<string, {unreadCount: number, lastMessage: object|null}>>}
+ */
+export const getChatSummaries = async (userId, chatIds) => {
+  if (chatIds.length === 0) return new Map();
+
+  const { data: summaries, error } = await supabaseAdmin.rpc('chat_summaries', {
+    p_user_id: userId,
+    p_chat_ids: chatIds,
+  });
+
+  if (error) throw error;
+  return new Map(summaries.map((summary) => [
+    summary.chat_id,
+    { unreadCount: summary.unread_count, lastMessage: summary.last_message },
+  ]));
+};
+
+export default {
+  MESSAGE_EDIT_WINDOW_MINUTES,
+  MESSAGE_SELECT,
+  setChatSocket,
+  chatRoom,
+  isChatMember,
+  toMessageView,
+  getMessage,
+  editMessage,
+  deleteMessage,
+  addReaction,
+  removeReaction,
+  postSystemMessage,
+  advanceReceipt,
+  getReceipts,
+  broadcastReceipt,
+  getChatSummaries,
+};
@@ -0,0 +1,15 @@
+/**
+ * Format an amount in kobo as naira, e.g. 150000 -> "₦1,500.00"
+ * @param {number|string} kobo
+ * @param {object} [options]
+ * @param {string} [options.symbol='₦'] - Prefix before the amount
+ * @returns {string}
+ */
+export const formatNaira = (kobo, { symbol = '₦' } = {}) => {
+  const naira = (Math.abs(Number(kobo)) / 100).toLocaleString('en-NG', { minimumFractionDigits: 2 });
+  return `${Number(kobo) < 0 ? '-' : ''}${symbol}${naira}`;
+};
+
+export default {
+  formatNaira,
+};
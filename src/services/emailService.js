@@ -0,0 +1,42 @@
+// Transactional email through Resend's HTTP API. Without an API key messages
+// are only logged, like SMS in development mode.
+const hasEmailCredentials = process.env.RESEND_API_KEY && process.env.EMAIL_FROM;
+
+/**
+ * Send a plain-text email
+ * @param {string} to - Recipient address
+ * @param {string} subject
+ * @param {string} text - Message body
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export const sendEmail = async (to, subject, text) => {
+  try {
+    if (!hasEmailCredentials) {
+      console.log('📧 [DEVELOPMENT MODE] Email:', { to, subject, text });
+      return { success: true, message: 'Email logged (development mode)' };
+    }
+
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ from: process.env.EMAIL_FROM, to, subject, text }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Email provider responded with ${response.status}: ${await response.text()}`);
+    }
+
+    const { id } = await response.json();
+    return { success: true, message: 'Email sent', id };
+  } catch (error) {
+    console.error('❌ Error sending email:', error.message);
+    return { success: false, message: 'Failed to send email', error: error.message };
+  }
+};
+
+export default {
+  sendEmail
+};
@@ -0,0 +1,160 @@
+import { supabaseAdmin } from './supabase.js';
+import { applyKeyset, toPage } from './pagination.js';
+
+// Task statuses during which the poster's money sits in escrow
+const ESCROW_HELD_STATUSES = ['ASSIGNED', 'IN_PROGRESS', 'COMPLETED', 'DISPUTED'];
+
+/**
+ * Get (or lazily create) a ledger account
+ * @param {'WALLET'|'ESCROW'|'PLATFORM'|'EXTERNAL'|'PAYOUT_CLEARING'|'TAX'} type - Account type
+ * @param {string|null} ownerId - User ID for wallets, task ID for escrow, null for system accounts
+ * @returns {Promise<string>} Account ID
+ */
+export const getAccountId = async (type, ownerId = null) => {
+  const { data, error } = await supabaseAdmin.rpc('ledger_account_id', {
+    p_type: type,
+    p_owner_id: ownerId,
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Post a balanced journal entry. Lines must sum to zero; positive amounts credit
+ * the account and negative amounts debit it. Reusing an idempotency key returns
+ * the entry that was posted first.
+ * @param {object} entry
+ * @param {string} entry.entryType - e.g. TOP_UP, PAYOUT
+ * @param {string} entry.idempotencyKey - Unique key for this money movement
+ * @param {Array<{accountId: string, amount: number}>} entry.lines - Amounts in kobo
+ * @param {string} [entry.taskId] - Related task
+ * @param {string} [entry.description] - Human-readable description
+ * @param {object} [entry.metadata] - Extra data stored with the entry
+ * @returns {Promise<string>} Journal entry ID
+ */
+export const postJournalEntry = async ({
+  entryType,
+  idempotencyKey,
+  lines,
+  taskId = null,
+  description = null,
+  metadata = {},
+}) => {
+  const { data, error } = await supabaseAdmin.rpc('post_journal_entry', {
+    p_entry_type: entryType,
+    p_idempotency_key: idempotencyKey,
+    p_lines: lines.map((line) => ({ account_id: line.accountId, amount: line.amount })),
+    p_task_id: taskId,
+    p_description: description,
+    p_metadata: metadata,
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Wallet balances for a user, in kobo
+ * @param {string} userId - User ID
+ * @returns {Promise<{currency: string, available: number, inEscrow: number, pendingRelease: number}>}
+ */
+export const getWalletSummary = async (userId) => {
+  const { data: wallet, error: walletError } = await supabaseAdmin
+    .from('ledger_accounts')
+    .select('id, balance, currency')
+    .eq('type', 'WALLET')
+    .eq('owner_id', userId)
+    .maybeSingle();
+
+  if (walletError) throw walletError;
+
+  const { data: tasks, error: tasksError } = await supabaseAdmin
+    .from('tasks')
+    .select('id, poster_id, hustler_id')
+    .or(`poster_id.eq.${userId},hustler_id.eq.${userId}`)
+    .in('status', ESCROW_HELD_STATUSES);
+
+  if (tasksError) throw tasksError;
+
+  let inEscrow = 0;
+  let pendingRelease = 0;
+
+  if (tasks.length > 0) {
+    const { data: escrows, error: escrowError } = await supabaseAdmin
+      .from('ledger_accounts')
+      .select('owner_id, balance')
+      .eq('type', 'ESCROW')
+      .in('owner_id', tasks.map((task) => task.id));
+
+    if (escrowError) throw escrowError;
+
+    const tasksById = new Map(tasks.map((task) => [task.id, task]));
+    escrows.forEach((escrow) => {
+      const task = tasksById.get(escrow.owner_id);
+      if (task.poster_id === userId) inEscrow += Number(escrow.balance);
+      else pendingRelease += Number(escrow.balance);
+    });
+  }
+
+  return {
+    currency: wallet?.currency || 'NGN',
+    available: wallet ? Number(wallet.balance) : 0,
+    inEscrow,
+    pendingRelease,
+  };
+};
+
+/**
+ * Journal lines that touched a user's wallet, newest first
+ * @param {string} userId - User ID
+ * @param {object} [options]
+ * @param {object|null} [options.cursor] - Decoded cursor from the previous page
+ * @param {number} [options.limit=50]
+ * @returns {Promise<{data: object[], nextCursor: string|null, hasMore: boolean}>}
+ */
+export const getWalletTransactions = async (userId, { cursor = null, limit = 50 } = {}) => {
+  const { data: wallet, error: walletError } = await supabaseAdmin
+    .from('ledger_accounts')
+    .select('id')
+    .eq('type', 'WALLET')
+    .eq('owner_id', userId)
+    .maybeSingle();
+
+  if (walletError) throw walletError;
+  if (!wallet) return toPage([], limit);
+
+  const { data: lines, error } = await applyKeyset(
+    supabaseAdmin
+      .from('journal_lines')
+      .select('id, amount, balance_after, created_at, entry:journal_entries(id, entry_type, task_id, description, metadata)')
+      .eq('account_id', wallet.id),
+    { cursor, limit }
+  );
+
+  if (error) throw error;
+
+  const page = toPage(lines, limit);
+  return {
+    ...page,
+    data: page.data.map((line) => ({
+      id: line.id,
+      entryId: line.entry.id,
+      type: line.entry.entry_type,
+      direction: line.amount > 0 ? 'CREDIT' : 'DEBIT',
+      amount: Math.abs(Number(line.amount)),
+      balanceAfter: Number(line.balance_after),
+      taskId: line.entry.task_id,
+      description: line.entry.description,
+      metadata: line.entry.metadata,
+      createdAt: line.created_at,
+    })),
+  };
+};
+
+export default {
+  getAccountId,
+  postJournalEntry,
+  getWalletSummary,
+  getWalletTransactions,
+};
@@ -0,0 +1,283 @@
+import { supabaseAdmin } from './supabase.js';
+import { notify, NOTIFICATION_TYPES } from './notificationService.js';
+import { SECURITY_EVENTS, recordSecurityEvent } from './securityEventService.js';
+
+// A run of failures ends after this long without one
+const LOGIN_FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10);
+// Failures allowed before each further try has to wait, starting at the base
+// delay and doubling up to the maximum
+const LOGIN_BACKOFF_AFTER = parseInt(process.env.LOGIN_BACKOFF_AFTER || '3', 10);
+const LOGIN_BACKOFF_BASE_SECONDS = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS || '2', 10);
+const LOGIN_BACKOFF_MAX_SECONDS = parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS || '300', 10);
+// Failures in a run that lock an account or an IP, and for how long
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10', 10);
+const LOGIN_IP_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD || '50', 10);
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '30', 10);
+// Failures before a successful login that are worth telling the user about
+const LOGIN_ALERT_AFTER_FAILURES = parseInt(process.env.LOGIN_ALERT_AFTER_FAILURES || '3', 10);
+
+export class LoginThrottleError extends Error {
+  constructor(statusCode, code, message, details = {}) {
+    super(message);
+    this.name = 'LoginThrottleError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const accountKey = (userId) => `user:${userId}`;
+
+/**
+ * Throttle keys for a login attempt. Attempts on an account share one key
+ * however it was named; identifiers with no account get their own key so they
+ * behave the same and don't reveal whether an account exists.
+ * @param {object} attempt
+ * @param {string} [attempt.userId] - Matching account, if any
+ * @param {string} attempt.identifier - Email or phone number that was typed
+ * @param {string} [attempt.ip]
+ * @returns {Array<{key: string, kind: 'ACCOUNT'|'IP'}>}
+ */
+const throttleKeys = ({ userId, identifier, ip }) => [
+  ...(ip ? [{ key: `ip:${ip}`, kind: 'IP' }] : []),
+  { key: userId ? accountKey(userId) : `identifier:${identifier.trim().toLowerCase()}`, kind: 'ACCOUNT' },
+];
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Why an attempt on these keys is refused: the latest block among them
+const blockedError = async (keys) => {
+  const { data: blocked, error } = await supabaseAdmin
+    .from('login_throttles')
+    .select('locked, blocked_until')
+    .in('key', keys)
+    .gt('blocked_until', new Date().toISOString());
+
+  if (error) throw error;
+
+  const until = blocked.length > 0
+    ? new Date(Math.max(...blocked.map((row) => new Date(row.blocked_until).getTime())))
+    : new Date(Date.now() + LOGIN_BACKOFF_BASE_SECONDS * 1000);
+  const details = { retryAfter: secondsUntil(until) };
+
+  if (blocked.some((row) => row.locked)) {
+    return new LoginThrottleError(
+      429,
+      'LOGIN_LOCKED',
+      `Too many failed sign-in attempts. Try again in ${Math.ceil(details.retryAfter / 60)} minutes or reset your password.`,
+      details
+    );
+  }
+  return new LoginThrottleError(429, 'LOGIN_THROTTLED', 'Please wait before trying again', details);
+};
+
+const lockoutThreshold = (kind) => (kind === 'ACCOUNT' ? LOGIN_LOCKOUT_THRESHOLD : LOGIN_IP_LOCKOUT_THRESHOLD);
+
+/**
+ * Lock a key for the lockout period. Only the call that actually sets the
+ * lock records it as a security event and tells the account owner.
+ * @param {object} attempt - As for reserveLoginAttempt
+ * @param {{key: string, kind: string, failures: number}} reserved
+ */
+const lockKey = async ({ userId = null, identifier, ip = null }, { key, kind, failures }) => {
+  const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+  const { data: locked, error } = await supabaseAdmin
+    .from('login_throttles')
+    .update({ locked: true, blocked_until: lockedUntil.toISOString() })
+    .eq('key', key)
+    .eq('locked', false)
+    .select('key');
+
+  if (error) throw error;
+  if (locked.length === 0) return;
+
+  const accountUserId = kind === 'ACCOUNT' ? userId : null;
+  await recordSecurityEvent({
+    type: SECURITY_EVENTS.LOGIN_LOCKOUT,
+    userId: accountUserId,
+    identifier,
+    ip,
+    data: { kind, key, failures, lockedUntil: lockedUntil.toISOString() },
+  });
+
+  if (accountUserId) {
+    await notify({
+      userId: accountUserId,
+      type: NOTIFICATION_TYPES.SECURITY_ALERT,
+      title: 'Sign-in locked',
+      message: `Sign-in to your account was locked for ${LOGIN_LOCKOUT_MINUTES} minutes after ${failures} failed attempts. If this wasn't you, reset your password.`,
+      data: { failures, lockedUntil: lockedUntil.toISOString() },
+    });
+  }
+};
+
+/**
+ * Count a login attempt against its account and IP before the password is
+ * checked, refusing it while either is backing off or locked, or once its
+ * run has used up the attempts allowed. Counting first means parallel
+ * attempts can't all slip past the limit.
+ * @param {object} attempt
+ * @param {string} [attempt.userId] - Matching account, if any
+ * @param {string} attempt.identifier - Email or phone number that was typed
+ * @param {string} [attempt.ip]
+ * @returns {Promise<Array<{key: string, kind: string, failures: number}>>} The
+ * counted attempt, for recordLoginFailure or releaseLoginAttempt
+ * @throws {LoginThrottleError}
+ */
+export const reserveLoginAttempt = async (attempt) => {
+  const reserved = [];
+
+  for (const { key, kind } of throttleKeys(attempt)) {
+    const { data: failures, error } = await supabaseAdmin.rpc('reserve_login_attempt', {
+      p_key: key,
+      p_kind: kind,
+      p_window_minutes: LOGIN_FAILURE_WINDOW_MINUTES,
+    });
+
+    if (error) throw error;
+    if (failures === null || failures > lockoutThreshold(kind)) {
+      // Hand back the keys already counted, so a blocked IP or account
+      // doesn't use up the other's attempts
+      await releaseLoginAttempt(reserved);
+      if (failures !== null) await lockKey(attempt, { key, kind, failures });
+      throw await blockedError([key]);
+    }
+    reserved.push({ key, kind, failures });
+  }
+  return reserved;
+};
+
+/**
+ * Settle a counted attempt as failed, making the next try wait and locking
+ * any key whose run of failures has reached the threshold
+ * @param {object} attempt - As for reserveLoginAttempt
+ * @param {Array<{key: string, kind: string, failures: number}>} reserved - From reserveLoginAttempt
+ */
+export const recordLoginFailure = async (attempt, reserved) => {
+  for (const throttle of reserved) {
+    if (throttle.failures < LOGIN_BACKOFF_AFTER) continue;
+
+    if (throttle.failures >= lockoutThreshold(throttle.kind)) {
+      await lockKey(attempt, throttle);
+      continue;
+    }
+
+    const delay = Math.min(
+      LOGIN_BACKOFF_BASE_SECONDS * 2 ** (throttle.failures - LOGIN_BACKOFF_AFTER),
+      LOGIN_BACKOFF_MAX_SECONDS
+    );
+    const { error } = await supabaseAdmin
+      .from('login_throttles')
+      .update({ blocked_until: new Date(Date.now() + delay * 1000).toISOString() })
+      .eq('key', throttle.key)
+      .eq('locked', false);
+
+    if (error) throw error;
+  }
+};
+
+/**
+ * Hand back a counted attempt whose password was right, so it doesn't count
+ * as a failure
+ * @param {Array<{key: string}>} reserved - From reserveLoginAttempt
+ */
+export const releaseLoginAttempt = async (reserved) => {
+  for (const { key } of reserved) {
+    const { error } = await supabaseAdmin.rpc('release_login_attempt', { p_key: key });
+    if (error) throw error;
+  }
+};
+
+/**
+ * End an account's run of failures after a successful login, telling the
+ * user if there were enough failures before it to be suspicious
+ * @param {object} attempt
+ * @param {string} attempt.userId - Account that signed in
+ * @param {string} attempt.identifier - Email or phone number that was typed
+ * @param {string} [attempt.ip]
+ */
+export const recordLoginSuccess = async ({ userId, identifier, ip = null }) => {
+  const { data: cleared, error } = await supabaseAdmin
+    .from('login_throttles')
+    .delete()
+    .eq('key', accountKey(userId))
+    .select('failures');
+
+  if (error) throw error;
+
+  const throttle = cleared[0];
+  if (!throttle || throttle.failures < LOGIN_ALERT_AFTER_FAILURES) return;
+
+  await recordSecurityEvent({
+    type: SECURITY_EVENTS.LOGIN_AFTER_FAILURES,
+    userId,
+    identifier,
+    ip,
+    data: { failures: throttle.failures },
+  });
+
+  await notify({
+    userId,
+    type: NOTIFICATION_TYPES.SECURITY_ALERT,
+    title: 'New sign-in',
+    message: `Your account was signed in to after ${throttle.failures} failed attempts. If this wasn't you, reset your password and sign out other devices.`,
+    data: { failures: throttle.failures, ip },
+  });
+};
+
+/**
+ * Lift a lockout or backoff on an account
+ * @param {string} userId - Account to unlock
+ * @param {object} [options]
+ * @param {string} [options.actorId] - Admin doing it
+ * @param {'ADMIN'|'PASSWORD_RESET'} [options.reason='ADMIN']
+ * @returns {Promise<boolean>} False if the account had no failures on record
+ */
+export const unlockAccount = async (userId, { actorId = null, reason = 'ADMIN' } = {}) => {
+  const { data: cleared, error } = await supabaseAdmin
+    .from('login_throttles')
+    .delete()
+    .eq('key', accountKey(userId))
+    .select('failures, locked, blocked_until');
+
+  if (error) throw error;
+  if (cleared.length === 0) return false;
+
+  await recordSecurityEvent({
+    type: SECURITY_EVENTS.ACCOUNT_UNLOCKED,
+    userId,
+    actorId,
+    data: {
+      reason,
+      failures: cleared[0].failures,
+      wasLocked: cleared[0].locked,
+      blockedUntil: cleared[0].blocked_until,
+    },
+  });
+  return true;
+};
+
+/**
+ * Drop throttles whose run of failures is over and that aren't blocking.
+ * Run periodically.
+ */
+export const purgeLoginThrottles = async () => {
+  const now = new Date();
+  const { error } = await supabaseAdmin
+    .from('login_throttles')
+    .delete()
+    .lt('last_failure_at', new Date(now.getTime() - LOGIN_FAILURE_WINDOW_MINUTES * 60 * 1000).toISOString())
+    .or(`blocked_until.is.null,blocked_until.lt.${now.toISOString()}`);
+
+  if (error) throw error;
+};
+
+export default {
+  LoginThrottleError,
+  reserveLoginAttempt,
+  recordLoginFailure,
+  releaseLoginAttempt,
+  recordLoginSuccess,
+  unlockAccount,
+  purgeLoginThrottles,
+};
@@ -0,0 +1,195 @@
+import { supabaseAdmin } from './supabase.js';
+import { CHANNELS, PRIORITIES, TYPE_DEFAULTS } from './notificationTypes.js';
+
+// Settings for users who never saved any (mirrors the column defaults)
+const DEFAULT_ROW = {
+  channels: {},
+  quiet_hours_enabled: false,
+  quiet_hours_start: '22:00',
+  quiet_hours_end: '07:00',
+  timezone: 'Africa/Lagos',
+  digest_enabled: true,
+  digest_time: '18:00',
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Postgres returns HH:MM:SS; the API speaks HH:MM
+const toClock = (time) => time.slice(0, 5);
+
+/**
+ * Whether a string is an IANA timezone this runtime knows, e.g. "Africa/Lagos"
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Minutes past midnight on the user's clock
+const localMinutes = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+/**
+ * Next moment a clock in `timezone` reads `time` (now, if it already does)
+ * @param {string} time - HH:MM
+ * @param {string} timezone
+ * @param {Date} [from=new Date()]
+ * @returns {Date}
+ */
+export const nextLocalTime = (time, timezone, from = new Date()) => {
+  const minutesAway = (toMinutes(time) - localMinutes(from, timezone) + 1440) % 1440;
+  const next = new Date(from.getTime() + minutesAway * 60 * 1000);
+  next.setUTCSeconds(0, 0);
+  return next;
+};
+
+/**
+ * Whether it's quiet hours for the user
+ * @param {object} preferences - From getPreferences
+ * @param {Date} [at=new Date()]
+ * @returns {boolean}
+ */
+export const isQuietHours = (preferences, at = new Date()) => {
+  const { enabled, start, end } = preferences.quietHours;
+  if (!enabled || start === end) return false;
+
+  const now = localMinutes(at, preferences.timezone);
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  // Quiet hours usually run over midnight, e.g. 22:00-07:00
+  return from < to ? now >= from && now < to : now >= from || now < to;
+};
+
+/**
+ * When a push/SMS/email should go out, or null for straight away.
+ * LOW priority events wait for the daily digest; anything else that lands in
+ * quiet hours waits for them to end. The digest itself respects quiet hours.
+ * @param {object} preferences - From getPreferences
+ * @param {string} priority - One of PRIORITIES
+ * @param {Date} [now=new Date()]
+ * @returns {{kind: 'DEFERRED'|'DIGEST', deliverAfter: Date}|null}
+ */
+export const getDeliverySchedule = (preferences, priority, now = new Date()) => {
+  const { quietHours, timezone, digest } = preferences;
+
+  if (priority === PRIORITIES.LOW && digest.enabled) {
+    let deliverAfter = nextLocalTime(digest.time, timezone, now);
+    if (isQuietHours(preferences, deliverAfter)) {
+      deliverAfter = nextLocalTime(quietHours.end, timezone, deliverAfter);
+    }
+    return { kind: 'DIGEST', deliverAfter };
+  }
+
+  if (isQuietHours(preferences, now)) {
+    return { kind: 'DEFERRED', deliverAfter: nextLocalTime(quietHours.end, timezone, now) };
+  }
+
+  return null;
+};
+
+// Shape a preferences row for the API, filling in the default channels
+const toPreferences = (row) => ({
+  channels: Object.fromEntries(
+    Object.entries(TYPE_DEFAULTS).map(([type, defaults]) => [
+      type,
+      { ...defaults.channels, ...row.channels[type] },
+    ])
+  ),
+  quietHours: {
+    enabled: row.quiet_hours_enabled,
+    start: toClock(row.quiet_hours_start),
+    end: toClock(row.quiet_hours_end),
+  },
+  timezone: row.timezone,
+  digest: {
+    enabled: row.digest_enabled,
+    time: toClock(row.digest_time),
+  },
+});
+
+const getPreferencesRow = async (userId) => {
+  const { data: row, error } = await supabaseAdmin
+    .from('notification_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return row;
+};
+
+/**
+ * A user's notification preferences, with defaults for anything they haven't set
+ * @param {string} userId - User ID
+ * @returns {Promise<{channels: object, quietHours: object, timezone: string, digest: object}>}
+ */
+export const getPreferences = async (userId) => toPreferences((await getPreferencesRow(userId)) ?? DEFAULT_ROW);
+
+/**
+ * Change some of a user's notification preferences. Channel settings are
+ * merged into what the user already has, per type and channel.
+ * @param {string} userId - User ID
+ * @param {object} changes
+ * @param {object} [changes.channels] - { [type]: { [channel]: boolean } }
+ * @param {object} [changes.quietHours] - { enabled, start, end }
+ * @param {string} [changes.timezone]
+ * @param {object} [changes.digest] - { enabled, time }
+ * @returns {Promise<object>} Updated preferences
+ */
+export const updatePreferences = async (userId, { channels, quietHours = {}, timezone, digest = {} }) => {
+  const current = (await getPreferencesRow(userId)) ?? DEFAULT_ROW;
+
+  const mergedChannels = { ...current.channels };
+  Object.entries(channels ?? {}).forEach(([type, settings]) => {
+    const known = Object.entries(settings).filter(([channel]) => CHANNELS.includes(channel));
+    mergedChannels[type] = { ...mergedChannels[type], ...Object.fromEntries(known) };
+  });
+
+  const { data: row, error } = await supabaseAdmin
+    .from('notification_preferences')
+    .upsert(
+      {
+        user_id: userId,
+        channels: mergedChannels,
+        quiet_hours_enabled: quietHours.enabled ?? current.quiet_hours_enabled,
+        quiet_hours_start: quietHours.start ?? current.quiet_hours_start,
+        quiet_hours_end: quietHours.end ?? current.quiet_hours_end,
+        timezone: timezone ?? current.timezone,
+        digest_enabled: digest.enabled ?? current.digest_enabled,
+        digest_time: digest.time ?? current.digest_time,
+      },
+      { onConflict: 'user_id' }
+    )
+    .select()
+    .single();
+
+  if (error) throw error;
+  return toPreferences(row);
+};
+
+export default {
+  isValidTimezone,
+  nextLocalTime,
+  isQuietHours,
+  getDeliverySchedule,
+  getPreferences,
+  updatePreferences,
+};
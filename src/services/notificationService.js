@@ -0,0 +1,317 @@
+import { supabaseAdmin } from './supabase.js';
+import { applyKeyset, toPage } from './pagination.js';
+import { sendPushToUser } from './pushService.js';
+import { sendSms } from './smsService.js';
+import { sendEmail } from './emailService.js';
+import { EXTERNAL_CHANNELS, NOTIFICATION_TYPES, TYPE_DEFAULTS } from './notificationTypes.js';
+import { getDeliverySchedule, getPreferences } from './notificationPreferences.js';
+
+export { NOTIFICATION_TYPES, PRIORITIES } from './notificationTypes.js';
+
+// Socket.IO server used for real-time delivery, set once at startup
+let io = null;
+
+/**
+ * Use this Socket.IO server to push new notifications to `user_<id>` rooms
+ * @param {import('socket.io').Server} server
+ */
+export const setNotificationSocket = (server) => {
+  io = server;
+};
+
+/**
+ * Room a user's sockets join to receive their notifications
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+export const userRoom = (userId) => `user_${userId}`;
+
+const getContact = async (userId) => {
+  const { data: user, error } = await supabaseAdmin
+    .from('users')
+    .select('phone_number, email')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+  return user;
+};
+
+/**
+ * Send a notification on one push/SMS/email channel right now
+ * @param {'push'|'sms'|'email'} channel
+ * @param {string} userId - Recipient
+ * @param {{title: string, message: string, data: object}} notification
+ */
+const deliver = async (channel, userId, { title, message, data }) => {
+  if (channel === 'push') {
+    await sendPushToUser(userId, { title, body: message, data });
+    return;
+  }
+
+  const user = await getContact(userId);
+  let result = null;
+  if (channel === 'sms' && user.phone_number) {
+    result = await sendSms(user.phone_number, `Hustlrs: ${message}`);
+  } else if (channel === 'email' && user.email) {
+    result = await sendEmail(user.email, title, message);
+  }
+
+  // SMS and email report failures instead of throwing
+  if (result && !result.success) {
+    throw new Error(result.error || result.message);
+  }
+};
+
+/**
+ * Store a notification, send it to the user's sockets and on to the push, SMS
+ * and email channels the user has on for its type. Outside channels wait for
+ * the end of quiet hours, or for the daily digest if the event is low priority,
+ * and otherwise go out without being awaited. Failures are logged rather than
+ * thrown so a notification can never break the action that triggered it.
+ * @param {object} notification
+ * @param {string} notification.userId - Recipient
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} notification.title
+ * @param {string} notification.message
+ * @param {string} [notification.taskId]
+ * @param {string} [notification.chatId]
+ * @param {object} [notification.data] - Extra deep-link data
+ * @param {string} [notification.priority] - One of PRIORITIES, defaults by type
+ * @returns {Promise<object|null>} Notification row, or null if it wasn't stored
+ */
+export const notify = async ({
+  userId,
+  type,
+  title,
+  message,
+  taskId = null,
+  chatId = null,
+  data = {},
+  priority,
+}) => {
+  try {
+    const preferences = await getPreferences(userId);
+    const channels = preferences.channels[type];
+    let notification = null;
+
+    if (channels.inApp) {
+      const { data: row, error } = await supabaseAdmin
+        .from('notifications')
+        .insert({
+          user_id: userId,
+          type,
+          title,
+          message,
+          task_id: taskId,
+          chat_id: chatId,
+          data,
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      notification = row;
+
+      if (io) {
+        io.to(userRoom(userId)).emit('notification', notification);
+      }
+    }
+
+    const external = EXTERNAL_CHANNELS.filter((channel) => channels[channel]);
+    if (external.length === 0) return notification;
+
+    const outgoing = {
+      title,
+      message,
+      data: { ...data, notificationId: notification?.id ?? null, type, taskId, chatId },
+    };
+    const schedule = getDeliverySchedule(preferences, priority || TYPE_DEFAULTS[type].priority);
+
+    if (schedule) {
+      const { error } = await supabaseAdmin.from('notification_queue').insert(
+        external.map((channel) => ({
+          user_id: userId,
+          notification_id: notification?.id ?? null,
+          channel,
+          kind: schedule.kind,
+          type,
+          title,
+          message,
+          data: outgoing.data,
+          deliver_after: schedule.deliverAfter.toISOString(),
+        }))
+      );
+      if (error) throw error;
+    } else {
+      external.forEach((channel) => {
+        deliver(channel, userId, outgoing)
+          .catch((error) => console.error(`Notification ${channel} delivery error:`, error));
+      });
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return null;
+  }
+};
+
+/**
+ * Send queued notifications that are due: those held back by quiet hours one
+ * by one, and digest items as one message per user and channel. Items are
+ * only marked sent once delivered; a failed send is picked up again when its
+ * claim runs out. Run periodically.
+ * @returns {Promise<number>} Number of queued notifications handled
+ */
+export const deliverQueuedNotifications = async () => {
+  const { data: due, error } = await supabaseAdmin.rpc('claim_notification_queue');
+  if (error) throw error;
+
+  const digests = new Map();
+  const sends = [];
+
+  due.forEach((item) => {
+    if (item.kind === 'DIGEST') {
+      const key = `${item.user_id}:${item.channel}`;
+      if (!digests.has(key)) digests.set(key, []);
+      digests.get(key).push(item);
+    } else {
+      sends.push([item.channel, item.user_id, item, [item.id]]);
+    }
+  });
+
+  digests.forEach((items) => {
+    const { channel, user_id: userId } = items[0];
+    sends.push([channel, userId, {
+      title: `You have ${items.length} new update${items.length === 1 ? '' : 's'}`,
+      message: items.map((item) => item.message).join('\n'),
+      data: {
+        type: 'DIGEST',
+        notificationIds: items.map((item) => item.notification_id).filter(Boolean),
+      },
+    }, items.map((item) => item.id)]);
+  });
+
+  const sentIds = [];
+  for (const [channel, userId, notification, queueIds] of sends) {
+    try {
+      await deliver(channel, userId, notification);
+      sentIds.push(...queueIds);
+    } catch (sendError) {
+      console.error(`Queued notification ${channel} delivery error:`, sendError);
+    }
+  }
+
+  if (sentIds.length > 0) {
+    const { error: markError } = await supabaseAdmin
+      .from('notification_queue')
+      .update({ sent_at: new Date().toISOString() })
+      .in('id', sentIds);
+
+    if (markError) throw markError;
+  }
+
+  return due.length;
+};
+
+/**
+ * Send the same notification to several users
+ * @param {string[]} userIds - Recipients
+ * @param {object} notification - As for notify, without userId
+ * @returns {Promise<Array<object|null>>}
+ */
+export const notifyMany = (userIds, notification) => Promise.all(
+  [...new Set(userIds)].map((userId) => notify({ ...notification, userId }))
+);
+
+/**
+ * Number of unread notifications
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+export const getUnreadCount = async (userId) => {
+  const { count, error } = await supabaseAdmin
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('is_read', false);
+
+  if (error) throw error;
+  return count || 0;
+};
+
+/**
+ * A page of a user's notifications, newest first
+ * @param {string} userId - User ID
+ * @param {object} [options]
+ * @param {object|null} [options.cursor] - Decoded cursor from the previous page
+ * @param {number} [options.limit=20]
+ * @param {boolean} [options.unreadOnly=false]
+ * @returns {Promise<{data: object[], nextCursor: string|null, hasMore: boolean, unreadCount: number}>}
+ */
+export const getNotifications = async (userId, { cursor = null, limit = 20, unreadOnly = false } = {}) => {
+  let notificationsQuery = supabaseAdmin
+    .from('notifications')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (unreadOnly) notificationsQuery = notificationsQuery.eq('is_read', false);
+
+  const [{ data: notifications, error }, unreadCount] = await Promise.all([
+    applyKeyset(notificationsQuery, { cursor, limit }),
+    getUnreadCount(userId),
+  ]);
+
+  if (error) throw error;
+  return { ...toPage(notifications, limit), unreadCount };
+};
+
+/**
+ * Mark some of a user's notifications as read
+ * @param {string} userId - User ID
+ * @param {string[]} notificationIds
+ * @returns {Promise<number>} Number of notifications that were unread
+ */
+export const markRead = async (userId, notificationIds) => {
+  const { data, error } = await supabaseAdmin
+    .from('notifications')
+    .update({ is_read: true, read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('is_read', false)
+    .in('id', notificationIds)
+    .select('id');
+
+  if (error) throw error;
+  return data.length;
+};
+
+/**
+ * Mark all of a user's notifications as read
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of notifications that were unread
+ */
+export const markAllRead = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('notifications')
+    .update({ is_read: true, read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('is_read', false)
+    .select('id');
+
+  if (error) throw error;
+  return data.length;
+};
+
+export default {
+  NOTIFICATION_TYPES,
+  setNotificationSocket,
+  userRoom,
+  notify,
+  notifyMany,
+  deliverQueuedNotifications,
+  getUnreadCount,
+  getNotifications,
+  markRead,
+  markAllRead,
+};
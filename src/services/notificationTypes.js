@@ -0,0 +1,39 @@
+// Notification types, the channels they can go out on and how each type is
+// delivered unless the user says otherwise
+
+export const NOTIFICATION_TYPES = {
+  TASK_ASSIGNED: 'TASK_ASSIGNED',
+  TASK_COMPLETED: 'TASK_COMPLETED',
+  TASK_UPDATED: 'TASK_UPDATED',
+  NEW_MESSAGE: 'NEW_MESSAGE',
+  PAYMENT_RECEIVED: 'PAYMENT_RECEIVED',
+  PAYOUT_UPDATED: 'PAYOUT_UPDATED',
+  REVIEW_RECEIVED: 'REVIEW_RECEIVED',
+  SECURITY_ALERT: 'SECURITY_ALERT',
+  SYSTEM: 'SYSTEM',
+};
+
+// inApp is the notification center; the others reach the user outside the app
+export const CHANNELS = ['inApp', 'push', 'sms', 'email'];
+export const EXTERNAL_CHANNELS = ['push', 'sms', 'email'];
+
+export const PRIORITIES = {
+  HIGH: 'HIGH',
+  LOW: 'LOW',
+};
+
+const on = (...channels) => Object.fromEntries(CHANNELS.map((channel) => [channel, channels.includes(channel)]));
+
+// Default channels and priority per type. LOW priority events go into the
+// daily digest instead of being sent one by one.
+export const TYPE_DEFAULTS = {
+  [NOTIFICATION_TYPES.TASK_ASSIGNED]: { channels: on('inApp', 'push'), priority: PRIORITIES.HIGH },
+  [NOTIFICATION_TYPES.TASK_COMPLETED]: { channels: on('inApp', 'push'), priority: PRIORITIES.HIGH },
+  [NOTIFICATION_TYPES.TASK_UPDATED]: { channels: on('inApp', 'push'), priority: PRIORITIES.LOW },
+  [NOTIFICATION_TYPES.NEW_MESSAGE]: { channels: on('inApp', 'push'), priority: PRIORITIES.HIGH },
+  [NOTIFICATION_TYPES.PAYMENT_RECEIVED]: { channels: on('inApp', 'push'), priority: PRIORITIES.HIGH },
+  [NOTIFICATION_TYPES.PAYOUT_UPDATED]: { channels: on('inApp', 'push', 'sms'), priority: PRIORITIES.HIGH },
+  [NOTIFICATION_TYPES.REVIEW_RECEIVED]: { channels: on('inApp', 'push'), priority: PRIORITIES.LOW },
+  [NOTIFICATION_TYPES.SECURITY_ALERT]: { channels: on('inApp', 'push', 'email'), priority: PRIORITIES.HIGH },
+  [NOTIFICATION_TYPES.SYSTEM]: { channels: on('inApp'), priority: PRIORITIES.HIGH },
+};
@@ -0,0 +1,28 @@
+import postgresStore from './postgres.js';
+import memoryStore from './memory.js';
+
+/**
+ * OTP stores by name. Each store implements:
+ * - find(destination, purpose) -> { id, codeHash, attempts, expiresAt, lockedUntil, consumedAt } | null
+ * - save({ destination, purpose, codeHash, expiresAt }) -> record, replacing any code for the pair
+ * - incrementAttempts(id) -> attempts after counting this one, or null if the code is gone
+ * - lock(id, until)
+ * - consume(id) -> false if the code was already used
+ * - logRequest({ destination, purpose, ip })
+ * - lastRequestAt(destination) -> Date | null
+ * - countRequestsFromIp(ip, since) -> number
+ * - purge(before) - drop codes and requests that no longer matter
+ */
+const stores = {
+  [postgresStore.name]: postgresStore,
+  [memoryStore.name]: memoryStore,
+};
+
+/**
+ * Get an OTP store by name
+ * @param {string} [name] - Store name, defaults to OTP_STORE
+ * @returns {object|undefined}
+ */
+export const getOtpStore = (name = process.env.OTP_STORE || 'postgres') => stores[name];
+
+export { postgresStore, memoryStore };
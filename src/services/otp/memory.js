@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+
+// In-process OTP store for tests and local development. Codes are lost on
+// restart and not shared between instances, so don't use it in production.
+
+// Codes by `${destination}:${purpose}`
+const codes = new Map();
+// Send log, oldest first
+let requests = [];
+
+const key = (destination, purpose) => `${destination}:${purpose}`;
+
+const findById = (id) => [...codes.values()].find((record) => record.id === id);
+
+const memoryStore = {
+  name: 'memory',
+
+  find: async (destination, purpose) => {
+    const record = codes.get(key(destination, purpose));
+    return record ? { ...record } : null;
+  },
+
+  save: async ({ destination, purpose, codeHash, expiresAt }) => {
+    const record = {
+      id: crypto.randomUUID(),
+      codeHash,
+      attempts: 0,
+      expiresAt,
+      lockedUntil: null,
+      consumedAt: null,
+    };
+    codes.set(key(destination, purpose), record);
+    return { ...record };
+  },
+
+  incrementAttempts: async (id) => {
+    const record = findById(id);
+    if (!record) return null;
+    record.attempts += 1;
+    return record.attempts;
+  },
+
+  lock: async (id, until) => {
+    const record = findById(id);
+    if (record) record.lockedUntil = until;
+  },
+
+  consume: async (id) => {
+    const record = findById(id);
+    if (!record || record.consumedAt) return false;
+    record.consumedAt = new Date();
+    return true;
+  },
+
+  logRequest: async ({ destination, purpose, ip }) => {
+    requests.push({ destination, purpose, ip, createdAt: new Date() });
+  },
+
+  lastRequestAt: async (destination) => {
+    const last = requests.filter((request) => request.destination === destination).pop();
+    return last ? last.createdAt : null;
+  },
+
+  countRequestsFromIp: async (ip, since) => (
+    requests.filter((request) => request.ip === ip && request.createdAt >= since).length
+  ),
+
+  purge: async (before) => {
+    codes.forEach((record, recordKey) => {
+      if (record.expiresAt < before && (!record.lockedUntil || record.lockedUntil < before)) {
+        codes.delete(recordKey);
+      }
+    });
+    requests = requests.filter((request) => request.createdAt >= before);
+  },
+
+  /**
+   * Forget every code and request, e.g. between tests
+   */
+  reset: () => {
+    codes.clear();
+    requests = [];
+  },
+};
+
+export default memoryStore;
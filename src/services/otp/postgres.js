@@ -0,0 +1,125 @@
+import { supabaseAdmin } from '../supabase.js';
+
+// OTP store backed by the otp_codes and otp_requests tables, shared by every
+// API instance.
+
+const toRecord = (row) => row && {
+  id: row.id,
+  codeHash: row.code_hash,
+  attempts: row.attempts,
+  expiresAt: new Date(row.expires_at),
+  lockedUntil: row.locked_until ? new Date(row.locked_until) : null,
+  consumedAt: row.consumed_at ? new Date(row.consumed_at) : null,
+};
+
+const postgresStore = {
+  name: 'postgres',
+
+  find: async (destination, purpose) => {
+    const { data, error } = await supabaseAdmin
+      .from('otp_codes')
+      .select('*')
+      .eq('destination', destination)
+      .eq('purpose', purpose)
+      .maybeSingle();
+
+    if (error) throw error;
+    return toRecord(data);
+  },
+
+  save: async ({ destination, purpose, codeHash, expiresAt }) => {
+    const { data, error } = await supabaseAdmin
+      .from('otp_codes')
+      .upsert({
+        destination,
+        purpose,
+        code_hash: codeHash,
+        attempts: 0,
+        expires_at: expiresAt.toISOString(),
+        locked_until: null,
+        consumed_at: null,
+        created_at: new Date().toISOString(),
+      }, { onConflict: 'destination,purpose' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return toRecord(data);
+  },
+
+  incrementAttempts: async (id) => {
+    const { data, error } = await supabaseAdmin.rpc('increment_otp_attempts', { p_otp_id: id });
+    if (error) throw error;
+    return data;
+  },
+
+  lock: async (id, until) => {
+    const { error } = await supabaseAdmin
+      .from('otp_codes')
+      .update({ locked_until: until.toISOString() })
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  consume: async (id) => {
+    const { data, error } = await supabaseAdmin
+      .from('otp_codes')
+      .update({ consumed_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('consumed_at', null)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  },
+
+  logRequest: async ({ destination, purpose, ip }) => {
+    const { error } = await supabaseAdmin
+      .from('otp_requests')
+      .insert({ destination, purpose, ip });
+
+    if (error) throw error;
+  },
+
+  lastRequestAt: async (destination) => {
+    const { data, error } = await supabaseAdmin
+      .from('otp_requests')
+      .select('created_at')
+      .eq('destination', destination)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? new Date(data.created_at) : null;
+  },
+
+  countRequestsFromIp: async (ip, since) => {
+    const { count, error } = await supabaseAdmin
+      .from('otp_requests')
+      .select('id', { count: 'exact', head: true })
+      .eq('ip', ip)
+      .gte('created_at', since.toISOString());
+
+    if (error) throw error;
+    return count || 0;
+  },
+
+  purge: async (before) => {
+    const cutoff = before.toISOString();
+    const [codes, requests] = await Promise.all([
+      supabaseAdmin
+        .from('otp_codes')
+        .delete()
+        .lt('expires_at', cutoff)
+        .or(`locked_until.is.null,locked_until.lt.${cutoff}`),
+      supabaseAdmin.from('otp_requests').delete().lt('created_at', cutoff),
+    ]);
+
+    if (codes.error) throw codes.error;
+    if (requests.error) throw requests.error;
+  },
+};
+
+export default postgresStore;
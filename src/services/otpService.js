@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import { getOtpStore } from './otp/index.js';
+import { sendSms } from './smsService.js';
+import { sendEmail } from './emailService.js';
+
+export const OTP_PURPOSES = Object.freeze({
+  SIGNUP: 'SIGNUP',
+  INACTIVITY: 'INACTIVITY',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  PHONE_CHANGE: 'PHONE_CHANGE',
+});
+
+// How long a code is valid, wrong guesses before the destination is locked for
+// that purpose, and for how long
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || '10', 10);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+const OTP_LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES || '30', 10);
+// Minimum gap between codes sent to one destination, and codes one IP may
+// request per hour
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60', 10);
+const OTP_IP_HOURLY_LIMIT = parseInt(process.env.OTP_IP_HOURLY_LIMIT || '10', 10);
+
+const PURPOSE_TEXT = {
+  [OTP_PURPOSES.SIGNUP]: 'verification code',
+  [OTP_PURPOSES.INACTIVITY]: 'sign-in code',
+  [OTP_PURPOSES.PASSWORD_RESET]: 'password reset code',
+  [OTP_PURPOSES.PHONE_CHANGE]: 'phone change code',
+};
+
+export class OtpError extends Error {
+  constructor(statusCode, code, message, details = {}) {
+    super(message);
+    this.name = 'OtpError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const getStore = () => {
+  const store = getOtpStore();
+  if (!store) throw new Error(`Unknown OTP store: ${process.env.OTP_STORE}`);
+  return store;
+};
+
+const hashCode = (destination, purpose, code) => crypto
+  .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+  .update(`${destination}:${purpose}:${code}`)
+  .digest('hex');
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * The error for a code that was never sent or is used up
+ * @returns {OtpError}
+ */
+export const otpNotFoundError = () => new OtpError(
+  400,
+  'OTP_NOT_FOUND',
+  'Verification code not found. Please request a new one.',
+  { requiresResend: true }
+);
+
+const lockedError = (lockedUntil) => new OtpError(
+  429,
+  'OTP_LOCKED',
+  'Too many incorrect codes. Please try again later.',
+  { retryAfter: secondsUntil(lockedUntil) }
+);
+
+/**
+ * Generate a code, store its hash and send it. Refused while the destination is
+ * locked for this purpose, within the resend cooldown of the last code sent to
+ * it, or when the IP has hit its hourly limit.
+ * @param {object} request
+ * @param {string} request.destination - Phone number, or email address for the email channel
+ * @param {string} request.purpose - One of OTP_PURPOSES
+ * @param {'sms'|'email'} [request.channel='sms']
+ * @param {string} [request.ip] - Requesting IP address
+ * @returns {Promise<{expiresAt: Date}>}
+ */
+export const requestOtp = async ({ destination, purpose, channel = 'sms', ip = null }) => {
+  const store = getStore();
+  const now = new Date();
+
+  const existing = await store.find(destination, purpose);
+  if (existing?.lockedUntil && existing.lockedUntil > now) {
+    throw lockedError(existing.lockedUntil);
+  }
+
+  const lastRequestAt = await store.lastRequestAt(destination);
+  if (lastRequestAt) {
+    const nextAllowedAt = new Date(lastRequestAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000);
+    if (nextAllowedAt > now) {
+      throw new OtpError(429, 'OTP_COOLDOWN', 'Please wait before requesting another code', {
+        retryAfter: secondsUntil(nextAllowedAt),
+      });
+    }
+  }
+
+  if (ip) {
+    const sent = await store.countRequestsFromIp(ip, new Date(now.getTime() - 60 * 60 * 1000));
+    if (sent >= OTP_IP_HOURLY_LIMIT) {
+      throw new OtpError(429, 'OTP_RATE_LIMITED', 'Too many codes requested. Please try again later.', {
+        retryAfter: 60 * 60,
+      });
+    }
+  }
+
+  const code = crypto.randomInt(100000, 1000000).toString();
+  const expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000);
+  await store.save({ destination, purpose, codeHash: hashCode(destination, purpose, code), expiresAt });
+
+  const text = `Your Hustlrs ${PURPOSE_TEXT[purpose]} is: ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`;
+  const result = channel === 'email'
+    ? await sendEmail(destination, `Your Hustlrs ${PURPOSE_TEXT[purpose]}`, text)
+    : await sendSms(destination, text);
+
+  if (!result.success) {
+    throw new OtpError(502, 'OTP_DELIVERY_FAILED', 'Failed to send verification code. Please try again.');
+  }
+
+  await store.logRequest({ destination, purpose, ip });
+  return { expiresAt };
+};
+
+/**
+ * Check a code and use it up. Every guess counts towards OTP_MAX_ATTEMPTS
+ * before it is checked, so parallel guesses can't get past the limit; a wrong
+ * guess that reaches it locks the destination for this purpose.
+ * @param {object} attempt
+ * @param {string} attempt.destination - Where the code was sent
+ * @param {string} attempt.purpose - One of OTP_PURPOSES
+ * @param {string} attempt.code - Code the user entered
+ * @returns {Promise<true>}
+ * @throws {OtpError} If the code is missing, expired, wrong or locked
+ */
+export const verifyOtp = async ({ destination, purpose, code }) => {
+  const store = getStore();
+  const now = new Date();
+  const record = await store.find(destination, purpose);
+
+  if (record?.lockedUntil && record.lockedUntil > now) {
+    throw lockedError(record.lockedUntil);
+  }
+
+  if (!record || record.consumedAt) {
+    throw otpNotFoundError();
+  }
+
+  if (record.expiresAt <= now) {
+    throw new OtpError(400, 'OTP_EXPIRED', 'Verification code has expired', { requiresResend: true });
+  }
+
+  const attempts = await store.incrementAttempts(record.id);
+  if (attempts === null) {
+    throw otpNotFoundError();
+  }
+
+  const lock = async () => {
+    const lockedUntil = new Date(now.getTime() + OTP_LOCKOUT_MINUTES * 60 * 1000);
+    await store.lock(record.id, lockedUntil);
+    return lockedError(lockedUntil);
+  };
+
+  if (attempts > OTP_MAX_ATTEMPTS) {
+    throw await lock();
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const given = Buffer.from(hashCode(destination, purpose, String(code)), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, given)) {
+    if (attempts >= OTP_MAX_ATTEMPTS) {
+      throw await lock();
+    }
+
+    throw new OtpError(400, 'OTP_INVALID', 'Invalid verification code', {
+      attemptsRemaining: OTP_MAX_ATTEMPTS - attempts,
+    });
+  }
+
+  if (!(await store.consume(record.id))) {
+    throw otpNotFoundError();
+  }
+
+  return true;
+};
+
+/**
+ * Drop codes and send logs that can no longer affect a check. Run periodically.
+ */
+export const purgeExpiredOtps = async () => {
+  // Keep a day of send log so the hourly IP limit always has its window
+  await getStore().purge(new Date(Date.now() - 24 * 60 * 60 * 1000));
+};
+
+export default {
+  OTP_PURPOSES,
+  OtpError,
+  otpNotFoundError,
+  requestOtp,
+  verifyOtp,
+  purgeExpiredOtps,
+};
@@ -0,0 +1,130 @@
+import { query } from 'express-validator';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encode a cursor. Cursors are opaque to clients: base64url JSON.
+ * @param {object} payload
+ * @returns {string}
+ */
+export const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} [cursor]
+ * @returns {object|null} Payload, or null if the cursor is missing or malformed
+ */
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch {
+    return null;
+  }
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const KEY_VALUE_PATTERN = /^[0-9A-Za-z:.+\- ]{1,40}$/;
+
+// Cursors end up in PostgREST filter strings, so only accept the shape the
+// endpoint issues: a keyset position {v, id} or an offset {o}.
+const isValidCursor = (payload, kind) => {
+  if (!payload) return false;
+  if (kind === 'offset') return Number.isInteger(payload.o) && payload.o >= 0;
+  return UUID_PATTERN.test(String(payload.id)) && KEY_VALUE_PATTERN.test(String(payload.v));
+};
+
+/**
+ * Validators for the `cursor` and `limit` query parameters
+ * @param {number} [maxPageSize=MAX_PAGE_SIZE]
+ * @param {'keyset'|'offset'} [kind='keyset'] - Cursor shape the endpoint issues
+ */
+export const paginationValidators = (maxPageSize = MAX_PAGE_SIZE, kind = 'keyset') => [
+  query('cursor').optional().isString().custom((cursor) => isValidCursor(decodeCursor(cursor), kind)).withMessage('Invalid cursor'),
+  query('limit').optional().isInt({ min: 1, max: maxPageSize }),
+];
+
+/**
+ * Page parameters from a validated request
+ * @param {import('express').Request} req
+ * @param {number} [defaultLimit=DEFAULT_PAGE_SIZE]
+ * @returns {{cursor: object|null, limit: number}}
+ */
+export const getPageParams = (req, defaultLimit = DEFAULT_PAGE_SIZE) => ({
+  cursor: decodeCursor(req.query.cursor),
+  limit: req.query.limit ? parseInt(req.query.limit, 10) : defaultLimit,
+});
+
+/**
+ * Apply (created_at, id) keyset pagination to a Supabase query, newest first
+ * unless `ascending`. Fetches one row more than `limit` so toPage can tell
+ * whether there is another page.
+ * @param {object} builder - Supabase filter builder
+ * @param {object} page
+ * @param {object|null} page.cursor - Decoded cursor from the previous page
+ * @param {number} page.limit
+ * @param {boolean} [page.ascending=false]
+ * @param {string} [page.column='created_at']
+ */
+export const applyKeyset = (builder, { cursor, limit, ascending = false, column = 'created_at' }) => {
+  let keyed = builder;
+  if (cursor) {
+    const op = ascending ? 'gt' : 'lt';
+    keyed = keyed.or(`${column}.${op}."${cursor.v}",and(${column}.eq."${cursor.v}",id.${op}.${cursor.id})`);
+  }
+  return keyed
+    .order(column, { ascending })
+    .order('id', { ascending })
+    .limit(limit + 1);
+};
+
+/**
+ * Build the response envelope from rows fetched with applyKeyset
+ * @param {object[]} rows - Up to limit + 1 rows
+ * @param {number} limit
+ * @param {string} [column='created_at'] - Keyset column
+ * @returns {{data: object[], nextCursor: string|null, hasMore: boolean}}
+ */
+export const toPage = (rows, limit, column = 'created_at') => {
+  const hasMore = rows.length > limit;
+  const data = rows.slice(0, limit);
+  const last = data[data.length - 1];
+
+  return {
+    data,
+    nextCursor: hasMore ? encodeCursor({ v: last[column], id: last.id }) : null,
+    hasMore,
+  };
+};
+
+/**
+ * Build the response envelope for an offset-paginated list, for orderings
+ * that aren't a stable keyset
+ * @param {object[]} rows - Up to limit + 1 rows, starting at offset
+ * @param {number} limit
+ * @param {number} offset - Offset of the first row
+ * @returns {{data: object[], nextCursor: string|null, hasMore: boolean}}
+ */
+export const toOffsetPage = (rows, limit, offset) => {
+  const hasMore = rows.length > limit;
+
+  return {
+    data: rows.slice(0, limit),
+    nextCursor: hasMore ? encodeCursor({ o: offset + limit }) : null,
+    hasMore,
+  };
+};
+
+export default {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  paginationValidators,
+  getPageParams,
+  applyKeyset,
+  toPage,
+  toOffsetPage,
+};
@@ -0,0 +1,49 @@
+import bcrypt from 'bcryptjs';
+import { supabaseAdmin } from './supabase.js';
+import { revokeAllSessions } from './sessionService.js';
+
+/**
+ * Hash a password for users.password_hash
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string|null} hash - users.password_hash
+ * @returns {Promise<boolean>} False when the user has no password
+ */
+export const verifyPassword = async (password, hash) => {
+  if (!hash) return false;
+  return bcrypt.compare(password, hash);
+};
+
+/**
+ * Set a user's password and sign out their sessions
+ * @param {string} userId - User ID
+ * @param {string} password - New password
+ * @param {object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep signed in
+ * @param {string} [options.reason='PASSWORD_CHANGED'] - Recorded on the revoked sessions
+ * @returns {Promise<number>} Number of sessions signed out
+ */
+export const updatePassword = async (userId, password, { exceptSessionId = null, reason = 'PASSWORD_CHANGED' } = {}) => {
+  const { error } = await supabaseAdmin
+    .from('users')
+    .update({ password_hash: await hashPassword(password) })
+    .eq('id', userId);
+
+  if (error) throw error;
+  return revokeAllSessions(userId, { exceptSessionId, reason });
+};
+
+export default {
+  hashPassword,
+  verifyPassword,
+  updatePassword,
+};
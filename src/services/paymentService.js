@@ -0,0 +1,326 @@
+import { v4 as uuidv4 } from 'uuid';
+import { supabaseAdmin } from './supabase.js';
+import { getPaymentProvider } from './payments/index.js';
+import { applyTransferResult } from './payoutService.js';
+import { NOTIFICATION_TYPES, notify } from './notificationService.js';
+import { formatNaira } from './currency.js';
+
+// Pending top-ups older than this are worth asking the provider about
+const STALE_PENDING_MS = 30 * 60 * 1000; // 30 minutes
+
+/**
+ * Start a wallet top-up with the configured provider
+ * @param {object} user - Authenticated user (id, email)
+ * @param {object} params
+ * @param {number} params.amount - Amount in kobo
+ * @param {'CARD'|'BANK_TRANSFER'} params.channel - Payment channel
+ * @returns {Promise<{payment: object, checkout: object}>}
+ */
+export const createTopUp = async (user, { amount, channel }) => {
+  const provider = getPaymentProvider();
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${process.env.PAYMENT_PROVIDER}`);
+  }
+
+  const reference = `top_${uuidv4().replace(/-/g, '')}`;
+
+  const { data: payment, error } = await supabaseAdmin
+    .from('payment_transactions')
+    .insert({
+      user_id: user.id,
+      provider: provider.name,
+      reference,
+      channel,
+      amount,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const checkout = await provider.initializeTopUp({
+    reference,
+    amount,
+    email: user.email,
+    channel,
+  });
+
+  const { data: updatedPayment, error: updateError } = await supabaseAdmin
+    .from('payment_transactions')
+    .update({ provider_reference: checkout.providerReference })
+    .eq('id', payment.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  return { payment: updatedPayment, checkout };
+};
+
+// Provider results settle_payment_transaction and transition_payout refuse to
+// apply. Redelivering them won't help, so webhooks carrying them are recorded
+// as failed for reconciliation instead of being retried.
+const REJECTED_RESULTS = ['PROVIDER_MISMATCH', 'AMOUNT_MISMATCH', 'PAYMENT_NOT_PENDING', 'INVALID_TRANSITION'];
+
+/**
+ * Apply a provider result to a top-up, crediting the wallet on success
+ * @param {string} reference - Our transaction reference
+ * @param {object} result
+ * @param {string} result.provider - Provider reporting the result; must be the top-up's
+ * @param {string} result.status - SUCCESS, FAILED, ABANDONED or PENDING
+ * @param {number} [result.amount] - Amount the provider reports as paid, in kobo; must be the top-up's
+ * @param {string} [result.providerReference]
+ * @returns {Promise<object>} Updated payment transaction
+ * @throws {Error} PAYMENT_NOT_FOUND, or one of REJECTED_RESULTS
+ */
+export const settleTopUp = async (reference, { provider, status, amount, providerReference }) => {
+  const { data: before, error: fetchError } = await supabaseAdmin
+    .from('payment_transactions')
+    .select('status')
+    .eq('reference', reference)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  const { data, error } = await supabaseAdmin.rpc('settle_payment_transaction', {
+    p_reference: reference,
+    p_provider: provider,
+    p_status: status,
+    p_amount_received: amount ?? null,
+    p_provider_reference: providerReference ?? null,
+  });
+
+  if (error) throw error;
+
+  if (data.status === 'SUCCESS' && before?.status !== 'SUCCESS') {
+    const credited = Number(data.amount_received ?? data.amount);
+    await notify({
+      userId: data.user_id,
+      type: NOTIFICATION_TYPES.PAYMENT_RECEIVED,
+      title: 'Wallet topped up',
+      message: `${formatNaira(credited)} has been added to your wallet.`,
+      data: { reference: data.reference },
+    });
+  }
+  return data;
+};
+
+/**
+ * Ask the provider for the latest state of a pending top-up and settle it
+ * @param {object} payment - Payment transaction row
+ * @returns {Promise<object>} Payment transaction row
+ */
+export const refreshTopUp = async (payment) => {
+  if (payment.status !== 'PENDING') return payment;
+
+  const provider = getPaymentProvider(payment.provider);
+  const result = await provider.fetchTransaction(payment.reference);
+  if (result.status === 'PENDING') return payment;
+
+  return settleTopUp(payment.reference, { ...result, provider: provider.name });
+};
+
+/**
+ * Verify, record and apply a provider webhook (top-up charges and payout
+ * transfers). Deliveries are de-duplicated on the provider's event key and
+ * ledger postings on the transaction reference.
+ * @param {string} providerName - Provider the webhook claims to come from
+ * @param {Buffer} rawBody - Unparsed request body, used for the signature
+ * @param {object} headers - Request headers
+ * @param {object} payload - Parsed request body
+ * @returns {Promise<{outcome: 'invalid_signature'|'unknown_provider'|'duplicate'|'ignored'|'rejected'|'processed'}>}
+ */
+export const handleWebhook = async (providerName, rawBody, headers, payload) => {
+  const provider = getPaymentProvider(providerName);
+  if (!provider) return { outcome: 'unknown_provider' };
+  if (!provider.verifyWebhook(rawBody, headers)) return { outcome: 'invalid_signature' };
+
+  const event = { ...provider.parseWebhook(payload), provider: provider.name };
+
+  let { data: storedEvent, error: insertError } = await supabaseAdmin
+    .from('payment_events')
+    .insert({
+      provider: provider.name,
+      event_key: event.eventKey,
+      event_type: event.eventType,
+      reference: event.reference,
+      payload,
+    })
+    .select('id')
+    .single();
+
+  if (insertError) {
+    if (insertError.code !== '23505') throw insertError;
+
+    // Redelivery: only skip it if the first attempt went through
+    const { data: existingEvent, error: fetchError } = await supabaseAdmin
+      .from('payment_events')
+      .select('id, processed_at, error')
+      .eq('provider', provider.name)
+      .eq('event_key', event.eventKey)
+      .single();
+
+    if (fetchError) throw fetchError;
+    if (existingEvent.processed_at && !existingEvent.error) return { outcome: 'duplicate' };
+    storedEvent = existingEvent;
+  }
+
+  let outcome = 'ignored';
+  let processingError = null;
+
+  try {
+    if (event.reference && event.status) {
+      if (event.kind === 'transfer') {
+        await applyTransferResult(event.reference, event);
+      } else {
+        await settleTopUp(event.reference, event);
+      }
+      outcome = 'processed';
+    }
+  } catch (error) {
+    if (REJECTED_RESULTS.includes(error.message)) {
+      console.warn(`Rejected ${provider.name} webhook for ${event.reference}: ${error.message}`);
+      processingError = error.message;
+      outcome = 'rejected';
+    } else if (!['PAYMENT_NOT_FOUND', 'PAYOUT_NOT_FOUND'].includes(error.message)) {
+      // Not one of our top-ups or payouts; the reconciliation report lists these
+      processingError = error.message;
+      throw error;
+    }
+  } finally {
+    await supabaseAdmin
+      .from('payment_events')
+      .update({ processed_at: new Date().toISOString(), error: processingError })
+      .eq('id', storedEvent.id);
+  }
+
+  return { outcome };
+};
+
+/**
+ * Compare payment transactions, provider webhooks and ledger entries and list
+ * everything that doesn't line up
+ * @param {object} [options]
+ * @param {string} [options.from] - ISO date, inclusive
+ * @param {string} [options.to] - ISO date, exclusive
+ * @param {boolean} [options.verifyWithProvider=false] - Also ask the provider about stale pending top-ups
+ * @returns {Promise<{period: object, totals: object, mismatches: object[]}>}
+ */
+export const buildReconciliationReport = async ({ from, to, verifyWithProvider = false } = {}) => {
+  const inPeriod = (query) => {
+    let scoped = query;
+    if (from) scoped = scoped.gte('created_at', from);
+    if (to) scoped = scoped.lt('created_at', to);
+    return scoped;
+  };
+
+  const [paymentsResult, entriesResult, eventsResult] = await Promise.all([
+    inPeriod(supabaseAdmin.from('payment_transactions').select('*')),
+    inPeriod(
+      supabaseAdmin
+        .from('journal_entries')
+        .select('id, idempotency_key, metadata, created_at, lines:journal_lines(account_id, amount)')
+        .eq('entry_type', 'TOP_UP')
+    ),
+    inPeriod(supabaseAdmin.from('payment_events').select('*')),
+  ]);
+
+  if (paymentsResult.error) throw paymentsResult.error;
+  if (entriesResult.error) throw entriesResult.error;
+  if (eventsResult.error) throw eventsResult.error;
+
+  const payments = paymentsResult.data;
+  const entries = entriesResult.data;
+  const events = eventsResult.data;
+
+  const paymentsByReference = new Map(payments.map((payment) => [payment.reference, payment]));
+  const entriesById = new Map(entries.map((entry) => [entry.id, entry]));
+  const mismatches = [];
+
+  const creditedAmount = (entry) => entry.lines
+    .filter((line) => line.amount > 0)
+    .reduce((sum, line) => sum + Number(line.amount), 0);
+
+  payments.forEach((payment) => {
+    if (payment.status === 'SUCCESS') {
+      const entry = entriesById.get(payment.journal_entry_id);
+      if (!entry) {
+        mismatches.push({ type: 'MISSING_LEDGER_ENTRY', reference: payment.reference, paymentId: payment.id });
+      } else if (creditedAmount(entry) !== Number(payment.amount_received)) {
+        mismatches.push({
+          type: 'LEDGER_AMOUNT_MISMATCH',
+          reference: payment.reference,
+          paymentAmount: Number(payment.amount_received),
+          ledgerAmount: creditedAmount(entry),
+        });
+      }
+      if (Number(payment.amount_received) !== Number(payment.amount)) {
+        mismatches.push({
+          type: 'AMOUNT_MISMATCH',
+          reference: payment.reference,
+          expectedAmount: Number(payment.amount),
+          receivedAmount: Number(payment.amount_received),
+        });
+      }
+    }
+  });
+
+  entries.forEach((entry) => {
+    const reference = entry.metadata?.reference;
+    const payment = paymentsByReference.get(reference);
+    if (!payment || payment.journal_entry_id !== entry.id) {
+      mismatches.push({ type: 'ORPHAN_LEDGER_ENTRY', entryId: entry.id, reference });
+    }
+  });
+
+  events.forEach((event) => {
+    if (event.error) {
+      mismatches.push({ type: 'FAILED_WEBHOOK', eventId: event.id, reference: event.reference, error: event.error });
+    } else if (event.reference && !paymentsByReference.has(event.reference)) {
+      mismatches.push({ type: 'UNKNOWN_REFERENCE', eventId: event.id, reference: event.reference });
+    }
+  });
+
+  if (verifyWithProvider) {
+    const stalePayments = payments.filter((payment) => payment.status === 'PENDING'
+      && Date.now() - new Date(payment.created_at).getTime() > STALE_PENDING_MS);
+
+    for (const payment of stalePayments) {
+      const provider = getPaymentProvider(payment.provider);
+      try {
+        const result = await provider.fetchTransaction(payment.reference);
+        if (result.status !== 'PENDING') {
+          mismatches.push({
+            type: 'PROVIDER_STATUS_MISMATCH',
+            reference: payment.reference,
+            localStatus: payment.status,
+            providerStatus: result.status,
+          });
+        }
+      } catch (error) {
+        mismatches.push({ type: 'PROVIDER_LOOKUP_FAILED', reference: payment.reference, error: error.message });
+      }
+    }
+  }
+
+  const successful = payments.filter((payment) => payment.status === 'SUCCESS');
+
+  return {
+    period: { from: from || null, to: to || null },
+    totals: {
+      payments: payments.length,
+      successful: successful.length,
+      amountReceived: successful.reduce((sum, payment) => sum + Number(payment.amount_received), 0),
+      amountCredited: entries.reduce((sum, entry) => sum + creditedAmount(entry), 0),
+    },
+    mismatches,
+  };
+};
+
+export default {
+  createTopUp,
+  settleTopUp,
+  refreshTopUp,
+  handleWebhook,
+  buildReconciliationReport,
+};
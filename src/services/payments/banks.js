@@ -0,0 +1,30 @@
+// Nigerian banks supported for payouts, keyed by CBN/NIBSS bank code
+export const NIGERIAN_BANKS = {
+  '044': 'Access Bank',
+  '023': 'Citibank Nigeria',
+  '050': 'Ecobank Nigeria',
+  '070': 'Fidelity Bank',
+  '011': 'First Bank of Nigeria',
+  '214': 'First City Monument Bank',
+  '058': 'Guaranty Trust Bank',
+  '030': 'Heritage Bank',
+  '301': 'Jaiz Bank',
+  '082': 'Keystone Bank',
+  '50211': 'Kuda Bank',
+  '50515': 'Moniepoint MFB',
+  '999992': 'OPay',
+  '999991': 'PalmPay',
+  '076': 'Polaris Bank',
+  '101': 'Providus Bank',
+  '221': 'Stanbic IBTC Bank',
+  '068': 'Standard Chartered Bank',
+  '232': 'Sterling Bank',
+  '100': 'Suntrust Bank',
+  '032': 'Union Bank of Nigeria',
+  '033': 'United Bank for Africa',
+  '215': 'Unity Bank',
+  '035': 'Wema Bank',
+  '057': 'Zenith Bank',
+};
+
+export default NIGERIAN_BANKS;
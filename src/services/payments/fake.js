@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+
+// Local stand-in for a payment provider, so top-ups can be exercised offline.
+// Payments are "completed" by calling simulatePayment, which produces a signed
+// webhook exactly like a real provider would deliver.
+
+const getSecret = () => {
+  if (!process.env.FAKE_PAYMENT_SECRET) {
+    throw new Error('FAKE_PAYMENT_SECRET is not set');
+  }
+  return process.env.FAKE_PAYMENT_SECRET;
+};
+
+const sign = (rawBody) => crypto
+  .createHmac('sha256', getSecret())
+  .update(rawBody)
+  .digest('hex');
+
+// Outcomes of simulated payments and transfers, looked up by fetchTransaction
+// and fetchTransfer
+const transactions = new Map();
+const transfers = new Map();
+
+const fakeProvider = {
+  name: 'fake',
+
+  initializeTopUp: async ({ reference, amount, channel }) => {
+    transactions.set(reference, { status: 'PENDING', amount });
+
+    return {
+      providerReference: `fake_${reference}`,
+      authorizationUrl: null,
+      simulateUrl: `/api/payments/fake/${reference}/complete`,
+      ...(channel === 'BANK_TRANSFER' && {
+        bankTransfer: {
+          bankName: 'Fake Bank',
+          accountNumber: '0000000000',
+          accountName: 'Hustlrs Top-up',
+        },
+      }),
+    };
+  },
+
+  verifyWebhook: (rawBody, headers) => {
+    const signature = headers['x-fake-signature'];
+    if (!signature || !rawBody) return false;
+
+    const expected = sign(rawBody);
+    return signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  },
+
+  parseWebhook: (payload) => ({
+    eventKey: payload.id,
+    eventType: payload.event,
+    kind: payload.event.startsWith('transfer.') ? 'transfer' : 'charge',
+    reference: payload.data.reference,
+    providerReference: `fake_${payload.data.reference}`,
+    status: payload.data.status,
+    amount: payload.data.amount,
+    reason: payload.data.reason || null,
+  }),
+
+  fetchTransaction: async (reference) => {
+    const transaction = transactions.get(reference) || { status: 'PENDING', amount: null };
+    return { ...transaction, providerReference: `fake_${reference}` };
+  },
+
+  // Any 10-digit account resolves to a predictable test name
+  resolveAccount: async ({ accountNumber }) => ({
+    accountName: `TEST ACCOUNT ${accountNumber.slice(-4)}`,
+  }),
+
+  initiateTransfer: async ({ reference }) => {
+    transfers.set(reference, { status: 'PENDING', reason: null });
+
+    return {
+      providerReference: `fake_${reference}`,
+      recipientCode: 'fake_recipient',
+    };
+  },
+
+  fetchTransfer: async (reference) => {
+    const transfer = transfers.get(reference);
+    if (!transfer) return { status: 'NOT_FOUND', reason: null, providerReference: null };
+    return { ...transfer, providerReference: `fake_${reference}` };
+  },
+
+  /**
+   * Build a signed webhook for a payment outcome
+   * @param {object} params
+   * @param {string} params.reference - Our transaction reference
+   * @param {number} params.amount - Amount paid, in kobo
+   * @param {'SUCCESS'|'FAILED'} [params.status='SUCCESS']
+   * @returns {{rawBody: Buffer, headers: object}}
+   */
+  simulatePayment: ({ reference, amount, status = 'SUCCESS' }) => {
+    transactions.set(reference, { status, amount });
+
+    const rawBody = Buffer.from(JSON.stringify({
+      id: crypto.randomUUID(),
+      event: status === 'SUCCESS' ? 'charge.success' : 'charge.failed',
+      data: { reference, amount, status },
+    }));
+
+    return { rawBody, headers: { 'x-fake-signature': sign(rawBody) } };
+  },
+
+  /**
+   * Build a signed webhook for a payout transfer outcome
+   * @param {object} params
+   * @param {string} params.reference - Our payout reference
+   * @param {'PAID'|'FAILED'|'REVERSED'} [params.status='PAID']
+   * @param {string} [params.reason] - Failure reason
+   * @returns {{rawBody: Buffer, headers: object}}
+   */
+  simulateTransfer: ({ reference, status = 'PAID', reason }) => {
+    const events = { PAID: 'transfer.success', FAILED: 'transfer.failed', REVERSED: 'transfer.reversed' };
+    transfers.set(reference, { status, reason: reason || null });
+
+    const rawBody = Buffer.from(JSON.stringify({
+      id: crypto.randomUUID(),
+      event: events[status],
+      data: { reference, status, reason },
+    }));
+
+    return { rawBody, headers: { 'x-fake-signature': sign(rawBody) } };
+  },
+};
+
+export default fakeProvider;
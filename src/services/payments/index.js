@@ -0,0 +1,30 @@
+import paystackProvider from './paystack.js';
+import fakeProvider from './fake.js';
+
+/**
+ * Payment providers by name. Each provider implements:
+ * - initializeTopUp({ reference, amount, email, channel })
+ * - verifyWebhook(rawBody, headers) -> boolean
+ * - parseWebhook(payload) -> { eventKey, eventType, kind, reference, providerReference, status, amount, reason }
+ * - fetchTransaction(reference) -> { status, amount, providerReference }
+ * - resolveAccount({ accountNumber, bankCode }) -> { accountName }
+ * - initiateTransfer({ reference, amount, bankAccount }) -> { providerReference, recipientCode }
+ *   Errors set outcomeUnknown when the transfer may have gone out anyway
+ * - fetchTransfer(reference) -> { status, reason, providerReference }, status
+ *   being PAID, FAILED, REVERSED, PENDING or NOT_FOUND
+ */
+const getProviders = () => ({
+  [paystackProvider.name]: paystackProvider,
+  // Anyone with the fake provider's secret can sign its webhooks, so it never
+  // exists in production
+  ...(process.env.NODE_ENV !== 'production' && { [fakeProvider.name]: fakeProvider }),
+});
+
+/**
+ * Get a payment provider by name
+ * @param {string} [name] - Provider name, defaults to PAYMENT_PROVIDER
+ * @returns {object|undefined}
+ */
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => getProviders()[name];
+
+export { paystackProvider, fakeProvider };
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+
+const PAYSTACK_BASE_URL = 'https://api.paystack.co';
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+const CHANNELS = {
+  CARD: ['card'],
+  BANK_TRANSFER: ['bank_transfer'],
+};
+
+const STATUSES = {
+  success: 'SUCCESS',
+  failed: 'FAILED',
+  abandoned: 'ABANDONED',
+  reversed: 'FAILED',
+};
+
+const TRANSFER_STATUSES = {
+  'transfer.success': 'PAID',
+  'transfer.failed': 'FAILED',
+  'transfer.reversed': 'REVERSED',
+};
+
+// Transfer statuses from /transfer/verify; the rest (pending, otp, queued,
+// processing...) are still in flight
+const VERIFIED_TRANSFER_STATUSES = {
+  success: 'PAID',
+  failed: 'FAILED',
+  reversed: 'REVERSED',
+  abandoned: 'FAILED',
+  rejected: 'FAILED',
+};
+
+// Errors carry the HTTP status Paystack answered with, if it answered at all
+const request = async (path, options = {}) => {
+  const response = await fetch(`${PAYSTACK_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+      'Content-Type': 'application/json',
+      ...options.headers,
+    },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.status) {
+    const error = new Error(body.message || `Paystack request failed with status ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+  return body.data;
+};
+
+/**
+ * Paystack payment provider
+ */
+const paystackProvider = {
+  name: 'paystack',
+
+  /**
+   * Start a wallet top-up
+   * @param {object} params
+   * @param {string} params.reference - Our transaction reference
+   * @param {number} params.amount - Amount in kobo
+   * @param {string} params.email - Customer email
+   * @param {'CARD'|'BANK_TRANSFER'} params.channel - Payment channel
+   * @returns {Promise<{providerReference: string, authorizationUrl: string, accessCode: string}>}
+   */
+  initializeTopUp: async ({ reference, amount, email, channel }) => {
+    const data = await request('/transaction/initialize', {
+      method: 'POST',
+      body: JSON.stringify({
+        reference,
+        amount,
+        email,
+        currency: 'NGN',
+        channels: CHANNELS[channel],
+        callback_url: process.env.PAYSTACK_CALLBACK_URL,
+      }),
+    });
+
+    return {
+      providerReference: data.reference,
+      authorizationUrl: data.authorization_url,
+      accessCode: data.access_code,
+    };
+  },
+
+  /**
+   * Check a webhook's HMAC-SHA512 signature against the raw request body
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {object} headers - Request headers
+   * @returns {boolean}
+   */
+  verifyWebhook: (rawBody, headers) => {
+    const signature = headers['x-paystack-signature'];
+    if (!signature || !rawBody || !process.env.PAYSTACK_SECRET_KEY) return false;
+
+    const expected = crypto
+      .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
+      .update(rawBody)
+      .digest('hex');
+
+    return signature.length === expected.length
+      && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  },
+
+  /**
+   * Normalize a webhook payload
+   * @param {object} payload - Parsed webhook body
+   * @returns {{eventKey: string, eventType: string, kind: 'charge'|'transfer'|null, reference: string, providerReference: string, status: string|null, amount: number, reason: string|null}}
+   */
+  parseWebhook: (payload) => {
+    const { event, data = {} } = payload;
+
+    if (event.startsWith('transfer.')) {
+      return {
+        eventKey: `${event}:${data.id}`,
+        eventType: event,
+        kind: 'transfer',
+        reference: data.reference,
+        providerReference: data.transfer_code,
+        status: TRANSFER_STATUSES[event] || null,
+        amount: data.amount,
+        reason: data.reason || null,
+      };
+    }
+
+    return {
+      eventKey: `${event}:${data.id}`,
+      eventType: event,
+      kind: event.startsWith('charge.') ? 'charge' : null,
+      reference: data.reference,
+      providerReference: String(data.id),
+      status: event.startsWith('charge.') ? STATUSES[data.status] || null : null,
+      amount: data.amount,
+      reason: data.gateway_response || null,
+    };
+  },
+
+  /**
+   * Look up a transaction's current state at Paystack
+   * @param {string} reference - Our transaction reference
+   * @returns {Promise<{status: string, amount: number, providerReference: string}>}
+   */
+  fetchTransaction: async (reference) => {
+    const data = await request(`/transaction/verify/${encodeURIComponent(reference)}`);
+    return {
+      status: STATUSES[data.status] || 'PENDING',
+      amount: data.amount,
+      providerReference: String(data.id),
+    };
+  },
+
+  /**
+   * Look up the holder's name for a bank account
+   * @param {object} params
+   * @param {string} params.accountNumber - 10-digit NUBAN
+   * @param {string} params.bankCode - CBN bank code
+   * @returns {Promise<{accountName: string}>}
+   */
+  resolveAccount: async ({ accountNumber, bankCode }) => {
+    const params = new URLSearchParams({ account_number: accountNumber, bank_code: bankCode });
+    const data = await request(`/bank/resolve?${params}`);
+    return { accountName: data.account_name };
+  },
+
+  /**
+   * Send money to a bank account. Creates the transfer recipient on first use.
+   * @param {object} params
+   * @param {string} params.reference - Our payout reference
+   * @param {number} params.amount - Amount in kobo
+   * @param {object} params.bankAccount - bank_accounts row
+   * @returns {Promise<{providerReference: string, recipientCode: string}>}
+   * @throws {Error} With outcomeUnknown set when the transfer call failed
+   * without Paystack clearly refusing it, so the money may still go out
+   */
+  initiateTransfer: async ({ reference, amount, bankAccount }) => {
+    let recipientCode = bankAccount.provider_recipient_code;
+
+    if (!recipientCode) {
+      const recipient = await request('/transferrecipient', {
+        method: 'POST',
+        body: JSON.stringify({
+          type: 'nuban',
+          name: bankAccount.account_name,
+          account_number: bankAccount.account_number,
+          bank_code: bankAccount.bank_code,
+          currency: 'NGN',
+        }),
+      });
+      recipientCode = recipient.recipient_code;
+    }
+
+    const transfer = await request('/transfer', {
+      method: 'POST',
+      body: JSON.stringify({
+        source: 'balance',
+        amount,
+        recipient: recipientCode,
+        reference,
+        reason: 'Hustlrs withdrawal',
+      }),
+    }).catch((error) => {
+      // A 4xx is a refusal; no answer, a timeout or a 5xx may not be
+      error.outcomeUnknown = !error.statusCode || error.statusCode >= 500;
+      throw error;
+    });
+
+    return { providerReference: transfer.transfer_code, recipientCode };
+  },
+
+  /**
+   * Look up a transfer's current state at Paystack
+   * @param {string} reference - Our payout reference
+   * @returns {Promise<{status: 'PAID'|'FAILED'|'REVERSED'|'PENDING'|'NOT_FOUND', reason: string|null, providerReference: string|null}>}
+   */
+  fetchTransfer: async (reference) => {
+    try {
+      const data = await request(`/transfer/verify/${encodeURIComponent(reference)}`);
+      return {
+        status: VERIFIED_TRANSFER_STATUSES[data.status] || 'PENDING',
+        reason: data.reason || null,
+        providerReference: data.transfer_code,
+      };
+    } catch (error) {
+      if (error.statusCode === 404) return { status: 'NOT_FOUND', reason: null, providerReference: null };
+      throw error;
+    }
+  },
+};
+
+export default paystackProvider;
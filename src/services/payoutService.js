@@ -0,0 +1,267 @@
+import { supabaseAdmin } from './supabase.js';
+import { getPaymentProvider } from './payments/index.js';
+import { NOTIFICATION_TYPES, notify } from './notificationService.js';
+import { formatNaira } from './currency.js';
+
+// Payout limits, in kobo
+export const PAYOUT_MIN_AMOUNT = parseInt(process.env.PAYOUT_MIN_AMOUNT || '100000', 10); // ₦1,000
+export const PAYOUT_DAILY_LIMIT = parseInt(process.env.PAYOUT_DAILY_LIMIT || '50000000', 10); // ₦500,000
+
+// PROCESSING payouts approved longer ago than this without a webhook are
+// worth asking the provider about
+const STALE_PROCESSING_MS = 30 * 60 * 1000; // 30 minutes
+
+const STATUS_MESSAGES = {
+  PENDING: (payout) => `Your withdrawal of ${formatNaira(payout.amount)} has been received and is awaiting approval.`,
+  PROCESSING: (payout) => `Your withdrawal of ${formatNaira(payout.amount)} is on its way to your bank.`,
+  PAID: (payout) => `Your withdrawal of ${formatNaira(payout.amount)} has been paid to your bank account.`,
+  FAILED: (payout) => `Your withdrawal of ${formatNaira(payout.amount)} failed${payout.failure_reason ? `: ${payout.failure_reason}` : ''}. The money is back in your wallet.`,
+  REVERSED: (payout) => `Your withdrawal of ${formatNaira(payout.amount)} was reversed by the bank and returned to your wallet.`,
+};
+
+/**
+ * Tell the user about a payout's new status (in-app, push and SMS by default).
+ * notify never throws, so this never blocks the payout itself.
+ * @param {object} payout - Payout row
+ */
+export const notifyPayoutStatus = async (payout) => {
+  await notify({
+    userId: payout.user_id,
+    type: NOTIFICATION_TYPES.PAYOUT_UPDATED,
+    title: 'Withdrawal update',
+    message: STATUS_MESSAGES[payout.status](payout),
+    data: { payoutId: payout.id, status: payout.status },
+  });
+};
+
+/**
+ * Request a payout to one of the user's bank accounts. Holds the amount from
+ * the wallet straight away.
+ * @param {string} userId - User ID
+ * @param {object} params
+ * @param {string} params.bankAccountId - bank_accounts ID owned by the user
+ * @param {number} params.amount - Amount in kobo
+ * @returns {Promise<object>} Payout row
+ */
+export const requestPayout = async (userId, { bankAccountId, amount }) => {
+  const { data: payout, error } = await supabaseAdmin.rpc('request_payout', {
+    p_user_id: userId,
+    p_bank_account_id: bankAccountId,
+    p_amount: amount,
+    p_min_amount: PAYOUT_MIN_AMOUNT,
+    p_daily_limit: PAYOUT_DAILY_LIMIT,
+  });
+
+  if (error) throw error;
+
+  await notifyPayoutStatus(payout);
+  return payout;
+};
+
+/**
+ * Move a payout to a new status, posting the matching ledger entry
+ * @param {string} payoutId - Payout ID
+ * @param {'PROCESSING'|'PAID'|'FAILED'|'REVERSED'} status - New status
+ * @param {object} [options]
+ * @param {string} [options.actorId] - Admin approving the payout
+ * @param {string} [options.reason] - Failure or reversal reason
+ * @param {string} [options.providerReference] - Provider's transfer reference
+ * @param {string} [options.fromStatus] - Only move the payout from this status
+ * @returns {Promise<object>} Payout row
+ * @throws {Error} PAYOUT_NOT_FOUND or INVALID_TRANSITION
+ */
+export const transitionPayout = async (payoutId, status, { actorId, reason, providerReference, fromStatus } = {}) => {
+  const { data: before, error: fetchError } = await supabaseAdmin
+    .from('payouts')
+    .select('status')
+    .eq('id', payoutId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  const { data: payout, error } = await supabaseAdmin.rpc('transition_payout', {
+    p_payout_id: payoutId,
+    p_to_status: status,
+    p_actor_id: actorId || null,
+    p_reason: reason || null,
+    p_provider_reference: providerReference || null,
+    p_from_status: fromStatus || null,
+  });
+
+  if (error) throw error;
+
+  if (before?.status !== payout.status) {
+    await notifyPayoutStatus(payout);
+  }
+  return payout;
+};
+
+/**
+ * Approve pending payouts and hand them to the payment provider.
+ * Each payout is handled on its own, so one failure doesn't stop the batch.
+ * A payout is failed (and refunded) when its transfer was never sent or the
+ * provider refused it. If the provider can't say (no answer, a timeout or a
+ * server error), the transfer may still have gone through, so the payout
+ * stays PROCESSING for the webhook or reconcileProcessingPayouts to settle.
+ * @param {string[]} payoutIds - Payout IDs
+ * @param {string} adminId - Approving admin
+ * @returns {Promise<Array<{id: string, status?: string, error?: string}>>}
+ */
+export const approvePayouts = async (payoutIds, adminId) => {
+  const provider = getPaymentProvider();
+  const results = [];
+
+  for (const payoutId of payoutIds) {
+    let payout;
+    try {
+      payout = await transitionPayout(payoutId, 'PROCESSING', { actorId: adminId });
+    } catch (error) {
+      results.push({ id: payoutId, error: error.message });
+      continue;
+    }
+
+    let transferSent = false;
+    try {
+      const { data: bankAccount, error: bankError } = await supabaseAdmin
+        .from('bank_accounts')
+        .select('*')
+        .eq('id', payout.bank_account_id)
+        .single();
+
+      if (bankError) throw bankError;
+
+      // Record the provider first so its webhook is accepted however the call below ends
+      const { error: providerError } = await supabaseAdmin
+        .from('payouts')
+        .update({ provider: provider.name })
+        .eq('id', payout.id);
+
+      if (providerError) throw providerError;
+
+      const transfer = await provider.initiateTransfer({
+        reference: payout.reference,
+        amount: Number(payout.amount),
+        bankAccount,
+      });
+      transferSent = true;
+
+      if (transfer.recipientCode && transfer.recipientCode !== bankAccount.provider_recipient_code) {
+        await supabaseAdmin
+          .from('bank_accounts')
+          .update({ provider_recipient_code: transfer.recipientCode })
+          .eq('id', bankAccount.id);
+      }
+
+      const { data: updatedPayout, error: updateError } = await supabaseAdmin
+        .from('payouts')
+        .update({ provider_reference: transfer.providerReference })
+        .eq('id', payout.id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+      results.push({ id: payoutId, status: updatedPayout.status });
+    } catch (error) {
+      if (transferSent || error.outcomeUnknown) {
+        console.error(`Payout ${payoutId} transfer outcome unknown, awaiting provider webhook:`, error);
+        results.push({ id: payoutId, status: payout.status, error: error.message });
+        continue;
+      }
+
+      console.error('Initiate payout transfer error:', error);
+      try {
+        const failedPayout = await transitionPayout(payoutId, 'FAILED', {
+          reason: error.statusCode ? 'Transfer was refused by the provider' : 'Transfer could not be started',
+        });
+        results.push({ id: payoutId, status: failedPayout.status, error: error.message });
+      } catch (failError) {
+        console.error('Fail payout error:', failError);
+        results.push({ id: payoutId, status: payout.status, error: error.message });
+      }
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Settle PROCESSING payouts whose webhook never came, by asking the provider
+ * about each. A transfer the provider never received is failed and refunded;
+ * one it reversed before paying is failed too. Run periodically.
+ * @returns {Promise<Array<{id: string, status?: string, error?: string}>>} Payouts checked
+ */
+export const reconcileProcessingPayouts = async () => {
+  const { data: payouts, error } = await supabaseAdmin
+    .from('payouts')
+    .select('id, reference, provider')
+    .eq('status', 'PROCESSING')
+    .lt('approved_at', new Date(Date.now() - STALE_PROCESSING_MS).toISOString())
+    .order('approved_at')
+    .limit(100);
+
+  if (error) throw error;
+
+  const results = [];
+  for (const payout of payouts) {
+    try {
+      // No provider recorded means approval stopped before the transfer call
+      const transfer = payout.provider
+        ? await getPaymentProvider(payout.provider).fetchTransfer(payout.reference)
+        : { status: 'NOT_FOUND', reason: null };
+
+      if (transfer.status === 'PENDING') {
+        results.push({ id: payout.id, status: 'PROCESSING' });
+        continue;
+      }
+
+      const reason = transfer.status === 'NOT_FOUND'
+        ? 'Transfer was never received by the provider'
+        : transfer.reason || undefined;
+      const settled = await transitionPayout(payout.id, transfer.status === 'PAID' ? 'PAID' : 'FAILED', {
+        reason,
+        providerReference: transfer.providerReference || undefined,
+      });
+      results.push({ id: payout.id, status: settled.status });
+    } catch (reconcileError) {
+      console.error(`Reconcile payout ${payout.id} error:`, reconcileError);
+      results.push({ id: payout.id, error: reconcileError.message });
+    }
+  }
+  return results;
+};
+
+/**
+ * Apply a transfer outcome reported by the payment provider
+ * @param {string} reference - Our payout reference
+ * @param {object} result
+ * @param {string} result.provider - Provider reporting the outcome; must be the one the transfer went to
+ * @param {'PAID'|'FAILED'|'REVERSED'} result.status
+ * @param {string} [result.reason]
+ * @param {string} [result.providerReference]
+ * @returns {Promise<object>} Payout row
+ * @throws {Error} PAYOUT_NOT_FOUND or PROVIDER_MISMATCH
+ */
+export const applyTransferResult = async (reference, { provider, status, reason, providerReference }) => {
+  const { data: payout, error } = await supabaseAdmin
+    .from('payouts')
+    .select('id, provider')
+    .eq('reference', reference)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!payout) throw new Error('PAYOUT_NOT_FOUND');
+  if (payout.provider !== provider) throw new Error('PROVIDER_MISMATCH');
+
+  return transitionPayout(payout.id, status, { reason, providerReference });
+};
+
+export default {
+  PAYOUT_MIN_AMOUNT,
+  PAYOUT_DAILY_LIMIT,
+  notifyPayoutStatus,
+  requestPayout,
+  transitionPayout,
+  approvePayouts,
+  reconcileProcessingPayouts,
+  applyTransferResult,
+};
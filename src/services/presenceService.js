@@ -0,0 +1,90 @@
+import { supabaseAdmin } from './supabase.js';
+
+// Open sockets per user. A user is online while any of their devices is
+// connected. Kept in memory, so it is per API process.
+const connections = new Map();
+
+/**
+ * Record a new socket for a user
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @returns {boolean} Whether the user just came online
+ */
+export const addConnection = (userId, socketId) => {
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  const sockets = connections.get(userId);
+  sockets.add(socketId);
+  return sockets.size === 1;
+};
+
+/**
+ * Forget a disconnected socket
+ * @param {string} userId - User ID
+ * @param {string} socketId - Socket ID
+ * @returns {boolean} Whether that was the user's last socket
+ */
+export const removeConnection = (userId, socketId) => {
+  const sockets = connections.get(userId);
+  if (!sockets) return false;
+
+  sockets.delete(socketId);
+  if (sockets.size > 0) return false;
+
+  connections.delete(userId);
+  return true;
+};
+
+/**
+ * Whether a user has a socket open
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+export const isOnline = (userId) => connections.has(userId);
+
+/**
+ * Set a user's last_seen_at to now
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} The new last_seen_at
+ */
+export const touchLastSeen = async (userId) => {
+  const lastSeenAt = new Date().toISOString();
+  const { error } = await supabaseAdmin
+    .from('users')
+    .update({ last_seen_at: lastSeenAt })
+    .eq('id', userId);
+
+  if (error) throw error;
+  return lastSeenAt;
+};
+
+/**
+ * Everyone who shares a chat with the user, i.e. who sees their presence
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} User IDs
+ */
+export const getChatContacts = async (userId) => {
+  const { data: memberships, error } = await supabaseAdmin
+    .from('chat_members')
+    .select('chat_id')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  if (memberships.length === 0) return [];
+
+  const { data: members, error: membersError } = await supabaseAdmin
+    .from('chat_members')
+    .select('user_id')
+    .in('chat_id', memberships.map((membership) => membership.chat_id))
+    .neq('user_id', userId);
+
+  if (membersError) throw membersError;
+  return [...new Set(members.map((member) => member.user_id))];
+};
+
+export default {
+  addConnection,
+  removeConnection,
+  isOnline,
+  touchLastSeen,
+  getChatContacts,
+};
@@ -0,0 +1,27 @@
+import { appendFile } from 'fs/promises';
+
+// Local stand-in for a push provider. Messages are logged, and appended as
+// JSON lines to PUSH_LOG_FILE when it is set so tests can assert on them.
+// Tokens starting with "invalid" are reported as unregistered.
+
+const consoleProvider = {
+  name: 'console',
+
+  send: async (messages) => {
+    const lines = messages.map((message) => JSON.stringify({ ...message, sentAt: new Date().toISOString() }));
+
+    if (process.env.PUSH_LOG_FILE) {
+      await appendFile(process.env.PUSH_LOG_FILE, `${lines.join('\n')}\n`);
+    } else {
+      messages.forEach((message) => console.log(`📲 Push to ${message.token}: ${message.title} - ${message.body}`));
+    }
+
+    return messages.map((message) => (
+      message.token.startsWith('invalid')
+        ? { token: message.token, ok: false, invalidToken: true, error: 'Unregistered token' }
+        : { token: message.token, ok: true }
+    ));
+  },
+};
+
+export default consoleProvider;
@@ -0,0 +1,84 @@
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+// Expo accepts at most 100 messages per request
+const BATCH_SIZE = 100;
+
+// Only this error is about the device. Others, like InvalidCredentials, mean our
+// push credentials are wrong and would otherwise prune every token we send to.
+const INVALID_TOKEN_ERRORS = ['DeviceNotRegistered'];
+
+/**
+ * Expo push service, for tokens issued by expo-notifications
+ */
+const expoProvider = {
+  name: 'expo',
+
+  /**
+   * Send push messages
+   * @param {Array<{token: string, title: string, body: string, data?: object}>} messages
+   * @returns {Promise<Array<{token: string, ok: boolean, invalidToken?: boolean, retryable?: boolean, error?: string}>>}
+   */
+  send: async (messages) => {
+    const results = [];
+
+    for (let i = 0; i < messages.length; i += BATCH_SIZE) {
+      const batch = messages.slice(i, i + BATCH_SIZE);
+
+      let response;
+      try {
+        response = await fetch(EXPO_PUSH_URL, {
+          method: 'POST',
+          headers: {
+            Accept: 'application/json',
+            'Content-Type': 'application/json',
+            ...(process.env.EXPO_ACCESS_TOKEN && { Authorization: `Bearer ${process.env.EXPO_ACCESS_TOKEN}` }),
+          },
+          body: JSON.stringify(batch.map((message) => ({
+            to: message.token,
+            title: message.title,
+            body: message.body,
+            data: message.data || {},
+            sound: 'default',
+          }))),
+        });
+      } catch (error) {
+        batch.forEach((message) => results.push({ token: message.token, ok: false, retryable: true, error: error.message }));
+        continue;
+      }
+
+      if (!response.ok) {
+        const retryable = response.status === 429 || response.status >= 500;
+        batch.forEach((message) => results.push({
+          token: message.token,
+          ok: false,
+          retryable,
+          error: `Expo push request failed with status ${response.status}`,
+        }));
+        continue;
+      }
+
+      // One ticket per message, in the order they were sent
+      const { data: tickets } = await response.json();
+      batch.forEach((message, index) => {
+        const ticket = tickets[index];
+        if (ticket?.status === 'ok') {
+          results.push({ token: message.token, ok: true });
+          return;
+        }
+
+        const code = ticket?.details?.error;
+        results.push({
+          token: message.token,
+          ok: false,
+          invalidToken: INVALID_TOKEN_ERRORS.includes(code),
+          retryable: code === 'MessageRateExceeded',
+          error: ticket?.message || code || 'Unknown Expo push error',
+        });
+      });
+    }
+
+    return results;
+  },
+};
+
+export default expoProvider;
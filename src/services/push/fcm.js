@@ -0,0 +1,119 @@
+import jwt from 'jsonwebtoken';
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+// OAuth access token for the service account, reused until shortly before it expires
+let accessToken = null;
+
+const getServiceAccount = () => {
+  if (!process.env.FCM_SERVICE_ACCOUNT) {
+    throw new Error('FCM_SERVICE_ACCOUNT is not configured');
+  }
+  return JSON.parse(process.env.FCM_SERVICE_ACCOUNT);
+};
+
+const getAccessToken = async (serviceAccount) => {
+  if (accessToken && accessToken.expiresAt > Date.now() + 60 * 1000) {
+    return accessToken.value;
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const assertion = jwt.sign(
+    {
+      iss: serviceAccount.client_email,
+      scope: FCM_SCOPE,
+      aud: TOKEN_URL,
+      iat: now,
+      exp: now + 3600,
+    },
+    serviceAccount.private_key,
+    { algorithm: 'RS256' }
+  );
+
+  const response = await fetch(TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion,
+    }),
+  });
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error_description || `FCM token request failed with status ${response.status}`);
+  }
+
+  accessToken = { value: body.access_token, expiresAt: Date.now() + body.expires_in * 1000 };
+  return accessToken.value;
+};
+
+// FCM data payloads only carry string values
+const toStringValues = (data = {}) => Object.fromEntries(
+  Object.entries(data).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+);
+
+/**
+ * Firebase Cloud Messaging (HTTP v1), for native Android and iOS (via APNs) tokens
+ */
+const fcmProvider = {
+  name: 'fcm',
+
+  /**
+   * Send push messages
+   * @param {Array<{token: string, title: string, body: string, data?: object}>} messages
+   * @returns {Promise<Array<{token: string, ok: boolean, invalidToken?: boolean, retryable?: boolean, error?: string}>>}
+   */
+  send: async (messages) => {
+    const serviceAccount = getServiceAccount();
+    const url = `https://fcm.googleapis.com/v1/projects/${serviceAccount.project_id}/messages:send`;
+
+    let token;
+    try {
+      token = await getAccessToken(serviceAccount);
+    } catch (error) {
+      return messages.map((message) => ({ token: message.token, ok: false, retryable: true, error: error.message }));
+    }
+
+    // FCM v1 takes one message per request
+    return Promise.all(messages.map(async (message) => {
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            message: {
+              token: message.token,
+              notification: { title: message.title, body: message.body },
+              data: toStringValues(message.data),
+              apns: { payload: { aps: { sound: 'default' } } },
+            },
+          }),
+        });
+
+        if (response.ok) {
+          return { token: message.token, ok: true };
+        }
+
+        const body = await response.json().catch(() => ({}));
+        const status = body.error?.status;
+        return {
+          token: message.token,
+          ok: false,
+          invalidToken: status === 'NOT_FOUND' || status === 'UNREGISTERED'
+            || (status === 'INVALID_ARGUMENT' && /registration token/i.test(body.error?.message || '')),
+          retryable: response.status === 429 || response.status >= 500,
+          error: body.error?.message || `FCM request failed with status ${response.status}`,
+        };
+      } catch (error) {
+        return { token: message.token, ok: false, retryable: true, error: error.message };
+      }
+    }));
+  },
+};
+
+export default fcmProvider;
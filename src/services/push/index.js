@@ -0,0 +1,32 @@
+import expoProvider from './expo.js';
+import fcmProvider from './fcm.js';
+import consoleProvider from './console.js';
+
+/**
+ * Push providers by name. Each provider implements:
+ * - send([{ token, title, body, data }]) -> [{ token, ok, invalidToken, retryable, error }]
+ */
+const providers = {
+  [expoProvider.name]: expoProvider,
+  [fcmProvider.name]: fcmProvider,
+  [consoleProvider.name]: consoleProvider,
+};
+
+/**
+ * Get the push provider for a device token.
+ * PUSH_PROVIDER overrides the token's own provider, e.g. "console" in development.
+ * @param {string} tokenProvider - Provider the token was registered with
+ * @returns {object|undefined}
+ */
+export const getPushProvider = (tokenProvider) => providers[process.env.PUSH_PROVIDER || tokenProvider];
+
+/**
+ * Which provider issued a device token
+ * @param {string} token
+ * @returns {'expo'|'fcm'}
+ */
+export const detectTokenProvider = (token) => (
+  /^Expo(nent)?PushToken\[.+\]$/.test(token) ? expoProvider.name : fcmProvider.name
+);
+
+export { expoProvider, fcmProvider, consoleProvider };
@@ -0,0 +1,97 @@
+import { supabaseAdmin } from './supabase.js';
+import { getPushProvider } from './push/index.js';
+
+// Attempts per message, and the delay before the first retry (doubled each time)
+const PUSH_MAX_ATTEMPTS = parseInt(process.env.PUSH_MAX_ATTEMPTS || '3', 10);
+const PUSH_RETRY_DELAY_MS = parseInt(process.env.PUSH_RETRY_DELAY_MS || '1000', 10);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Remove device tokens the provider reported as no longer valid
+ * @param {string[]} tokens
+ */
+export const pruneTokens = async (tokens) => {
+  if (tokens.length === 0) return;
+
+  const { error } = await supabaseAdmin.from('device_tokens').delete().in('token', tokens);
+  if (error) throw error;
+};
+
+/**
+ * Send messages through one provider, retrying retryable failures with
+ * exponential backoff and pruning tokens the provider rejects
+ * @param {object} provider - Push provider
+ * @param {Array<{token: string, title: string, body: string, data?: object}>} messages
+ * @returns {Promise<{sent: number, failed: number, pruned: number}>}
+ */
+const sendWithRetry = async (provider, messages) => {
+  let pending = messages;
+  let sent = 0;
+  const invalidTokens = [];
+
+  for (let attempt = 1; attempt <= PUSH_MAX_ATTEMPTS && pending.length > 0; attempt += 1) {
+    if (attempt > 1) {
+      await wait(PUSH_RETRY_DELAY_MS * 2 ** (attempt - 2));
+    }
+
+    const results = await provider.send(pending);
+    const retryTokens = new Set();
+
+    results.forEach((result) => {
+      if (result.ok) sent += 1;
+      else if (result.invalidToken) invalidTokens.push(result.token);
+      else if (result.retryable) retryTokens.add(result.token);
+      else console.error(`Push to ${result.token} failed:`, result.error);
+    });
+
+    pending = pending.filter((message) => retryTokens.has(message.token));
+  }
+
+  if (pending.length > 0) {
+    console.error(`Push gave up on ${pending.length} message(s) after ${PUSH_MAX_ATTEMPTS} attempts`);
+  }
+
+  await pruneTokens(invalidTokens);
+  return { sent, failed: messages.length - sent, pruned: invalidTokens.length };
+};
+
+/**
+ * Push a message to every device a user has registered
+ * @param {string} userId - User ID
+ * @param {object} message
+ * @param {string} message.title
+ * @param {string} message.body
+ * @param {object} [message.data] - Passed to the app with the notification
+ * @returns {Promise<{sent: number, failed: number, pruned: number}>}
+ */
+export const sendPushToUser = async (userId, { title, body, data = {} }) => {
+  const { data: devices, error } = await supabaseAdmin
+    .from('device_tokens')
+    .select('token, provider')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const byProvider = new Map();
+  devices.forEach((device) => {
+    const provider = getPushProvider(device.provider);
+    if (!provider) return;
+    if (!byProvider.has(provider)) byProvider.set(provider, []);
+    byProvider.get(provider).push({ token: device.token, title, body, data });
+  });
+
+  const totals = { sent: 0, failed: 0, pruned: 0 };
+  for (const [provider, messages] of byProvider) {
+    const result = await sendWithRetry(provider, messages);
+    totals.sent += result.sent;
+    totals.failed += result.failed;
+    totals.pruned += result.pruned;
+  }
+  return totals;
+};
+
+export default {
+  pruneTokens,
+  sendPushToUser,
+};
@@ -0,0 +1,184 @@
+import PDFDocument from 'pdfkit';
+import { supabaseAdmin } from './supabase.js';
+import { formatNaira } from './currency.js';
+
+// PDFKit's built-in fonts have no naira sign, so amounts are written as NGN
+const formatAmount = (kobo) => formatNaira(kobo, { symbol: 'NGN ' });
+
+/**
+ * Platform fee rules by task category
+ * @returns {Promise<object[]>}
+ */
+export const getFeeRules = async () => {
+  const { data, error } = await supabaseAdmin
+    .from('platform_fee_rules')
+    .select('category, percentage, min_fee, max_fee, vat_percentage, is_active')
+    .order('category');
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Fee and VAT that releasing `amount` for a task in `category` would incur
+ * @param {string} category - Task category
+ * @param {number} amount - Task amount in kobo
+ * @returns {Promise<{feePercentage: number, platformFee: number, vatPercentage: number, vat: number}>}
+ */
+export const quotePlatformFee = async (category, amount) => {
+  const { data, error } = await supabaseAdmin.rpc('calculate_platform_fee', {
+    p_category: category,
+    p_amount: amount,
+  });
+
+  if (error) throw error;
+
+  const [fee] = data;
+  return {
+    feePercentage: Number(fee.fee_percentage),
+    platformFee: Number(fee.platform_fee),
+    vatPercentage: Number(fee.vat_percentage),
+    vat: Number(fee.vat),
+  };
+};
+
+/**
+ * Receipt issued when a task's escrow was released, with the task and both parties
+ * @param {string} taskId - Task ID
+ * @returns {Promise<object|null>}
+ */
+export const getTaskReceipt = async (taskId) => {
+  const { data, error } = await supabaseAdmin
+    .from('task_receipts')
+    .select(`
+      *,
+      task:tasks(id, title, completed_at, confirmed_at),
+      poster:users!task_receipts_poster_id_fkey(id, first_name, last_name, email, phone_number),
+      hustler:users!task_receipts_hustler_id_fkey(id, first_name, last_name, email, phone_number)
+    `)
+    .eq('task_id', taskId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Line items as seen by one side of the task. The poster's receipt shows what
+ * they paid; the hustler's invoice shows the fee and VAT deducted from it.
+ * @param {object} receipt - task_receipts row
+ * @param {'poster'|'hustler'} role
+ * @returns {{title: string, number: string, lines: Array<{description: string, amount: number}>, totalLabel: string, total: number}}
+ */
+export const getReceiptView = (receipt, role) => {
+  const items = Object.fromEntries(receipt.line_items.map((item) => [item.code, item]));
+  const tip = items.TIP && Number(items.TIP.amount) > 0 ? [items.TIP] : [];
+
+  if (role === 'hustler') {
+    return {
+      title: 'Invoice',
+      number: receipt.invoice_number,
+      lines: [
+        items.TASK_AMOUNT,
+        { ...items.PLATFORM_FEE, amount: -items.PLATFORM_FEE.amount },
+        { ...items.VAT, amount: -items.VAT.amount },
+        ...tip,
+      ].map(({ description, amount }) => ({ description, amount: Number(amount) })),
+      totalLabel: 'Paid to your wallet',
+      total: Number(receipt.hustler_net),
+    };
+  }
+
+  return {
+    title: 'Receipt',
+    number: receipt.receipt_number,
+    lines: [items.TASK_AMOUNT, ...tip].map(({ description, amount }) => ({ description, amount: Number(amount) })),
+    totalLabel: 'Total paid',
+    total: Number(receipt.total_paid),
+  };
+};
+
+// Spreadsheets run a cell starting with one of these as a formula, so text
+// like a task title gets a leading ' to keep it text. Plain numbers, like
+// negative amounts, are left alone.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a receipt as CSV, one row per line item. Amounts are in naira.
+ * @param {object} receipt - Receipt from getTaskReceipt
+ * @param {'poster'|'hustler'} role
+ * @returns {string}
+ */
+export const renderReceiptCsv = (receipt, role) => {
+  const view = getReceiptView(receipt, role);
+  const rows = [
+    ['document', 'number', 'task', 'issued_at', 'description', 'amount', 'currency'],
+    ...view.lines.map((line) => [
+      view.title, view.number, receipt.task?.title, receipt.issued_at, line.description, (line.amount / 100).toFixed(2), receipt.currency,
+    ]),
+    [view.title, view.number, receipt.task?.title, receipt.issued_at, view.totalLabel, (view.total / 100).toFixed(2), receipt.currency],
+  ];
+
+  return `${rows.map((row) => row.map(csvCell).join(',')).join('\n')}\n`;
+};
+
+/**
+ * Render a receipt as a single-page PDF
+ * @param {object} receipt - Receipt from getTaskReceipt
+ * @param {'poster'|'hustler'} role
+ * @returns {Promise<Buffer>}
+ */
+export const renderReceiptPdf = (receipt, role) => new Promise((resolve, reject) => {
+  const view = getReceiptView(receipt, role);
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const fullName = (user) => (user ? `${user.first_name} ${user.last_name}` : '-');
+  const right = { width: 495, align: 'right' };
+
+  doc.fontSize(20).text(`Hustlrs ${view.title}`);
+  doc.moveDown(0.5).fontSize(10)
+    .text(`${view.title} number: ${view.number}`)
+    .text(`Issued: ${new Date(receipt.issued_at).toUTCString()}`)
+    .text(`Task: ${receipt.task?.title || receipt.task_id}`)
+    .text(`Category: ${receipt.category}`)
+    .text(`Posted by: ${fullName(receipt.poster)}`)
+    .text(`Completed by: ${fullName(receipt.hustler)}`);
+
+  doc.moveDown();
+  view.lines.forEach((line) => {
+    const y = doc.y;
+    doc.text(line.description, 50, y);
+    doc.text(formatAmount(line.amount), 50, y, right);
+  });
+
+  doc.moveDown().font('Helvetica-Bold');
+  const y = doc.y;
+  doc.text(view.totalLabel, 50, y);
+  doc.text(formatAmount(view.total), 50, y, right);
+  doc.font('Helvetica');
+
+  doc.moveDown(2).fontSize(8).fillColor('grey')
+    .text('All amounts in Nigerian naira. VAT is charged on the platform fee only.');
+
+  doc.end();
+});
+
+export default {
+  getFeeRules,
+  quotePlatformFee,
+  getTaskReceipt,
+  getReceiptView,
+  renderReceiptCsv,
+  renderReceiptPdf,
+};
@@ -0,0 +1,90 @@
+import { supabaseAdmin } from './supabase.js';
+import { NOTIFICATION_TYPES, notify } from './notificationService.js';
+
+// Days after a task is completed during which both sides can review it
+export const REVIEW_WINDOW_DAYS = parseInt(process.env.REVIEW_WINDOW_DAYS || '14', 10);
+
+/**
+ * Submit a review of the other party on a completed task.
+ * The review stays hidden until the other side reviews too or the window closes.
+ * @param {string} taskId - Task ID
+ * @param {string} authorId - Poster or hustler of the task
+ * @param {object} review
+ * @param {number} review.rating - 1 to 5
+ * @param {string} [review.comment]
+ * @returns {Promise<object>} Review row
+ */
+export const submitReview = async (taskId, authorId, { rating, comment }) => {
+  const { data: review, error } = await supabaseAdmin.rpc('submit_review', {
+    p_task_id: taskId,
+    p_author_id: authorId,
+    p_rating: rating,
+    p_comment: comment || null,
+    p_window_days: REVIEW_WINDOW_DAYS,
+  });
+
+  if (error) throw error;
+
+  // The rating stays hidden until the review is revealed
+  await notify({
+    userId: review.target_id,
+    type: NOTIFICATION_TYPES.REVIEW_RECEIVED,
+    title: 'New review',
+    message: review.is_visible
+      ? 'You have a new review.'
+      : 'You have a new review. Leave yours to see it straight away.',
+    taskId,
+    data: { reviewId: review.id },
+  });
+
+  return review;
+};
+
+/**
+ * Publicly reply to a review of yourself. Each review can be replied to once.
+ * @param {string} reviewId - Review ID
+ * @param {string} userId - The reviewed user
+ * @param {string} reply
+ * @returns {Promise<object>} Review row
+ */
+export const replyToReview = async (reviewId, userId, reply) => {
+  const { data: review, error } = await supabaseAdmin.rpc('reply_to_review', {
+    p_review_id: reviewId,
+    p_user_id: userId,
+    p_reply: reply,
+  });
+
+  if (error) throw error;
+  return review;
+};
+
+/**
+ * Reveal reviews whose window has closed without the other side reviewing
+ * @returns {Promise<number>} Number of reviews revealed
+ */
+export const revealExpiredReviews = async () => {
+  const { data, error } = await supabaseAdmin.rpc('reveal_expired_reviews', {
+    p_window_days: REVIEW_WINDOW_DAYS,
+  });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * When the review window for a task closes
+ * @param {object} task - Task row
+ * @returns {Date|null}
+ */
+export const getReviewDeadline = (task) => {
+  if (!task.completed_at) return null;
+  return new Date(new Date(task.completed_at).getTime() + REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+export default {
+  REVIEW_WINDOW_DAYS,
+  submitReview,
+  replyToReview,
+  revealExpiredReviews,
+  getReviewDeadline,
+};
@@ -0,0 +1,81 @@
+import { supabaseAdmin } from './supabase.js';
+import { applyKeyset, toPage } from './pagination.js';
+
+export const SECURITY_EVENTS = {
+  LOGIN_LOCKOUT: 'LOGIN_LOCKOUT',
+  LOGIN_AFTER_FAILURES: 'LOGIN_AFTER_FAILURES',
+  ACCOUNT_UNLOCKED: 'ACCOUNT_UNLOCKED',
+  REFRESH_TOKEN_REUSED: 'REFRESH_TOKEN_REUSED',
+  TWO_FACTOR_ENABLED: 'TWO_FACTOR_ENABLED',
+  TWO_FACTOR_DISABLED: 'TWO_FACTOR_DISABLED',
+  TWO_FACTOR_RESET: 'TWO_FACTOR_RESET',
+};
+
+/**
+ * Add an entry to the security audit trail. Failures are logged rather than
+ * thrown so auditing can never break the action being audited.
+ * @param {object} event
+ * @param {string} event.type - One of SECURITY_EVENTS
+ * @param {string} [event.userId] - Account concerned, if known
+ * @param {string} [event.identifier] - Email or phone number that was typed
+ * @param {string} [event.ip]
+ * @param {string} [event.actorId] - Admin who acted, if not the user
+ * @param {object} [event.data] - Event details
+ * @returns {Promise<object|null>} Event row, or null if it wasn't stored
+ */
+export const recordSecurityEvent = async ({
+  type,
+  userId = null,
+  identifier = null,
+  ip = null,
+  actorId = null,
+  data = {},
+}) => {
+  try {
+    const { data: event, error } = await supabaseAdmin
+      .from('security_events')
+      .insert({
+        type,
+        user_id: userId,
+        identifier,
+        ip,
+        actor_id: actorId,
+        data,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return event;
+  } catch (error) {
+    console.error(`Record security event ${type} error:`, error);
+    return null;
+  }
+};
+
+/**
+ * A page of a user's security events, newest first
+ * @param {string} userId - User ID
+ * @param {object} [options]
+ * @param {object|null} [options.cursor] - Decoded cursor from the previous page
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{data: object[], nextCursor: string|null, hasMore: boolean}>}
+ */
+export const getSecurityEvents = async (userId, { cursor = null, limit = 20 } = {}) => {
+  const { data: events, error } = await applyKeyset(
+    supabaseAdmin
+      .from('security_events')
+      .select('*')
+      .eq('user_id', userId),
+    { cursor, limit }
+  );
+
+  if (error) throw error;
+  return toPage(events, limit);
+};
+
+export default {
+  SECURITY_EVENTS,
+  recordSecurityEvent,
+  getSecurityEvents,
+};
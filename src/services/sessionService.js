@@ -0,0 +1,295 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { supabaseAdmin } from './supabase.js';
+import { SECURITY_EVENTS, recordSecurityEvent } from './securityEventService.js';
+import { userRoom } from './notificationService.js';
+
+// Lifetime of access JWTs (jsonwebtoken format, e.g. "15m"), and days a session
+// stays signed in without being refreshed
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+const REFRESH_ERRORS = {
+  INVALID_REFRESH_TOKEN: 'Invalid refresh token',
+  SESSION_REVOKED: 'This session has been signed out',
+  SESSION_EXPIRED: 'This session has expired. Please sign in again.',
+};
+
+export class SessionError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Socket.IO server, set once at startup, so signed-out sessions lose their sockets too
+let io = null;
+
+/**
+ * Use this Socket.IO server to disconnect the sockets of revoked sessions
+ * @param {import('socket.io').Server} server
+ */
+export const setSessionSocket = (server) => {
+  io = server;
+};
+
+// Sockets authenticate once, on connect, so drop those of sessions that were
+// just signed out. Logged rather than thrown: the sessions are already revoked.
+const disconnectSessions = async (userId, sessionIds) => {
+  if (!io || sessionIds.length === 0) return;
+
+  try {
+    const sockets = await io.in(userRoom(userId)).fetchSockets();
+    sockets
+      .filter((socket) => sessionIds.includes(socket.data.sessionId))
+      .forEach((socket) => socket.disconnect(true));
+  } catch (error) {
+    console.error('Disconnect session sockets error:', error);
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+const sessionExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign an access token for a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {{token: string, expiresIn: number}} Token and its lifetime in seconds
+ */
+export const issueAccessToken = (userId, sessionId) => {
+  const token = jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  const { exp, iat } = jwt.decode(token);
+  return { token, expiresIn: exp - iat };
+};
+
+/**
+ * Check an access token's signature and expiry
+ * @param {string} token - Access JWT
+ * @returns {{userId: string, sessionId: string}|null} Null if the token is invalid or predates sessions
+ */
+export const verifyAccessToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.sid ? { userId: decoded.userId, sessionId: decoded.sid } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether a session is still signed in
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (userId, sessionId) => {
+  const { data, error } = await supabaseAdmin
+    .from('auth_sessions')
+    .select('id')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data;
+};
+
+/**
+ * Start a session for a device that just signed in
+ * @param {string} userId - User ID
+ * @param {object} [device]
+ * @param {string} [device.ip]
+ * @param {string} [device.userAgent]
+ * @param {boolean} [device.twoFactorVerified=false] - Whether 2FA was passed to sign in
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, sessionId: string}>}
+ */
+export const createSession = async (userId, { ip = null, userAgent = null, twoFactorVerified = false } = {}) => {
+  const { data: session, error } = await supabaseAdmin
+    .from('auth_sessions')
+    .insert({
+      user_id: userId,
+      ip,
+      user_agent: userAgent,
+      expires_at: sessionExpiry().toISOString(),
+      two_factor_verified_at: twoFactorVerified ? new Date().toISOString() : null,
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  const refreshToken = newRefreshToken();
+  const { error: tokenError } = await supabaseAdmin
+    .from('refresh_tokens')
+    .insert({ session_id: session.id, token_hash: hashToken(refreshToken) });
+
+  if (tokenError) throw tokenError;
+
+  return { ...issueAccessToken(userId, session.id), refreshToken, sessionId: session.id };
+};
+
+/**
+ * Use up a refresh token and issue the next access and refresh tokens of its
+ * session. Presenting a token that was already used signs the session out.
+ * @param {string} refreshToken
+ * @param {object} [device]
+ * @param {string} [device.ip]
+ * @param {string} [device.userAgent]
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, sessionId: string}>}
+ * @throws {SessionError} If the token is unknown, reused, or its session is over
+ */
+export const rotateRefreshToken = async (refreshToken, { ip = null, userAgent = null } = {}) => {
+  const nextRefreshToken = newRefreshToken();
+
+  const { data, error } = await supabaseAdmin.rpc('rotate_refresh_token', {
+    p_token_hash: hashToken(refreshToken),
+    p_new_token_hash: hashToken(nextRefreshToken),
+    p_ttl_days: REFRESH_TOKEN_TTL_DAYS,
+    p_ip: ip,
+    p_user_agent: userAgent,
+  });
+
+  if (error) {
+    if (REFRESH_ERRORS[error.message]) {
+      throw new SessionError(401, error.message, REFRESH_ERRORS[error.message]);
+    }
+    throw error;
+  }
+
+  if (data.reused) {
+    await disconnectSessions(data.user_id, [data.session_id]);
+    await recordSecurityEvent({
+      type: SECURITY_EVENTS.REFRESH_TOKEN_REUSED,
+      userId: data.user_id,
+      ip,
+      data: { sessionId: data.session_id },
+    });
+    throw new SessionError(401, 'REFRESH_TOKEN_REUSED', 'This session has been signed out for your security. Please sign in again.');
+  }
+
+  return {
+    ...issueAccessToken(data.user_id, data.session_id),
+    refreshToken: nextRefreshToken,
+    sessionId: data.session_id,
+  };
+};
+
+/**
+ * Record that 2FA was just proven on a session, for step-up checks
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Date>} The time recorded
+ */
+export const markTwoFactorVerified = async (sessionId) => {
+  const verifiedAt = new Date();
+  const { error } = await supabaseAdmin
+    .from('auth_sessions')
+    .update({ two_factor_verified_at: verifiedAt.toISOString() })
+    .eq('id', sessionId);
+
+  if (error) throw error;
+  return verifiedAt;
+};
+
+/**
+ * When 2FA was last proven on a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Date|null>}
+ */
+export const getTwoFactorVerifiedAt = async (sessionId) => {
+  const { data, error } = await supabaseAdmin
+    .from('auth_sessions')
+    .select('two_factor_verified_at')
+    .eq('id', sessionId)
+    .single();
+
+  if (error) throw error;
+  return data.two_factor_verified_at ? new Date(data.two_factor_verified_at) : null;
+};
+
+/**
+ * A user's signed-in sessions, most recently used first
+ * @param {string} userId - User ID
+ * @param {string} [currentSessionId] - Session making the request, flagged as `current`
+ * @returns {Promise<object[]>}
+ */
+export const listSessions = async (userId, currentSessionId = null) => {
+  const { data, error } = await supabaseAdmin
+    .from('auth_sessions')
+    .select('id, user_agent, ip, created_at, last_used_at, expires_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) throw error;
+  return data.map((session) => ({ ...session, current: session.id === currentSessionId }));
+};
+
+/**
+ * Sign out one of a user's sessions, disconnecting its sockets
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string} [reason='SIGNED_OUT']
+ * @returns {Promise<boolean>} False if the user has no such active session
+ */
+export const revokeSession = async (userId, sessionId, reason = 'SIGNED_OUT') => {
+  const { data, error } = await supabaseAdmin
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) throw error;
+
+  await disconnectSessions(userId, data.map((session) => session.id));
+  return data.length > 0;
+};
+
+/**
+ * Sign out all of a user's sessions, disconnecting their sockets
+ * @param {string} userId - User ID
+ * @param {object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep signed in
+ * @param {string} [options.reason='SIGNED_OUT']
+ * @returns {Promise<number>} Number of sessions signed out
+ */
+export const revokeAllSessions = async (userId, { exceptSessionId = null, reason = 'SIGNED_OUT' } = {}) => {
+  let revokeQuery = supabaseAdmin
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) revokeQuery = revokeQuery.neq('id', exceptSessionId);
+
+  const { data, error } = await revokeQuery.select('id');
+  if (error) throw error;
+
+  await disconnectSessions(userId, data.map((session) => session.id));
+  return data.length;
+};
+
+export default {
+  SessionError,
+  setSessionSocket,
+  issueAccessToken,
+  verifyAccessToken,
+  isSessionActive,
+  createSession,
+  rotateRefreshToken,
+  markTwoFactorVerified,
+  getTwoFactorVerifiedAt,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,159 @@
+import { setNotificationSocket, userRoom } from './notificationService.js';
+import { socketAuthMiddleware } from '../middleware/auth.js';
+import { setSessionSocket } from './sessionService.js';
+import {
+  addConnection,
+  removeConnection,
+  touchLastSeen,
+  getChatContacts,
+} from './presenceService.js';
+import {
+  setChatSocket,
+  chatRoom,
+  isChatMember,
+  advanceReceipt,
+  broadcastReceipt,
+} from './chatService.js';
+
+// Socket.IO rooms:
+// - user_<id>: every socket of one user, joined automatically on connect
+// - chat_<id>: members of a chat, joined with `join_room` after a membership check
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CHAT_ROOM = /^chat_([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+/**
+ * Tell everyone who shares a chat with the user that they came online or went offline
+ * @param {import('socket.io').Server} io
+ * @param {string} userId - User ID
+ * @param {boolean} online
+ */
+const broadcastPresence = async (io, userId, online) => {
+  const lastSeenAt = await touchLastSeen(userId);
+  const contacts = await getChatContacts(userId);
+  if (contacts.length === 0) return;
+
+  io.to(contacts.map(userRoom)).emit('presence', { userId, online, lastSeenAt });
+};
+
+// Reject an emit: an `error` event for the socket, and the ack if the client asked for one
+const reject = (socket, event, ack, code, message) => {
+  const error = { event, code, message };
+  socket.emit('error', error);
+  if (typeof ack === 'function') ack({ ok: false, error });
+};
+
+/**
+ * Authenticate sockets during the handshake and register the event handlers
+ * @param {import('socket.io').Server} io
+ */
+export const registerSocketHandlers = (io) => {
+  io.use(socketAuthMiddleware);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    socket.join(userRoom(user.id));
+
+    // Presence counts devices, so only the first connection and the last
+    // disconnection change it
+    if (addConnection(user.id, socket.id)) {
+      broadcastPresence(io, user.id, true).catch((error) => console.error('Presence error:', error));
+    }
+
+    socket.on('disconnecting', () => {
+      // Anyone watching this user type in a chat should stop seeing it
+      socket.rooms.forEach((roomId) => {
+        if (CHAT_ROOM.test(roomId)) {
+          socket.to(roomId).emit('typing', { chatId: roomId.match(CHAT_ROOM)[1], userId: user.id, isTyping: false });
+        }
+      });
+    });
+
+    socket.on('disconnect', () => {
+      if (removeConnection(user.id, socket.id)) {
+        broadcastPresence(io, user.id, false).catch((error) => console.error('Presence error:', error));
+      }
+    });
+
+    // Join a chat room; only members of the chat are let in
+    socket.on('join_room', async (roomId, ack) => {
+      try {
+        const match = typeof roomId === 'string' && roomId.match(CHAT_ROOM);
+        if (!match) {
+          return reject(socket, 'join_room', ack, 'INVALID_ROOM', 'Only chat rooms can be joined');
+        }
+
+        if (!(await isChatMember(match[1], user.id))) {
+          return reject(socket, 'join_room', ack, 'NOT_A_MEMBER', 'You are not a member of this chat');
+        }
+
+        socket.join(roomId);
+        if (typeof ack === 'function') ack({ ok: true });
+      } catch (error) {
+        console.error('Join room error:', error);
+        reject(socket, 'join_room', ack, 'SERVER_ERROR', 'Could not join the room');
+      }
+    });
+
+    socket.on('leave_room', (roomId, ack) => {
+      socket.leave(roomId);
+      if (typeof ack === 'function') ack({ ok: true });
+    });
+
+    // Relay an event to a chat room the socket has joined. Messages are saved
+    // through the REST API; this is for clients that relay extra data live.
+    socket.on('send_message', (data, ack) => {
+      if (!data || typeof data.roomId !== 'string' || !CHAT_ROOM.test(data.roomId) || !socket.rooms.has(data.roomId)) {
+        return reject(socket, 'send_message', ack, 'NOT_IN_ROOM', 'Join the chat room before sending to it');
+      }
+
+      io.to(data.roomId).emit('receive_message', { ...data, senderId: user.id });
+      if (typeof ack === 'function') ack({ ok: true });
+    });
+
+    // Typing indicators go to the other sockets in the chat room
+    const typingHandler = (event, isTyping) => (data, ack) => {
+      const chatId = data?.chatId;
+      if (typeof chatId !== 'string' || !socket.rooms.has(chatRoom(chatId))) {
+        return reject(socket, event, ack, 'NOT_IN_ROOM', 'Join the chat room first');
+      }
+
+      socket.to(chatRoom(chatId)).emit('typing', { chatId, userId: user.id, isTyping });
+      if (typeof ack === 'function') ack({ ok: true });
+    };
+
+    socket.on('typing_start', typingHandler('typing_start', true));
+    socket.on('typing_stop', typingHandler('typing_stop', false));
+
+    // Acknowledge that messages up to `messageId` reached this device
+    socket.on('message_delivered', async (data, ack) => {
+      const chatId = data?.chatId;
+      if (typeof chatId !== 'string' || !socket.rooms.has(chatRoom(chatId))) {
+        return reject(socket, 'message_delivered', ack, 'NOT_IN_ROOM', 'Join the chat room first');
+      }
+      if (typeof data.messageId !== 'string' || !UUID.test(data.messageId)) {
+        return reject(socket, 'message_delivered', ack, 'INVALID_MESSAGE', 'messageId must be a message ID');
+      }
+
+      try {
+        const receipt = await advanceReceipt(chatId, user.id, { messageId: data.messageId });
+        await broadcastReceipt(io, receipt, false);
+        if (typeof ack === 'function') ack({ ok: true, receipt });
+      } catch (error) {
+        if (error.message === 'MESSAGE_NOT_FOUND') {
+          return reject(socket, 'message_delivered', ack, 'MESSAGE_NOT_FOUND', 'Message not found in this chat');
+        }
+        console.error('Message delivered error:', error);
+        reject(socket, 'message_delivered', ack, 'SERVER_ERROR', 'Could not record delivery');
+      }
+    });
+  });
+
+  setNotificationSocket(io);
+  setChatSocket(io);
+  setSessionSocket(io);
+};
+
+export default {
+  registerSocketHandlers,
+};
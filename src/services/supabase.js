@@ -108,33 +108,23 @@ export const taskService = {
 
 // Chat operations
 export const chatService = {
-  // Create or get chat for a task
+  // Open the user's chat about a task (inquiry thread or working chat, see open_task_chat)
   getOrCreateChat: async (taskId, userId) => {
-    // Check if chat already exists
-    const { data: existingChat, error: findError } = await supabase
-      .from('chats')
-      .select('*')
-      .eq('task_id', taskId)
-      .single();
-
-    if (findError && findError.code !== 'PGRST116') { // PGRST116 = not found
-      handleError(findError);
-    }
+    const { data: result, error } = await supabaseAdmin.rpc('open_task_chat', {
+      p_task_id: taskId,
+      p_user_id: userId,
+    });
 
-    if (existingChat) return existingChat;
+    if (error) handleError(error);
 
-    // Create new chat if not exists
-    const { data: newChat, error: createError } = await supabase
+    const { data: chat, error: chatError } = await supabase
       .from('chats')
-      .insert({
-        task_id: taskId,
-        created_by: userId,
-      })
-      .select()
+      .select('*')
+      .eq('id', result.chat_id)
       .single();
 
-    if (createError) handleError(createError);
-    return newChat;
+    if (chatError) handleError(chatError);
+    return chat;
   },
 
   // Send message
@@ -169,30 +159,27 @@ export const chatService = {
 
 // Review operations
 export const reviewService = {
-  // Create a review
+  // Create a review (the reviewee is the other party on the task, see submit_review)
   createReview: async (reviewData) => {
-    const { data, error } = await supabase
-      .from('reviews')
-      .insert({
-        task_id: reviewData.taskId,
-        reviewer_id: reviewData.reviewerId,
-        reviewee_id: reviewData.revieweeId,
-        rating: reviewData.rating,
-        comment: reviewData.comment,
-      })
-      .select()
-      .single();
+    const { data, error } = await supabaseAdmin.rpc('submit_review', {
+      p_task_id: reviewData.taskId,
+      p_author_id: reviewData.reviewerId,
+      p_rating: reviewData.rating,
+      p_comment: reviewData.comment || null,
+      p_window_days: parseInt(process.env.REVIEW_WINDOW_DAYS || '14', 10),
+    });
     
     if (error) handleError(error);
     return data;
   },
 
-  // Get reviews for a user
+  // Get the visible reviews of a user
   getUserReviews: async (userId) => {
     const { data, error } = await supabase
       .from('reviews')
       .select('*')
-      .eq('reviewee_id', userId);
+      .eq('target_id', userId)
+      .eq('is_visible', true);
     
     if (error) handleError(error);
     return data || [];
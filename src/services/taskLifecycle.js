@@ -0,0 +1,310 @@
+import { supabaseAdmin } from './supabase.js';
+import { NOTIFICATION_TYPES, PRIORITIES, notify } from './notificationService.js';
+import { postSystemMessage } from './chatService.js';
+import { formatNaira } from './currency.js';
+
+/**
+ * Lifecycle actions a task supports.
+ * `from` maps each status the action may be taken from to the parties allowed to take it.
+ * Assignment (OPEN -> ASSIGNED) happens when an offer is accepted, see routes/offers.js.
+ */
+export const TASK_ACTIONS = {
+  start: {
+    to: 'IN_PROGRESS',
+    from: { ASSIGNED: ['hustler'] },
+  },
+  complete: {
+    to: 'COMPLETED',
+    from: { IN_PROGRESS: ['hustler'] },
+  },
+  confirm: {
+    to: 'COMPLETED',
+    from: { COMPLETED: ['poster'] },
+    guard: (task) => !task.confirmed_at,
+  },
+  cancel: {
+    to: 'CANCELLED',
+    from: { OPEN: ['poster'], ASSIGNED: ['poster', 'hustler'] },
+  },
+  dispute: {
+    to: 'DISPUTED',
+    from: { IN_PROGRESS: ['poster', 'hustler'], COMPLETED: ['poster'] },
+    guard: (task) => !task.confirmed_at,
+  },
+};
+
+// How an admin can settle a dispute, and the transition_task action for each
+export const DISPUTE_OUTCOMES = {
+  release: 'resolve_release',
+  refund: 'resolve_refund',
+};
+
+// Who hears about each action (the other side of the task) and what they're told
+const TRANSITION_NOTIFICATIONS = {
+  start: { type: NOTIFICATION_TYPES.TASK_UPDATED, title: 'Work started', message: (task) => `Work has started on "${task.title}".` },
+  complete: { type: NOTIFICATION_TYPES.TASK_COMPLETED, title: 'Task completed', message: (task) => `"${task.title}" is done. Confirm it to release payment.` },
+  confirm: { type: NOTIFICATION_TYPES.PAYMENT_RECEIVED, title: 'Payment released', message: (task) => `Payment for "${task.title}" has been released to your wallet.` },
+  cancel: { type: NOTIFICATION_TYPES.TASK_UPDATED, priority: PRIORITIES.HIGH, title: 'Task cancelled', message: (task) => `"${task.title}" was cancelled.` },
+  dispute: { type: NOTIFICATION_TYPES.TASK_UPDATED, priority: PRIORITIES.HIGH, title: 'Dispute raised', message: (task) => `A dispute was raised on "${task.title}".` },
+  resolve_release: { type: NOTIFICATION_TYPES.TASK_UPDATED, priority: PRIORITIES.HIGH, title: 'Dispute resolved', message: (task) => `The dispute on "${task.title}" was resolved and payment was released to the hustler.` },
+  resolve_refund: { type: NOTIFICATION_TYPES.TASK_UPDATED, priority: PRIORITIES.HIGH, title: 'Dispute resolved', message: (task) => `The dispute on "${task.title}" was resolved and payment was refunded to the poster.` },
+};
+
+// What escrow holds, as in fund_task_escrow: the agreed price, or the budget if there is none
+const escrowAmount = (task) => task.agreed_amount ?? task.budget;
+
+// SYSTEM messages posted to the task chat for each action, in order. Payment
+// events follow the escrow movements in apply_task_escrow.
+const TRANSITION_TIMELINE = {
+  assign: (task) => [
+    { event: 'TASK_ASSIGNED', content: `Task assigned for ${formatNaira(escrowAmount(task))}`, data: { hustlerId: task.hustler_id, amount: escrowAmount(task) } },
+    { event: 'ESCROW_FUNDED', content: `${formatNaira(escrowAmount(task))} is held in escrow until the work is confirmed`, data: { amount: escrowAmount(task) } },
+  ],
+  start: () => [{ event: 'TASK_STARTED', content: 'Work started' }],
+  complete: () => [{ event: 'TASK_COMPLETED', content: 'Work marked as done, waiting for the poster to confirm' }],
+  confirm: (task) => [
+    { event: 'TASK_CONFIRMED', content: 'Completion confirmed' },
+    {
+      event: 'PAYMENT_RELEASED',
+      content: `Payment of ${formatNaira(escrowAmount(task))} released${task.tip_amount > 0 ? ` with a ${formatNaira(task.tip_amount)} tip` : ''}`,
+      data: { amount: escrowAmount(task), tip: task.tip_amount || 0 },
+    },
+  ],
+  cancel: (task, fromStatus) => [
+    { event: 'TASK_CANCELLED', content: 'Task cancelled' },
+    ...(fromStatus === 'OPEN' ? [] : [{
+      event: 'ESCROW_REFUNDED',
+      content: `${formatNaira(escrowAmount(task))} refunded to the poster`,
+      data: { amount: escrowAmount(task) },
+    }]),
+  ],
+  dispute: () => [{ event: 'TASK_DISPUTED', content: 'Dispute raised, payment is on hold' }],
+  resolve_release: (task) => [
+    { event: 'DISPUTE_RESOLVED', content: 'Dispute resolved in favour of the hustler' },
+    { event: 'PAYMENT_RELEASED', content: `Payment of ${formatNaira(escrowAmount(task))} released`, data: { amount: escrowAmount(task), tip: 0 } },
+  ],
+  resolve_refund: (task) => [
+    { event: 'DISPUTE_RESOLVED', content: 'Dispute resolved in favour of the poster' },
+    { event: 'ESCROW_REFUNDED', content: `${formatNaira(escrowAmount(task))} refunded to the poster`, data: { amount: escrowAmount(task) } },
+  ],
+};
+
+/**
+ * Post the SYSTEM messages for a lifecycle action into the task's chat
+ * @param {object} task - Task row after the action
+ * @param {string} action - 'assign', one of TASK_ACTIONS or a DISPUTE_OUTCOMES action
+ * @param {string} actorId - User who took the action
+ * @param {object} [details]
+ * @param {string} details.fromStatus - Status before the action
+ * @param {string} [details.reason]
+ * @param {object} [details.data] - Extra metadata for every message
+ */
+export const postTimelineMessages = async (task, action, actorId, { fromStatus, reason = null, data = {} }) => {
+  for (const entry of TRANSITION_TIMELINE[action](task, fromStatus)) {
+    await postSystemMessage(task.id, {
+      actorId,
+      event: entry.event,
+      content: entry.content,
+      data: { action, fromStatus, toStatus: task.status, reason, ...data, ...entry.data },
+    });
+  }
+};
+
+/**
+ * Error thrown when a lifecycle action cannot be applied.
+ * Carries the HTTP status and a machine-readable code for the response body.
+ */
+export class TaskTransitionError extends Error {
+  constructor(statusCode, code, message, details = {}) {
+    super(message);
+    this.name = 'TaskTransitionError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const getTask = async (taskId) => {
+  const { data: task, error } = await supabaseAdmin
+    .from('tasks')
+    .select('*')
+    .eq('id', taskId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!task) {
+    throw new TaskTransitionError(404, 'TASK_NOT_FOUND', 'Task not found');
+  }
+  return task;
+};
+
+// Tell the given parties about an action that was applied
+const notifyTransition = async (task, action, userIds, fromStatus) => {
+  const notification = TRANSITION_NOTIFICATIONS[action];
+  if (!notification) return;
+
+  for (const userId of userIds.filter(Boolean)) {
+    await notify({
+      userId,
+      type: notification.type,
+      priority: notification.priority,
+      title: notification.title,
+      message: notification.message(task),
+      taskId: task.id,
+      data: { action, fromStatus, toStatus: task.status },
+    });
+  }
+};
+
+/**
+ * Which side of the task a user is on
+ * @param {object} task - Task row
+ * @param {string} userId - User ID
+ * @returns {'poster'|'hustler'|null}
+ */
+export const getTaskRole = (task, userId) => {
+  if (task.poster_id === userId) return 'poster';
+  if (task.hustler_id && task.hustler_id === userId) return 'hustler';
+  return null;
+};
+
+/**
+ * Actions the given user may currently take on a task
+ * @param {object} task - Task row
+ * @param {string} userId - User ID
+ * @returns {string[]}
+ */
+export const getAllowedActions = (task, userId) => {
+  const role = getTaskRole(task, userId);
+  if (!role) return [];
+
+  return Object.entries(TASK_ACTIONS)
+    .filter(([, definition]) => {
+      const actors = definition.from[task.status];
+      if (!actors || !actors.includes(role)) return false;
+      return !definition.guard || definition.guard(task);
+    })
+    .map(([action]) => action);
+};
+
+/**
+ * Apply a lifecycle action to a task on behalf of a user
+ * @param {string} taskId - Task ID
+ * @param {string} action - One of TASK_ACTIONS
+ * @param {string} actorId - User taking the action
+ * @param {object} [options]
+ * @param {string} [options.reason] - Optional reason, recorded in the history
+ * @param {number} [options.tip] - Tip in kobo, paid to the hustler on confirm
+ * @returns {Promise<{task: object, fromStatus: string}>}
+ */
+export const transitionTask = async (taskId, action, actorId, { reason, tip } = {}) => {
+  const definition = TASK_ACTIONS[action];
+  if (!definition) {
+    throw new TaskTransitionError(400, 'UNKNOWN_ACTION', `Unknown task action: ${action}`);
+  }
+
+  const task = await getTask(taskId);
+
+  const role = getTaskRole(task, actorId);
+  if (!role) {
+    throw new TaskTransitionError(403, 'NOT_AUTHORIZED', 'Not authorized to update this task');
+  }
+
+  const actors = definition.from[task.status];
+  const invalidTransition = () => new TaskTransitionError(
+    409,
+    'INVALID_TRANSITION',
+    `Cannot ${action} a task that is ${task.status}`,
+    {
+      action,
+      currentStatus: task.status,
+      allowedActions: getAllowedActions(task, actorId),
+    }
+  );
+
+  if (!actors || (definition.guard && !definition.guard(task))) {
+    throw invalidTransition();
+  }
+  if (!actors.includes(role)) {
+    throw new TaskTransitionError(
+      403,
+      'NOT_AUTHORIZED',
+      `Only the task ${actors.join(' or ')} can ${action} this task`
+    );
+  }
+
+  const { data: updatedTask, error } = await supabaseAdmin.rpc('transition_task', {
+    p_task_id: taskId,
+    p_action: action,
+    p_actor_id: actorId,
+    p_reason: reason || null,
+    // The escrow release on confirm pays the tip out of the poster's wallet
+    p_tip: action === 'confirm' ? tip || 0 : 0,
+  });
+
+  if (error) {
+    // Another request moved the task on between our read and the update
+    if (error.message === 'INVALID_TRANSITION') throw invalidTransition();
+    if (error.message === 'INSUFFICIENT_FUNDS') {
+      throw new TaskTransitionError(402, 'INSUFFICIENT_FUNDS', 'Insufficient wallet balance for the tip');
+    }
+    throw error;
+  }
+
+  const counterpartId = role === 'poster' ? updatedTask.hustler_id : updatedTask.poster_id;
+  await notifyTransition(updatedTask, action, counterpartId ? [counterpartId] : [], task.status);
+  await postTimelineMessages(updatedTask, action, actorId, { fromStatus: task.status, reason });
+
+  return { task: updatedTask, fromStatus: task.status };
+};
+
+/**
+ * Settle a disputed task, paying the escrow out to the hustler or back to the
+ * poster. Both parties are told. (admin)
+ * @param {string} taskId - Task ID
+ * @param {'release'|'refund'} outcome - One of DISPUTE_OUTCOMES
+ * @param {string} adminId - Admin settling the dispute
+ * @param {object} [options]
+ * @param {string} [options.reason] - Recorded in the history and shown in the chat
+ * @returns {Promise<{task: object, fromStatus: string}>}
+ */
+export const resolveDispute = async (taskId, outcome, adminId, { reason } = {}) => {
+  const action = DISPUTE_OUTCOMES[outcome];
+  if (!action) {
+    throw new TaskTransitionError(400, 'UNKNOWN_OUTCOME', `Unknown dispute outcome: ${outcome}`);
+  }
+
+  const task = await getTask(taskId);
+
+  const { data: updatedTask, error } = await supabaseAdmin.rpc('transition_task', {
+    p_task_id: taskId,
+    p_action: action,
+    p_actor_id: adminId,
+    p_reason: reason || null,
+  });
+
+  if (error) {
+    if (error.message === 'INVALID_TRANSITION') {
+      throw new TaskTransitionError(409, 'INVALID_TRANSITION', `Cannot resolve a task that is ${task.status}`, {
+        currentStatus: task.status,
+      });
+    }
+    throw error;
+  }
+
+  await notifyTransition(updatedTask, action, [updatedTask.poster_id, updatedTask.hustler_id], task.status);
+  await postTimelineMessages(updatedTask, action, adminId, { fromStatus: task.status, reason });
+
+  return { task: updatedTask, fromStatus: task.status };
+};
+
+export default {
+  TASK_ACTIONS,
+  DISPUTE_OUTCOMES,
+  TaskTransitionError,
+  getTaskRole,
+  getAllowedActions,
+  transitionTask,
+  resolveDispute,
+  postTimelineMessages,
+};
@@ -0,0 +1,111 @@
+import { supabaseAdmin } from './supabase.js';
+
+// Radius used when a search gives a location but no radiusKm
+export const DEFAULT_RADIUS_KM = parseFloat(process.env.TASK_SEARCH_RADIUS_KM || '10');
+export const MAX_RADIUS_KM = 100;
+
+/**
+ * Distances to tasks within a radius of a point
+ * @param {object} params
+ * @param {number} params.lat - Latitude of the search origin
+ * @param {number} params.lng - Longitude of the search origin
+ * @param {number} [params.radiusKm] - Search radius, defaults to DEFAULT_RADIUS_KM
+ * @param {string[]} [params.statuses] - Only consider tasks in these statuses
+ * @returns {Promise<Map<string, number>>} Distance in km by task ID, nearest first
+ */
+export const getNearbyTaskDistances = async ({ lat, lng, radiusKm = DEFAULT_RADIUS_KM, statuses }) => {
+  const { data, error } = await supabaseAdmin.rpc('nearby_tasks', {
+    p_lat: lat,
+    p_lng: lng,
+    p_radius_km: Math.min(radiusKm, MAX_RADIUS_KM),
+    p_statuses: statuses || null,
+  });
+
+  if (error) throw error;
+  return new Map(data.map((row) => [row.task_id, row.distance_km]));
+};
+
+/**
+ * Location saved on a user's profile
+ * @param {string} userId - User ID
+ * @returns {Promise<{lat: number, lng: number}|null>}
+ */
+export const getSavedLocation = async (userId) => {
+  const { data: user, error } = await supabaseAdmin
+    .from('users')
+    .select('latitude, longitude')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (user?.latitude == null || user?.longitude == null) return null;
+  return { lat: user.latitude, lng: user.longitude };
+};
+
+// Budget buckets used for search facets, in kobo. Must match task_budget_bucket().
+export const BUDGET_BUCKETS = {
+  UNDER_5K: { label: 'Under ₦5,000', max: 500000 },
+  '5K_20K': { label: '₦5,000 - ₦20,000', min: 500000, max: 2000000 },
+  '20K_50K': { label: '₦20,000 - ₦50,000', min: 2000000, max: 5000000 },
+  '50K_PLUS': { label: '₦50,000 and above', min: 5000000 },
+};
+
+/**
+ * Full-text search over task titles and descriptions, ranked by relevance
+ * @param {string} text - Search text, web-search syntax ("quoted phrases", -exclusions)
+ * @param {object} [filters]
+ * @param {string[]} [filters.statuses] - Defaults to open tasks
+ * @param {string} [filters.category]
+ * @param {string} [filters.city]
+ * @param {string} [filters.budgetBucket] - One of BUDGET_BUCKETS
+ * @param {string} [filters.excludePosterId] - Leave out this user's own tasks
+ * @param {boolean} [filters.fuzzy=true] - Also match titles with small typos
+ * @param {number} [filters.limit=20]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<{total: number, results: Array<{task_id: string, rank: number}>, facets: object}>}
+ */
+export const searchTasks = async (text, {
+  statuses = ['OPEN'],
+  category,
+  city,
+  budgetBucket,
+  excludePosterId,
+  fuzzy = true,
+  limit = 20,
+  offset = 0,
+} = {}) => {
+  const { data, error } = await supabaseAdmin.rpc('search_tasks', {
+    p_query: text,
+    p_statuses: statuses,
+    p_category: category || null,
+    p_city: city || null,
+    p_budget_bucket: budgetBucket || null,
+    p_exclude_poster: excludePosterId || null,
+    p_fuzzy: fuzzy,
+    p_limit: limit,
+    p_offset: offset,
+  });
+
+  if (error) throw error;
+
+  // Report every budget bucket, in order, so the sidebar layout stays stable
+  const budgetCounts = new Map(data.facets.budget.map((facet) => [facet.value, facet.count]));
+  return {
+    ...data,
+    facets: {
+      ...data.facets,
+      budget: Object.entries(BUDGET_BUCKETS).map(([value, { label, min, max }]) => ({
+        value, label, min, max, count: budgetCounts.get(value) || 0,
+      })),
+    },
+  };
+};
+
+export default {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  getNearbyTaskDistances,
+  getSavedLocation,
+  BUDGET_BUCKETS,
+  searchTasks,
+};
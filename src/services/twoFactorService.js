@@ -0,0 +1,433 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from './supabase.js';
+import { getTwoFactorVerifiedAt } from './sessionService.js';
+
+// Issuer shown in authenticator apps, and how long a 2FA check on a session
+// counts for step-up on sensitive actions
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Hustlrs';
+const STEP_UP_WINDOW_MINUTES = parseInt(process.env.TWO_FACTOR_STEP_UP_MINUTES || '10', 10);
+// Wrong codes in a row before 2FA checks lock, and for how long
+const TWO_FACTOR_MAX_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS || '5', 10);
+const TWO_FACTOR_LOCKOUT_MINUTES = parseInt(process.env.TWO_FACTOR_LOCKOUT_MINUTES || '15', 10);
+
+const RECOVERY_CODE_COUNT = 10;
+// RFC 6238 defaults, which every authenticator app supports
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Steps either side of now that are accepted, for clock drift
+const TOTP_DRIFT_STEPS = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export class TwoFactorError extends Error {
+  constructor(statusCode, code, message, details = {}) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => { bits += byte.toString(2).padStart(8, '0'); });
+  return (bits.match(/.{1,5}/g) || [])
+    .map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (text) => {
+  const bits = text
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2)));
+};
+
+/**
+ * HOTP value (RFC 4226) for one counter
+ * @param {Buffer} key
+ * @param {number} counter
+ * @returns {string}
+ */
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = digest.readUInt32BE(offset) & 0x7fffffff;
+  return (value % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * The time step a TOTP code matches, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code from the authenticator app
+ * @returns {number|null}
+ */
+const matchTotpStep = (secret, code) => {
+  const key = base32Decode(secret);
+  const now = currentStep();
+
+  for (let step = now - TOTP_DRIFT_STEPS; step <= now + TOTP_DRIFT_STEPS; step += 1) {
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) return step;
+  }
+  return null;
+};
+
+// Secrets are encrypted at rest with AES-256-GCM, as "iv.tag.ciphertext"
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (encrypted) => {
+  const [iv, tag, ciphertext] = encrypted.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like "k3v9q-7mzt2"; case and the dash don't matter
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^a-z2-7]/g, '');
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(normalizeRecoveryCode(code))
+  .digest('hex');
+
+const newRecoveryCode = () => {
+  const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+const getRecord = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('user_two_factor')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const lockedError = (lockedUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  return new TwoFactorError(
+    429,
+    'TWO_FACTOR_LOCKED',
+    `Too many wrong two-factor codes. Try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+    { retryAfter }
+  );
+};
+
+const lockoutEnd = () => new Date(Date.now() + TWO_FACTOR_LOCKOUT_MINUTES * 60 * 1000);
+
+/**
+ * Count a code check before comparing the code, refusing while checks are
+ * locked
+ * @param {object} record - The user's user_two_factor row
+ * @returns {Promise<number>} Checks counted since the last right code
+ * @throws {TwoFactorError} TWO_FACTOR_LOCKED
+ */
+const reserveAttempt = async (record) => {
+  const { data: attempts, error } = await supabaseAdmin.rpc('reserve_two_factor_attempt', {
+    p_user_id: record.user_id,
+    p_max_attempts: TWO_FACTOR_MAX_ATTEMPTS,
+    p_lockout_minutes: TWO_FACTOR_LOCKOUT_MINUTES,
+  });
+
+  if (error) throw error;
+  if (attempts === null) {
+    throw lockedError(record.locked_until ? new Date(record.locked_until) : lockoutEnd());
+  }
+  if (attempts > TWO_FACTOR_MAX_ATTEMPTS) throw lockedError(lockoutEnd());
+  return attempts;
+};
+
+// After a wrong code: lock once the last allowed check is spent
+const rejectCode = async (userId, attempts) => {
+  if (attempts < TWO_FACTOR_MAX_ATTEMPTS) {
+    return new TwoFactorError(401, 'INVALID_TWO_FACTOR_CODE', 'Invalid two-factor code');
+  }
+
+  const lockedUntil = lockoutEnd();
+  const { error } = await supabaseAdmin
+    .from('user_two_factor')
+    .update({ locked_until: lockedUntil.toISOString() })
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return lockedError(lockedUntil);
+};
+
+const resetAttempts = async (userId) => {
+  const { error } = await supabaseAdmin
+    .from('user_two_factor')
+    .update({ failed_attempts: 0 })
+    .eq('user_id', userId);
+
+  if (error) throw error;
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} The new codes, shown to the user once
+ */
+export const regenerateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode);
+
+  const { error: deleteError } = await supabaseAdmin
+    .from('two_factor_recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  if (deleteError) throw deleteError;
+
+  const { error } = await supabaseAdmin
+    .from('two_factor_recovery_codes')
+    .insert(codes.map((code) => ({ user_id: userId, code_hash: hashRecoveryCode(code) })));
+
+  if (error) throw error;
+  return codes;
+};
+
+/**
+ * Whether a user has confirmed 2FA
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorEnabled = async (userId) => {
+  const record = await getRecord(userId);
+  return !!record?.enabled_at;
+};
+
+/**
+ * A user's 2FA state
+ * @param {string} userId - User ID
+ * @returns {Promise<{enabled: boolean, enabledAt: string|null, recoveryCodesRemaining: number}>}
+ */
+export const getTwoFactorStatus = async (userId) => {
+  const [record, { count, error }] = await Promise.all([
+    getRecord(userId),
+    supabaseAdmin
+      .from('two_factor_recovery_codes')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('used_at', null),
+  ]);
+
+  if (error) throw error;
+  return {
+    enabled: !!record?.enabled_at,
+    enabledAt: record?.enabled_at || null,
+    recoveryCodesRemaining: record?.enabled_at ? count || 0 : 0,
+  };
+};
+
+/**
+ * Start enrolling: create a new secret for the user to add to an authenticator
+ * app. Replaces an enrollment that was never confirmed.
+ * @param {string} userId - User ID
+ * @param {string} accountName - Shown in the app, e.g. the user's email
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ * @throws {TwoFactorError} If 2FA is already on
+ */
+export const startEnrollment = async (userId, accountName) => {
+  const existing = await getRecord(userId);
+  if (existing?.enabled_at) {
+    throw new TwoFactorError(409, 'TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already on');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  const { error } = await supabaseAdmin
+    .from('user_two_factor')
+    .upsert({
+      user_id: userId,
+      secret_encrypted: encryptSecret(secret),
+      enabled_at: null,
+      last_used_step: null,
+    }, { onConflict: 'user_id' });
+
+  if (error) throw error;
+
+  const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TWO_FACTOR_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return { secret, otpauthUri: `otpauth://totp/${label}?${params}` };
+};
+
+/**
+ * Check a TOTP code and use up its time step so it can't be replayed
+ * @param {object} record - user_two_factor row
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+const acceptTotp = async (record, code) => {
+  if (!/^\d{6}$/.test(code)) return false;
+
+  const step = matchTotpStep(decryptSecret(record.secret_encrypted), code);
+  if (step === null) return false;
+
+  const { data, error } = await supabaseAdmin
+    .from('user_two_factor')
+    .update({ last_used_step: step })
+    .eq('user_id', record.user_id)
+    .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+    .select('user_id');
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+/**
+ * Finish enrolling with a first code from the app, turning 2FA on
+ * @param {string} userId - User ID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<string[]>} Recovery codes, shown to the user once
+ * @throws {TwoFactorError} If there is no enrollment to confirm, the code is
+ * wrong or too many wrong codes have locked checks
+ */
+export const confirmEnrollment = async (userId, code) => {
+  const record = await getRecord(userId);
+  if (!record) {
+    throw new TwoFactorError(400, 'TWO_FACTOR_NOT_ENROLLING', 'Start enrollment first');
+  }
+  if (record.enabled_at) {
+    throw new TwoFactorError(409, 'TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already on');
+  }
+
+  const attempts = await reserveAttempt(record);
+  if (!(await acceptTotp(record, String(code).trim()))) {
+    throw await rejectCode(userId, attempts);
+  }
+
+  const { error } = await supabaseAdmin
+    .from('user_two_factor')
+    .update({ enabled_at: new Date().toISOString(), failed_attempts: 0 })
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return regenerateRecoveryCodes(userId);
+};
+
+/**
+ * Check a code from the authenticator app, or use up a recovery code
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Promise<{method: 'totp'|'recovery', recoveryCodesRemaining?: number}>}
+ * @throws {TwoFactorError} If 2FA is off, the code is wrong or too many wrong
+ * codes have locked checks
+ */
+export const verifyTwoFactor = async (userId, code) => {
+  const record = await getRecord(userId);
+  if (!record?.enabled_at) {
+    throw new TwoFactorError(400, 'TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not on');
+  }
+
+  const attempts = await reserveAttempt(record);
+  const given = String(code).trim();
+  if (await acceptTotp(record, given)) {
+    await resetAttempts(userId);
+    return { method: 'totp' };
+  }
+
+  const { data: used, error } = await supabaseAdmin
+    .from('two_factor_recovery_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('code_hash', hashRecoveryCode(given))
+    .is('used_at', null)
+    .select('id');
+
+  if (error) throw error;
+  if (used.length === 0) throw await rejectCode(userId, attempts);
+
+  await resetAttempts(userId);
+  const { recoveryCodesRemaining } = await getTwoFactorStatus(userId);
+  return { method: 'recovery', recoveryCodesRemaining };
+};
+
+/**
+ * Turn 2FA off, dropping the secret and recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} False if it was not on or being enrolled
+ */
+export const disableTwoFactor = async (userId) => {
+  const { error: codesError } = await supabaseAdmin
+    .from('two_factor_recovery_codes')
+    .delete()
+    .eq('user_id', userId);
+
+  if (codesError) throw codesError;
+
+  const { data, error } = await supabaseAdmin
+    .from('user_two_factor')
+    .delete()
+    .eq('user_id', userId)
+    .select('user_id');
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+/**
+ * Whether a session must prove 2FA again before a sensitive action: the user
+ * has 2FA on and it wasn't proven on this session within the step-up window
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>}
+ */
+export const needsStepUp = async (userId, sessionId) => {
+  const [enabled, verifiedAt] = await Promise.all([
+    isTwoFactorEnabled(userId),
+    getTwoFactorVerifiedAt(sessionId),
+  ]);
+
+  if (!enabled) return false;
+  return !verifiedAt || Date.now() - verifiedAt.getTime() > STEP_UP_WINDOW_MINUTES * 60 * 1000;
+};
+
+/**
+ * Until when a step-up lasts
+ * @param {Date} [verifiedAt] - When 2FA was proven, defaults to now
+ * @returns {Date}
+ */
+export const stepUpExpiry = (verifiedAt = new Date()) => (
+  new Date(verifiedAt.getTime() + STEP_UP_WINDOW_MINUTES * 60 * 1000)
+);
+
+export default {
+  TwoFactorError,
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  needsStepUp,
+  stepUpExpiry,
+};
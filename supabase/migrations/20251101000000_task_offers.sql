@@ -0,0 +1,110 @@
+-- Offers hustlers make on OPEN tasks before one of them is assigned
+
+-- Price agreed when an offer is accepted (in kobo); falls back to budget when null
+alter table public.tasks add column agreed_amount integer check (agreed_amount > 0);
+
+create table public.task_offers (
+  id uuid primary key default uuid_generate_v4(),
+  task_id uuid not null references public.tasks(id) on delete cascade,
+  hustler_id uuid not null references public.users(id) on delete cascade,
+
+  amount integer not null check (amount > 0), -- in kobo
+  message text,
+  eta_minutes integer check (eta_minutes > 0),
+  status text not null default 'PENDING' check (status in ('PENDING', 'COUNTERED', 'ACCEPTED', 'REJECTED', 'WITHDRAWN')),
+
+  -- Poster's counter-offer
+  counter_amount integer check (counter_amount > 0), -- in kobo
+  counter_message text,
+  countered_at timestamptz,
+
+  responded_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- A hustler can only have one live offer per task
+create unique index idx_task_offers_active_unique
+  on public.task_offers (task_id, hustler_id)
+  where status in ('PENDING', 'COUNTERED');
+
+create index idx_task_offers_task_id on public.task_offers (task_id);
+create index idx_task_offers_hustler_id on public.task_offers (hustler_id);
+
+alter table public.task_offers enable row level security;
+
+create trigger update_task_offers_updated_at
+before update on public.task_offers
+for each row execute function update_updated_at_column();
+
+-- Accept an offer and assign the task in one transaction.
+-- PENDING offers are accepted by the poster, COUNTERED offers by the hustler.
+-- All other live offers on the task are rejected and the task chat is opened.
+create or replace function public.accept_task_offer(p_offer_id uuid, p_actor_id uuid)
+returns jsonb as $$
+declare
+  v_offer public.task_offers%rowtype;
+  v_task public.tasks%rowtype;
+  v_amount integer;
+  v_chat_id uuid;
+begin
+  select * into v_offer from public.task_offers where id = p_offer_id for update;
+  if not found then
+    raise exception 'OFFER_NOT_FOUND';
+  end if;
+
+  select * into v_task from public.tasks where id = v_offer.task_id for update;
+
+  if v_offer.status = 'PENDING' then
+    if v_task.poster_id <> p_actor_id then
+      raise exception 'NOT_AUTHORIZED';
+    end if;
+    v_amount := v_offer.amount;
+  elsif v_offer.status = 'COUNTERED' then
+    if v_offer.hustler_id <> p_actor_id then
+      raise exception 'NOT_AUTHORIZED';
+    end if;
+    v_amount := v_offer.counter_amount;
+  else
+    raise exception 'OFFER_NOT_ACTIVE';
+  end if;
+
+  if v_task.status <> 'OPEN' then
+    raise exception 'TASK_NOT_OPEN';
+  end if;
+
+  update public.task_offers
+  set status = 'ACCEPTED', amount = v_amount, responded_at = now()
+  where id = v_offer.id;
+
+  update public.task_offers
+  set status = 'REJECTED', responded_at = now()
+  where task_id = v_task.id
+    and id <> v_offer.id
+    and status in ('PENDING', 'COUNTERED');
+
+  update public.tasks
+  set hustler_id = v_offer.hustler_id, agreed_amount = v_amount, status = 'ASSIGNED'
+  where id = v_task.id;
+
+  insert into public.chats (task_id)
+  values (v_task.id)
+  on conflict (task_id) do update set updated_at = now()
+  returning id into v_chat_id;
+
+  insert into public.chat_members (chat_id, user_id)
+  values (v_chat_id, v_task.poster_id), (v_chat_id, v_offer.hustler_id)
+  on conflict (chat_id, user_id) do nothing;
+
+  return jsonb_build_object(
+    'task_id', v_task.id,
+    'offer_id', v_offer.id,
+    'hustler_id', v_offer.hustler_id,
+    'amount', v_amount,
+    'chat_id', v_chat_id
+  );
+end;
+$$ language plpgsql security definer;
+
+-- Trusts p_actor_id, so only the API (service role) may call it
+revoke execute on function public.accept_task_offer(uuid, uuid) from public, anon, authenticated;
@@ -0,0 +1,174 @@
+-- Task lifecycle: OPEN -> ASSIGNED -> IN_PROGRESS -> COMPLETED, plus CANCELLED and DISPUTED
+
+alter table public.tasks drop constraint tasks_status_check;
+alter table public.tasks add constraint tasks_status_check
+  check (status in ('OPEN', 'ASSIGNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'DISPUTED'));
+
+alter table public.tasks
+  add column assigned_at timestamptz,
+  add column started_at timestamptz,
+  add column completed_at timestamptz,
+  add column confirmed_at timestamptz, -- poster accepted the completed work
+  add column cancelled_at timestamptz,
+  add column disputed_at timestamptz;
+
+-- Append-only record of every lifecycle action
+create table public.task_status_history (
+  id uuid primary key default uuid_generate_v4(),
+  task_id uuid not null references public.tasks(id) on delete cascade,
+  action text not null,
+  from_status text not null,
+  to_status text not null,
+  actor_id uuid references public.users(id) on delete set null, -- null for system actions
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index idx_task_status_history_task_id on public.task_status_history (task_id, created_at);
+
+alter table public.task_status_history enable row level security;
+
+-- Apply a lifecycle action if the task is in a status the action can be taken
+-- from. The statuses come from the action, never from the caller. Raises
+-- INVALID_TRANSITION when another request changed the task first.
+--
+-- Who may take an action is checked by the API, which is the only caller:
+--   assign          OPEN -> ASSIGNED (accepting an offer)
+--   start           ASSIGNED -> IN_PROGRESS
+--   complete        IN_PROGRESS -> COMPLETED
+--   confirm         COMPLETED -> COMPLETED (poster accepts the work)
+--   cancel          OPEN, ASSIGNED -> CANCELLED
+--   dispute         IN_PROGRESS, COMPLETED -> DISPUTED
+--   resolve_release DISPUTED -> COMPLETED (admin pays the hustler)
+--   resolve_refund  DISPUTED -> CANCELLED (admin refunds the poster)
+create or replace function public.transition_task(
+  p_task_id uuid,
+  p_action text,
+  p_actor_id uuid,
+  p_reason text default null
+)
+returns public.tasks as $$
+declare
+  v_task public.tasks%rowtype;
+  v_from_status text;
+  v_confirmed_at timestamptz;
+  v_from_statuses text[];
+  v_to_status text;
+begin
+  case p_action
+    when 'assign' then v_from_statuses := array['OPEN']; v_to_status := 'ASSIGNED';
+    when 'start' then v_from_statuses := array['ASSIGNED']; v_to_status := 'IN_PROGRESS';
+    when 'complete' then v_from_statuses := array['IN_PROGRESS']; v_to_status := 'COMPLETED';
+    when 'confirm' then v_from_statuses := array['COMPLETED']; v_to_status := 'COMPLETED';
+    when 'cancel' then v_from_statuses := array['OPEN', 'ASSIGNED']; v_to_status := 'CANCELLED';
+    when 'dispute' then v_from_statuses := array['IN_PROGRESS', 'COMPLETED']; v_to_status := 'DISPUTED';
+    when 'resolve_release' then v_from_statuses := array['DISPUTED']; v_to_status := 'COMPLETED';
+    when 'resolve_refund' then v_from_statuses := array['DISPUTED']; v_to_status := 'CANCELLED';
+    else raise exception 'UNKNOWN_ACTION';
+  end case;
+
+  select status, confirmed_at into v_from_status, v_confirmed_at
+  from public.tasks where id = p_task_id for update;
+  if not found then
+    raise exception 'TASK_NOT_FOUND';
+  end if;
+
+  if not (v_from_status = any(v_from_statuses)) then
+    raise exception 'INVALID_TRANSITION';
+  end if;
+
+  -- Confirmed work is final
+  if v_confirmed_at is not null and p_action in ('confirm', 'dispute') then
+    raise exception 'INVALID_TRANSITION';
+  end if;
+
+  update public.tasks
+  set
+    status = v_to_status,
+    assigned_at = case when p_action = 'assign' then now() else assigned_at end,
+    started_at = case when p_action = 'start' then now() else started_at end,
+    completed_at = case when p_action = 'complete' then now() else completed_at end,
+    confirmed_at = case when p_action in ('confirm', 'resolve_release') then now() else confirmed_at end,
+    cancelled_at = case when p_action in ('cancel', 'resolve_refund') then now() else cancelled_at end,
+    disputed_at = case when p_action = 'dispute' then now() else disputed_at end
+  where id = p_task_id
+  returning * into v_task;
+
+  insert into public.task_status_history (task_id, action, from_status, to_status, actor_id, reason)
+  values (p_task_id, p_action, v_from_status, v_to_status, p_actor_id, p_reason);
+
+  return v_task;
+end;
+$$ language plpgsql security definer;
+
+-- Trusts p_actor_id, so only the API (service role) may call it
+revoke execute on function public.transition_task(uuid, text, uuid, text) from public, anon, authenticated;
+
+-- Route offer acceptance through transition_task so assignment is recorded too
+create or replace function public.accept_task_offer(p_offer_id uuid, p_actor_id uuid)
+returns jsonb as $$
+declare
+  v_offer public.task_offers%rowtype;
+  v_task public.tasks%rowtype;
+  v_amount integer;
+  v_chat_id uuid;
+begin
+  select * into v_offer from public.task_offers where id = p_offer_id for update;
+  if not found then
+    raise exception 'OFFER_NOT_FOUND';
+  end if;
+
+  select * into v_task from public.tasks where id = v_offer.task_id for update;
+
+  if v_offer.status = 'PENDING' then
+    if v_task.poster_id <> p_actor_id then
+      raise exception 'NOT_AUTHORIZED';
+    end if;
+    v_amount := v_offer.amount;
+  elsif v_offer.status = 'COUNTERED' then
+    if v_offer.hustler_id <> p_actor_id then
+      raise exception 'NOT_AUTHORIZED';
+    end if;
+    v_amount := v_offer.counter_amount;
+  else
+    raise exception 'OFFER_NOT_ACTIVE';
+  end if;
+
+  if v_task.status <> 'OPEN' then
+    raise exception 'TASK_NOT_OPEN';
+  end if;
+
+  update public.task_offers
+  set status = 'ACCEPTED', amount = v_amount, responded_at = now()
+  where id = v_offer.id;
+
+  update public.task_offers
+  set status = 'REJECTED', responded_at = now()
+  where task_id = v_task.id
+    and id <> v_offer.id
+    and status in ('PENDING', 'COUNTERED');
+
+  update public.tasks
+  set hustler_id = v_offer.hustler_id, agreed_amount = v_amount
+  where id = v_task.id;
+
+  perform public.transition_task(v_task.id, 'assign', p_actor_id, null);
+
+  insert into public.chats (task_id)
+  values (v_task.id)
+  on conflict (task_id) do update set updated_at = now()
+  returning id into v_chat_id;
+
+  insert into public.chat_members (chat_id, user_id)
+  values (v_chat_id, v_task.poster_id), (v_chat_id, v_offer.hustler_id)
+  on conflict (chat_id, user_id) do nothing;
+
+  return jsonb_build_object(
+    'task_id', v_task.id,
+    'offer_id', v_offer.id,
+    'hustler_id', v_offer.hustler_id,
+    'amount', v_amount,
+    'chat_id', v_chat_id
+  );
+end;
+$$ language plpgsql security definer;
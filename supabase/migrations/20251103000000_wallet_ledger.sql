@@ -0,0 +1,288 @@
+-- Wallets, task escrow and an immutable double-entry ledger. All amounts are in kobo.
+--
+-- Every money movement is a journal entry whose lines sum to zero. A positive line
+-- credits the account, a negative line debits it. Account balances are a cached sum
+-- of their lines and can be rebuilt at any time with rebuild_ledger_balances().
+
+create table public.ledger_accounts (
+  id uuid primary key default uuid_generate_v4(),
+  type text not null check (type in ('WALLET', 'ESCROW', 'PLATFORM', 'EXTERNAL')),
+  owner_id uuid, -- user id for WALLET, task id for ESCROW, null for system accounts
+  currency text not null default 'NGN',
+  balance bigint not null default 0,
+  allow_negative boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique nulls not distinct (type, owner_id)
+);
+
+create table public.journal_entries (
+  id uuid primary key default uuid_generate_v4(),
+  entry_type text not null, -- ESCROW_FUND, ESCROW_RELEASE, ESCROW_REFUND, ...
+  idempotency_key text unique not null,
+  task_id uuid, -- not a foreign key: journal rows outlive the task
+  description text,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create table public.journal_lines (
+  id uuid primary key default uuid_generate_v4(),
+  entry_id uuid not null references public.journal_entries(id) on delete restrict,
+  account_id uuid not null references public.ledger_accounts(id) on delete restrict,
+  amount bigint not null check (amount <> 0),
+  balance_after bigint not null,
+  created_at timestamptz not null default now()
+);
+
+create index idx_journal_entries_task_id on public.journal_entries (task_id);
+create index idx_journal_lines_account_id on public.journal_lines (account_id, created_at);
+create index idx_journal_lines_entry_id on public.journal_lines (entry_id);
+
+alter table public.ledger_accounts enable row level security;
+alter table public.journal_entries enable row level security;
+alter table public.journal_lines enable row level security;
+
+create trigger update_ledger_accounts_updated_at
+before update on public.ledger_accounts
+for each row execute function update_updated_at_column();
+
+-- System accounts. EXTERNAL is the outside world: money entering the platform
+-- debits it, so it is the only account expected to run negative.
+insert into public.ledger_accounts (type, owner_id, allow_negative) values
+  ('PLATFORM', null, false),
+  ('EXTERNAL', null, true);
+
+-- Journal rows are append-only
+create or replace function public.prevent_ledger_mutation()
+returns trigger as $$
+begin
+  raise exception 'LEDGER_IMMUTABLE';
+end;
+$$ language plpgsql;
+
+create trigger journal_entries_immutable
+before update or delete on public.journal_entries
+for each row execute function public.prevent_ledger_mutation();
+
+create trigger journal_lines_immutable
+before update or delete on public.journal_lines
+for each row execute function public.prevent_ledger_mutation();
+
+-- Get (or lazily create) the ledger account of the given type and owner
+create or replace function public.ledger_account_id(p_type text, p_owner_id uuid)
+returns uuid as $$
+declare
+  v_account_id uuid;
+begin
+  select id into v_account_id
+  from public.ledger_accounts
+  where type = p_type and owner_id is not distinct from p_owner_id;
+
+  if v_account_id is null then
+    insert into public.ledger_accounts (type, owner_id)
+    values (p_type, p_owner_id)
+    on conflict (type, owner_id) do nothing;
+
+    select id into v_account_id
+    from public.ledger_accounts
+    where type = p_type and owner_id is not distinct from p_owner_id;
+  end if;
+
+  return v_account_id;
+end;
+$$ language plpgsql security definer;
+
+-- Post a balanced journal entry. p_lines is a JSON array of {account_id, amount}.
+-- Posting the same idempotency key twice returns the original entry.
+create or replace function public.post_journal_entry(
+  p_entry_type text,
+  p_idempotency_key text,
+  p_lines jsonb,
+  p_task_id uuid default null,
+  p_description text default null,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns uuid as $$
+declare
+  v_entry_id uuid;
+  v_line jsonb;
+  v_amount bigint;
+  v_total bigint;
+  v_account public.ledger_accounts%rowtype;
+begin
+  select id into v_entry_id from public.journal_entries where idempotency_key = p_idempotency_key;
+  if found then
+    return v_entry_id;
+  end if;
+
+  select coalesce(sum((line->>'amount')::bigint), 0) into v_total
+  from jsonb_array_elements(p_lines) as line;
+
+  if jsonb_array_length(p_lines) < 2 or v_total <> 0 then
+    raise exception 'UNBALANCED_ENTRY';
+  end if;
+
+  insert into public.journal_entries (entry_type, idempotency_key, task_id, description, metadata)
+  values (p_entry_type, p_idempotency_key, p_task_id, p_description, coalesce(p_metadata, '{}'::jsonb))
+  returning id into v_entry_id;
+
+  for v_line in select * from jsonb_array_elements(p_lines) loop
+    v_amount := (v_line->>'amount')::bigint;
+
+    update public.ledger_accounts
+    set balance = balance + v_amount
+    where id = (v_line->>'account_id')::uuid
+    returning * into v_account;
+
+    if not found then
+      raise exception 'ACCOUNT_NOT_FOUND';
+    end if;
+    if v_account.balance < 0 and not v_account.allow_negative then
+      raise exception 'INSUFFICIENT_FUNDS';
+    end if;
+
+    insert into public.journal_lines (entry_id, account_id, amount, balance_after)
+    values (v_entry_id, v_account.id, v_amount, v_account.balance);
+  end loop;
+
+  return v_entry_id;
+end;
+$$ language plpgsql security definer;
+
+-- Move the agreed price from the poster's wallet into the task's escrow
+create or replace function public.fund_task_escrow(p_task_id uuid)
+returns uuid as $$
+declare
+  v_task public.tasks%rowtype;
+  v_amount bigint;
+begin
+  select * into v_task from public.tasks where id = p_task_id;
+  v_amount := coalesce(v_task.agreed_amount, v_task.budget);
+
+  return public.post_journal_entry(
+    'ESCROW_FUND',
+    'escrow_fund:' || p_task_id,
+    jsonb_build_array(
+      jsonb_build_object('account_id', public.ledger_account_id('WALLET', v_task.poster_id), 'amount', -v_amount),
+      jsonb_build_object('account_id', public.ledger_account_id('ESCROW', p_task_id), 'amount', v_amount)
+    ),
+    p_task_id,
+    'Escrow funded for "' || v_task.title || '"'
+  );
+end;
+$$ language plpgsql security definer;
+
+-- Pay whatever is held in escrow out to the hustler's wallet
+create or replace function public.release_task_escrow(p_task_id uuid)
+returns uuid as $$
+declare
+  v_task public.tasks%rowtype;
+  v_escrow_id uuid;
+  v_amount bigint;
+  v_entry_id uuid;
+begin
+  select * into v_task from public.tasks where id = p_task_id;
+  v_escrow_id := public.ledger_account_id('ESCROW', p_task_id);
+  select balance into v_amount from public.ledger_accounts where id = v_escrow_id for update;
+
+  if v_amount <= 0 then
+    return null;
+  end if;
+
+  v_entry_id := public.post_journal_entry(
+    'ESCROW_RELEASE',
+    'escrow_release:' || p_task_id,
+    jsonb_build_array(
+      jsonb_build_object('account_id', v_escrow_id, 'amount', -v_amount),
+      jsonb_build_object('account_id', public.ledger_account_id('WALLET', v_task.hustler_id), 'amount', v_amount)
+    ),
+    p_task_id,
+    'Payment for "' || v_task.title || '"'
+  );
+
+  update public.users
+  set total_earnings = total_earnings + v_amount
+  where id = v_task.hustler_id;
+
+  return v_entry_id;
+end;
+$$ language plpgsql security definer;
+
+-- Return whatever is held in escrow to the poster's wallet
+create or replace function public.refund_task_escrow(p_task_id uuid)
+returns uuid as $$
+declare
+  v_task public.tasks%rowtype;
+  v_escrow_id uuid;
+  v_amount bigint;
+begin
+  select * into v_task from public.tasks where id = p_task_id;
+  v_escrow_id := public.ledger_account_id('ESCROW', p_task_id);
+  select balance into v_amount from public.ledger_accounts where id = v_escrow_id for update;
+
+  if v_amount <= 0 then
+    return null;
+  end if;
+
+  return public.post_journal_entry(
+    'ESCROW_REFUND',
+    'escrow_refund:' || p_task_id,
+    jsonb_build_array(
+      jsonb_build_object('account_id', v_escrow_id, 'amount', -v_amount),
+      jsonb_build_object('account_id', public.ledger_account_id('WALLET', v_task.poster_id), 'amount', v_amount)
+    ),
+    p_task_id,
+    'Refund for cancelled "' || v_task.title || '"'
+  );
+end;
+$$ language plpgsql security definer;
+
+-- Move escrow money as the task moves through its lifecycle. Runs in the same
+-- transaction as the transition, so e.g. an unfunded assignment is rolled back.
+create or replace function public.apply_task_escrow()
+returns trigger as $$
+begin
+  if new.action = 'assign' then
+    perform public.fund_task_escrow(new.task_id);
+  elsif new.action in ('confirm', 'resolve_release') then
+    perform public.release_task_escrow(new.task_id);
+  elsif new.action in ('cancel', 'resolve_refund') then
+    perform public.refund_task_escrow(new.task_id);
+  end if;
+  return new;
+end;
+$$ language plpgsql security definer;
+
+create trigger task_status_history_escrow
+after insert on public.task_status_history
+for each row execute function public.apply_task_escrow();
+
+-- Recompute every cached balance from the journal.
+-- Returns the accounts whose cached balance was wrong.
+create or replace function public.rebuild_ledger_balances()
+returns table (account_id uuid, cached_balance bigint, ledger_balance bigint) as $$
+  with computed as (
+    select a.id, a.balance, coalesce(sum(l.amount), 0)::bigint as actual
+    from public.ledger_accounts a
+    left join public.journal_lines l on l.account_id = a.id
+    group by a.id, a.balance
+  ),
+  fixed as (
+    update public.ledger_accounts a
+    set balance = c.actual
+    from computed c
+    where a.id = c.id and a.balance <> c.actual
+    returning a.id, c.balance, c.actual
+  )
+  select * from fixed;
+$$ language sql security definer;
+
+-- Money only moves through the API (service role). None of these may be called
+-- with the anon key or a user's token.
+revoke execute on function public.ledger_account_id(text, uuid) from public, anon, authenticated;
+revoke execute on function public.post_journal_entry(text, text, jsonb, uuid, text, jsonb) from public, anon, authenticated;
+revoke execute on function public.fund_task_escrow(uuid) from public, anon, authenticated;
+revoke execute on function public.release_task_escrow(uuid) from public, anon, authenticated;
+revoke execute on function public.refund_task_escrow(uuid) from public, anon, authenticated;
+revoke execute on function public.rebuild_ledger_balances() from public, anon, authenticated;
@@ -0,0 +1,119 @@
+-- Wallet top-ups through a payment provider (Paystack, or the local fake provider)
+
+alter table public.users add column is_admin boolean not null default false;
+
+create table public.payment_transactions (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid not null references public.users(id) on delete cascade,
+  provider text not null,
+  reference text unique not null, -- our reference, sent to the provider
+  provider_reference text,
+  channel text not null check (channel in ('CARD', 'BANK_TRANSFER')),
+  amount bigint not null check (amount > 0), -- in kobo
+  amount_received bigint, -- what the provider reported as paid
+  currency text not null default 'NGN',
+  status text not null default 'PENDING' check (status in ('PENDING', 'SUCCESS', 'FAILED', 'ABANDONED')),
+  journal_entry_id uuid references public.journal_entries(id),
+  metadata jsonb not null default '{}'::jsonb,
+  paid_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index idx_payment_transactions_user_id on public.payment_transactions (user_id, created_at);
+create index idx_payment_transactions_status on public.payment_transactions (status, created_at);
+
+-- Raw webhook deliveries, kept for auditing and de-duplication
+create table public.payment_events (
+  id uuid primary key default uuid_generate_v4(),
+  provider text not null,
+  event_key text not null, -- provider's unique id for the delivery
+  event_type text not null,
+  reference text,
+  payload jsonb not null,
+  processed_at timestamptz,
+  error text,
+  created_at timestamptz not null default now(),
+  unique (provider, event_key)
+);
+
+create index idx_payment_events_reference on public.payment_events (reference);
+
+alter table public.payment_transactions enable row level security;
+alter table public.payment_events enable row level security;
+
+create trigger update_payment_transactions_updated_at
+before update on public.payment_transactions
+for each row execute function update_updated_at_column();
+
+-- Settle a top-up from a provider result. Only the provider the top-up was
+-- created with can settle it. Successful payments credit the user's wallet
+-- with the amount the top-up was created for; a provider reporting any other
+-- amount, or a success for a top-up that already failed, is an error left for
+-- reconciliation. Settling twice is a no-op.
+create or replace function public.settle_payment_transaction(
+  p_reference text,
+  p_provider text,
+  p_status text,
+  p_amount_received bigint default null,
+  p_provider_reference text default null
+)
+returns public.payment_transactions as $$
+declare
+  v_payment public.payment_transactions%rowtype;
+  v_entry_id uuid;
+begin
+  select * into v_payment from public.payment_transactions where reference = p_reference for update;
+  if not found then
+    raise exception 'PAYMENT_NOT_FOUND';
+  end if;
+
+  if v_payment.provider <> p_provider then
+    raise exception 'PROVIDER_MISMATCH';
+  end if;
+
+  if v_payment.status = 'SUCCESS' then
+    return v_payment;
+  end if;
+
+  if p_status = 'SUCCESS' then
+    if v_payment.status <> 'PENDING' then
+      raise exception 'PAYMENT_NOT_PENDING';
+    end if;
+    if p_amount_received is distinct from v_payment.amount then
+      raise exception 'AMOUNT_MISMATCH';
+    end if;
+
+    v_entry_id := public.post_journal_entry(
+      'TOP_UP',
+      'topup:' || v_payment.provider || ':' || v_payment.reference,
+      jsonb_build_array(
+        jsonb_build_object('account_id', public.ledger_account_id('EXTERNAL', null), 'amount', -v_payment.amount),
+        jsonb_build_object('account_id', public.ledger_account_id('WALLET', v_payment.user_id), 'amount', v_payment.amount)
+      ),
+      null,
+      'Wallet top-up',
+      jsonb_build_object('provider', v_payment.provider, 'reference', v_payment.reference)
+    );
+
+    update public.payment_transactions
+    set
+      status = 'SUCCESS',
+      amount_received = v_payment.amount,
+      provider_reference = coalesce(p_provider_reference, provider_reference),
+      journal_entry_id = v_entry_id,
+      paid_at = now()
+    where id = v_payment.id
+    returning * into v_payment;
+  elsif v_payment.status = 'PENDING' and p_status in ('FAILED', 'ABANDONED') then
+    update public.payment_transactions
+    set status = p_status, provider_reference = coalesce(p_provider_reference, provider_reference)
+    where id = v_payment.id
+    returning * into v_payment;
+  end if;
+
+  return v_payment;
+end;
+$$ language plpgsql security definer;
+
+revoke execute on function public.settle_payment_transaction(text, text, text, bigint, text) from public, anon, authenticated;
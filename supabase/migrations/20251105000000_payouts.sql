@@ -0,0 +1,216 @@
+-- Payouts from wallets to Nigerian bank accounts
+--
+-- Requesting a payout moves the money from the user's wallet into the
+-- PAYOUT_CLEARING account. A PAID payout leaves the platform (-> EXTERNAL),
+-- a FAILED one goes back to the wallet and a REVERSED one comes back from EXTERNAL.
+
+alter table public.ledger_accounts drop constraint ledger_accounts_type_check;
+alter table public.ledger_accounts add constraint ledger_accounts_type_check
+  check (type in ('WALLET', 'ESCROW', 'PLATFORM', 'EXTERNAL', 'PAYOUT_CLEARING'));
+
+insert into public.ledger_accounts (type, owner_id, allow_negative) values ('PAYOUT_CLEARING', null, false);
+
+create table public.bank_accounts (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid not null references public.users(id) on delete cascade,
+  bank_code text not null,
+  bank_name text not null,
+  account_number text not null check (account_number ~ '^[0-9]{10}$'), -- NUBAN
+  account_name text not null, -- as resolved with the bank
+  provider_recipient_code text, -- provider's transfer recipient, created on first payout
+  is_default boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (user_id, bank_code, account_number)
+);
+
+create table public.payouts (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid not null references public.users(id) on delete cascade,
+  bank_account_id uuid not null references public.bank_accounts(id),
+  amount bigint not null check (amount > 0), -- in kobo
+  reference text unique not null,
+  provider text,
+  provider_reference text,
+  status text not null default 'PENDING' check (status in ('PENDING', 'PROCESSING', 'PAID', 'FAILED', 'REVERSED')),
+  failure_reason text,
+  approved_by uuid references public.users(id) on delete set null,
+  approved_at timestamptz,
+  paid_at timestamptz,
+  failed_at timestamptz,
+  reversed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index idx_bank_accounts_user_id on public.bank_accounts (user_id);
+create index idx_payouts_user_id on public.payouts (user_id, created_at);
+create index idx_payouts_status on public.payouts (status, created_at);
+
+alter table public.bank_accounts enable row level security;
+alter table public.payouts enable row level security;
+
+create trigger update_bank_accounts_updated_at
+before update on public.bank_accounts
+for each row execute function update_updated_at_column();
+
+create trigger update_payouts_updated_at
+before update on public.payouts
+for each row execute function update_updated_at_column();
+
+-- Create a payout request and hold the money, enforcing the minimum amount and
+-- the rolling 24-hour limit. Locks the wallet so concurrent requests queue up.
+create or replace function public.request_payout(
+  p_user_id uuid,
+  p_bank_account_id uuid,
+  p_amount bigint,
+  p_min_amount bigint,
+  p_daily_limit bigint
+)
+returns public.payouts as $$
+declare
+  v_wallet_id uuid;
+  v_requested_today bigint;
+  v_payout public.payouts%rowtype;
+begin
+  if p_amount < p_min_amount then
+    raise exception 'BELOW_MINIMUM';
+  end if;
+
+  perform 1 from public.bank_accounts where id = p_bank_account_id and user_id = p_user_id;
+  if not found then
+    raise exception 'BANK_ACCOUNT_NOT_FOUND';
+  end if;
+
+  v_wallet_id := public.ledger_account_id('WALLET', p_user_id);
+  perform 1 from public.ledger_accounts where id = v_wallet_id for update;
+
+  select coalesce(sum(amount), 0) into v_requested_today
+  from public.payouts
+  where user_id = p_user_id
+    and status not in ('FAILED')
+    and created_at > now() - interval '24 hours';
+
+  if v_requested_today + p_amount > p_daily_limit then
+    raise exception 'DAILY_LIMIT_EXCEEDED';
+  end if;
+
+  insert into public.payouts (user_id, bank_account_id, amount, reference)
+  values (p_user_id, p_bank_account_id, p_amount, 'po_' || replace(uuid_generate_v4()::text, '-', ''))
+  returning * into v_payout;
+
+  perform public.post_journal_entry(
+    'PAYOUT_HOLD',
+    'payout_hold:' || v_payout.id,
+    jsonb_build_array(
+      jsonb_build_object('account_id', v_wallet_id, 'amount', -p_amount),
+      jsonb_build_object('account_id', public.ledger_account_id('PAYOUT_CLEARING', null), 'amount', p_amount)
+    ),
+    null,
+    'Withdrawal to bank account',
+    jsonb_build_object('payout_id', v_payout.id, 'reference', v_payout.reference)
+  );
+
+  return v_payout;
+end;
+$$ language plpgsql security definer;
+
+-- Move a payout through PENDING -> PROCESSING -> PAID | FAILED, PAID -> REVERSED,
+-- posting the matching ledger entry. Repeating the current status is a no-op so
+-- redelivered provider webhooks are harmless. With p_from_status, the move is
+-- only made from that status, e.g. so an admin can only reject a payout whose
+-- transfer hasn't been sent.
+create or replace function public.transition_payout(
+  p_payout_id uuid,
+  p_to_status text,
+  p_actor_id uuid default null,
+  p_reason text default null,
+  p_provider_reference text default null,
+  p_from_status text default null
+)
+returns public.payouts as $$
+declare
+  v_payout public.payouts%rowtype;
+  v_wallet_id uuid;
+  v_clearing_id uuid;
+  v_external_id uuid;
+  v_metadata jsonb;
+begin
+  select * into v_payout from public.payouts where id = p_payout_id for update;
+  if not found then
+    raise exception 'PAYOUT_NOT_FOUND';
+  end if;
+
+  if v_payout.status = p_to_status then
+    return v_payout;
+  end if;
+
+  if p_from_status is not null and v_payout.status <> p_from_status then
+    raise exception 'INVALID_TRANSITION';
+  end if;
+
+  if not (
+    (v_payout.status = 'PENDING' and p_to_status in ('PROCESSING', 'FAILED'))
+    or (v_payout.status = 'PROCESSING' and p_to_status in ('PAID', 'FAILED'))
+    or (v_payout.status = 'PAID' and p_to_status = 'REVERSED')
+  ) then
+    raise exception 'INVALID_TRANSITION';
+  end if;
+
+  v_wallet_id := public.ledger_account_id('WALLET', v_payout.user_id);
+  v_clearing_id := public.ledger_account_id('PAYOUT_CLEARING', null);
+  v_external_id := public.ledger_account_id('EXTERNAL', null);
+  v_metadata := jsonb_build_object('payout_id', v_payout.id, 'reference', v_payout.reference);
+
+  if p_to_status = 'PAID' then
+    perform public.post_journal_entry(
+      'PAYOUT',
+      'payout_paid:' || v_payout.id,
+      jsonb_build_array(
+        jsonb_build_object('account_id', v_clearing_id, 'amount', -v_payout.amount),
+        jsonb_build_object('account_id', v_external_id, 'amount', v_payout.amount)
+      ),
+      null, 'Withdrawal paid', v_metadata
+    );
+  elsif p_to_status = 'FAILED' then
+    perform public.post_journal_entry(
+      'PAYOUT_REFUND',
+      'payout_refund:' || v_payout.id,
+      jsonb_build_array(
+        jsonb_build_object('account_id', v_clearing_id, 'amount', -v_payout.amount),
+        jsonb_build_object('account_id', v_wallet_id, 'amount', v_payout.amount)
+      ),
+      null, 'Failed withdrawal returned', v_metadata
+    );
+  elsif p_to_status = 'REVERSED' then
+    perform public.post_journal_entry(
+      'PAYOUT_REVERSAL',
+      'payout_reversal:' || v_payout.id,
+      jsonb_build_array(
+        jsonb_build_object('account_id', v_external_id, 'amount', -v_payout.amount),
+        jsonb_build_object('account_id', v_wallet_id, 'amount', v_payout.amount)
+      ),
+      null, 'Withdrawal reversed by bank', v_metadata
+    );
+  end if;
+
+  update public.payouts
+  set
+    status = p_to_status,
+    provider_reference = coalesce(p_provider_reference, provider_reference),
+    failure_reason = case when p_to_status in ('FAILED', 'REVERSED') then p_reason else failure_reason end,
+    approved_by = case when p_to_status = 'PROCESSING' then p_actor_id else approved_by end,
+    approved_at = case when p_to_status = 'PROCESSING' then now() else approved_at end,
+    paid_at = case when p_to_status = 'PAID' then now() else paid_at end,
+    failed_at = case when p_to_status = 'FAILED' then now() else failed_at end,
+    reversed_at = case when p_to_status = 'REVERSED' then now() else reversed_at end
+  where id = v_payout.id
+  returning * into v_payout;
+
+  return v_payout;
+end;
+$$ language plpgsql security definer;
+
+-- Both trust their user and actor arguments, so only the API (service role) may call them
+revoke execute on function public.request_payout(uuid, uuid, bigint, bigint, bigint) from public, anon, authenticated;
+revoke execute on function public.transition_payout(uuid, text, uuid, text, text, text) from public, anon, authenticated;
@@ -0,0 +1,260 @@
+-- Platform fees and task receipts
+--
+-- Releasing escrow now splits the task amount between the hustler, the
+-- platform fee (PLATFORM) and VAT on that fee (TAX). A tip the poster adds when
+-- confirming goes straight from their wallet to the hustler in the same entry.
+-- Every release writes a task_receipts row with the line-item breakdown.
+
+alter table public.ledger_accounts drop constraint ledger_accounts_type_check;
+alter table public.ledger_accounts add constraint ledger_accounts_type_check
+  check (type in ('WALLET', 'ESCROW', 'PLATFORM', 'EXTERNAL', 'PAYOUT_CLEARING', 'TAX'));
+
+insert into public.ledger_accounts (type, owner_id, allow_negative) values ('TAX', null, false);
+
+alter table public.tasks add column tip_amount integer not null default 0 check (tip_amount >= 0);
+
+-- Fee charged on each task category. OTHER is used for categories without a rule.
+create table public.platform_fee_rules (
+  category text primary key,
+  percentage numeric(5, 2) not null check (percentage >= 0 and percentage <= 100),
+  min_fee bigint not null default 0 check (min_fee >= 0), -- in kobo
+  max_fee bigint check (max_fee is null or max_fee >= min_fee), -- in kobo, null for no cap
+  vat_percentage numeric(5, 2) not null default 7.5 check (vat_percentage >= 0),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+insert into public.platform_fee_rules (category, percentage, min_fee, max_fee) values
+  ('SHOPPING', 10, 10000, 1000000),
+  ('CLEANING', 12, 10000, 1000000),
+  ('BARBING', 10, 10000, 500000),
+  ('WRITING', 15, 10000, 1500000),
+  ('DELIVERY', 8, 5000, 500000),
+  ('REPAIRS', 12, 10000, 1500000),
+  ('OTHER', 10, 10000, 1000000);
+
+create sequence public.task_receipt_number_seq;
+
+create table public.task_receipts (
+  id uuid primary key default uuid_generate_v4(),
+  task_id uuid unique not null references public.tasks(id) on delete cascade,
+  receipt_number text unique not null, -- poster's receipt
+  invoice_number text unique not null, -- platform fee invoice to the hustler
+  poster_id uuid references public.users(id) on delete set null,
+  hustler_id uuid references public.users(id) on delete set null,
+  category text not null,
+  currency text not null default 'NGN',
+  task_amount bigint not null, -- all amounts in kobo
+  fee_percentage numeric(5, 2) not null,
+  platform_fee bigint not null,
+  vat_percentage numeric(5, 2) not null,
+  vat bigint not null,
+  tip bigint not null default 0,
+  total_paid bigint not null, -- task amount + tip, paid by the poster
+  hustler_net bigint not null, -- task amount - fee - VAT + tip
+  line_items jsonb not null,
+  journal_entry_id uuid references public.journal_entries(id),
+  issued_at timestamptz not null default now()
+);
+
+create index idx_task_receipts_poster_id on public.task_receipts (poster_id, issued_at);
+create index idx_task_receipts_hustler_id on public.task_receipts (hustler_id, issued_at);
+
+alter table public.platform_fee_rules enable row level security;
+alter table public.task_receipts enable row level security;
+
+create trigger update_platform_fee_rules_updated_at
+before update on public.platform_fee_rules
+for each row execute function update_updated_at_column();
+
+-- Fee and VAT for a task amount under the category's active rule, else the
+-- active OTHER rule. The fee never takes more than the task is worth.
+create or replace function public.calculate_platform_fee(p_category text, p_amount bigint)
+returns table (fee_percentage numeric, platform_fee bigint, vat_percentage numeric, vat bigint) as $$
+declare
+  v_rule public.platform_fee_rules%rowtype;
+  v_fee bigint;
+  v_vat bigint;
+begin
+  select * into v_rule from public.platform_fee_rules where category = p_category and is_active;
+  if not found then
+    select * into v_rule from public.platform_fee_rules where category = 'OTHER' and is_active;
+  end if;
+
+  if not found then
+    raise exception 'FEE_RULE_NOT_FOUND';
+  end if;
+
+  v_fee := greatest(round(p_amount * v_rule.percentage / 100)::bigint, v_rule.min_fee);
+  if v_rule.max_fee is not null then
+    v_fee := least(v_fee, v_rule.max_fee);
+  end if;
+  v_vat := round(v_fee * v_rule.vat_percentage / 100)::bigint;
+
+  if v_fee + v_vat > p_amount then
+    v_vat := round(p_amount * v_rule.vat_percentage / (100 + v_rule.vat_percentage))::bigint;
+    v_fee := p_amount - v_vat;
+  end if;
+
+  return query select v_rule.percentage, v_fee, v_rule.vat_percentage, v_vat;
+end;
+$$ language plpgsql stable security definer;
+
+-- Pay the hustler out of escrow, less the platform fee and VAT, plus any tip,
+-- and issue the task's receipt
+create or replace function public.release_task_escrow(p_task_id uuid)
+returns uuid as $$
+declare
+  v_task public.tasks%rowtype;
+  v_escrow_id uuid;
+  v_amount bigint;
+  v_fee record;
+  v_tip bigint;
+  v_net bigint;
+  v_lines jsonb;
+  v_entry_id uuid;
+  v_number bigint;
+begin
+  select * into v_task from public.tasks where id = p_task_id;
+  v_escrow_id := public.ledger_account_id('ESCROW', p_task_id);
+  select balance into v_amount from public.ledger_accounts where id = v_escrow_id for update;
+
+  if v_amount <= 0 then
+    return null;
+  end if;
+
+  select * into v_fee from public.calculate_platform_fee(v_task.category, v_amount);
+  v_tip := v_task.tip_amount;
+  v_net := v_amount - v_fee.platform_fee - v_fee.vat + v_tip;
+
+  v_lines := jsonb_build_array(
+    jsonb_build_object('account_id', v_escrow_id, 'amount', -v_amount),
+    jsonb_build_object('account_id', public.ledger_account_id('WALLET', v_task.hustler_id), 'amount', v_net)
+  );
+  if v_fee.platform_fee > 0 then
+    v_lines := v_lines || jsonb_build_object('account_id', public.ledger_account_id('PLATFORM', null), 'amount', v_fee.platform_fee);
+  end if;
+  if v_fee.vat > 0 then
+    v_lines := v_lines || jsonb_build_object('account_id', public.ledger_account_id('TAX', null), 'amount', v_fee.vat);
+  end if;
+  if v_tip > 0 then
+    v_lines := v_lines || jsonb_build_object('account_id', public.ledger_account_id('WALLET', v_task.poster_id), 'amount', -v_tip);
+  end if;
+
+  v_entry_id := public.post_journal_entry(
+    'ESCROW_RELEASE',
+    'escrow_release:' || p_task_id,
+    v_lines,
+    p_task_id,
+    'Payment for "' || v_task.title || '"',
+    jsonb_build_object('platform_fee', v_fee.platform_fee, 'vat', v_fee.vat, 'tip', v_tip)
+  );
+
+  update public.users
+  set total_earnings = total_earnings + v_net
+  where id = v_task.hustler_id;
+
+  v_number := nextval('public.task_receipt_number_seq');
+
+  insert into public.task_receipts (
+    task_id, receipt_number, invoice_number, poster_id, hustler_id, category,
+    task_amount, fee_percentage, platform_fee, vat_percentage, vat, tip,
+    total_paid, hustler_net, line_items, journal_entry_id
+  )
+  values (
+    p_task_id,
+    'HR-' || to_char(now(), 'YYYY') || '-' || lpad(v_number::text, 6, '0'),
+    'INV-' || to_char(now(), 'YYYY') || '-' || lpad(v_number::text, 6, '0'),
+    v_task.poster_id,
+    v_task.hustler_id,
+    v_task.category,
+    v_amount,
+    v_fee.fee_percentage,
+    v_fee.platform_fee,
+    v_fee.vat_percentage,
+    v_fee.vat,
+    v_tip,
+    v_amount + v_tip,
+    v_net,
+    jsonb_build_array(
+      jsonb_build_object('code', 'TASK_AMOUNT', 'description', 'Task amount', 'amount', v_amount),
+      jsonb_build_object('code', 'PLATFORM_FEE', 'description', 'Platform fee (' || trim_scale(v_fee.fee_percentage) || '%)', 'amount', v_fee.platform_fee),
+      jsonb_build_object('code', 'VAT', 'description', 'VAT on platform fee (' || trim_scale(v_fee.vat_percentage) || '%)', 'amount', v_fee.vat),
+      jsonb_build_object('code', 'TIP', 'description', 'Tip', 'amount', v_tip)
+    ),
+    v_entry_id
+  )
+  on conflict (task_id) do nothing;
+
+  return v_entry_id;
+end;
+$$ language plpgsql security definer;
+
+-- transition_task takes the tip with the confirm action, so it is set in the
+-- same transaction that releases the escrow
+drop function public.transition_task(uuid, text, uuid, text);
+
+create function public.transition_task(
+  p_task_id uuid,
+  p_action text,
+  p_actor_id uuid,
+  p_reason text default null,
+  p_tip bigint default 0
+)
+returns public.tasks as $$
+declare
+  v_task public.tasks%rowtype;
+  v_from_status text;
+  v_confirmed_at timestamptz;
+  v_from_statuses text[];
+  v_to_status text;
+begin
+  case p_action
+    when 'assign' then v_from_statuses := array['OPEN']; v_to_status := 'ASSIGNED';
+    when 'start' then v_from_statuses := array['ASSIGNED']; v_to_status := 'IN_PROGRESS';
+    when 'complete' then v_from_statuses := array['IN_PROGRESS']; v_to_status := 'COMPLETED';
+    when 'confirm' then v_from_statuses := array['COMPLETED']; v_to_status := 'COMPLETED';
+    when 'cancel' then v_from_statuses := array['OPEN', 'ASSIGNED']; v_to_status := 'CANCELLED';
+    when 'dispute' then v_from_statuses := array['IN_PROGRESS', 'COMPLETED']; v_to_status := 'DISPUTED';
+    when 'resolve_release' then v_from_statuses := array['DISPUTED']; v_to_status := 'COMPLETED';
+    when 'resolve_refund' then v_from_statuses := array['DISPUTED']; v_to_status := 'CANCELLED';
+    else raise exception 'UNKNOWN_ACTION';
+  end case;
+
+  select status, confirmed_at into v_from_status, v_confirmed_at
+  from public.tasks where id = p_task_id for update;
+  if not found then
+    raise exception 'TASK_NOT_FOUND';
+  end if;
+
+  if not (v_from_status = any(v_from_statuses)) then
+    raise exception 'INVALID_TRANSITION';
+  end if;
+
+  -- Confirmed work is final
+  if v_confirmed_at is not null and p_action in ('confirm', 'dispute') then
+    raise exception 'INVALID_TRANSITION';
+  end if;
+
+  update public.tasks
+  set
+    status = v_to_status,
+    assigned_at = case when p_action = 'assign' then now() else assigned_at end,
+    started_at = case when p_action = 'start' then now() else started_at end,
+    completed_at = case when p_action = 'complete' then now() else completed_at end,
+    confirmed_at = case when p_action in ('confirm', 'resolve_release') then now() else confirmed_at end,
+    cancelled_at = case when p_action in ('cancel', 'resolve_refund') then now() else cancelled_at end,
+    disputed_at = case when p_action = 'dispute' then now() else disputed_at end,
+    tip_amount = case when p_action = 'confirm' then p_tip else tip_amount end
+  where id = p_task_id
+  returning * into v_task;
+
+  insert into public.task_status_history (task_id, action, from_status, to_status, actor_id, reason)
+  values (p_task_id, p_action, v_from_status, v_to_status, p_actor_id, p_reason);
+
+  return v_task;
+end;
+$$ language plpgsql security definer;
+
+revoke execute on function public.transition_task(uuid, text, uuid, text, bigint) from public, anon, authenticated;
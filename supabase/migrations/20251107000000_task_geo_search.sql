@@ -0,0 +1,89 @@
+-- "Tasks near me" search
+--
+-- nearby_tasks() narrows candidates with a latitude/longitude bounding box
+-- (served by idx_tasks_location) and then applies the haversine distance.
+-- When PostGIS is installed the function is replaced by a geography-based
+-- version with a GiST index; callers see the same signature either way.
+
+create index idx_tasks_location on public.tasks (latitude, longitude)
+where latitude is not null and longitude is not null;
+
+-- Great-circle distance in kilometres
+create or replace function public.haversine_km(lat1 double precision, lng1 double precision, lat2 double precision, lng2 double precision)
+returns double precision as $$
+  select 2 * 6371.0088 * asin(sqrt(
+    power(sin(radians(lat2 - lat1) / 2), 2)
+    + cos(radians(lat1)) * cos(radians(lat2)) * power(sin(radians(lng2 - lng1) / 2), 2)
+  ));
+$$ language sql immutable strict;
+
+-- Tasks within p_radius_km of a point, nearest first.
+-- p_statuses limits the search to tasks in those statuses (all when null).
+-- At most 500 tasks come back, whatever p_limit asks for.
+create or replace function public.nearby_tasks(
+  p_lat double precision,
+  p_lng double precision,
+  p_radius_km double precision,
+  p_statuses text[] default null,
+  p_limit integer default 500
+)
+returns table (task_id uuid, distance_km double precision) as $$
+declare
+  v_lat_delta double precision := degrees(p_radius_km / 6371.0088);
+  v_lng_delta double precision := degrees(p_radius_km / 6371.0088 / greatest(cos(radians(p_lat)), 0.00001));
+begin
+  return query
+  select t.id, d.distance_km
+  from public.tasks t
+  cross join lateral (select public.haversine_km(p_lat, p_lng, t.latitude, t.longitude) as distance_km) d
+  where t.latitude between p_lat - v_lat_delta and p_lat + v_lat_delta
+    and t.longitude between p_lng - v_lng_delta and p_lng + v_lng_delta
+    and (p_statuses is null or t.status = any (p_statuses))
+    and d.distance_km <= p_radius_km
+  order by d.distance_km
+  limit least(greatest(p_limit, 0), 500);
+end;
+$$ language plpgsql stable security definer;
+
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'postgis') then
+    execute $sql$
+      create index idx_tasks_geography on public.tasks
+      using gist ((st_setsrid(st_makepoint(longitude, latitude), 4326)::geography))
+      where latitude is not null and longitude is not null
+    $sql$;
+
+    execute $sql$
+      create or replace function public.nearby_tasks(
+        p_lat double precision,
+        p_lng double precision,
+        p_radius_km double precision,
+        p_statuses text[] default null,
+        p_limit integer default 500
+      )
+      returns table (task_id uuid, distance_km double precision) as $fn$
+        select t.id,
+          st_distance(
+            st_setsrid(st_makepoint(t.longitude, t.latitude), 4326)::geography,
+            st_setsrid(st_makepoint(p_lng, p_lat), 4326)::geography
+          ) / 1000
+        from public.tasks t
+        where t.latitude is not null and t.longitude is not null
+          and st_dwithin(
+            st_setsrid(st_makepoint(t.longitude, t.latitude), 4326)::geography,
+            st_setsrid(st_makepoint(p_lng, p_lat), 4326)::geography,
+            p_radius_km * 1000
+          )
+          and (p_statuses is null or t.status = any (p_statuses))
+        order by 2
+        limit least(greatest(p_limit, 0), 500);
+      $fn$ language sql stable security definer
+    $sql$;
+  end if;
+end;
+$$;
+
+-- Reads every task past row level security, so only the API (service role),
+-- which applies its own visibility rules, may call it
+revoke execute on function public.nearby_tasks(double precision, double precision, double precision, text[], integer) from public, anon, authenticated;
@@ -0,0 +1,114 @@
+-- Full-text task search
+--
+-- Titles weigh more than descriptions. With p_fuzzy, titles that are a close
+-- trigram match also count, so small typos ("plumbr") still find tasks.
+-- Facet counts follow the usual sidebar rule: each facet applies every filter
+-- except its own, so picking a category doesn't hide the other categories.
+-- The city filter is an exact match, ignoring case.
+
+create extension if not exists pg_trgm;
+
+alter table public.tasks add column search_vector tsvector generated always as (
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'B')
+) stored;
+
+create index idx_tasks_search_vector on public.tasks using gin (search_vector);
+create index idx_tasks_title_trgm on public.tasks using gin (title gin_trgm_ops);
+
+-- Budget bucket used for faceting, budgets are in kobo
+create or replace function public.task_budget_bucket(p_budget integer)
+returns text as $$
+  select case
+    when p_budget < 500000 then 'UNDER_5K'
+    when p_budget < 2000000 then '5K_20K'
+    when p_budget < 5000000 then '20K_50K'
+    else '50K_PLUS'
+  end;
+$$ language sql immutable;
+
+create or replace function public.search_tasks(
+  p_query text,
+  p_statuses text[] default array['OPEN'],
+  p_category text default null,
+  p_city text default null,
+  p_budget_bucket text default null,
+  p_exclude_poster uuid default null,
+  p_fuzzy boolean default true,
+  p_limit integer default 20,
+  p_offset integer default 0
+)
+returns jsonb as $$
+declare
+  v_tsquery tsquery := websearch_to_tsquery('english', p_query);
+  v_result jsonb;
+begin
+  with matches as (
+    select
+      t.id,
+      t.category,
+      t.city,
+      public.task_budget_bucket(t.budget) as budget_bucket,
+      t.created_at,
+      ts_rank_cd(t.search_vector, v_tsquery, 32)
+        + case when p_fuzzy then word_similarity(p_query, t.title) * 0.5 else 0 end as rank
+    from public.tasks t
+    where (t.search_vector @@ v_tsquery or (p_fuzzy and p_query <% t.title))
+      and (p_statuses is null or t.status = any (p_statuses))
+      and (p_exclude_poster is null or t.poster_id <> p_exclude_poster)
+  ),
+  filtered as (
+    select * from matches
+    where (p_category is null or category = p_category)
+      and (p_city is null or lower(city) = lower(p_city))
+      and (p_budget_bucket is null or budget_bucket = p_budget_bucket)
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from filtered),
+    'results', coalesce((
+      select jsonb_agg(jsonb_build_object('task_id', id, 'rank', rank) order by rank desc, created_at desc)
+      from (
+        select id, rank, created_at from filtered
+        order by rank desc, created_at desc
+        limit p_limit offset p_offset
+      ) page
+    ), '[]'::jsonb),
+    'facets', jsonb_build_object(
+      'category', coalesce((
+        select jsonb_agg(jsonb_build_object('value', category, 'count', n) order by n desc, category)
+        from (
+          select category, count(*) as n from matches
+          where (p_city is null or lower(city) = lower(p_city))
+            and (p_budget_bucket is null or budget_bucket = p_budget_bucket)
+          group by category
+        ) f
+      ), '[]'::jsonb),
+      'city', coalesce((
+        select jsonb_agg(jsonb_build_object('value', city, 'count', n) order by n desc, city)
+        from (
+          select city, count(*) as n from matches
+          where city is not null
+            and (p_category is null or category = p_category)
+            and (p_budget_bucket is null or budget_bucket = p_budget_bucket)
+          group by city
+        ) f
+      ), '[]'::jsonb),
+      'budget', coalesce((
+        select jsonb_agg(jsonb_build_object('value', budget_bucket, 'count', n))
+        from (
+          select budget_bucket, count(*) as n from matches
+          where (p_category is null or category = p_category)
+            and (p_city is null or lower(city) = lower(p_city))
+          group by budget_bucket
+        ) f
+      ), '[]'::jsonb)
+    )
+  ) into v_result;
+
+  return v_result;
+end;
+$$ language plpgsql stable security definer;
+
+-- Reads every task past row level security, so only the API (service role),
+-- which applies its own visibility rules, may call it
+revoke execute on function public.search_tasks(text, text[], text, text, text, uuid, boolean, integer, integer) from public, anon, authenticated;
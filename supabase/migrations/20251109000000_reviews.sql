@@ -0,0 +1,159 @@
+-- Task reviews
+--
+-- Once a task is COMPLETED the poster and hustler can review each other within
+-- a review window. Reviews are double-blind: each stays hidden until both sides
+-- have submitted or the window closes, so neither can retaliate. Only visible
+-- reviews count towards users.rating / total_rating, which are recomputed in
+-- the same transaction that reveals them. The reviewee may reply once.
+
+alter table public.reviews
+  add column is_visible boolean not null default false,
+  add column visible_at timestamptz,
+  add column reply text,
+  add column replied_at timestamptz;
+
+-- Reviews written before the blind period existed are already public
+update public.reviews set is_visible = true, visible_at = created_at;
+
+create index idx_reviews_hidden on public.reviews (task_id) where not is_visible;
+
+-- Recompute a user's rating from their visible reviews
+create or replace function public.recompute_user_rating(p_user_id uuid)
+returns void as $$
+  update public.users u
+  set rating = coalesce(r.avg_rating, 0),
+      total_rating = r.review_count
+  from (
+    select round(avg(rating)::numeric, 2)::double precision as avg_rating, count(*)::integer as review_count
+    from public.reviews
+    where target_id = p_user_id and is_visible
+  ) r
+  where u.id = p_user_id;
+$$ language sql security definer;
+
+-- Make every hidden review on a task visible and refresh the reviewees' ratings
+create or replace function public.reveal_task_reviews(p_task_id uuid)
+returns integer as $$
+declare
+  v_target_id uuid;
+  v_count integer := 0;
+begin
+  for v_target_id in
+    update public.reviews
+    set is_visible = true, visible_at = now()
+    where task_id = p_task_id and not is_visible
+    returning target_id
+  loop
+    perform public.recompute_user_rating(v_target_id);
+    v_count := v_count + 1;
+  end loop;
+
+  return v_count;
+end;
+$$ language plpgsql security definer;
+
+create or replace function public.submit_review(
+  p_task_id uuid,
+  p_author_id uuid,
+  p_rating integer,
+  p_comment text,
+  p_window_days integer
+)
+returns public.reviews as $$
+declare
+  v_task public.tasks%rowtype;
+  v_target_id uuid;
+  v_review public.reviews%rowtype;
+begin
+  select * into v_task from public.tasks where id = p_task_id for update;
+
+  if not found then
+    raise exception 'TASK_NOT_FOUND';
+  end if;
+  if p_author_id = v_task.poster_id then
+    v_target_id := v_task.hustler_id;
+  elsif p_author_id = v_task.hustler_id then
+    v_target_id := v_task.poster_id;
+  else
+    raise exception 'NOT_A_PARTICIPANT';
+  end if;
+  if v_task.status <> 'COMPLETED' or v_task.completed_at is null or v_target_id is null then
+    raise exception 'TASK_NOT_COMPLETED';
+  end if;
+  if now() > v_task.completed_at + make_interval(days => p_window_days) then
+    raise exception 'REVIEW_WINDOW_CLOSED';
+  end if;
+  if exists (select 1 from public.reviews where task_id = p_task_id and author_id = p_author_id) then
+    raise exception 'ALREADY_REVIEWED';
+  end if;
+
+  insert into public.reviews (task_id, author_id, target_id, rating, comment)
+  values (p_task_id, p_author_id, v_target_id, p_rating, nullif(trim(p_comment), ''))
+  returning * into v_review;
+
+  -- Both sides are in: reveal them together
+  if exists (select 1 from public.reviews where task_id = p_task_id and author_id = v_target_id) then
+    perform public.reveal_task_reviews(p_task_id);
+    select * into v_review from public.reviews where id = v_review.id;
+  end if;
+
+  return v_review;
+end;
+$$ language plpgsql security definer;
+
+-- Reveal reviews on tasks whose review window has closed. Run periodically.
+create or replace function public.reveal_expired_reviews(p_window_days integer)
+returns integer as $$
+declare
+  v_task_id uuid;
+  v_count integer := 0;
+begin
+  for v_task_id in
+    select distinct r.task_id
+    from public.reviews r
+    join public.tasks t on t.id = r.task_id
+    where not r.is_visible
+      and t.completed_at + make_interval(days => p_window_days) < now()
+  loop
+    v_count := v_count + public.reveal_task_reviews(v_task_id);
+  end loop;
+
+  return v_count;
+end;
+$$ language plpgsql security definer;
+
+create or replace function public.reply_to_review(p_review_id uuid, p_user_id uuid, p_reply text)
+returns public.reviews as $$
+declare
+  v_review public.reviews%rowtype;
+begin
+  select * into v_review from public.reviews where id = p_review_id for update;
+
+  if not found then
+    raise exception 'REVIEW_NOT_FOUND';
+  end if;
+  if v_review.target_id <> p_user_id then
+    raise exception 'NOT_AUTHORIZED';
+  end if;
+  if not v_review.is_visible then
+    raise exception 'REVIEW_NOT_VISIBLE';
+  end if;
+  if v_review.reply is not null then
+    raise exception 'ALREADY_REPLIED';
+  end if;
+
+  update public.reviews
+  set reply = trim(p_reply), replied_at = now()
+  where id = p_review_id
+  returning * into v_review;
+
+  return v_review;
+end;
+$$ language plpgsql security definer;
+
+-- These trust their user arguments, so only the API (service role) may call them
+revoke execute on function public.recompute_user_rating(uuid) from public, anon, authenticated;
+revoke execute on function public.reveal_task_reviews(uuid) from public, anon, authenticated;
+revoke execute on function public.submit_review(uuid, uuid, integer, text, integer) from public, anon, authenticated;
+revoke execute on function public.reveal_expired_reviews(integer) from public, anon, authenticated;
+revoke execute on function public.reply_to_review(uuid, uuid, text) from public, anon, authenticated;
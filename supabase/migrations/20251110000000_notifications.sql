@@ -0,0 +1,15 @@
+-- In-app notification center
+--
+-- Notifications are written by the API when a domain event happens and pushed
+-- to the user's socket room. `data` holds whatever the app needs to deep-link
+-- (offer ID, review ID, new status, ...).
+
+alter table public.notifications
+  add column data jsonb not null default '{}'::jsonb,
+  add column read_at timestamptz;
+
+update public.notifications set read_at = created_at where is_read;
+
+drop index if exists public.idx_notifications_user_id;
+create index idx_notifications_user_id on public.notifications (user_id, created_at desc, id desc);
+create index idx_notifications_unread on public.notifications (user_id) where not is_read;
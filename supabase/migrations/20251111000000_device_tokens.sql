@@ -0,0 +1,24 @@
+-- Push notification device tokens
+--
+-- A token belongs to the last user who registered it, so signing in as someone
+-- else on the same phone moves the token rather than duplicating it.
+
+create table public.device_tokens (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid not null references public.users(id) on delete cascade,
+  token text unique not null,
+  provider text not null check (provider in ('expo', 'fcm')),
+  platform text not null check (platform in ('IOS', 'ANDROID', 'WEB')),
+  app_version text,
+  last_seen_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index idx_device_tokens_user_id on public.device_tokens (user_id);
+
+alter table public.device_tokens enable row level security;
+
+create trigger update_device_tokens_updated_at
+before update on public.device_tokens
+for each row execute function update_updated_at_column();
@@ -0,0 +1,77 @@
+-- Notification preferences, quiet hours and daily digests
+--
+-- `channels` only holds what the user changed, keyed by notification type and
+-- channel ({"NEW_MESSAGE": {"push": false}}); everything else falls back to the
+-- defaults in the API. Quiet hours and the digest time are wall-clock times in
+-- the user's timezone.
+--
+-- Push, SMS and email that can't go out straight away (quiet hours, or a
+-- low-priority event waiting for the digest) are parked in notification_queue
+-- until deliver_after.
+
+create table public.notification_preferences (
+  user_id uuid primary key references public.users(id) on delete cascade,
+  channels jsonb not null default '{}'::jsonb,
+  quiet_hours_enabled boolean not null default false,
+  quiet_hours_start time not null default '22:00',
+  quiet_hours_end time not null default '07:00',
+  timezone text not null default 'Africa/Lagos',
+  digest_enabled boolean not null default true,
+  digest_time time not null default '18:00',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.notification_preferences enable row level security;
+
+create trigger update_notification_preferences_updated_at
+before update on public.notification_preferences
+for each row execute function update_updated_at_column();
+
+create table public.notification_queue (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid not null references public.users(id) on delete cascade,
+  notification_id uuid references public.notifications(id) on delete set null,
+  channel text not null check (channel in ('push', 'sms', 'email')),
+  kind text not null check (kind in ('DEFERRED', 'DIGEST')),
+  type text not null,
+  title text not null,
+  message text not null,
+  data jsonb not null default '{}'::jsonb,
+  deliver_after timestamptz not null,
+  attempts integer not null default 0,
+  claimed_until timestamptz, -- a worker is sending it until then
+  sent_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index idx_notification_queue_due on public.notification_queue (deliver_after) where sent_at is null;
+
+alter table public.notification_queue enable row level security;
+
+-- Claim the queued notifications that are due for a few minutes so a second
+-- worker can't pick them up too. The worker marks them sent once delivered;
+-- anything it fails to send is claimed again after the claim runs out, up to
+-- p_max_attempts times.
+create or replace function public.claim_notification_queue(
+  p_limit integer default 500,
+  p_max_attempts integer default 5
+)
+returns setof public.notification_queue as $$
+  update public.notification_queue
+  set claimed_until = now() + interval '5 minutes', attempts = attempts + 1
+  where id in (
+    select id
+    from public.notification_queue
+    where sent_at is null
+      and deliver_after <= now()
+      and (claimed_until is null or claimed_until <= now())
+      and attempts < p_max_attempts
+    order by deliver_after
+    limit p_limit
+    for update skip locked
+  )
+  returning *;
+$$ language sql security definer;
+
+revoke execute on function public.claim_notification_queue(integer, integer) from public, anon, authenticated;
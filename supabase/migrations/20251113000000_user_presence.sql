@@ -0,0 +1,7 @@
+-- Last seen, for chat presence
+--
+-- Online status itself lives in the API process (open sockets per user); this
+-- records when a user's last socket disconnected so it survives restarts.
+
+alter table public.users
+  add column last_seen_at timestamptz;
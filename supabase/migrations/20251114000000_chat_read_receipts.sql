@@ -0,0 +1,113 @@
+-- Per-member read receipts for chats
+--
+-- Each member has two cursors: the newest message delivered to one of their
+-- devices and the newest message they have read. Cursors only move forward,
+-- and reading a message also counts as delivering it. Unread counts are the
+-- other members' messages after the read cursor.
+
+alter table public.chat_members
+  add column last_delivered_message_id uuid references public.messages(id) on delete set null,
+  add column last_delivered_at timestamptz,
+  add column last_read_message_id uuid references public.messages(id) on delete set null,
+  add column last_read_at timestamptz;
+
+drop index if exists public.idx_messages_chat_id;
+create index idx_messages_chat_id on public.messages (chat_id, created_at desc, id desc);
+
+-- Move a member's delivered (and, with p_read, read) cursor up to a message,
+-- or to the newest message in the chat when p_message_id is null
+create or replace function public.advance_chat_cursor(
+  p_chat_id uuid,
+  p_user_id uuid,
+  p_message_id uuid,
+  p_read boolean
+)
+returns public.chat_members as $$
+declare
+  v_member public.chat_members;
+  v_message public.messages;
+  v_delivered_at timestamptz;
+  v_read_at timestamptz;
+begin
+  select * into v_member
+  from public.chat_members
+  where chat_id = p_chat_id and user_id = p_user_id
+  for update;
+
+  if not found then
+    raise exception 'NOT_A_MEMBER';
+  end if;
+
+  if p_message_id is null then
+    select * into v_message
+    from public.messages
+    where chat_id = p_chat_id
+    order by created_at desc, id desc
+    limit 1;
+
+    if not found then
+      return v_member;
+    end if;
+  else
+    select * into v_message
+    from public.messages
+    where id = p_message_id and chat_id = p_chat_id;
+
+    if not found then
+      raise exception 'MESSAGE_NOT_FOUND';
+    end if;
+  end if;
+
+  select created_at into v_delivered_at from public.messages where id = v_member.last_delivered_message_id;
+  if v_delivered_at is null
+    or (v_delivered_at, v_member.last_delivered_message_id) < (v_message.created_at, v_message.id) then
+    update public.chat_members
+    set last_delivered_message_id = v_message.id, last_delivered_at = now()
+    where id = v_member.id;
+  end if;
+
+  if p_read then
+    select created_at into v_read_at from public.messages where id = v_member.last_read_message_id;
+    if v_read_at is null
+      or (v_read_at, v_member.last_read_message_id) < (v_message.created_at, v_message.id) then
+      update public.chat_members
+      set last_read_message_id = v_message.id, last_read_at = now()
+      where id = v_member.id;
+    end if;
+  end if;
+
+  select * into v_member from public.chat_members where id = v_member.id;
+  return v_member;
+end;
+$$ language plpgsql security definer;
+
+-- Unread count and newest message for each of a user's chats
+create or replace function public.chat_summaries(p_user_id uuid, p_chat_ids uuid[])
+returns table (chat_id uuid, unread_count integer, last_message jsonb) as $$
+  select
+    cm.chat_id,
+    (
+      select count(*)::integer
+      from public.messages m
+      where m.chat_id = cm.chat_id
+        and m.sender_id <> p_user_id
+        and (r.id is null or (m.created_at, m.id) > (r.created_at, r.id))
+    ),
+    (
+      select to_jsonb(latest)
+      from (
+        select m.id, m.content, m.type, m.sender_id, m.created_at
+        from public.messages m
+        where m.chat_id = cm.chat_id
+        order by m.created_at desc, m.id desc
+        limit 1
+      ) latest
+    )
+  from public.chat_members cm
+  left join public.messages r on r.id = cm.last_read_message_id
+  where cm.user_id = p_user_id and cm.chat_id = any(p_chat_ids);
+$$ language sql stable security definer;
+
+-- Both trust p_user_id, so only the API (service role) may call them
+revoke execute on function public.advance_chat_cursor(uuid, uuid, uuid, boolean) from public, anon, authenticated;
+revoke execute on function public.chat_summaries(uuid, uuid[]) from public, anon, authenticated;
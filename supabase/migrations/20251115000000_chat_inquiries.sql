@@ -0,0 +1,148 @@
+-- Inquiry threads before a task is assigned
+--
+-- A chat now belongs to a (task, hustler) pair instead of just a task. While a
+-- task is OPEN any hustler can open a private INQUIRY thread with the poster.
+-- When an offer is accepted, the winning hustler's thread becomes the task's
+-- working chat (kind TASK) and every other thread on the task is archived.
+
+alter table public.chats
+  drop constraint chats_task_id_key,
+  add column hustler_id uuid references public.users(id) on delete cascade,
+  add column kind text not null default 'INQUIRY' check (kind in ('INQUIRY', 'TASK')),
+  add column status text not null default 'ACTIVE' check (status in ('ACTIVE', 'ARCHIVED')),
+  add column archived_at timestamptz;
+
+-- Chats so far were all opened on assignment
+update public.chats c
+set kind = 'TASK', hustler_id = t.hustler_id
+from public.tasks t
+where t.id = c.task_id;
+
+alter table public.chats add constraint chats_task_id_hustler_id_key unique (task_id, hustler_id);
+create unique index idx_chats_task_chat on public.chats (task_id) where kind = 'TASK';
+
+-- Open (or reopen) a user's chat about a task. The poster and assigned hustler
+-- get the working chat; other hustlers get their inquiry thread while the task
+-- is OPEN.
+create or replace function public.open_task_chat(p_task_id uuid, p_user_id uuid)
+returns jsonb as $$
+declare
+  v_task public.tasks%rowtype;
+  v_chat_id uuid;
+begin
+  select * into v_task from public.tasks where id = p_task_id;
+  if not found then
+    raise exception 'TASK_NOT_FOUND';
+  end if;
+
+  select c.id into v_chat_id
+  from public.chats c
+  join public.chat_members m on m.chat_id = c.id and m.user_id = p_user_id
+  where c.task_id = p_task_id and c.kind = 'TASK';
+
+  if found then
+    return jsonb_build_object('chat_id', v_chat_id, 'created', false);
+  end if;
+
+  if v_task.poster_id = p_user_id then
+    raise exception 'OWN_TASK';
+  end if;
+
+  if v_task.status <> 'OPEN' then
+    raise exception 'TASK_NOT_OPEN';
+  end if;
+
+  insert into public.chats (task_id, hustler_id, kind)
+  values (p_task_id, p_user_id, 'INQUIRY')
+  on conflict (task_id, hustler_id) do nothing
+  returning id into v_chat_id;
+
+  if v_chat_id is null then
+    select id into v_chat_id from public.chats where task_id = p_task_id and hustler_id = p_user_id;
+    return jsonb_build_object('chat_id', v_chat_id, 'created', false);
+  end if;
+
+  insert into public.chat_members (chat_id, user_id)
+  values (v_chat_id, v_task.poster_id), (v_chat_id, p_user_id);
+
+  return jsonb_build_object('chat_id', v_chat_id, 'created', true);
+end;
+$$ language plpgsql security definer;
+
+-- Trusts p_user_id, so only the API (service role) may call it
+revoke execute on function public.open_task_chat(uuid, uuid) from public, anon, authenticated;
+
+-- Accepting an offer turns the hustler's inquiry thread (or a new chat) into
+-- the working chat and archives the other threads
+create or replace function public.accept_task_offer(p_offer_id uuid, p_actor_id uuid)
+returns jsonb as $$
+declare
+  v_offer public.task_offers%rowtype;
+  v_task public.tasks%rowtype;
+  v_amount integer;
+  v_chat_id uuid;
+begin
+  select * into v_offer from public.task_offers where id = p_offer_id for update;
+  if not found then
+    raise exception 'OFFER_NOT_FOUND';
+  end if;
+
+  select * into v_task from public.tasks where id = v_offer.task_id for update;
+
+  if v_offer.status = 'PENDING' then
+    if v_task.poster_id <> p_actor_id then
+      raise exception 'NOT_AUTHORIZED';
+    end if;
+    v_amount := v_offer.amount;
+  elsif v_offer.status = 'COUNTERED' then
+    if v_offer.hustler_id <> p_actor_id then
+      raise exception 'NOT_AUTHORIZED';
+    end if;
+    v_amount := v_offer.counter_amount;
+  else
+    raise exception 'OFFER_NOT_ACTIVE';
+  end if;
+
+  if v_task.status <> 'OPEN' then
+    raise exception 'TASK_NOT_OPEN';
+  end if;
+
+  update public.task_offers
+  set status = 'ACCEPTED', amount = v_amount, responded_at = now()
+  where id = v_offer.id;
+
+  update public.task_offers
+  set status = 'REJECTED', responded_at = now()
+  where task_id = v_task.id
+    and id <> v_offer.id
+    and status in ('PENDING', 'COUNTERED');
+
+  update public.tasks
+  set hustler_id = v_offer.hustler_id, agreed_amount = v_amount
+  where id = v_task.id;
+
+  perform public.transition_task(v_task.id, 'assign', p_actor_id, null);
+
+  insert into public.chats (task_id, hustler_id, kind)
+  values (v_task.id, v_offer.hustler_id, 'TASK')
+  on conflict (task_id, hustler_id) do update
+    set kind = 'TASK', status = 'ACTIVE', archived_at = null, updated_at = now()
+  returning id into v_chat_id;
+
+  update public.chats
+  set status = 'ARCHIVED', archived_at = now()
+  where task_id = v_task.id and id <> v_chat_id and status = 'ACTIVE';
+
+  insert into public.chat_members (chat_id, user_id)
+  values (v_chat_id, v_task.poster_id), (v_chat_id, v_offer.hustler_id)
+  on conflict (chat_id, user_id) do nothing;
+
+  return jsonb_build_object(
+    'task_id', v_task.id,
+    'offer_id', v_offer.id,
+    'hustler_id', v_offer.hustler_id,
+    'amount', v_amount,
+    'chat_id', v_chat_id
+  );
+end;
+$$ language plpgsql security definer;
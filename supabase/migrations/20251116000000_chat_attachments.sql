@@ -0,0 +1,42 @@
+-- Chat attachments and location messages
+--
+-- Images and documents are uploaded first (POST /api/upload/chat/:chatId) into
+-- the private chat-media bucket and recorded here, then sent by ID in an IMAGE
+-- or FILE message. Each attachment can be sent once, by its uploader, in the
+-- chat it was uploaded to. Files are only reachable through short-lived signed
+-- URLs handed to chat members.
+
+insert into storage.buckets (id, name, public)
+values ('chat-media', 'chat-media', false)
+on conflict (id) do nothing;
+
+create table public.chat_attachments (
+  id uuid primary key default uuid_generate_v4(),
+  chat_id uuid not null references public.chats(id) on delete cascade,
+  uploader_id uuid not null references public.users(id) on delete cascade,
+  kind text not null check (kind in ('IMAGE', 'FILE')),
+  path text not null,
+  thumbnail_path text,
+  name text not null,
+  mime_type text not null,
+  size integer not null check (size > 0),
+  width integer,
+  height integer,
+  created_at timestamptz not null default now()
+);
+
+create index idx_chat_attachments_chat_id on public.chat_attachments (chat_id);
+
+alter table public.chat_attachments enable row level security;
+
+alter table public.messages drop constraint messages_type_check;
+alter table public.messages add constraint messages_type_check
+  check (type in ('TEXT', 'IMAGE', 'FILE', 'LOCATION', 'SYSTEM'));
+
+alter table public.messages
+  add column attachment_id uuid unique references public.chat_attachments(id) on delete set null,
+  add column latitude double precision check (latitude between -90 and 90),
+  add column longitude double precision check (longitude between -180 and 180),
+  add column location_label text,
+  add constraint messages_location_check
+    check (type <> 'LOCATION' or (latitude is not null and longitude is not null));
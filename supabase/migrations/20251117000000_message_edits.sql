@@ -0,0 +1,148 @@
+-- Message edits, deletes, replies and reactions
+--
+-- Senders can edit a message within an edit window and delete it at any time.
+-- Deleting leaves a tombstone row (deleted_at set, content blanked). The text
+-- before every edit or delete is kept in message_edits for moderation.
+
+alter table public.messages
+  add column reply_to_message_id uuid references public.messages(id) on delete set null,
+  add column edited_at timestamptz,
+  add column deleted_at timestamptz;
+
+create table public.message_edits (
+  id uuid primary key default uuid_generate_v4(),
+  message_id uuid not null references public.messages(id) on delete cascade,
+  action text not null check (action in ('EDIT', 'DELETE')),
+  previous_content text not null,
+  edited_by uuid not null references public.users(id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create index idx_message_edits_message_id on public.message_edits (message_id, created_at);
+
+alter table public.message_edits enable row level security;
+
+create table public.message_reactions (
+  message_id uuid not null references public.messages(id) on delete cascade,
+  user_id uuid not null references public.users(id) on delete cascade,
+  emoji text not null check (char_length(emoji) between 1 and 16),
+  created_at timestamptz not null default now(),
+  primary key (message_id, user_id, emoji)
+);
+
+alter table public.message_reactions enable row level security;
+
+create or replace function public.edit_message(
+  p_message_id uuid,
+  p_user_id uuid,
+  p_content text,
+  p_window_minutes integer
+)
+returns public.messages as $$
+declare
+  v_message public.messages;
+begin
+  select * into v_message from public.messages where id = p_message_id for update;
+  if not found then
+    raise exception 'MESSAGE_NOT_FOUND';
+  end if;
+
+  if v_message.sender_id <> p_user_id then
+    raise exception 'NOT_AUTHORIZED';
+  end if;
+
+  if v_message.deleted_at is not null then
+    raise exception 'MESSAGE_DELETED';
+  end if;
+
+  if v_message.type = 'SYSTEM' then
+    raise exception 'CANNOT_EDIT';
+  end if;
+
+  if v_message.created_at < now() - make_interval(mins => p_window_minutes) then
+    raise exception 'EDIT_WINDOW_CLOSED';
+  end if;
+
+  if v_message.content = p_content then
+    return v_message;
+  end if;
+
+  insert into public.message_edits (message_id, action, previous_content, edited_by)
+  values (v_message.id, 'EDIT', v_message.content, p_user_id);
+
+  update public.messages
+  set content = p_content, edited_at = now()
+  where id = v_message.id
+  returning * into v_message;
+
+  return v_message;
+end;
+$$ language plpgsql security definer;
+
+create or replace function public.delete_message(p_message_id uuid, p_user_id uuid)
+returns public.messages as $$
+declare
+  v_message public.messages;
+begin
+  select * into v_message from public.messages where id = p_message_id for update;
+  if not found then
+    raise exception 'MESSAGE_NOT_FOUND';
+  end if;
+
+  if v_message.sender_id <> p_user_id then
+    raise exception 'NOT_AUTHORIZED';
+  end if;
+
+  if v_message.deleted_at is not null then
+    return v_message;
+  end if;
+
+  if v_message.type = 'SYSTEM' then
+    raise exception 'CANNOT_EDIT';
+  end if;
+
+  insert into public.message_edits (message_id, action, previous_content, edited_by)
+  values (v_message.id, 'DELETE', v_message.content, p_user_id);
+
+  update public.messages
+  set content = '', deleted_at = now()
+  where id = v_message.id
+  returning * into v_message;
+
+  delete from public.message_reactions where message_id = v_message.id;
+
+  return v_message;
+end;
+$$ language plpgsql security definer;
+
+-- Both trust p_user_id, so only the API (service role) may call them
+revoke execute on function public.edit_message(uuid, uuid, text, integer) from public, anon, authenticated;
+revoke execute on function public.delete_message(uuid, uuid) from public, anon, authenticated;
+
+-- Chat list previews show deleted messages as deleted
+create or replace function public.chat_summaries(p_user_id uuid, p_chat_ids uuid[])
+returns table (chat_id uuid, unread_count integer, last_message jsonb) as $$
+  select
+    cm.chat_id,
+    (
+      select count(*)::integer
+      from public.messages m
+      where m.chat_id = cm.chat_id
+        and m.sender_id <> p_user_id
+        and m.deleted_at is null
+        and (r.id is null or (m.created_at, m.id) > (r.created_at, r.id))
+    ),
+    (
+      select to_jsonb(latest)
+      from (
+        select m.id, m.content, m.type, m.sender_id, m.created_at, m.deleted_at
+        from public.messages m
+        where m.chat_id = cm.chat_id
+        order by m.created_at desc, m.id desc
+        limit 1
+      ) latest
+    )
+  from public.chat_members cm
+  left join public.messages r on r.id = cm.last_read_message_id
+  where cm.user_id = p_user_id and cm.chat_id = any(p_chat_ids);
+$$ language sql stable security definer;
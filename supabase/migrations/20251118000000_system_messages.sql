@@ -0,0 +1,11 @@
+-- System messages in task chats
+--
+-- Lifecycle and payment events post a SYSTEM message into the task's working
+-- chat. `content` is a readable fallback; clients render from `metadata`
+-- ({ event, taskId, actorId, ... }). The sender is the user whose action caused
+-- the event. Only the API posts SYSTEM messages.
+
+alter table public.messages
+  add column metadata jsonb;
+
+create index idx_messages_system on public.messages (chat_id, created_at) where type = 'SYSTEM';
@@ -0,0 +1,63 @@
+-- One-time passcodes
+--
+-- Codes are stored as HMACs, never in plain text, keyed by the phone number or
+-- email address they were sent to and the purpose they were issued for. Asking
+-- for a new code replaces the previous one for that destination and purpose.
+-- Too many wrong guesses lock the destination for that purpose until
+-- locked_until. Every send is logged in otp_requests for the per-destination
+-- and per-IP resend limits.
+--
+-- unverified_users now only holds pending sign-ups; their codes live here.
+
+create table public.otp_codes (
+  id uuid primary key default uuid_generate_v4(),
+  destination text not null,
+  purpose text not null check (purpose in ('SIGNUP', 'INACTIVITY', 'PASSWORD_RESET', 'PHONE_CHANGE')),
+  code_hash text not null,
+  attempts integer not null default 0,
+  expires_at timestamptz not null,
+  locked_until timestamptz,
+  consumed_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (destination, purpose)
+);
+
+create index idx_otp_codes_expires_at on public.otp_codes (expires_at);
+
+alter table public.otp_codes enable row level security;
+
+create table public.otp_requests (
+  id uuid primary key default uuid_generate_v4(),
+  destination text not null,
+  purpose text not null,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index idx_otp_requests_destination on public.otp_requests (destination, created_at);
+create index idx_otp_requests_ip on public.otp_requests (ip, created_at) where ip is not null;
+
+alter table public.otp_requests enable row level security;
+
+-- Count a wrong guess atomically so parallel guesses can't share one attempt
+create or replace function public.increment_otp_attempts(p_otp_id uuid)
+returns integer as $$
+declare
+  v_attempts integer;
+begin
+  update public.otp_codes
+  set attempts = attempts + 1
+  where id = p_otp_id
+  returning attempts into v_attempts;
+
+  return v_attempts;
+end;
+$$ language plpgsql security definer;
+
+revoke execute on function public.increment_otp_attempts(uuid) from public, anon, authenticated;
+
+alter table public.unverified_users
+  drop column verification_code,
+  drop column verification_attempts;
+
+drop function if exists public.increment_verification_attempts(uuid);
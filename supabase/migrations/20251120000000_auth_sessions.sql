@@ -0,0 +1,93 @@
+-- Device sessions and refresh tokens
+--
+-- Signing in starts a session for the device and returns a short-lived access
+-- JWT (carrying the session id) plus an opaque refresh token. Only a SHA-256
+-- hash of the refresh token is stored. Each refresh uses the token up and
+-- issues the next one in the same session, so a session is one token family:
+-- presenting a used token again means it was copied, and the whole session is
+-- revoked. Access tokens stop working as soon as their session is revoked.
+
+create table public.auth_sessions (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid not null references public.users(id) on delete cascade,
+  user_agent text,
+  ip text,
+  expires_at timestamptz not null,
+  last_used_at timestamptz not null default now(),
+  revoked_at timestamptz,
+  revoked_reason text,
+  created_at timestamptz not null default now()
+);
+
+create index idx_auth_sessions_user_id on public.auth_sessions (user_id) where revoked_at is null;
+
+alter table public.auth_sessions enable row level security;
+
+create table public.refresh_tokens (
+  id uuid primary key default uuid_generate_v4(),
+  session_id uuid not null references public.auth_sessions(id) on delete cascade,
+  token_hash text unique not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index idx_refresh_tokens_session_id on public.refresh_tokens (session_id);
+
+alter table public.refresh_tokens enable row level security;
+
+-- Swap a refresh token for the next one in its session, sliding the session's
+-- expiry. A token that was already used revokes the session instead; that is
+-- returned rather than raised so the revocation is committed.
+create or replace function public.rotate_refresh_token(
+  p_token_hash text,
+  p_new_token_hash text,
+  p_ttl_days integer,
+  p_ip text,
+  p_user_agent text
+)
+returns jsonb as $$
+declare
+  v_token public.refresh_tokens;
+  v_session public.auth_sessions;
+begin
+  select * into v_token from public.refresh_tokens where token_hash = p_token_hash for update;
+  if not found then
+    raise exception 'INVALID_REFRESH_TOKEN';
+  end if;
+
+  select * into v_session from public.auth_sessions where id = v_token.session_id for update;
+
+  if v_session.revoked_at is not null then
+    raise exception 'SESSION_REVOKED';
+  end if;
+
+  if v_session.expires_at <= now() then
+    raise exception 'SESSION_EXPIRED';
+  end if;
+
+  if v_token.used_at is not null then
+    update public.auth_sessions
+    set revoked_at = now(), revoked_reason = 'TOKEN_REUSE'
+    where id = v_session.id;
+
+    return jsonb_build_object('reused', true, 'session_id', v_session.id, 'user_id', v_session.user_id);
+  end if;
+
+  update public.refresh_tokens set used_at = now() where id = v_token.id;
+
+  insert into public.refresh_tokens (session_id, token_hash)
+  values (v_session.id, p_new_token_hash);
+
+  update public.auth_sessions
+  set
+    last_used_at = now(),
+    expires_at = now() + make_interval(days => p_ttl_days),
+    ip = coalesce(p_ip, ip),
+    user_agent = coalesce(p_user_agent, user_agent)
+  where id = v_session.id;
+
+  return jsonb_build_object('reused', false, 'session_id', v_session.id, 'user_id', v_session.user_id);
+end;
+$$ language plpgsql security definer;
+
+revoke execute on function public.rotate_refresh_token(text, text, integer, text, text) from public, anon, authenticated;
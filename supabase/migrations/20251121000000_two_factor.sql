@@ -0,0 +1,73 @@
+-- TOTP two-factor authentication
+--
+-- A user_two_factor row is created when enrollment starts and counts once
+-- enabled_at is set by confirming a first code. The TOTP secret is stored
+-- encrypted by the API. last_used_step is the last accepted 30-second step, so
+-- a code can't be replayed. Recovery codes are stored as SHA-256 hashes and
+-- each works once. failed_attempts counts code checks since the last right
+-- code; too many lock checks until locked_until.
+--
+-- Sessions remember when 2FA was last proven on them, for step-up checks on
+-- sensitive actions.
+
+create table public.user_two_factor (
+  user_id uuid primary key references public.users(id) on delete cascade,
+  secret_encrypted text not null,
+  enabled_at timestamptz,
+  last_used_step bigint,
+  failed_attempts integer not null default 0,
+  locked_until timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.user_two_factor enable row level security;
+
+create trigger update_user_two_factor_updated_at
+before update on public.user_two_factor
+for each row execute function update_updated_at_column();
+
+create table public.two_factor_recovery_codes (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid not null references public.users(id) on delete cascade,
+  code_hash text unique not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index idx_two_factor_recovery_codes_user_id on public.two_factor_recovery_codes (user_id);
+
+alter table public.two_factor_recovery_codes enable row level security;
+
+-- Count a code check before the code is compared, so parallel guesses can't
+-- get past the limit. The check after p_max_attempts locks checks for
+-- p_lockout_minutes, and a check after a lock has run out starts a new count.
+-- Returns the checks counted, or null while locked.
+create or replace function public.reserve_two_factor_attempt(
+  p_user_id uuid,
+  p_max_attempts integer,
+  p_lockout_minutes integer
+)
+returns integer as $$
+declare
+  v_attempts integer;
+begin
+  update public.user_two_factor
+  set
+    failed_attempts = case when locked_until is null then failed_attempts + 1 else 1 end,
+    locked_until = case
+      when locked_until is null and failed_attempts + 1 > p_max_attempts
+      then now() + make_interval(mins => p_lockout_minutes)
+    end
+  where user_id = p_user_id
+    and (locked_until is null or locked_until <= now())
+  returning failed_attempts into v_attempts;
+
+  return v_attempts;
+end;
+$$ language plpgsql security definer;
+
+revoke execute on function public.reserve_two_factor_attempt(uuid, integer, integer) from public, anon, authenticated;
+
+alter table public.auth_sessions
+  add column two_factor_verified_at timestamptz;
@@ -0,0 +1,92 @@
+-- Login brute-force protection and security events
+--
+-- Failed logins are counted per account (or per typed identifier when no
+-- account matches) and per IP, in login_throttles. Each attempt is counted
+-- before its password is checked and handed back if the password was right.
+-- A run of failures makes the
+-- key wait before the next try, doubling each time, and enough of them lock it
+-- for a while. A run ends after a quiet spell with no failures, or on a
+-- successful login for the account key.
+--
+-- security_events is the audit trail for lockouts, unlocks, sign-ins after
+-- failures and other account security changes. Rows are never updated.
+
+create table public.login_throttles (
+  key text primary key,
+  kind text not null check (kind in ('ACCOUNT', 'IP')),
+  failures integer not null default 0,
+  last_failure_at timestamptz not null default now(),
+  blocked_until timestamptz,
+  locked boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+create index idx_login_throttles_last_failure_at on public.login_throttles (last_failure_at);
+
+alter table public.login_throttles enable row level security;
+
+create trigger update_login_throttles_updated_at
+before update on public.login_throttles
+for each row execute function update_updated_at_column();
+
+create table public.security_events (
+  id uuid primary key default uuid_generate_v4(),
+  user_id uuid references public.users(id) on delete cascade,
+  type text not null,
+  identifier text,
+  ip text,
+  actor_id uuid references public.users(id) on delete set null,
+  data jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index idx_security_events_user_id on public.security_events (user_id, created_at);
+create index idx_security_events_type on public.security_events (type, created_at);
+
+alter table public.security_events enable row level security;
+
+-- Count a login attempt before its password is checked, so parallel guesses
+-- can't all get past a check made before any of them was counted. An attempt
+-- after p_window_minutes without one starts a new run. A key that is backing
+-- off or locked is left alone. Returns the attempts counted in the run, or
+-- null while the key is blocked.
+create or replace function public.reserve_login_attempt(
+  p_key text,
+  p_kind text,
+  p_window_minutes integer
+)
+returns integer as $$
+declare
+  v_failures integer;
+begin
+  insert into public.login_throttles as t (key, kind, failures, last_failure_at)
+  values (p_key, p_kind, 1, now())
+  on conflict (key) do update
+  set
+    failures = case
+      when t.last_failure_at < now() - make_interval(mins => p_window_minutes) then 1
+      else t.failures + 1
+    end,
+    locked = false,
+    blocked_until = null,
+    last_failure_at = now()
+  where t.blocked_until is null or t.blocked_until <= now()
+  returning failures into v_failures;
+
+  return v_failures;
+end;
+$$ language plpgsql security definer;
+
+-- Take back a reserved attempt whose password was right
+create or replace function public.release_login_attempt(p_key text)
+returns void as $$
+begin
+  update public.login_throttles
+  set failures = greatest(failures - 1, 0)
+  where key = p_key;
+end;
+$$ language plpgsql security definer;
+
+-- Trust p_key, so only the API (service role) may call them
+revoke execute on function public.reserve_login_attempt(text, text, integer) from public, anon, authenticated;
+revoke execute on function public.release_login_attempt(text) from public, anon, authenticated;
@@ -0,0 +1,155 @@
+import { readdirSync, readFileSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { PGlite } from '@electric-sql/pglite';
+import { uuid_ossp } from '@electric-sql/pglite/contrib/uuid_ossp';
+import { pg_trgm } from '@electric-sql/pglite/contrib/pg_trgm';
+
+const MIGRATIONS_DIR = new URL('../../supabase/migrations/', import.meta.url);
+
+// The parts of a Supabase project the migrations expect to already exist
+const SUPABASE_SCAFFOLD = `
+  create role anon;
+  create role authenticated;
+  create role service_role;
+
+  create schema auth;
+  create table auth.users (id uuid primary key, email text);
+  create function auth.uid() returns uuid as $$
+    select nullif(current_setting('request.jwt.claim.sub', true), '')::uuid
+  $$ language sql stable;
+
+  create schema storage;
+  create table storage.buckets (
+    id text primary key,
+    name text,
+    public boolean,
+    file_size_limit bigint,
+    allowed_mime_types text[]
+  );
+  create table storage.objects (id uuid primary key default gen_random_uuid(), bucket_id text, name text, owner uuid);
+
+  create publication supabase_realtime;
+`;
+
+/**
+ * An in-memory Postgres with every migration applied, for testing the
+ * database functions
+ * @returns {Promise<PGlite>}
+ */
+export const createTestDatabase = async () => {
+  const db = new PGlite({ extensions: { uuid_ossp, pg_trgm } });
+  await db.exec(SUPABASE_SCAFFOLD);
+
+  for (const file of readdirSync(MIGRATIONS_DIR).filter((name) => name.endsWith('.sql')).sort()) {
+    await db.exec(readFileSync(new URL(file, MIGRATIONS_DIR), 'utf8'));
+  }
+  return db;
+};
+
+/**
+ * Run a query as one of the Supabase API roles, as a client holding the anon
+ * key or a user's token would
+ * @param {PGlite} db
+ * @param {'anon'|'authenticated'} role
+ * @param {string} sql
+ * @param {Array} [params]
+ */
+export const queryAs = async (db, role, sql, params = []) => {
+  await db.exec(`set role ${role}`);
+  try {
+    return await db.query(sql, params);
+  } finally {
+    await db.exec('reset role');
+  }
+};
+
+/**
+ * Call a database function and return its single value
+ * @param {PGlite} db
+ * @param {string} sql - e.g. 'select public.fund_task_escrow($1) as value'
+ * @param {Array} [params]
+ */
+export const queryValue = async (db, sql, params = []) => {
+  const { rows } = await db.query(sql, params);
+  return rows[0]?.value;
+};
+
+/**
+ * Insert a user
+ * @param {PGlite} db
+ * @param {object} [overrides] - Column values
+ * @returns {Promise<string>} User ID
+ */
+export const createUser = async (db, overrides = {}) => {
+  const id = randomUUID();
+  const user = {
+    id,
+    phone_number: `+234${id.replace(/\D/g, '').slice(0, 10)}`,
+    first_name: 'Test',
+    last_name: 'User',
+    email: `${id}@example.com`,
+    user_type: 'BOTH',
+    ...overrides,
+  };
+  const columns = Object.keys(user);
+
+  await db.query(
+    `insert into public.users (${columns.join(', ')}) values (${columns.map((_, i) => `$${i + 1}`).join(', ')})`,
+    Object.values(user)
+  );
+  return id;
+};
+
+/**
+ * Insert an OPEN task
+ * @param {PGlite} db
+ * @param {object} task
+ * @param {string} task.posterId
+ * @param {number} task.budget - In kobo
+ * @param {string} [task.category='OTHER']
+ * @returns {Promise<string>} Task ID
+ */
+export const createTask = async (db, { posterId, budget, category = 'OTHER' }) => {
+  const { rows } = await db.query(
+    `insert into public.tasks (title, description, category, budget, poster_id)
+     values ('Test task', 'Something to do', $1, $2, $3)
+     returning id`,
+    [category, budget, posterId]
+  );
+  return rows[0].id;
+};
+
+/**
+ * Credit a user's wallet from outside the platform, as a settled top-up would
+ * @param {PGlite} db
+ * @param {string} userId
+ * @param {number} amount - In kobo
+ * @returns {Promise<string>} Journal entry ID
+ */
+export const fundWallet = async (db, userId, amount) => queryValue(
+  db,
+  `select public.post_journal_entry(
+     'TOP_UP',
+     $1,
+     jsonb_build_array(
+       jsonb_build_object('account_id', public.ledger_account_id('EXTERNAL', null), 'amount', -$2::bigint),
+       jsonb_build_object('account_id', public.ledger_account_id('WALLET', $3::uuid), 'amount', $2::bigint)
+     )
+   ) as value`,
+  [`test_top_up:${randomUUID()}`, amount, userId]
+);
+
+/**
+ * Balance of a ledger account, in kobo
+ * @param {PGlite} db
+ * @param {string} type
+ * @param {string|null} [ownerId]
+ * @returns {Promise<number>}
+ */
+export const getBalance = async (db, type, ownerId = null) => Number(await queryValue(
+  db,
+  `select coalesce(sum(balance), 0) as value
+   from public.ledger_accounts
+   where type = $1 and owner_id is not distinct from $2::uuid`,
+  [type, ownerId]
+));
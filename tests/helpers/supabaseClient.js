@@ -0,0 +1,212 @@
+// A stand-in for the Supabase client that runs its queries against a test
+// database (see database.js), so services can be tested end to end without
+// PostgREST. Supports the query builder calls the services use: select,
+// insert, upsert, update, delete, eq/neq/in/gt/gte/lt/lte/is filters, simple or
+// filters ('column.op.value,...', including is.null), order, limit,
+// single and maybeSingle, plus rpc. Like PostgREST, bigints come back as
+// numbers and timestamps as ISO strings.
+
+const OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+const toApiValue = (value) => {
+  if (typeof value === 'bigint') return Number(value);
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const toApiRow = (row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, toApiValue(value)]));
+
+const toError = (error) => ({ message: error.message, code: error.code, details: error.detail ?? null });
+
+const quote = (identifier) => `"${identifier.replace(/"/g, '""')}"`;
+
+class QueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = `public.${quote(table)}`;
+    this.action = 'select';
+    this.values = null;
+    this.conflict = null;
+    this.conditions = [];
+    this.params = [];
+    this.ordering = [];
+    this.rowLimit = null;
+    this.expect = 'many';
+    this.head = false;
+    this.countRows = false;
+  }
+
+  param(value) {
+    this.params.push(value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value);
+    return `$${this.params.length}`;
+  }
+
+  select(_columns, { count, head = false } = {}) {
+    this.countRows = Boolean(count);
+    this.head = head;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  // Without onConflict, PostgREST matches on the primary key
+  upsert(values, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    this.insert(values);
+    this.conflict = { columns: onConflict.split(','), ignoreDuplicates };
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.conditions.push(`${quote(column)} ${operator} ${this.param(value)}`);
+    return this;
+  }
+
+  in(column, values) {
+    this.params.push(values);
+    this.conditions.push(`${quote(column)} = any($${this.params.length})`);
+    return this;
+  }
+
+  is(column, value) {
+    this.conditions.push(`${quote(column)} is ${value === null ? 'null' : Boolean(value)}`);
+    return this;
+  }
+
+  or(filters) {
+    const alternatives = filters.split(',').map((filter) => {
+      const [column, operator, ...value] = filter.split('.');
+      if (operator === 'is') return `${quote(column)} is null`;
+      return `${quote(column)} ${OPERATORS[operator]} ${this.param(value.join('.'))}`;
+    });
+    this.conditions.push(`(${alternatives.join(' or ')})`);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.ordering.push(`${quote(column)} ${ascending ? 'asc' : 'desc'}`);
+    return this;
+  }
+
+  limit(count) {
+    this.rowLimit = count;
+    return this;
+  }
+
+  single() {
+    this.expect = 'one';
+    return this;
+  }
+
+  maybeSingle() {
+    this.expect = 'maybe';
+    return this;
+  }
+
+  toSql() {
+    const where = this.conditions.length ? ` where ${this.conditions.join(' and ')}` : '';
+
+    if (this.action === 'insert') {
+      const columns = [...new Set(this.values.flatMap(Object.keys))];
+      const rows = this.values.map((row) => `(${columns.map((column) => (
+        row[column] === undefined ? 'default' : this.param(row[column])
+      )).join(', ')})`);
+      let conflict = '';
+      if (this.conflict) {
+        const target = `on conflict (${this.conflict.columns.map(quote).join(', ')})`;
+        conflict = this.conflict.ignoreDuplicates
+          ? ` ${target} do nothing`
+          : ` ${target} do update set ${columns.map((column) => `${quote(column)} = excluded.${quote(column)}`).join(', ')}`;
+      }
+      return `insert into ${this.table} (${columns.map(quote).join(', ')}) values ${rows.join(', ')}${conflict} returning *`;
+    }
+    if (this.action === 'update') {
+      const assignments = Object.entries(this.values)
+        .filter(([, value]) => value !== undefined)
+        .map(([column, value]) => `${quote(column)} = ${this.param(value)}`);
+      return `update ${this.table} set ${assignments.join(', ')}${where} returning *`;
+    }
+    if (this.action === 'delete') {
+      return `delete from ${this.table}${where} returning *`;
+    }
+
+    const order = this.ordering.length ? ` order by ${this.ordering.join(', ')}` : '';
+    const limit = this.rowLimit !== null ? ` limit ${Number(this.rowLimit)}` : '';
+    return `select * from ${this.table}${where}${order}${limit}`;
+  }
+
+  async execute() {
+    let rows;
+    try {
+      ({ rows } = await this.db.query(this.toSql(), this.params));
+    } catch (error) {
+      return { data: null, error: toError(error), count: null };
+    }
+
+    const data = rows.map(toApiRow);
+    const count = this.countRows ? data.length : null;
+
+    if (this.head) return { data: null, error: null, count };
+    if (this.expect === 'many') return { data, error: null, count };
+    if (data.length > 1 || (this.expect === 'one' && data.length === 0)) {
+      return { data: null, error: { message: 'JSON object requested, multiple (or no) rows returned', code: 'PGRST116' }, count };
+    }
+    return { data: data[0] ?? null, error: null, count };
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+}
+
+Object.entries(OPERATORS).forEach(([name, operator]) => {
+  QueryBuilder.prototype[name] = function applyFilter(column, value) {
+    return this.filter(column, operator, value);
+  };
+});
+
+/**
+ * A Supabase client backed by a test database
+ * @param {import('@electric-sql/pglite').PGlite} db
+ */
+export const createSupabaseClient = (db) => ({
+  from: (table) => new QueryBuilder(db, table),
+
+  rpc: async (name, args = {}) => {
+    const params = Object.values(args).map((value) => (
+      value !== null && typeof value === 'object' ? JSON.stringify(value) : value
+    ));
+    const namedArgs = Object.keys(args).map((key, i) => `${quote(key)} => $${i + 1}`).join(', ');
+
+    try {
+      const { rows, fields } = await db.query(`select * from public.${quote(name)}(${namedArgs})`, params);
+      const { rows: [{ proretset: returnsSet }] } = await db.query(
+        "select proretset from pg_proc where proname = $1 and pronamespace = 'public'::regnamespace limit 1",
+        [name]
+      );
+      // Set-returning functions come back as an array, scalar ones as their
+      // value and composite ones as an object
+      if (returnsSet) return { data: rows.map(toApiRow), error: null };
+      if (fields.length === 1 && fields[0].name === name) {
+        return { data: toApiValue(rows[0]?.[name] ?? null), error: null };
+      }
+      return { data: rows[0] ? toApiRow(rows[0]) : null, error: null };
+    } catch (error) {
+      return { data: null, error: toError(error) };
+    }
+  },
+});
@@ -0,0 +1,258 @@
+import { beforeAll, afterAll, describe, expect, test } from '@jest/globals';
+import {
+  createTestDatabase,
+  createTask,
+  createUser,
+  fundWallet,
+  getBalance,
+  queryAs,
+  queryValue,
+} from './helpers/database.js';
+
+let db;
+
+beforeAll(async () => {
+  db = await createTestDatabase();
+});
+
+afterAll(async () => {
+  await db?.close();
+});
+
+const postEntry = (key, lines) => queryValue(
+  db,
+  "select public.post_journal_entry('TEST', $1, $2::jsonb) as value",
+  [key, JSON.stringify(lines)]
+);
+
+// Assign a fresh task to a hustler at the given price through an accepted offer
+const assignTask = async ({ budget = 500000, amount = budget, category = 'CLEANING', posterFunds = amount } = {}) => {
+  const posterId = await createUser(db);
+  const hustlerId = await createUser(db, { user_type: 'HUSTLER' });
+  if (posterFunds > 0) await fundWallet(db, posterId, posterFunds);
+
+  const taskId = await createTask(db, { posterId, budget, category });
+  const { rows } = await db.query(
+    'insert into public.task_offers (task_id, hustler_id, amount) values ($1, $2, $3) returning id',
+    [taskId, hustlerId, amount]
+  );
+  await db.query('select public.accept_task_offer($1, $2)', [rows[0].id, posterId]);
+
+  return { posterId, hustlerId, taskId };
+};
+
+const transition = (taskId, action, actorId, tip = 0) => db.query(
+  'select status from public.transition_task($1, $2, $3, null, $4)',
+  [taskId, action, actorId, tip]
+);
+
+// Every entry balances, so all accounts together always sum to zero
+const totalBalance = async () => Number(await queryValue(db, 'select sum(balance) as value from public.ledger_accounts'));
+
+describe('post_journal_entry', () => {
+  test('rejects entries whose lines do not sum to zero', async () => {
+    const userId = await createUser(db);
+    const walletId = await queryValue(db, "select public.ledger_account_id('WALLET', $1) as value", [userId]);
+    const externalId = await queryValue(db, "select public.ledger_account_id('EXTERNAL', null) as value");
+
+    await expect(postEntry('unbalanced', [
+      { account_id: externalId, amount: -1000 },
+      { account_id: walletId, amount: 900 },
+    ])).rejects.toThrow('UNBALANCED_ENTRY');
+
+    expect(await getBalance(db, 'WALLET', userId)).toBe(0);
+  });
+
+  test('posts an idempotency key only once', async () => {
+    const userId = await createUser(db);
+    const walletId = await queryValue(db, "select public.ledger_account_id('WALLET', $1) as value", [userId]);
+    const externalId = await queryValue(db, "select public.ledger_account_id('EXTERNAL', null) as value");
+    const lines = [
+      { account_id: externalId, amount: -2500 },
+      { account_id: walletId, amount: 2500 },
+    ];
+
+    const first = await postEntry('top_up:once', lines);
+    const second = await postEntry('top_up:once', lines);
+
+    expect(second).toBe(first);
+    expect(await getBalance(db, 'WALLET', userId)).toBe(2500);
+  });
+
+  test('refuses to overdraw a wallet and posts nothing', async () => {
+    const payerId = await createUser(db);
+    const payeeId = await createUser(db);
+    await fundWallet(db, payerId, 1000);
+
+    const payerWallet = await queryValue(db, "select public.ledger_account_id('WALLET', $1) as value", [payerId]);
+    const payeeWallet = await queryValue(db, "select public.ledger_account_id('WALLET', $1) as value", [payeeId]);
+
+    await expect(postEntry('overdraw', [
+      { account_id: payerWallet, amount: -1001 },
+      { account_id: payeeWallet, amount: 1001 },
+    ])).rejects.toThrow('INSUFFICIENT_FUNDS');
+
+    expect(await getBalance(db, 'WALLET', payerId)).toBe(1000);
+    expect(await getBalance(db, 'WALLET', payeeId)).toBe(0);
+  });
+
+  test('journal lines cannot be changed once posted', async () => {
+    await expect(db.query('update public.journal_lines set amount = amount + 1')).rejects.toThrow('LEDGER_IMMUTABLE');
+    await expect(db.query('delete from public.journal_entries')).rejects.toThrow('LEDGER_IMMUTABLE');
+  });
+});
+
+describe('task escrow', () => {
+  test('accepting an offer moves the agreed price from the poster into escrow', async () => {
+    const { posterId, taskId } = await assignTask({ budget: 600000, amount: 500000, posterFunds: 700000 });
+
+    expect(await getBalance(db, 'WALLET', posterId)).toBe(200000);
+    expect(await getBalance(db, 'ESCROW', taskId)).toBe(500000);
+  });
+
+  test('an offer the poster cannot fund is not accepted', async () => {
+    const posterId = await createUser(db);
+    const hustlerId = await createUser(db);
+    await fundWallet(db, posterId, 1000);
+    const taskId = await createTask(db, { posterId, budget: 500000 });
+    const { rows } = await db.query(
+      'insert into public.task_offers (task_id, hustler_id, amount) values ($1, $2, 500000) returning id',
+      [taskId, hustlerId]
+    );
+
+    await expect(db.query('select public.accept_task_offer($1, $2)', [rows[0].id, posterId]))
+      .rejects.toThrow('INSUFFICIENT_FUNDS');
+
+    expect(await queryValue(db, 'select status as value from public.tasks where id = $1', [taskId])).toBe('OPEN');
+    expect(await getBalance(db, 'WALLET', posterId)).toBe(1000);
+  });
+
+  test('confirming pays the hustler less the platform fee and VAT and issues a receipt', async () => {
+    const { posterId, hustlerId, taskId } = await assignTask({ amount: 500000, category: 'CLEANING' });
+    const platformBefore = await getBalance(db, 'PLATFORM');
+    const taxBefore = await getBalance(db, 'TAX');
+
+    await transition(taskId, 'start', hustlerId);
+    await transition(taskId, 'complete', hustlerId);
+    await transition(taskId, 'confirm', posterId);
+
+    // CLEANING: 12% fee, 7.5% VAT on the fee
+    expect(await getBalance(db, 'ESCROW', taskId)).toBe(0);
+    expect(await getBalance(db, 'WALLET', hustlerId)).toBe(435500);
+    expect(await getBalance(db, 'PLATFORM') - platformBefore).toBe(60000);
+    expect(await getBalance(db, 'TAX') - taxBefore).toBe(4500);
+
+    const { rows: [receipt] } = await db.query('select * from public.task_receipts where task_id = $1', [taskId]);
+    expect(Number(receipt.task_amount)).toBe(500000);
+    expect(Number(receipt.hustler_net)).toBe(435500);
+  });
+
+  test('a category without an active rule falls back to the active OTHER rule, and never to no fee', async () => {
+    const fee = (category) => db.query('select * from public.calculate_platform_fee($1, 100000)', [category]);
+    const { rows: [other] } = await fee('OTHER');
+
+    await db.query("update public.platform_fee_rules set is_active = false where category = 'CLEANING'");
+    try {
+      expect((await fee('CLEANING')).rows[0]).toEqual(other);
+
+      await db.query("update public.platform_fee_rules set is_active = false where category = 'OTHER'");
+      await expect(fee('CLEANING')).rejects.toThrow('FEE_RULE_NOT_FOUND');
+    } finally {
+      await db.query("update public.platform_fee_rules set is_active = true where category in ('CLEANING', 'OTHER')");
+    }
+  });
+
+  test('a tip given on confirm moves from the poster to the hustler in full', async () => {
+    const { posterId, hustlerId, taskId } = await assignTask({ amount: 500000, category: 'CLEANING', posterFunds: 520000 });
+
+    await transition(taskId, 'start', hustlerId);
+    await transition(taskId, 'complete', hustlerId);
+    await expect(transition(taskId, 'confirm', posterId, 30000)).rejects.toThrow('INSUFFICIENT_FUNDS');
+    expect(await queryValue(db, 'select tip_amount as value from public.tasks where id = $1', [taskId])).toBe(0);
+
+    await transition(taskId, 'confirm', posterId, 20000);
+
+    expect(await getBalance(db, 'WALLET', posterId)).toBe(0);
+    expect(await getBalance(db, 'WALLET', hustlerId)).toBe(455500);
+    expect(await queryValue(db, 'select tip_amount as value from public.tasks where id = $1', [taskId])).toBe(20000);
+  });
+
+  test('cancelling an assigned task refunds the poster', async () => {
+    const { posterId, taskId } = await assignTask({ amount: 300000 });
+
+    await transition(taskId, 'cancel', posterId);
+
+    expect(await getBalance(db, 'ESCROW', taskId)).toBe(0);
+    expect(await getBalance(db, 'WALLET', posterId)).toBe(300000);
+  });
+
+  test('a disputed task holds escrow until an admin settles it', async () => {
+    const adminId = await createUser(db);
+    const refunded = await assignTask({ amount: 300000 });
+    const released = await assignTask({ amount: 300000, category: 'CLEANING' });
+
+    for (const { taskId, hustlerId } of [refunded, released]) {
+      await transition(taskId, 'start', hustlerId);
+      await transition(taskId, 'dispute', hustlerId);
+      expect(await getBalance(db, 'ESCROW', taskId)).toBe(300000);
+    }
+
+    const { rows: [refundedTask] } = await transition(refunded.taskId, 'resolve_refund', adminId);
+    expect(refundedTask.status).toBe('CANCELLED');
+    expect(await getBalance(db, 'ESCROW', refunded.taskId)).toBe(0);
+    expect(await getBalance(db, 'WALLET', refunded.posterId)).toBe(300000);
+
+    const { rows: [releasedTask] } = await transition(released.taskId, 'resolve_release', adminId);
+    expect(releasedTask.status).toBe('COMPLETED');
+    expect(await getBalance(db, 'ESCROW', released.taskId)).toBe(0);
+    expect(await getBalance(db, 'WALLET', released.hustlerId)).toBeGreaterThan(0);
+  });
+
+  test('transitions only move from the statuses their action allows', async () => {
+    const { posterId, taskId } = await assignTask();
+
+    await expect(transition(taskId, 'confirm', posterId)).rejects.toThrow('INVALID_TRANSITION');
+    await expect(transition(taskId, 'resolve_release', posterId)).rejects.toThrow('INVALID_TRANSITION');
+    await expect(transition(taskId, 'pay_out', posterId)).rejects.toThrow('UNKNOWN_ACTION');
+    expect(await getBalance(db, 'ESCROW', taskId)).toBeGreaterThan(0);
+  });
+
+  test('the books balance and cached balances match the journal', async () => {
+    expect(await totalBalance()).toBe(0);
+    const { rows } = await db.query('select * from public.rebuild_ledger_balances()');
+    expect(rows).toEqual([]);
+  });
+});
+
+describe('API roles', () => {
+  const apiOnlyFunctions = [
+    ["select public.ledger_account_id('WALLET', null)"],
+    ["select public.post_journal_entry('TEST', 'forged', '[]'::jsonb)"],
+    ['select public.fund_task_escrow(uuid_generate_v4())'],
+    ['select public.release_task_escrow(uuid_generate_v4())'],
+    ['select public.refund_task_escrow(uuid_generate_v4())'],
+    ['select public.rebuild_ledger_balances()'],
+    ["select public.transition_task(uuid_generate_v4(), 'confirm', uuid_generate_v4(), null, 100)"],
+    ['select public.accept_task_offer(uuid_generate_v4(), uuid_generate_v4())'],
+    ["select public.submit_review(uuid_generate_v4(), uuid_generate_v4(), 5, 'forged', 14)"],
+    ["select public.reply_to_review(uuid_generate_v4(), uuid_generate_v4(), 'forged')"],
+    ['select public.reveal_task_reviews(uuid_generate_v4())'],
+    ['select public.reveal_expired_reviews(0)'],
+    ['select public.recompute_user_rating(uuid_generate_v4())'],
+    ['select public.advance_chat_cursor(uuid_generate_v4(), uuid_generate_v4(), null, true)'],
+    ['select public.chat_summaries(uuid_generate_v4(), array[uuid_generate_v4()])'],
+    ['select public.open_task_chat(uuid_generate_v4(), uuid_generate_v4())'],
+    ["select public.edit_message(uuid_generate_v4(), uuid_generate_v4(), 'forged', 15)"],
+    ['select public.delete_message(uuid_generate_v4(), uuid_generate_v4())'],
+    ['select public.increment_otp_attempts(uuid_generate_v4())'],
+    ['select public.reserve_two_factor_attempt(uuid_generate_v4(), 5, 15)'],
+    ["select public.reserve_login_attempt('ip:forged', 'IP', 15)"],
+    ["select public.release_login_attempt('ip:forged')"],
+  ];
+
+  test.each(apiOnlyFunctions)('cannot call %s', async (sql) => {
+    for (const role of ['anon', 'authenticated']) {
+      await expect(queryAs(db, role, sql)).rejects.toThrow('permission denied');
+    }
+  });
+});
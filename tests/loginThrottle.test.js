@@ -0,0 +1,81 @@
+import { jest, afterAll, describe, expect, test } from '@jest/globals';
+import { randomUUID } from 'crypto';
+import { createTestDatabase } from './helpers/database.js';
+import { createSupabaseClient } from './helpers/supabaseClient.js';
+
+const db = await createTestDatabase();
+const client = createSupabaseClient(db);
+
+jest.unstable_mockModule('../src/services/supabase.js', () => ({ supabase: client, supabaseAdmin: client }));
+
+const {
+  recordLoginFailure,
+  releaseLoginAttempt,
+  reserveLoginAttempt,
+} = await import('../src/services/loginThrottleService.js');
+
+afterAll(async () => {
+  await db.close();
+});
+
+// An identifier with no account, so attempts only count against it
+const newAttempt = () => ({ identifier: `${randomUUID()}@example.com` });
+
+const getFailures = async ({ identifier }) => (
+  await db.query('select failures from public.login_throttles where key = $1', [`identifier:${identifier}`])
+).rows[0]?.failures;
+
+describe('login throttling', () => {
+  test('a few failures make the next try wait', async () => {
+    const attempt = newAttempt();
+
+    for (let failure = 0; failure < 3; failure += 1) {
+      await recordLoginFailure(attempt, await reserveLoginAttempt(attempt));
+    }
+
+    await expect(reserveLoginAttempt(attempt)).rejects.toMatchObject({ code: 'LOGIN_THROTTLED', statusCode: 429 });
+    expect(await getFailures(attempt)).toBe(3);
+  });
+
+  test('parallel attempts cannot get past the lockout threshold', async () => {
+    const attempt = newAttempt();
+
+    const results = await Promise.allSettled(Array.from({ length: 15 }, () => reserveLoginAttempt(attempt)));
+
+    expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(10);
+    expect(results.filter((result) => result.reason?.code === 'LOGIN_LOCKED')).toHaveLength(5);
+  });
+
+  test('attempts with the right password are handed back', async () => {
+    const attempt = newAttempt();
+
+    for (let login = 0; login < 5; login += 1) {
+      await releaseLoginAttempt(await reserveLoginAttempt(attempt));
+    }
+
+    expect(await getFailures(attempt)).toBe(0);
+    await expect(reserveLoginAttempt(attempt)).resolves.toEqual([
+      { key: `identifier:${attempt.identifier}`, kind: 'ACCOUNT', failures: 1 },
+    ]);
+  });
+
+  test('a blocked IP or account does not use up the other one\'s attempts', async () => {
+    const ip = randomUUID();
+    const blocked = { ...newAttempt(), ip };
+    for (let failure = 0; failure < 3; failure += 1) {
+      await recordLoginFailure(blocked, await reserveLoginAttempt(blocked));
+    }
+
+    const sameIp = { ...newAttempt(), ip };
+    await expect(reserveLoginAttempt(sameIp)).rejects.toMatchObject({ code: 'LOGIN_THROTTLED' });
+    expect(await getFailures(sameIp)).toBeUndefined();
+
+    const otherIp = { ...blocked, ip: randomUUID() };
+    await expect(reserveLoginAttempt(otherIp)).rejects.toMatchObject({ code: 'LOGIN_THROTTLED' });
+    const { rows: [{ failures }] } = await db.query(
+      'select failures from public.login_throttles where key = $1',
+      [`ip:${otherIp.ip}`]
+    );
+    expect(failures).toBe(0);
+  });
+});
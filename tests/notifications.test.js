@@ -0,0 +1,119 @@
+import { jest, afterAll, afterEach, describe, expect, test } from '@jest/globals';
+import { createTestDatabase, createUser, queryAs } from './helpers/database.js';
+import { createSupabaseClient } from './helpers/supabaseClient.js';
+
+const db = await createTestDatabase();
+const client = createSupabaseClient(db);
+const smsSent = async () => ({ success: true, message: 'SMS sent' });
+const sendSms = jest.fn(smsSent);
+
+jest.unstable_mockModule('../src/services/supabase.js', () => ({ supabase: client, supabaseAdmin: client }));
+jest.unstable_mockModule('../src/services/smsService.js', () => ({ sendSms, default: { sendSms } }));
+
+const { NOTIFICATION_TYPES, deliverQueuedNotifications, notify } = await import('../src/services/notificationService.js');
+
+afterAll(async () => {
+  await db.close();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  sendSms.mockReset();
+  sendSms.mockImplementation(smsSent);
+});
+
+// Park an SMS for a user that is already due
+const queueSms = async (userId, message, kind = 'DEFERRED') => (
+  await db.query(
+    `insert into public.notification_queue (user_id, channel, kind, type, title, message, deliver_after)
+     values ($1, 'sms', $2, 'NEW_MESSAGE', 'New message', $3, now() - interval '1 minute')
+     returning id`,
+    [userId, kind, message]
+  )
+).rows[0].id;
+
+const getQueued = async (id) => (
+  await db.query('select * from public.notification_queue where id = $1', [id])
+).rows[0];
+
+// Let every claim run out, as if the worker's lease had passed
+const expireClaims = () => db.query("update public.notification_queue set claimed_until = now() - interval '1 second'");
+
+describe('notify', () => {
+  test('an unknown type is logged rather than thrown', async () => {
+    const userId = await createUser(db);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(notify({ userId, type: 'NOT_A_TYPE', title: 'x', message: 'y' })).resolves.toBeNull();
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  test('stores an in-app notification with the type defaults', async () => {
+    const userId = await createUser(db);
+
+    const notification = await notify({ userId, type: NOTIFICATION_TYPES.NEW_MESSAGE, title: 'Hi', message: 'Hello' });
+
+    expect(notification).toMatchObject({ user_id: userId, type: 'NEW_MESSAGE', title: 'Hi' });
+  });
+});
+
+describe('deliverQueuedNotifications', () => {
+  test('marks items sent only once they are delivered, and retries the rest', async () => {
+    const userId = await createUser(db);
+    const failing = await queueSms(userId, 'first');
+    const delivered = await queueSms(userId, 'second');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    sendSms.mockImplementation(async (phoneNumber, message) => (
+      message.includes('first')
+        ? { success: false, message: 'Failed to send SMS', error: 'Twilio is down' }
+        : smsSent()
+    ));
+
+    expect(await deliverQueuedNotifications()).toBe(2);
+    expect((await getQueued(failing)).sent_at).toBeNull();
+    expect((await getQueued(delivered)).sent_at).not.toBeNull();
+
+    // Still claimed, so another run leaves it alone
+    expect(await deliverQueuedNotifications()).toBe(0);
+
+    sendSms.mockImplementation(smsSent);
+    await expireClaims();
+    expect(await deliverQueuedNotifications()).toBe(1);
+    expect(await getQueued(failing)).toMatchObject({ attempts: 2 });
+    expect((await getQueued(failing)).sent_at).not.toBeNull();
+    expect(sendSms).toHaveBeenCalledTimes(3);
+  });
+
+  test('a failed digest keeps all of its items queued', async () => {
+    const userId = await createUser(db);
+    const ids = [await queueSms(userId, 'one', 'DIGEST'), await queueSms(userId, 'two', 'DIGEST')];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    sendSms.mockRejectedValueOnce(new Error('Network error'));
+
+    expect(await deliverQueuedNotifications()).toBe(2);
+    expect(sendSms).toHaveBeenCalledTimes(1);
+    for (const id of ids) {
+      expect((await getQueued(id)).sent_at).toBeNull();
+    }
+  });
+
+  test('gives up on an item after five attempts', async () => {
+    const userId = await createUser(db);
+    const id = await queueSms(userId, 'never arrives');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    sendSms.mockResolvedValue({ success: false, message: 'Failed to send SMS' });
+
+    for (let run = 0; run < 6; run += 1) {
+      await expireClaims();
+      await deliverQueuedNotifications();
+    }
+
+    expect(await getQueued(id)).toMatchObject({ attempts: 5, sent_at: null });
+  });
+
+  test('claim_notification_queue cannot be called through the API', async () => {
+    for (const role of ['anon', 'authenticated']) {
+      await expect(queryAs(db, role, 'select * from public.claim_notification_queue()')).rejects.toThrow('permission denied');
+    }
+  });
+});
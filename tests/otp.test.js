@@ -0,0 +1,108 @@
+import { jest, afterEach, describe, expect, test } from '@jest/globals';
+import { randomInt } from 'crypto';
+
+process.env.OTP_STORE = 'memory';
+process.env.OTP_SECRET = 'test_otp_secret';
+
+// The memory store never touches the database
+jest.unstable_mockModule('../src/services/supabase.js', () => ({ supabase: {}, supabaseAdmin: {} }));
+
+const sendSms = jest.fn(async () => ({ success: true, message: 'SMS sent' }));
+jest.unstable_mockModule('../src/services/smsService.js', () => ({ sendSms, default: { sendSms } }));
+
+const { OTP_PURPOSES, requestOtp, verifyOtp } = await import('../src/services/otpService.js');
+const { memoryStore } = await import('../src/services/otp/index.js');
+
+afterEach(() => {
+  memoryStore.reset();
+  sendSms.mockClear();
+});
+
+const newPhoneNumber = () => `+23480${randomInt(10000000, 100000000)}`;
+
+// Request a code and read it back out of the SMS
+const sendCode = async (destination, purpose = OTP_PURPOSES.SIGNUP) => {
+  await requestOtp({ destination, purpose, ip: '127.0.0.1' });
+  const [, text] = sendSms.mock.calls[sendSms.mock.calls.length - 1];
+  return text.match(/\d{6}/)[0];
+};
+
+const wrongCode = (code) => String((Number(code) % 900000) + 100001);
+
+const verify = (destination, code, purpose = OTP_PURPOSES.SIGNUP) => verifyOtp({ destination, purpose, code });
+
+describe('verifyOtp', () => {
+  test('accepts the code once', async () => {
+    const destination = newPhoneNumber();
+    const code = await sendCode(destination);
+
+    await expect(verify(destination, code)).resolves.toBe(true);
+    await expect(verify(destination, code)).rejects.toMatchObject({ code: 'OTP_NOT_FOUND' });
+  });
+
+  test('only accepts the code for the purpose it was sent for', async () => {
+    const destination = newPhoneNumber();
+    const code = await sendCode(destination, OTP_PURPOSES.SIGNUP);
+
+    await expect(verify(destination, code, OTP_PURPOSES.PASSWORD_RESET)).rejects.toMatchObject({ code: 'OTP_NOT_FOUND' });
+  });
+
+  test('counts down wrong guesses and locks the destination at the limit', async () => {
+    const destination = newPhoneNumber();
+    const code = await sendCode(destination);
+
+    for (let remaining = 4; remaining > 0; remaining -= 1) {
+      await expect(verify(destination, wrongCode(code))).rejects.toMatchObject({
+        code: 'OTP_INVALID',
+        details: { attemptsRemaining: remaining },
+      });
+    }
+    await expect(verify(destination, wrongCode(code))).rejects.toMatchObject({ code: 'OTP_LOCKED', statusCode: 429 });
+
+    // Locked, so even the right code and a fresh request are refused
+    await expect(verify(destination, code)).rejects.toMatchObject({ code: 'OTP_LOCKED' });
+    await expect(requestOtp({ destination, purpose: OTP_PURPOSES.SIGNUP })).rejects.toMatchObject({ code: 'OTP_LOCKED' });
+  });
+
+  test('parallel guesses cannot get past the limit', async () => {
+    const destination = newPhoneNumber();
+    const code = await sendCode(destination);
+
+    // Ten guesses race, the right one last
+    const guesses = [...Array(9).fill(wrongCode(code)), code].map((guess) => verify(destination, guess));
+    const results = await Promise.allSettled(guesses);
+
+    expect(results.filter((result) => result.status === 'fulfilled')).toEqual([]);
+    expect(results.filter((result) => result.reason?.code === 'OTP_LOCKED')).toHaveLength(6);
+  });
+
+  test('rejects an expired code', async () => {
+    const destination = newPhoneNumber();
+    const code = await sendCode(destination);
+    jest.useFakeTimers({ now: Date.now() + 11 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+
+    try {
+      await expect(verify(destination, code)).rejects.toMatchObject({ code: 'OTP_EXPIRED' });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('requestOtp', () => {
+  test('makes a destination wait between codes', async () => {
+    const destination = newPhoneNumber();
+    await sendCode(destination);
+
+    await expect(requestOtp({ destination, purpose: OTP_PURPOSES.SIGNUP })).rejects.toMatchObject({ code: 'OTP_COOLDOWN' });
+  });
+
+  test('limits the codes one IP can request per hour', async () => {
+    for (let i = 0; i < 10; i += 1) {
+      await requestOtp({ destination: newPhoneNumber(), purpose: OTP_PURPOSES.SIGNUP, ip: '10.0.0.1' });
+    }
+
+    await expect(requestOtp({ destination: newPhoneNumber(), purpose: OTP_PURPOSES.SIGNUP, ip: '10.0.0.1' }))
+      .rejects.toMatchObject({ code: 'OTP_RATE_LIMITED' });
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, expect, test } from '@jest/globals';
+import { validationResult } from 'express-validator';
+import { encodeCursor, paginationValidators, toOffsetPage } from '../src/services/pagination.js';
+
+const validate = async (validators, queryParams) => {
+  const req = { query: queryParams };
+  for (const validator of validators) {
+    await validator.run(req);
+  }
+  return validationResult(req).array().map((error) => error.path);
+};
+
+const keysetCursor = encodeCursor({ v: '2025-11-01T10:00:00.000Z', id: '7b0c5a52-3f55-4e43-9a3c-2f6c1b0e8d11' });
+const offsetCursor = encodeCursor({ o: 40 });
+
+describe('paginationValidators', () => {
+  test('keyset lists accept only keyset cursors', async () => {
+    expect(await validate(paginationValidators(), { cursor: keysetCursor })).toEqual([]);
+    expect(await validate(paginationValidators(), { cursor: offsetCursor })).toEqual(['cursor']);
+  });
+
+  test('offset lists accept only offset cursors', async () => {
+    expect(await validate(paginationValidators(50, 'offset'), { cursor: offsetCursor })).toEqual([]);
+    expect(await validate(paginationValidators(50, 'offset'), { cursor: keysetCursor })).toEqual(['cursor']);
+    expect(await validate(paginationValidators(50, 'offset'), { cursor: encodeCursor({ o: -1 }) })).toEqual(['cursor']);
+  });
+
+  test('rejects malformed cursors and oversized pages', async () => {
+    expect(await validate(paginationValidators(), { cursor: 'not-a-cursor' })).toEqual(['cursor']);
+    expect(await validate(paginationValidators(), { cursor: encodeCursor({ v: '") or (1=1', id: 'x' }) })).toEqual(['cursor']);
+    expect(await validate(paginationValidators(50), { limit: '51' })).toEqual(['limit']);
+  });
+});
+
+describe('toOffsetPage', () => {
+  test('points the next cursor past the returned rows', () => {
+    const page = toOffsetPage([1, 2, 3], 2, 20);
+
+    expect(page).toEqual({ data: [1, 2], nextCursor: encodeCursor({ o: 22 }), hasMore: true });
+    expect(toOffsetPage([1, 2], 2, 20)).toEqual({ data: [1, 2], nextCursor: null, hasMore: false });
+  });
+});
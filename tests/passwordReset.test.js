@@ -0,0 +1,115 @@
+import { jest, afterAll, afterEach, describe, expect, test } from '@jest/globals';
+import { randomInt } from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { createTestDatabase, createUser } from './helpers/database.js';
+import { createSupabaseClient } from './helpers/supabaseClient.js';
+
+process.env.JWT_SECRET = 'test_jwt_secret';
+process.env.OTP_STORE = 'memory';
+process.env.OTP_SECRET = 'test_otp_secret';
+
+const db = await createTestDatabase();
+const client = createSupabaseClient(db);
+const sendSms = jest.fn(async () => ({ success: true, message: 'SMS sent' }));
+
+jest.unstable_mockModule('../src/services/supabase.js', () => ({ supabase: client, supabaseAdmin: client }));
+jest.unstable_mockModule('../src/services/smsService.js', () => ({ sendSms, default: { sendSms } }));
+
+const { default: authRouter } = await import('../src/routes/auth.js');
+const { memoryStore } = await import('../src/services/otp/index.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRouter);
+
+afterAll(async () => {
+  await db.close();
+});
+
+afterEach(() => {
+  memoryStore.reset();
+  sendSms.mockClear();
+});
+
+const newPhoneNumber = () => `+23481${randomInt(10000000, 100000000)}`;
+
+// Ask for a reset code and wait for the SMS that carries it
+const forgot = async (identifier) => {
+  await request(app).post('/api/auth/password/forgot').send({ identifier }).expect(200);
+  await new Promise((resolve) => setImmediate(resolve));
+};
+
+const reset = (identifier, code) => request(app)
+  .post('/api/auth/password/reset')
+  .send({ identifier, code, newPassword: 'new-password' });
+
+describe('password reset', () => {
+  test('the code from the SMS sets the new password', async () => {
+    const phoneNumber = newPhoneNumber();
+    await createUser(db, { phone_number: phoneNumber });
+    await forgot(phoneNumber);
+    const [, text] = sendSms.mock.calls[0];
+
+    await reset(phoneNumber, text.match(/\d{6}/)[0]).expect(200);
+  });
+
+  test('a wrong code answers the same whether or not the account exists', async () => {
+    const phoneNumber = newPhoneNumber();
+    await createUser(db, { phone_number: phoneNumber });
+    await forgot(phoneNumber);
+    expect(sendSms).toHaveBeenCalledTimes(1);
+
+    const known = await reset(phoneNumber, '000000');
+    const unknown = await reset(newPhoneNumber(), '000000');
+
+    expect(known.status).toBe(400);
+    expect(known.body).toEqual({
+      success: false,
+      code: 'RESET_CODE_INVALID',
+      message: 'Invalid or expired reset code. Please request a new one.',
+      requiresResend: true
+    });
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+  });
+
+  test('only an email address or phone number is accepted as the identifier', async () => {
+    const phoneNumber = newPhoneNumber();
+    await createUser(db, { phone_number: phoneNumber });
+
+    for (const identifier of [`${phoneNumber},id.not.is.null`, 'x,phone_number.neq.0', '08012345678']) {
+      const res = await request(app).post('/api/auth/password/forgot').send({ identifier });
+      expect(res.status).toBe(400);
+    }
+    await forgot(` ${phoneNumber} `);
+    expect(sendSms).toHaveBeenCalledTimes(1);
+  });
+
+  test('a locked out account answers like any other wrong code', async () => {
+    const phoneNumber = newPhoneNumber();
+    await createUser(db, { phone_number: phoneNumber });
+    await forgot(phoneNumber);
+
+    for (let guess = 0; guess < 6; guess += 1) {
+      const res = await reset(phoneNumber, '000000');
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('RESET_CODE_INVALID');
+      expect(res.headers['retry-after']).toBeUndefined();
+    }
+  });
+});
+
+describe('inactivity verification', () => {
+  test('only an email address or phone number is accepted as the identifier', async () => {
+    const phoneNumber = newPhoneNumber();
+    await createUser(db, { phone_number: phoneNumber });
+
+    const res = await request(app)
+      .post('/api/auth/verify-inactivity')
+      .send({ identifier: `${phoneNumber},id.not.is.null`, code: '000000' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+  });
+});
@@ -0,0 +1,358 @@
+import { jest, beforeAll, afterAll, afterEach, describe, expect, test } from '@jest/globals';
+import { randomUUID } from 'crypto';
+import { createTestDatabase, createUser, fundWallet, getBalance, queryAs } from './helpers/database.js';
+import { createSupabaseClient } from './helpers/supabaseClient.js';
+
+process.env.FAKE_PAYMENT_SECRET = 'test_fake_payment_secret';
+
+const db = await createTestDatabase();
+const client = createSupabaseClient(db);
+
+jest.unstable_mockModule('../src/services/supabase.js', () => ({ supabase: client, supabaseAdmin: client }));
+
+const { handleWebhook } = await import('../src/services/paymentService.js');
+const {
+  requestPayout,
+  transitionPayout,
+  approvePayouts,
+  reconcileProcessingPayouts,
+} = await import('../src/services/payoutService.js');
+const { getPaymentProvider, fakeProvider } = await import('../src/services/payments/index.js');
+
+afterAll(async () => {
+  await db.close();
+});
+
+const createTopUpRow = async (userId, { provider = 'fake', amount = 50000 } = {}) => {
+  const { rows } = await db.query(
+    `insert into public.payment_transactions (user_id, provider, reference, channel, amount)
+     values ($1, $2, $3, 'CARD', $4)
+     returning *`,
+    [userId, provider, `top_${randomUUID().replace(/-/g, '')}`, amount]
+  );
+  return rows[0];
+};
+
+const getPayment = async (reference) => (
+  await db.query('select * from public.payment_transactions where reference = $1', [reference])
+).rows[0];
+
+// Deliver a webhook the way the provider would: raw body, headers and parsed body
+const deliver = ({ rawBody, headers }, providerName = fakeProvider.name) => (
+  handleWebhook(providerName, rawBody, headers, JSON.parse(rawBody))
+);
+
+describe('fake provider', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  test('verifies webhooks it signed and rejects tampered ones', () => {
+    const { rawBody, headers } = fakeProvider.simulatePayment({ reference: 'top_x', amount: 100 });
+    expect(fakeProvider.verifyWebhook(rawBody, headers)).toBe(true);
+
+    const tampered = Buffer.from(rawBody.toString().replace('"amount":100', '"amount":100000'));
+    expect(fakeProvider.verifyWebhook(tampered, headers)).toBe(false);
+    expect(fakeProvider.verifyWebhook(rawBody, {})).toBe(false);
+  });
+
+  test('refuses to sign or verify without a secret', () => {
+    const { rawBody, headers } = fakeProvider.simulatePayment({ reference: 'top_x', amount: 100 });
+    delete process.env.FAKE_PAYMENT_SECRET;
+
+    expect(() => fakeProvider.verifyWebhook(rawBody, headers)).toThrow('FAKE_PAYMENT_SECRET is not set');
+  });
+
+  test('does not exist in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    expect(getPaymentProvider('fake')).toBeUndefined();
+    expect(getPaymentProvider('paystack')).toBeDefined();
+
+    const webhook = fakeProvider.simulatePayment({ reference: 'top_x', amount: 100 });
+    expect(await deliver(webhook)).toEqual({ outcome: 'unknown_provider' });
+  });
+});
+
+describe('top-up webhooks', () => {
+  test('a signed success credits the wallet once, however often it is delivered', async () => {
+    const userId = await createUser(db);
+    const payment = await createTopUpRow(userId, { amount: 50000 });
+    const webhook = fakeProvider.simulatePayment({ reference: payment.reference, amount: 50000 });
+
+    expect(await deliver(webhook)).toEqual({ outcome: 'processed' });
+    expect(await deliver(webhook)).toEqual({ outcome: 'duplicate' });
+
+    // A fresh delivery of the same outcome (new event id) is settled already
+    expect(await deliver(fakeProvider.simulatePayment({ reference: payment.reference, amount: 50000 })))
+      .toEqual({ outcome: 'processed' });
+
+    expect(await getBalance(db, 'WALLET', userId)).toBe(50000);
+    expect((await getPayment(payment.reference)).status).toBe('SUCCESS');
+  });
+
+  test('an unsigned webhook is not recorded', async () => {
+    const userId = await createUser(db);
+    const payment = await createTopUpRow(userId);
+    const { rawBody } = fakeProvider.simulatePayment({ reference: payment.reference, amount: 50000 });
+
+    expect(await deliver({ rawBody, headers: { 'x-fake-signature': 'forged' } })).toEqual({ outcome: 'invalid_signature' });
+
+    const { rows } = await db.query('select * from public.payment_events where reference = $1', [payment.reference]);
+    expect(rows).toEqual([]);
+    expect(await getBalance(db, 'WALLET', userId)).toBe(0);
+  });
+
+  test('a webhook from another provider cannot settle a top-up', async () => {
+    const userId = await createUser(db);
+    const payment = await createTopUpRow(userId, { provider: 'paystack', amount: 50000 });
+
+    const webhook = fakeProvider.simulatePayment({ reference: payment.reference, amount: 50000 });
+    expect(await deliver(webhook)).toEqual({ outcome: 'rejected' });
+
+    expect(await getBalance(db, 'WALLET', userId)).toBe(0);
+    expect((await getPayment(payment.reference)).status).toBe('PENDING');
+
+    const { rows: [event] } = await db.query('select error from public.payment_events where reference = $1', [payment.reference]);
+    expect(event.error).toBe('PROVIDER_MISMATCH');
+  });
+
+  test('a success for a different amount is rejected', async () => {
+    const userId = await createUser(db);
+    const payment = await createTopUpRow(userId, { amount: 50000 });
+
+    const webhook = fakeProvider.simulatePayment({ reference: payment.reference, amount: 5000000 });
+    expect(await deliver(webhook)).toEqual({ outcome: 'rejected' });
+
+    expect(await getBalance(db, 'WALLET', userId)).toBe(0);
+    expect((await getPayment(payment.reference)).status).toBe('PENDING');
+  });
+
+  test('a failed top-up cannot later succeed', async () => {
+    const userId = await createUser(db);
+    const payment = await createTopUpRow(userId, { amount: 50000 });
+
+    await deliver(fakeProvider.simulatePayment({ reference: payment.reference, amount: 50000, status: 'FAILED' }));
+    expect((await getPayment(payment.reference)).status).toBe('FAILED');
+
+    const success = fakeProvider.simulatePayment({ reference: payment.reference, amount: 50000 });
+    expect(await deliver(success)).toEqual({ outcome: 'rejected' });
+
+    expect(await getBalance(db, 'WALLET', userId)).toBe(0);
+    expect((await getPayment(payment.reference)).status).toBe('FAILED');
+  });
+
+  test('settle_payment_transaction cannot be called through the API', async () => {
+    for (const role of ['anon', 'authenticated']) {
+      await expect(queryAs(db, role, "select public.settle_payment_transaction('top_x', 'fake', 'SUCCESS', 100)"))
+        .rejects.toThrow('permission denied');
+    }
+  });
+});
+
+// A user with a funded wallet and a pending withdrawal
+const createPendingPayout = async ({ funds = 500000, amount = 200000 } = {}) => {
+  const userId = await createUser(db);
+  await fundWallet(db, userId, funds);
+  const { rows: [bankAccount] } = await db.query(
+    `insert into public.bank_accounts (user_id, bank_code, bank_name, account_number, account_name)
+     values ($1, '058', 'GTBank', '0123456789', 'TEST USER')
+     returning id`,
+    [userId]
+  );
+
+  const payout = await requestPayout(userId, { bankAccountId: bankAccount.id, amount });
+  return { userId, payout };
+};
+
+const getPayout = async (id) => (
+  await db.query('select * from public.payouts where id = $1', [id])
+).rows[0];
+
+// An error from a transfer call that may still have gone through
+const outcomeUnknown = (message) => Object.assign(new Error(message), { outcomeUnknown: true });
+
+// Make an approved payout look like its webhook is long overdue
+const ageApproval = (id) => db.query("update public.payouts set approved_at = now() - interval '1 hour' where id = $1", [id]);
+
+describe('transfer webhooks', () => {
+  test('a webhook from another provider cannot fail a payout', async () => {
+    const { userId, payout } = await createPendingPayout();
+    await transitionPayout(payout.id, 'PROCESSING');
+    await db.query("update public.payouts set provider = 'paystack' where id = $1", [payout.id]);
+
+    const webhook = fakeProvider.simulateTransfer({ reference: payout.reference, status: 'FAILED' });
+    expect(await deliver(webhook)).toEqual({ outcome: 'rejected' });
+
+    expect((await getPayout(payout.id)).status).toBe('PROCESSING');
+    expect(await getBalance(db, 'WALLET', userId)).toBe(300000);
+  });
+});
+
+describe('payout approval', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends the transfer and leaves the payout for the webhook to settle', async () => {
+    const { userId, payout } = await createPendingPayout();
+
+    expect(await approvePayouts([payout.id], userId)).toEqual([{ id: payout.id, status: 'PROCESSING' }]);
+    expect(await getPayout(payout.id)).toMatchObject({ provider: 'fake', provider_reference: `fake_${payout.reference}` });
+
+    await deliver(fakeProvider.simulateTransfer({ reference: payout.reference, status: 'PAID' }));
+    expect((await getPayout(payout.id)).status).toBe('PAID');
+    expect(await getBalance(db, 'WALLET', userId)).toBe(300000);
+  });
+
+  test('a transfer call that errors is not refunded, since the money may have gone', async () => {
+    const { userId, payout } = await createPendingPayout();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(fakeProvider, 'initiateTransfer').mockRejectedValueOnce(outcomeUnknown('Request timed out'));
+
+    const [result] = await approvePayouts([payout.id], userId);
+    expect(result).toEqual({ id: payout.id, status: 'PROCESSING', error: 'Request timed out' });
+    expect(await getBalance(db, 'WALLET', userId)).toBe(300000);
+
+    // The provider did send it, and its webhook still settles the payout
+    await deliver(fakeProvider.simulateTransfer({ reference: payout.reference, status: 'PAID' }));
+    expect((await getPayout(payout.id)).status).toBe('PAID');
+    expect(await getBalance(db, 'WALLET', userId)).toBe(300000);
+  });
+
+  test('a transfer the provider refuses is failed and refunded', async () => {
+    const { userId, payout } = await createPendingPayout();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(fakeProvider, 'initiateTransfer').mockRejectedValueOnce(
+      Object.assign(new Error('Invalid account number'), { statusCode: 400 })
+    );
+
+    const [result] = await approvePayouts([payout.id], userId);
+    expect(result).toEqual({ id: payout.id, status: 'FAILED', error: 'Invalid account number' });
+    expect(await getPayout(payout.id)).toMatchObject({ failure_reason: 'Transfer was refused by the provider' });
+    expect(await getBalance(db, 'WALLET', userId)).toBe(500000);
+  });
+
+  test('a transfer that was never sent is failed and refunded without stopping the batch', async () => {
+    const unsent = await createPendingPayout();
+    const sent = await createPendingPayout();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // The first bank account lookup fails, before anything reaches the provider
+    const { from } = client;
+    let lookups = 0;
+    jest.spyOn(client, 'from').mockImplementation((table) => {
+      if (table === 'bank_accounts' && lookups++ === 0) {
+        const failure = { single: async () => ({ data: null, error: { message: 'connection reset' } }) };
+        return { select: () => ({ eq: () => failure }) };
+      }
+      return from(table);
+    });
+    const initiateTransfer = jest.spyOn(fakeProvider, 'initiateTransfer');
+
+    const results = await approvePayouts([unsent.payout.id, sent.payout.id], unsent.userId);
+
+    expect(results).toEqual([
+      { id: unsent.payout.id, status: 'FAILED', error: 'connection reset' },
+      { id: sent.payout.id, status: 'PROCESSING' },
+    ]);
+    expect(initiateTransfer).toHaveBeenCalledTimes(1);
+    expect(await getBalance(db, 'WALLET', unsent.userId)).toBe(500000);
+  });
+
+  test('an approved payout cannot be rejected, and its webhook still settles it', async () => {
+    const { userId, payout } = await createPendingPayout();
+    await approvePayouts([payout.id], userId);
+
+    await expect(transitionPayout(payout.id, 'FAILED', { fromStatus: 'PENDING', reason: 'Rejected' }))
+      .rejects.toMatchObject({ message: 'INVALID_TRANSITION' });
+
+    await deliver(fakeProvider.simulateTransfer({ reference: payout.reference, status: 'PAID' }));
+    expect((await getPayout(payout.id)).status).toBe('PAID');
+    expect(await getBalance(db, 'WALLET', userId)).toBe(300000);
+  });
+
+  test('a webhook for a payout that has moved on is recorded rather than retried', async () => {
+    const { userId, payout } = await createPendingPayout();
+    await transitionPayout(payout.id, 'FAILED', { reason: 'Rejected' });
+    await db.query("update public.payouts set provider = 'fake' where id = $1", [payout.id]);
+
+    const webhook = fakeProvider.simulateTransfer({ reference: payout.reference, status: 'PAID' });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(await deliver(webhook)).toEqual({ outcome: 'rejected' });
+    expect(await getBalance(db, 'WALLET', userId)).toBe(500000);
+  });
+
+  test('request_payout and transition_payout cannot be called through the API', async () => {
+    const sql = [
+      'select public.request_payout(uuid_generate_v4(), uuid_generate_v4(), 100000, 100000, 100000)',
+      "select public.transition_payout(uuid_generate_v4(), 'FAILED')",
+    ];
+    for (const role of ['anon', 'authenticated']) {
+      for (const statement of sql) {
+        await expect(queryAs(db, role, statement)).rejects.toThrow('permission denied');
+      }
+    }
+  });
+});
+
+describe('payout reconciliation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('settles overdue payouts with what the provider reports', async () => {
+    const paid = await createPendingPayout();
+    const failed = await createPendingPayout();
+    const pending = await createPendingPayout();
+    for (const { userId, payout } of [paid, failed, pending]) {
+      await approvePayouts([payout.id], userId);
+      await ageApproval(payout.id);
+    }
+    jest.spyOn(fakeProvider, 'fetchTransfer').mockImplementation(async (reference) => ({
+      [paid.payout.reference]: { status: 'PAID', reason: null, providerReference: `fake_${reference}` },
+      [failed.payout.reference]: { status: 'FAILED', reason: 'Account closed', providerReference: `fake_${reference}` },
+    }[reference] || { status: 'PENDING', reason: null, providerReference: `fake_${reference}` }));
+
+    const results = await reconcileProcessingPayouts();
+
+    expect(results).toEqual(expect.arrayContaining([
+      { id: paid.payout.id, status: 'PAID' },
+      { id: failed.payout.id, status: 'FAILED' },
+      { id: pending.payout.id, status: 'PROCESSING' },
+    ]));
+    expect(await getBalance(db, 'WALLET', paid.userId)).toBe(300000);
+    expect(await getBalance(db, 'WALLET', failed.userId)).toBe(500000);
+    expect(await getPayout(failed.payout.id)).toMatchObject({ failure_reason: 'Account closed' });
+  });
+
+  test('fails and refunds a transfer the provider never received', async () => {
+    const { userId, payout } = await createPendingPayout();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // The call dies before the provider ever sees it
+    jest.spyOn(fakeProvider, 'initiateTransfer').mockRejectedValueOnce(outcomeUnknown('socket hang up'));
+    await approvePayouts([payout.id], userId);
+    await ageApproval(payout.id);
+
+    await reconcileProcessingPayouts();
+
+    expect(await getPayout(payout.id)).toMatchObject({
+      status: 'FAILED',
+      failure_reason: 'Transfer was never received by the provider',
+    });
+    expect(await getBalance(db, 'WALLET', userId)).toBe(500000);
+  });
+
+  test('leaves payouts approved recently for their webhook', async () => {
+    const { userId, payout } = await createPendingPayout();
+    await approvePayouts([payout.id], userId);
+    const fetchTransfer = jest.spyOn(fakeProvider, 'fetchTransfer');
+
+    const results = await reconcileProcessingPayouts();
+
+    expect(results.map((result) => result.id)).not.toContain(payout.id);
+    expect(fetchTransfer).not.toHaveBeenCalledWith(payout.reference);
+  });
+});
@@ -0,0 +1,40 @@
+import { jest, describe, expect, test } from '@jest/globals';
+
+// Rendering never touches the database
+jest.unstable_mockModule('../src/services/supabase.js', () => ({ supabase: {}, supabaseAdmin: {} }));
+
+const { renderReceiptCsv } = await import('../src/services/receiptService.js');
+
+const receipt = (title) => ({
+  receipt_number: 'RCT-0001',
+  invoice_number: 'INV-0001',
+  issued_at: '2025-11-06T10:00:00.000Z',
+  currency: 'NGN',
+  task: { title },
+  total_paid: 500000,
+  hustler_net: 435500,
+  line_items: [
+    { code: 'TASK_AMOUNT', description: 'Task amount', amount: 500000 },
+    { code: 'PLATFORM_FEE', description: 'Platform fee', amount: 60000 },
+    { code: 'VAT', description: 'VAT on platform fee', amount: 4500 },
+  ],
+});
+
+const cells = (csv) => csv.trim().split('\n').slice(1).map((row) => row.split(','));
+
+describe('renderReceiptCsv', () => {
+  test.each(['=HYPERLINK("http://evil.example")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd'])(
+    'keeps a title like %j from running as a formula',
+    (title) => {
+      const [row] = cells(renderReceiptCsv(receipt(title), 'poster'));
+      expect(row[2].replace(/^"/, '')).toMatch(/^'/);
+    }
+  );
+
+  test('leaves ordinary titles and negative amounts alone', () => {
+    const rows = cells(renderReceiptCsv(receipt('Clean my flat'), 'hustler'));
+
+    expect(rows[0][2]).toBe('Clean my flat');
+    expect(rows.map((row) => row[5])).toEqual(['5000.00', '-600.00', '-45.00', '4355.00']);
+  });
+});
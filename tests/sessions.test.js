@@ -0,0 +1,129 @@
+import { jest, afterAll, describe, expect, test } from '@jest/globals';
+import { createTestDatabase, createUser, queryAs } from './helpers/database.js';
+import { createSupabaseClient } from './helpers/supabaseClient.js';
+
+process.env.JWT_SECRET = 'test_jwt_secret';
+
+const db = await createTestDatabase();
+const client = createSupabaseClient(db);
+
+jest.unstable_mockModule('../src/services/supabase.js', () => ({ supabase: client, supabaseAdmin: client }));
+
+const {
+  SessionError,
+  createSession,
+  isSessionActive,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken,
+  setSessionSocket,
+  verifyAccessToken,
+} = await import('../src/services/sessionService.js');
+
+afterAll(async () => {
+  await db.close();
+});
+
+// Stands in for the Socket.IO server: sockets by user room, each remembering
+// whether it was disconnected
+const createSocketServer = () => {
+  const rooms = new Map();
+  return {
+    connect: (room, sessionId) => {
+      const socket = { data: { sessionId }, disconnected: false, disconnect() { this.disconnected = true; } };
+      rooms.set(room, [...(rooms.get(room) || []), socket]);
+      return socket;
+    },
+    in: (room) => ({ fetchSockets: async () => rooms.get(room) || [] }),
+  };
+};
+
+const getSecurityEvents = async (userId) => (
+  await db.query('select type from public.security_events where user_id = $1', [userId])
+).rows.map((row) => row.type);
+
+describe('refresh tokens', () => {
+  test('rotate into a new pair for the same session', async () => {
+    const userId = await createUser(db);
+    const session = await createSession(userId);
+
+    const next = await rotateRefreshToken(session.refreshToken);
+
+    expect(next.sessionId).toBe(session.sessionId);
+    expect(next.refreshToken).not.toBe(session.refreshToken);
+    expect(verifyAccessToken(next.token)).toEqual({ userId, sessionId: session.sessionId });
+    expect(await isSessionActive(userId, session.sessionId)).toBe(true);
+  });
+
+  test('reusing a spent refresh token signs the session out', async () => {
+    const userId = await createUser(db);
+    const session = await createSession(userId);
+    const next = await rotateRefreshToken(session.refreshToken);
+
+    await expect(rotateRefreshToken(session.refreshToken)).rejects.toMatchObject({
+      code: 'REFRESH_TOKEN_REUSED',
+      statusCode: 401,
+    });
+
+    expect(await isSessionActive(userId, session.sessionId)).toBe(false);
+    expect(await getSecurityEvents(userId)).toContain('REFRESH_TOKEN_REUSED');
+
+    // The legitimate holder's newer token is dead too
+    await expect(rotateRefreshToken(next.refreshToken)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+  });
+
+  test('an unknown refresh token is rejected', async () => {
+    await expect(rotateRefreshToken('not-a-token')).rejects.toBeInstanceOf(SessionError);
+  });
+
+  test('rotate_refresh_token cannot be called through the API', async () => {
+    for (const role of ['anon', 'authenticated']) {
+      await expect(queryAs(db, role, "select public.rotate_refresh_token('a', 'b', 30, null, null)"))
+        .rejects.toThrow('permission denied');
+    }
+  });
+});
+
+describe('signing out', () => {
+  test('disconnects the sockets of the revoked session only', async () => {
+    const io = createSocketServer();
+    setSessionSocket(io);
+    const userId = await createUser(db);
+    const phone = await createSession(userId);
+    const laptop = await createSession(userId);
+    const phoneSocket = io.connect(`user_${userId}`, phone.sessionId);
+    const laptopSocket = io.connect(`user_${userId}`, laptop.sessionId);
+
+    expect(await revokeSession(userId, phone.sessionId)).toBe(true);
+
+    expect(phoneSocket.disconnected).toBe(true);
+    expect(laptopSocket.disconnected).toBe(false);
+  });
+
+  test('signing out everywhere else keeps the current session connected', async () => {
+    const io = createSocketServer();
+    setSessionSocket(io);
+    const userId = await createUser(db);
+    const current = await createSession(userId);
+    const other = await createSession(userId);
+    const currentSocket = io.connect(`user_${userId}`, current.sessionId);
+    const otherSocket = io.connect(`user_${userId}`, other.sessionId);
+
+    expect(await revokeAllSessions(userId, { exceptSessionId: current.sessionId })).toBe(1);
+
+    expect(currentSocket.disconnected).toBe(false);
+    expect(otherSocket.disconnected).toBe(true);
+  });
+
+  test('a reused refresh token disconnects its session', async () => {
+    const io = createSocketServer();
+    setSessionSocket(io);
+    const userId = await createUser(db);
+    const session = await createSession(userId);
+    const socket = io.connect(`user_${userId}`, session.sessionId);
+    await rotateRefreshToken(session.refreshToken);
+
+    await expect(rotateRefreshToken(session.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    expect(socket.disconnected).toBe(true);
+  });
+});
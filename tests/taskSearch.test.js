@@ -0,0 +1,56 @@
+import { afterAll, describe, expect, test } from '@jest/globals';
+import { createTestDatabase, createUser, queryAs } from './helpers/database.js';
+
+const db = await createTestDatabase();
+
+afterAll(async () => {
+  await db.close();
+});
+
+describe('nearby_tasks', () => {
+  test('returns at most 500 tasks, whatever the limit asks for', async () => {
+    const posterId = await createUser(db);
+    await db.query(
+      `insert into public.tasks (title, description, category, budget, poster_id, latitude, longitude)
+       select 'Nearby task', 'Something to do', 'OTHER', 100000, $1, 6.5244, 3.3792
+       from generate_series(1, 501)`,
+      [posterId]
+    );
+
+    const { rows } = await db.query('select * from public.nearby_tasks(6.5244, 3.3792, 1, null, 100000)');
+    expect(rows).toHaveLength(500);
+  });
+
+  test('cannot be called through the API', async () => {
+    for (const role of ['anon', 'authenticated']) {
+      await expect(queryAs(db, role, 'select * from public.nearby_tasks(6.5244, 3.3792, 1)')).rejects.toThrow('permission denied');
+    }
+  });
+});
+
+describe('search_tasks', () => {
+  const search = async (city) => (
+    await db.query("select public.search_tasks('plumbing', p_city => $1) as value", [city])
+  ).rows[0].value;
+
+  test('matches the city exactly, ignoring case, with no wildcards', async () => {
+    const posterId = await createUser(db);
+    for (const city of ['Lagos', 'Abuja']) {
+      await db.query(
+        `insert into public.tasks (title, description, category, budget, poster_id, city)
+         values ('Fix plumbing', 'Leaking pipe', 'OTHER', 100000, $1, $2)`,
+        [posterId, city]
+      );
+    }
+
+    expect((await search('lagos')).total).toBe(1);
+    expect((await search('%')).total).toBe(0);
+    expect((await search('L_gos')).total).toBe(0);
+  });
+
+  test('cannot be called through the API', async () => {
+    for (const role of ['anon', 'authenticated']) {
+      await expect(queryAs(db, role, "select public.search_tasks('plumbing')")).rejects.toThrow('permission denied');
+    }
+  });
+});
@@ -0,0 +1,90 @@
+import { jest, afterAll, describe, expect, test } from '@jest/globals';
+import { createTestDatabase, createUser } from './helpers/database.js';
+import { createSupabaseClient } from './helpers/supabaseClient.js';
+
+process.env.JWT_SECRET = 'test_jwt_secret';
+
+const db = await createTestDatabase();
+const client = createSupabaseClient(db);
+
+jest.unstable_mockModule('../src/services/supabase.js', () => ({ supabase: client, supabaseAdmin: client }));
+
+const {
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  startEnrollment,
+  verifyTwoFactor,
+} = await import('../src/services/twoFactorService.js');
+
+afterAll(async () => {
+  await db.close();
+});
+
+// A user with 2FA on, and their recovery codes
+const enableTwoFactor = async () => {
+  const userId = await createUser(db);
+  await startEnrollment(userId, userId);
+  await db.query('update public.user_two_factor set enabled_at = now() where user_id = $1', [userId]);
+  return { userId, recoveryCodes: await regenerateRecoveryCodes(userId) };
+};
+
+const WRONG_CODE = '000000';
+
+describe('verifyTwoFactor', () => {
+  test('locks checks after five wrong codes in a row', async () => {
+    const { userId, recoveryCodes } = await enableTwoFactor();
+
+    for (let guess = 0; guess < 4; guess += 1) {
+      await expect(verifyTwoFactor(userId, WRONG_CODE)).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+    }
+    await expect(verifyTwoFactor(userId, WRONG_CODE)).rejects.toMatchObject({
+      code: 'TWO_FACTOR_LOCKED',
+      statusCode: 429,
+      details: { retryAfter: 15 * 60 },
+    });
+
+    // Locked, so even a good recovery code is refused, and isn't used up
+    await expect(verifyTwoFactor(userId, recoveryCodes[0])).rejects.toMatchObject({ code: 'TWO_FACTOR_LOCKED' });
+    await db.query("update public.user_two_factor set locked_until = now() - interval '1 second' where user_id = $1", [userId]);
+    await expect(verifyTwoFactor(userId, recoveryCodes[0])).resolves.toMatchObject({ method: 'recovery' });
+  });
+
+  test('parallel guesses cannot get past the limit', async () => {
+    const { userId, recoveryCodes } = await enableTwoFactor();
+
+    // Ten guesses race, the right one last
+    const guesses = [...Array(9).fill(WRONG_CODE), recoveryCodes[0]].map((code) => verifyTwoFactor(userId, code));
+    const results = await Promise.allSettled(guesses);
+
+    expect(results.filter((result) => result.status === 'fulfilled')).toEqual([]);
+    expect(results.filter((result) => result.reason?.code === 'TWO_FACTOR_LOCKED')).toHaveLength(6);
+  });
+
+  test('a right code starts the count again', async () => {
+    const { userId, recoveryCodes } = await enableTwoFactor();
+
+    for (let guess = 0; guess < 4; guess += 1) {
+      await expect(verifyTwoFactor(userId, WRONG_CODE)).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+    }
+    await expect(verifyTwoFactor(userId, recoveryCodes[0])).resolves.toMatchObject({ method: 'recovery' });
+
+    for (let guess = 0; guess < 4; guess += 1) {
+      await expect(verifyTwoFactor(userId, WRONG_CODE)).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+    }
+  });
+});
+
+describe('confirmEnrollment', () => {
+  test('locks checks after five wrong codes, even if enrollment starts again', async () => {
+    const userId = await createUser(db);
+    await startEnrollment(userId, userId);
+
+    for (let guess = 0; guess < 4; guess += 1) {
+      await expect(confirmEnrollment(userId, WRONG_CODE)).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+    }
+    await expect(confirmEnrollment(userId, WRONG_CODE)).rejects.toMatchObject({ code: 'TWO_FACTOR_LOCKED', statusCode: 429 });
+
+    await startEnrollment(userId, userId);
+    await expect(confirmEnrollment(userId, WRONG_CODE)).rejects.toMatchObject({ code: 'TWO_FACTOR_LOCKED' });
+  });
+});